@@ -0,0 +1,91 @@
+// Tests for LoadTester's arrival-rate (open model) mode
+import { describe, expect, LoadTester } from './testFramework.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Short runs only; never warns about the generator being busy
+function arrivalTester(options) {
+  return new LoadTester({ quiet: true, saturationThreshold: 101, ...options });
+}
+
+export const arrivalRateTests = describe('Arrival-rate load tests', function () {
+  this.describe('Profiles', function () {
+    this.it('should pick arrival-rate mode from a rate or stages, and add up stage durations', () => {
+      const stages = [{ duration: 1000, rate: 5 }, { duration: 500, rate: 20 }];
+
+      expect.toBe(new LoadTester({ concurrency: 5 }).mode, 'closed');
+      expect.toBe(new LoadTester({ rate: 5 }).mode, 'arrival-rate');
+      expect.toMatchObject(new LoadTester({ stages }), { mode: 'arrival-rate', duration: 1500 });
+    });
+
+    this.it('should schedule requests evenly within each stage', () => {
+      const tester = arrivalTester({ stages: [{ duration: 1000, rate: 4 }, { duration: 500, rate: 0 }, { duration: 200, rate: 10 }] });
+
+      expect.toEqual(tester.schedule(), [0, 250, 500, 750, 1500, 1600]);
+    });
+
+    this.it('should build spike and step profiles', () => {
+      expect.toEqual(LoadTester.spike({ rate: 20, spikeRate: 100, at: 30000, spikeDuration: 15000, duration: 90000 }), [
+        { duration: 30000, rate: 20 },
+        { duration: 15000, rate: 100 },
+        { duration: 45000, rate: 20 }
+      ]);
+      expect.toEqual(LoadTester.spike({ rate: 20, spikeRate: 100, at: 0, spikeDuration: 1000, duration: 1000 }), [
+        { duration: 1000, rate: 100 }
+      ]);
+      expect.toEqual(LoadTester.steps({ from: 10, to: 40, steps: 4, stepDuration: 5000 }).map(stage => stage.rate), [10, 20, 30, 40]);
+    });
+  });
+
+  this.describe('Runs', function () {
+    this.it('should send every scheduled request, reusing idle virtual users', async () => {
+      const users = new Set();
+      const tester = arrivalTester({ rate: 100, duration: 200 });
+
+      const results = await tester.run(async (vu) => {
+        users.add(vu.id);
+        vu.state.iterations = (vu.state.iterations || 0) + 1;
+      });
+
+      expect.toMatchObject(results, { scheduled: 20, total: 20, successful: 20, dropped: 0, failed: 0, targetRate: 100 });
+      expect.toBeTruthy(users.size < 20, `Expected idle virtual users to be reused, got ${users.size}`);
+    });
+
+    this.it('should drop requests beyond maxInFlight instead of queueing them', async () => {
+      const tester = arrivalTester({ rate: 100, duration: 100, maxInFlight: 2 });
+
+      const results = await tester.run(() => sleep(150));
+
+      expect.toMatchObject(results, { scheduled: 10, total: 2, dropped: 8 });
+    });
+
+    this.it('should count failures by message and keep them out of the latencies', async () => {
+      const tester = arrivalTester({ rate: 100, duration: 100 });
+      let calls = 0;
+
+      const results = await tester.run(async () => {
+        if (++calls % 2 === 0) {
+          throw new Error('card_declined');
+        }
+      });
+
+      expect.toMatchObject(results, { total: 10, successful: 5, failed: 5, errorRate: 50 });
+      expect.toEqual(tester.errors, { card_declined: 5 });
+      expect.toBe(tester.latency.summary().count, 5);
+    });
+
+    this.it('should report dropped and late requests on their own', async () => {
+      const tester = arrivalTester({ rate: 10, duration: 100 });
+      tester.reset();
+      tester.startedAt = 0;
+
+      tester.record({ latency: 80, serviceTime: 30, success: true, lateBy: 50 });
+      tester.record({ latency: 20, serviceTime: 20, success: true, lateBy: 5 });
+      tester.record({ dropped: true, lateBy: 500 });
+      const results = tester.analyze();
+
+      expect.toMatchObject(results, { scheduled: 3, total: 2, dropped: 1, late: 1, maxLateness: 50 });
+      expect.toBeTruthy(results.maxLatency >= 79 && results.serviceP95 <= 31, `Unexpected latencies: ${results.maxLatency}/${results.serviceP95}`);
+    });
+  });
+});
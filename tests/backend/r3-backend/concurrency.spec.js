@@ -0,0 +1,119 @@
+// Tests for concurrent suite execution in TestRunner
+import { describe, expect, runGrouped } from './testFramework.js';
+import { collectOutput } from './fixtures/output.js';
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// Three sibling suites with hooks, a failing test and a skipped one, logging
+// every step to `events`
+function buildTree(events) {
+  return describe('Root', function () {
+    ['A', 'B', 'C'].forEach(name => {
+      this.describe(name, function () {
+        this.before(() => events.push(`${name}:beforeAll`));
+        this.after(() => events.push(`${name}:afterAll`));
+
+        this.it('first', async () => {
+          events.push(`${name}:start`);
+          await tick();
+          await tick();
+          events.push(`${name}:end`);
+        });
+        this.it('fails', () => {
+          if (name === 'B') {
+            throw new Error('B failed');
+          }
+        });
+        this.it.skip('skipped', () => {});
+      });
+    });
+  });
+}
+
+export const concurrencyTests = describe('Concurrent suites', function () {
+  this.it('should run sibling suites at the same time', async () => {
+    const events = [];
+    await buildTree(events).run(0, { concurrency: 3, output: collectOutput() });
+
+    const firstEnd = events.findIndex(event => event.endsWith(':end'));
+    const started = events.slice(0, firstEnd).filter(event => event.endsWith(':start'));
+    expect.toEqual(started, ['A:start', 'B:start', 'C:start']);
+  });
+
+  this.it('should give each suite its own beforeAll and afterAll', async () => {
+    const events = [];
+    await buildTree(events).run(0, { concurrency: 3, output: collectOutput() });
+
+    ['A', 'B', 'C'].forEach(name => {
+      const own = events.filter(event => event.startsWith(`${name}:`));
+      expect.toEqual(own, [`${name}:beforeAll`, `${name}:start`, `${name}:end`, `${name}:afterAll`]);
+    });
+  });
+
+  this.it('should match a serial run in totals and output', async () => {
+    const serialOutput = collectOutput();
+    const parallelOutput = collectOutput();
+
+    const serial = await buildTree([]).run(0, { concurrency: 1, output: serialOutput });
+    const parallel = await buildTree([]).run(0, { concurrency: 3, output: parallelOutput });
+
+    expect.toMatchObject(parallel, { passed: serial.passed, failed: serial.failed, skipped: serial.skipped });
+    expect.toMatchObject(serial, { passed: 5, failed: 1, skipped: 3 });
+    expect.toEqual(parallelOutput.lines, serialOutput.lines);
+  });
+
+  this.it('should keep tests declared between suites in order', async () => {
+    const events = [];
+    const tree = describe('Root', function () {
+      this.it('before', () => events.push('before'));
+      this.describe('A', function () {
+        this.it('a', () => events.push('A'));
+      });
+      this.describe('B', function () {
+        this.it('b', () => events.push('B'));
+      });
+      this.it('after', () => events.push('after'));
+    });
+
+    const output = collectOutput();
+    await tree.run(0, { concurrency: 2, output });
+
+    expect.toEqual(events, ['before', 'A', 'B', 'after']);
+    expect.toEqual(output.lines, ['Root', '  ✓ before', '  A', '    ✓ a', '  B', '    ✓ b', '  ✓ after']);
+  });
+
+  this.describe('runGrouped', function () {
+    this.it('should run at most `concurrency` tasks at once and keep their order', async () => {
+      let running = 0;
+      let peak = 0;
+      const output = collectOutput();
+
+      const results = await runGrouped([3, 1, 2, 1], 2, async (ticks, taskOutput) => {
+        peak = Math.max(peak, ++running);
+        taskOutput.log(`start ${ticks}`);
+        for (let i = 0; i < ticks; i++) {
+          await tick();
+        }
+        console.log(`end ${ticks}`);
+        running--;
+        return ticks * 10;
+      }, output);
+
+      expect.toBe(peak, 2);
+      expect.toEqual(results, [30, 10, 20, 10]);
+      expect.toEqual(output.lines, ['start 3', 'end 3', 'start 1', 'end 1', 'start 2', 'end 2', 'start 1', 'end 1']);
+    });
+
+    this.it('should run one task at a time, unbuffered, with a concurrency of 1', async () => {
+      const output = collectOutput();
+      const order = [];
+
+      await runGrouped(['a', 'b'], 1, async (item, taskOutput) => {
+        expect.toBe(taskOutput, output);
+        order.push(item);
+      }, output);
+
+      expect.toEqual(order, ['a', 'b']);
+    });
+  });
+});
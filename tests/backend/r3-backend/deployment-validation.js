@@ -1,13 +1,52 @@
 // Deployment validation script
 // Runs automated checks to ensure deployment is successful and healthy
+//
+//   node deployment-validation.js [url] [--format=text|json|junit]
+//     [--output=<file>] [--only=<checks>] [--skip=<checks>]
+//
+// --format=json prints every check with its timing, the warnings and the
+// /health payload; junit prints JUnit XML. Reports go to stdout (progress to
+// stderr) unless --output names a file. --only/--skip take comma-separated
+// check ids, see CHECKS.
+//
+// Exit codes: 0 passed, 1 failed, 2 could not run (bad arguments, fatal
+// error), 3 passed with warnings (e.g. degraded, a circuit breaker OPEN)
+//
+// Compare mode probes two deployments the same way and reports drift between
+// them before a promotion:
+//
+//   node deployment-validation.js --compare [staging-url] [production-url]
+//     [--samples=10] [--format=...] [--output=<file>] [--only=<checks>]
+//     [--skip=<checks>] [--allow-writes]
+//
+// Root service/version, /health payload shape, the circuit breaker set, CORS
+// headers, endpoint status codes and response-time percentiles are compared.
+// Config drift fails the run (exit 1), slower responses or breaker states
+// warn (exit 3), and a version difference is reported for information only.
+// --only/--skip select probes by their check id (see DRIFT_PROBES). Probes
+// are read-only: breaker states come from /health unless --allow-writes lets
+// them create a checkout session to read /api/circuit-breakers.
 
 import fetch from 'node-fetch';
 import { performance } from 'perf_hooks';
+import { JsonReporter, JUnitReporter } from './reporters.js';
+import { Histogram } from './histogram.js';
 
 // Configuration
 const DEPLOYMENT_URL = process.env.DEPLOYMENT_URL || 'https://r3-backend.vercel.app';
 const STAGING_URL = process.env.STAGING_URL || 'https://r3-backend-staging.vercel.app';
 const TEST_TIMEOUT = 30000; // 30 seconds
+const SHOPIFY_ORIGIN = 'https://sqqpyb-yq.myshopify.com';
+
+// Endpoints that must exist; authenticated ones must refuse anonymous calls
+const REQUIRED_ENDPOINTS = [
+  { path: '/api/checkout/csrf', method: 'GET', needsAuth: true },
+  { path: '/api/calculate-shipping', method: 'POST', needsAuth: true },
+  { path: '/api/calculate-tax', method: 'POST', needsAuth: true },
+  { path: '/api/stripe/create-payment-intent', method: 'POST', needsAuth: true },
+  { path: '/api/checkout/logout', method: 'POST', needsAuth: true },
+  { path: '/monitoring', method: 'GET', needsAuth: false }
+];
 
 // Color codes for output
 const colors = {
@@ -19,13 +58,79 @@ const colors = {
   blue: '\x1b[34m'
 };
 
-// Test results collector
+export const EXIT_CODES = { passed: 0, failed: 1, error: 2, warnings: 3 };
+
+// Check ids for --only/--skip
+export const CHECKS = {
+  connectivity: 'Root endpoint accessibility',
+  health: 'Health check endpoint',
+  cors: 'CORS configuration',
+  session: 'Session creation endpoint',
+  endpoints: 'Required endpoints (auth enforced)',
+  performance: 'Response time (< 2s)',
+  'circuit-breakers': 'Circuit breaker status',
+  monitoring: 'Monitoring dashboard',
+  'checkout-flow': 'Complete checkout flow'
+};
+
+// Drift probes and the check id that selects each with --only/--skip
+export const DRIFT_PROBES = {
+  root: 'connectivity',
+  health: 'health',
+  circuitBreakers: 'circuit-breakers',
+  cors: 'cors',
+  endpoints: 'endpoints',
+  responseTimes: 'performance'
+};
+
+const args = process.argv.slice(2);
+const getOption = (name) => args.find(arg => arg.startsWith(`--${name}=`))?.slice(name.length + 3);
+const listOption = (name) => getOption(name)?.split(',').map(id => id.trim()).filter(Boolean) || [];
+
+const options = {
+  format: getOption('format') || 'text',
+  output: getOption('output'),
+  only: listOption('only'),
+  skip: listOption('skip'),
+  compare: args.includes('--compare'),
+  allowWrites: args.includes('--allow-writes'),
+  samples: Number(getOption('samples')) || 10
+};
+
+// With a report on stdout, progress goes to stderr
+const reportToStdout = options.format !== 'text' && !options.output;
+const out = reportToStdout ? process.stderr : process.stdout;
+const log = (...messages) => (reportToStdout ? console.error : console.log)(...messages);
+
+// Test results collector: every check in `suites`, grouped like the output,
+// in the shape reporters.js renders
 const results = {
   passed: 0,
   failed: 0,
-  warnings: 0,
-  errors: []
+  skipped: 0,
+  warnings: [],
+  errors: [],
+  health: null,
+  suites: []
 };
+let currentSuite = null;
+let currentCheck = null;
+
+function startSuite(title) {
+  currentSuite = { name: title, titles: [title], tests: [], suites: [], hookErrors: [], duration: 0 };
+  results.suites.push(currentSuite);
+}
+
+function isSelected(id) {
+  return (options.only.length === 0 || options.only.includes(id)) && !options.skip.includes(id);
+}
+
+// Recorded against the running check; any warning makes the run exit 3
+function warn(message) {
+  results.warnings.push({ check: currentCheck?.title || null, message });
+  currentCheck?.warnings.push(message);
+  console.warn(`\n  ${colors.yellow}Warning: ${message}${colors.reset}`);
+}
 
 // Helper to make requests with timeout
 async function fetchWithTimeout(url, options = {}, timeout = TEST_TIMEOUT) {
@@ -48,31 +153,56 @@ async function fetchWithTimeout(url, options = {}, timeout = TEST_TIMEOUT) {
   }
 }
 
-// Test runner
-async function runTest(name, testFn) {
-  process.stdout.write(`Testing ${name}... `);
+// Test runner. `id` is the check the test belongs to (see CHECKS).
+async function runTest(id, name, testFn) {
+  const check = {
+    id,
+    title: name,
+    titles: [...currentSuite.titles, name],
+    status: 'passed',
+    duration: 0,
+    attempts: 1,
+    error: null,
+    warnings: []
+  };
+  currentSuite.tests.push(check);
+
+  if (!isSelected(id)) {
+    log(`Skipping ${name} (${id})`);
+    Object.assign(check, { status: 'skipped', attempts: 0 });
+    results.skipped++;
+    return;
+  }
+
+  out.write(`Testing ${name}... `);
   const start = performance.now();
+  currentCheck = check;
 
   try {
     await testFn();
-    const duration = performance.now() - start;
-    console.log(`${colors.green}✓${colors.reset} (${duration.toFixed(0)}ms)`);
+    check.duration = performance.now() - start;
+    log(`${colors.green}✓${colors.reset} (${check.duration.toFixed(0)}ms)`);
     results.passed++;
   } catch (error) {
-    const duration = performance.now() - start;
-    console.log(`${colors.red}✗${colors.reset} (${duration.toFixed(0)}ms)`);
+    check.duration = performance.now() - start;
+    log(`${colors.red}✗${colors.reset} (${check.duration.toFixed(0)}ms)`);
     console.error(`  ${colors.red}Error: ${error.message}${colors.reset}`);
+    Object.assign(check, { status: 'failed', error: { name: error.name, message: error.message, stack: error.stack || null } });
     results.failed++;
     results.errors.push({ test: name, error: error.message });
+  } finally {
+    currentCheck = null;
+    currentSuite.duration += check.duration;
   }
 }
 
 // Validation tests
 async function validateDeployment(baseUrl) {
-  console.log(`\n${colors.bright}${colors.blue}Validating deployment: ${baseUrl}${colors.reset}\n`);
+  log(`\n${colors.bright}${colors.blue}Validating deployment: ${baseUrl}${colors.reset}\n`);
+  startSuite('Deployment validation');
 
   // 1. Basic connectivity
-  await runTest('Root endpoint accessibility', async () => {
+  await runTest('connectivity', 'Root endpoint accessibility', async () => {
     const response = await fetchWithTimeout(baseUrl);
     const data = await response.json();
 
@@ -86,10 +216,12 @@ async function validateDeployment(baseUrl) {
   });
 
   // 2. Health check
-  await runTest('Health check endpoint', async () => {
+  await runTest('health', 'Health check endpoint', async () => {
     const response = await fetchWithTimeout(`${baseUrl}/health`);
     const data = await response.json();
 
+    results.health = data;
+
     if (response.status !== 200) {
       throw new Error(`Health check returned status ${response.status}`);
     }
@@ -98,20 +230,23 @@ async function validateDeployment(baseUrl) {
       throw new Error(`Unhealthy status: ${data.status}`);
     }
 
+    if (data.status === 'degraded') {
+      warn('Health status is degraded');
+    }
+
     // Check critical services
     if (data.circuitBreakers) {
       const criticalBreakers = ['stripe', 'redis'];
       for (const breaker of criticalBreakers) {
         if (data.circuitBreakers[breaker]?.state === 'OPEN') {
-          results.warnings++;
-          console.warn(`\n  ${colors.yellow}Warning: ${breaker} circuit breaker is OPEN${colors.reset}`);
+          warn(`${breaker} circuit breaker is OPEN`);
         }
       }
     }
   });
 
   // 3. CORS configuration
-  await runTest('CORS configuration', async () => {
+  await runTest('cors', 'CORS configuration', async () => {
     const testOrigin = 'https://sqqpyb-yq.myshopify.com';
     const response = await fetchWithTimeout(baseUrl, {
       headers: {
@@ -127,7 +262,7 @@ async function validateDeployment(baseUrl) {
   });
 
   // 4. Session creation
-  await runTest('Session creation endpoint', async () => {
+  await runTest('session', 'Session creation endpoint', async () => {
     const response = await fetchWithTimeout(`${baseUrl}/api/checkout/session`, {
       method: 'POST',
       headers: {
@@ -152,17 +287,8 @@ async function validateDeployment(baseUrl) {
   });
 
   // 5. Required endpoints
-  const requiredEndpoints = [
-    { path: '/api/checkout/csrf', method: 'GET', needsAuth: true },
-    { path: '/api/calculate-shipping', method: 'POST', needsAuth: true },
-    { path: '/api/calculate-tax', method: 'POST', needsAuth: true },
-    { path: '/api/stripe/create-payment-intent', method: 'POST', needsAuth: true },
-    { path: '/api/checkout/logout', method: 'POST', needsAuth: true },
-    { path: '/monitoring', method: 'GET', needsAuth: false }
-  ];
-
-  for (const endpoint of requiredEndpoints) {
-    await runTest(`Endpoint ${endpoint.path}`, async () => {
+  for (const endpoint of REQUIRED_ENDPOINTS) {
+    await runTest('endpoints', `Endpoint ${endpoint.path}`, async () => {
       const headers = {
         'Content-Type': 'application/json',
         'Origin': 'https://sqqpyb-yq.myshopify.com'
@@ -194,7 +320,7 @@ async function validateDeployment(baseUrl) {
   }
 
   // 6. Performance check
-  await runTest('Response time (< 2s)', async () => {
+  await runTest('performance', 'Response time (< 2s)', async () => {
     const start = performance.now();
     await fetchWithTimeout(`${baseUrl}/health`);
     const duration = performance.now() - start;
@@ -205,7 +331,7 @@ async function validateDeployment(baseUrl) {
   });
 
   // 7. Circuit breaker functionality
-  await runTest('Circuit breaker status', async () => {
+  await runTest('circuit-breakers', 'Circuit breaker status', async () => {
     // Create a session first
     const sessionResponse = await fetchWithTimeout(`${baseUrl}/api/checkout/session`, {
       method: 'POST',
@@ -239,7 +365,7 @@ async function validateDeployment(baseUrl) {
   });
 
   // 8. Monitoring dashboard
-  await runTest('Monitoring dashboard', async () => {
+  await runTest('monitoring', 'Monitoring dashboard', async () => {
     const response = await fetchWithTimeout(`${baseUrl}/monitoring`);
 
     if (response.status !== 200) {
@@ -255,9 +381,10 @@ async function validateDeployment(baseUrl) {
 
 // Smoke test for critical user flows
 async function runSmokeTests(baseUrl) {
-  console.log(`\n${colors.bright}${colors.blue}Running smoke tests${colors.reset}\n`);
+  log(`\n${colors.bright}${colors.blue}Running smoke tests${colors.reset}\n`);
+  startSuite('Smoke tests');
 
-  await runTest('Complete checkout flow', async () => {
+  await runTest('checkout-flow', 'Complete checkout flow', async () => {
     // 1. Create session
     const sessionResponse = await fetchWithTimeout(`${baseUrl}/api/checkout/session`, {
       method: 'POST',
@@ -327,49 +454,373 @@ async function runSmokeTests(baseUrl) {
   });
 }
 
+// Drift comparison
+// Probes one deployment without failing on anything: each probe records what
+// it saw, or { error } when the request itself failed. Probes not listed in
+// `probes` are left out. Nothing is written unless `allowWrites` is set.
+export async function probeDeployment(baseUrl, { samples = 10, probes = Object.keys(DRIFT_PROBES), allowWrites = false } = {}) {
+  const probe = async (name, fn) => {
+    if (!probes.includes(name)) {
+      return undefined;
+    }
+    try {
+      return await fn();
+    } catch (error) {
+      return { error: error.message };
+    }
+  };
+
+  const root = await probe('root', async () => {
+    const response = await fetchWithTimeout(baseUrl);
+    const data = await response.json();
+    return { status: response.status, service: data.service ?? null, version: data.version ?? null };
+  });
+
+  const health = await probe('health', async () => {
+    const response = await fetchWithTimeout(`${baseUrl}/health`);
+    const data = await response.json();
+    return { status: response.status, shape: shapeOf(data) };
+  });
+
+  // /health reports the breakers read-only; the full set behind
+  // /api/circuit-breakers needs a session, which is a write
+  const circuitBreakers = await probe('circuitBreakers', async () => {
+    if (!allowWrites) {
+      const response = await fetchWithTimeout(`${baseUrl}/health`);
+      return breakerStates((await response.json()).circuitBreakers);
+    }
+
+    const sessionResponse = await fetchWithTimeout(`${baseUrl}/api/checkout/session`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Origin': SHOPIFY_ORIGIN },
+      body: JSON.stringify({ cartToken: `drift-check-${Date.now()}`, cartTotal: 5000 })
+    });
+    const { sessionToken } = await sessionResponse.json();
+    const response = await fetchWithTimeout(`${baseUrl}/api/circuit-breakers`, {
+      headers: { 'Authorization': `Bearer ${sessionToken}` }
+    });
+    return breakerStates((await response.json()).states);
+  });
+
+  const cors = await probe('cors', async () => {
+    const simple = await fetchWithTimeout(baseUrl, { headers: { 'Origin': SHOPIFY_ORIGIN } });
+    const preflight = await fetchWithTimeout(`${baseUrl}/api/checkout/session`, {
+      method: 'OPTIONS',
+      headers: {
+        'Origin': SHOPIFY_ORIGIN,
+        'Access-Control-Request-Method': 'POST',
+        'Access-Control-Request-Headers': 'content-type,authorization,x-csrf-token'
+      }
+    });
+    return { ...corsHeaders('GET /', simple), ...corsHeaders('OPTIONS /api/checkout/session', preflight) };
+  });
+
+  // Anonymous calls only: authenticated endpoints refuse them before doing
+  // anything
+  const endpoints = await probe('endpoints', async () => {
+    const statuses = {};
+    for (const endpoint of [{ path: '/', method: 'GET' }, { path: '/health', method: 'GET' }, ...REQUIRED_ENDPOINTS]) {
+      statuses[`${endpoint.method} ${endpoint.path}`] = await probe('endpoints', async () => {
+        const response = await fetchWithTimeout(`${baseUrl}${endpoint.path}`, {
+          method: endpoint.method,
+          headers: { 'Content-Type': 'application/json', 'Origin': SHOPIFY_ORIGIN },
+          body: endpoint.method === 'POST' ? '{}' : undefined
+        });
+        return response.status;
+      });
+    }
+    return statuses;
+  });
+
+  const responseTimes = await probe('responseTimes', async () => {
+    const times = {};
+    for (const timedPath of ['/', '/health']) {
+      times[timedPath] = await probe('responseTimes', async () => {
+        const histogram = new Histogram();
+        for (let i = 0; i < samples; i++) {
+          const start = performance.now();
+          const response = await fetchWithTimeout(`${baseUrl}${timedPath}`);
+          await response.text();
+          histogram.record(performance.now() - start);
+        }
+        const { p50, p95, max } = histogram.summary();
+        return { samples, p50, p95, max };
+      });
+    }
+    return times;
+  });
+
+  return { url: baseUrl, root, health, circuitBreakers, cors, endpoints, responseTimes };
+}
+
+function breakerStates(breakers = {}) {
+  return Object.fromEntries(Object.entries(breakers).map(([name, breaker]) => [name, breaker?.state ?? breaker]));
+}
+
+// Differences between two probeDeployment() results, as
+// [{ probe, field, staging, production, severity }] where severity is
+// 'drift' (config or release mismatch), 'warning' or 'info'. Probes left out
+// of both results are not compared.
+export function compareDeployments(staging, production, { latencyTolerance = 0.5, latencyMargin = 100 } = {}) {
+  const differences = [];
+  const add = (probe, field, a, b, severity = 'drift') => {
+    differences.push({ probe, field, staging: a ?? null, production: b ?? null, severity });
+  };
+  const failedProbe = (probe, a, b) => {
+    if (a === undefined && b === undefined) {
+      return true;
+    }
+    if (a?.error || b?.error) {
+      if (a?.error !== b?.error) {
+        add(probe, 'request', a?.error || 'ok', b?.error || 'ok');
+      }
+      return true;
+    }
+    return false;
+  };
+
+  if (!failedProbe('root', staging.root, production.root)) {
+    ['status', 'service'].forEach(field => {
+      if (staging.root[field] !== production.root[field]) {
+        add('root', field, staging.root[field], production.root[field]);
+      }
+    });
+    if (staging.root.version !== production.root.version) {
+      add('root', 'version', staging.root.version, production.root.version, 'info');
+    }
+  }
+
+  if (!failedProbe('health', staging.health, production.health)) {
+    if (staging.health.status !== production.health.status) {
+      add('health', 'status', staging.health.status, production.health.status);
+    }
+    keyDifferences(staging.health.shape, production.health.shape).forEach(([field, a, b]) => add('health', field, a, b));
+  }
+
+  if (!failedProbe('circuitBreakers', staging.circuitBreakers, production.circuitBreakers)) {
+    keyDifferences(staging.circuitBreakers, production.circuitBreakers).forEach(([name, a, b]) => {
+      // Same breaker, different state: a live condition rather than config
+      add('circuitBreakers', name, a, b, a !== undefined && b !== undefined ? 'warning' : 'drift');
+    });
+  }
+
+  if (!failedProbe('cors', staging.cors, production.cors)) {
+    keyDifferences(staging.cors, production.cors).forEach(([header, a, b]) => add('cors', header, a, b));
+  }
+
+  keyDifferences(staging.endpoints, production.endpoints).forEach(([endpoint, a, b]) => {
+    add('endpoints', endpoint, a?.error || a, b?.error || b);
+  });
+
+  Object.keys(staging.responseTimes || {}).forEach(timedPath => {
+    const a = staging.responseTimes[timedPath];
+    const b = production.responseTimes[timedPath];
+    if (failedProbe('responseTimes', a, b)) {
+      return;
+    }
+    ['p50', 'p95'].forEach(percentile => {
+      const [fast, slow] = [a[percentile], b[percentile]].sort((x, y) => x - y);
+      if (slow - fast > latencyMargin && slow > fast * (1 + latencyTolerance)) {
+        add('responseTimes', `${timedPath} ${percentile}`, `${a[percentile]}ms`, `${b[percentile]}ms`, 'warning');
+      }
+    });
+  });
+
+  return differences;
+}
+
+// Type of every leaf in a payload, keyed by path: { 'kv.status': 'string' }
+function shapeOf(value, prefix = '', shape = {}) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    Object.entries(value).forEach(([key, item]) => shapeOf(item, prefix ? `${prefix}.${key}` : key, shape));
+  } else {
+    shape[prefix] = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+  }
+  return shape;
+}
+
+function corsHeaders(label, response) {
+  const headers = {};
+  response.headers.forEach((value, name) => {
+    if (name.startsWith('access-control-') || name === 'vary') {
+      headers[`${label} ${name}`] = value;
+    }
+  });
+  return headers;
+}
+
+// [key, a, b] for every key whose value differs between two flat objects
+function keyDifferences(a = {}, b = {}) {
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+    .sort()
+    .filter(key => JSON.stringify(a[key]) !== JSON.stringify(b[key]))
+    .map(key => [key, a[key], b[key]]);
+}
+
+async function runComparison(stagingUrl, productionUrl) {
+  const probes = Object.keys(DRIFT_PROBES).filter(probe => isSelected(DRIFT_PROBES[probe]));
+  const probeOptions = { samples: options.samples, probes, allowWrites: options.allowWrites };
+
+  log(`\n${colors.bright}${colors.blue}Probing staging: ${stagingUrl}${colors.reset}`);
+  const staging = await probeDeployment(stagingUrl, probeOptions);
+  log(`${colors.bright}${colors.blue}Probing production: ${productionUrl}${colors.reset}`);
+  const production = await probeDeployment(productionUrl, probeOptions);
+
+  const differences = compareDeployments(staging, production);
+  const symbols = { drift: `${colors.red}✗`, warning: `${colors.yellow}!`, info: `${colors.blue}i` };
+
+  // One check per probe, so the JSON/JUnit reports show what drifted where
+  startSuite('Drift: staging vs production');
+  Object.keys(DRIFT_PROBES).forEach(probe => {
+    if (!probes.includes(probe)) {
+      log(`\nSkipping ${probe} (${DRIFT_PROBES[probe]})`);
+      currentSuite.tests.push({
+        id: probe,
+        title: probe,
+        titles: [...currentSuite.titles, probe],
+        status: 'skipped',
+        duration: 0,
+        attempts: 0,
+        error: null,
+        warnings: []
+      });
+      results.skipped++;
+      return;
+    }
+
+    const found = differences.filter(difference => difference.probe === probe);
+    const drift = found.filter(difference => difference.severity === 'drift');
+    const check = {
+      id: probe,
+      title: probe,
+      titles: [...currentSuite.titles, probe],
+      status: drift.length > 0 ? 'failed' : 'passed',
+      duration: 0,
+      attempts: 1,
+      error: drift.length > 0
+        ? { name: 'DriftError', message: drift.map(describeDifference).join('\n'), stack: null }
+        : null,
+      warnings: found.filter(difference => difference.severity !== 'drift').map(describeDifference)
+    };
+    currentSuite.tests.push(check);
+
+    if (drift.length > 0) {
+      results.failed++;
+      results.errors.push({ test: probe, error: drift.map(describeDifference).join('; ') });
+    } else {
+      results.passed++;
+    }
+    found.filter(difference => difference.severity === 'warning').forEach(difference => {
+      results.warnings.push({ check: probe, message: describeDifference(difference) });
+    });
+
+    log(`\n${colors.bright}${probe}${colors.reset}${found.length === 0 ? `: ${colors.green}no differences${colors.reset}` : ''}`);
+    found.forEach(difference => log(`  ${symbols[difference.severity]}${colors.reset} ${describeDifference(difference)}`));
+  });
+
+  results.comparison = { staging, production, differences };
+}
+
+function describeDifference({ field, staging, production }) {
+  const show = (value) => (value === null ? '(missing)' : typeof value === 'string' ? value : JSON.stringify(value));
+  return `${field}: staging ${show(staging)}, production ${show(production)}`;
+}
+
+// Report in the requested format: the check tree plus the warnings and the
+// /health payload (JSON), or JUnit XML with warnings as system output
+function writeReport(targetUrl, environment) {
+  const Reporter = { json: JsonReporter, junit: JUnitReporter }[options.format];
+  const reporter = new Reporter({
+    name: 'deployment-validation',
+    outputPath: options.output || null,
+    metadata: {
+      target: targetUrl,
+      environment,
+      status: outcome(),
+      warnings: results.warnings,
+      ...(results.comparison ? { comparison: results.comparison } : { health: results.health })
+    }
+  });
+  results.suites.forEach(suite => reporter.onSuiteEnd(suite));
+
+  const file = reporter.write();
+  if (file) {
+    log(`\nReport written to ${file}`);
+  }
+}
+
+function outcome() {
+  if (results.failed > 0) {return 'failed';}
+  return results.warnings.length > 0 ? 'warnings' : 'passed';
+}
+
 // Main execution
 async function main() {
-  const targetUrl = process.argv[2] || DEPLOYMENT_URL;
+  const urls = args.filter(arg => !arg.startsWith('--'));
+  const targetUrl = options.compare
+    ? `${urls[0] || STAGING_URL} vs ${urls[1] || DEPLOYMENT_URL}`
+    : urls[0] || DEPLOYMENT_URL;
   const isProduction = targetUrl.includes('r3-backend.vercel.app');
+  const environment = options.compare ? 'STAGING vs PRODUCTION' : isProduction ? 'PRODUCTION' : 'STAGING';
+
+  const unknown = [...options.only, ...options.skip].filter(id => !CHECKS[id]);
+  if (unknown.length > 0 || !['text', 'json', 'junit'].includes(options.format)) {
+    console.error(unknown.length > 0
+      ? `Unknown check(s): ${unknown.join(', ')}. Available: ${Object.keys(CHECKS).join(', ')}`
+      : `Unknown format "${options.format}" (expected text, json or junit)`);
+    process.exit(EXIT_CODES.error);
+  }
 
-  console.log(`${colors.bright}R3 Payment Backend - Deployment Validation${colors.reset}`);
-  console.log('='.repeat(50));
-  console.log(`Target: ${targetUrl}`);
-  console.log(`Environment: ${isProduction ? 'PRODUCTION' : 'STAGING'}`);
-  console.log(`Timestamp: ${new Date().toISOString()}`);
-  console.log('='.repeat(50));
+  log(`${colors.bright}R3 Payment Backend - Deployment Validation${colors.reset}`);
+  log('='.repeat(50));
+  log(`Target: ${targetUrl}`);
+  log(`Environment: ${environment}`);
+  log(`Timestamp: ${new Date().toISOString()}`);
+  log('='.repeat(50));
 
   try {
-    // Run validation tests
-    await validateDeployment(targetUrl);
+    if (options.compare) {
+      await runComparison(urls[0] || STAGING_URL, urls[1] || DEPLOYMENT_URL);
+    } else {
+      // Run validation tests
+      await validateDeployment(targetUrl);
 
-    // Run smoke tests
-    await runSmokeTests(targetUrl);
+      // Run smoke tests
+      await runSmokeTests(targetUrl);
+    }
 
     // Summary
-    console.log(`\n${'='.repeat(50)}`);
-    console.log(`${colors.bright}Summary:${colors.reset}`);
-    console.log(`${colors.green}Passed: ${results.passed}${colors.reset}`);
-    console.log(`${colors.red}Failed: ${results.failed}${colors.reset}`);
-    console.log(`${colors.yellow}Warnings: ${results.warnings}${colors.reset}`);
+    log(`\n${'='.repeat(50)}`);
+    log(`${colors.bright}Summary:${colors.reset}`);
+    log(`${colors.green}Passed: ${results.passed}${colors.reset}`);
+    log(`${colors.red}Failed: ${results.failed}${colors.reset}`);
+    log(`${colors.yellow}Warnings: ${results.warnings.length}${colors.reset}`);
+    if (results.skipped > 0) {
+      log(`Skipped: ${results.skipped}`);
+    }
 
     if (results.failed > 0) {
-      console.log(`\n${colors.red}Deployment validation FAILED${colors.reset}`);
-      console.log('\nErrors:');
+      log(`\n${colors.red}Deployment validation FAILED${colors.reset}`);
+      log('\nErrors:');
       results.errors.forEach(({ test, error }) => {
-        console.log(`  - ${test}: ${error}`);
+        log(`  - ${test}: ${error}`);
+      });
+    } else if (results.warnings.length > 0) {
+      log(`\n${colors.yellow}Deployment validation PASSED with warnings${colors.reset}`);
+      results.warnings.forEach(({ check, message }) => {
+        log(`  - ${check ? `${check}: ` : ''}${message}`);
       });
-      process.exit(1);
-    } else if (results.warnings > 0) {
-      console.log(`\n${colors.yellow}Deployment validation PASSED with warnings${colors.reset}`);
-      process.exit(0);
     } else {
-      console.log(`\n${colors.green}Deployment validation PASSED${colors.reset}`);
-      process.exit(0);
+      log(`\n${colors.green}Deployment validation PASSED${colors.reset}`);
+    }
+
+    if (options.format !== 'text') {
+      writeReport(targetUrl, environment);
     }
+    process.exit(EXIT_CODES[outcome()]);
   } catch (error) {
     console.error(`\n${colors.red}Fatal error: ${error.message}${colors.reset}`);
-    process.exit(1);
+    process.exit(EXIT_CODES.error);
   }
 }
 
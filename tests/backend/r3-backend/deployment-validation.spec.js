@@ -0,0 +1,147 @@
+// Tests for deployment-validation.js report formats, check selection and exit
+// codes, run against a local stand-in for the backend
+import { execFile } from 'child_process';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { describe, expect } from './testFramework.js';
+
+const SCRIPT = fileURLToPath(new URL('./deployment-validation.js', import.meta.url));
+
+// A backend that passes every check; `overrides` maps "METHOD /path" to a
+// function of the request returning [status, body] instead
+function startBackend(overrides = {}) {
+  const routes = {
+    'GET /': () => [200, { service: 'r3-backend', version: '1.4.0' }],
+    'GET /health': () => [200, { status: 'healthy', circuitBreakers: { stripe: { state: 'CLOSED' } } }],
+    'POST /api/checkout/session': () => [200, { sessionToken: 'sess_1', csrfToken: 'csrf_1' }],
+    'GET /api/circuit-breakers': () => [200, { states: { stripe: { state: 'CLOSED' } }, timestamp: 1 }],
+    'GET /monitoring': () => [200, '<html></html>'],
+    ...overrides
+  };
+
+  const server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      if (req.headers.origin) {
+        res.setHeader('access-control-allow-origin', req.headers.origin);
+      }
+      const route = routes[`${req.method} ${req.url}`];
+      // Everything else is an authenticated endpoint
+      const [status, body] = route ? route(req) : req.headers.authorization ? [200, {}] : [401, { error: 'Unauthorized' }];
+      res.writeHead(status, { 'content-type': typeof body === 'string' ? 'text/html' : 'application/json' });
+      res.end(typeof body === 'string' ? body : JSON.stringify(body));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, url: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+// Runs the script without blocking this process, which serves its requests
+function validate(args) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [SCRIPT, ...args], { timeout: 60000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+async function validateBackend(overrides, args) {
+  const { server, url } = await startBackend(overrides);
+  try {
+    return await validate([url, ...args]);
+  } finally {
+    server.close();
+  }
+}
+
+export const deploymentValidationTests = describe('Deployment validation', function () {
+  this.it('should exit 0 and report every check as JSON on stdout', async () => {
+    const { code, stdout, stderr } = await validateBackend({}, ['--format=json']);
+    const report = JSON.parse(stdout);
+
+    expect.toBe(code, 0);
+    expect.toMatchObject(report, {
+      name: 'deployment-validation',
+      environment: 'STAGING',
+      status: 'passed',
+      warnings: [],
+      health: { status: 'healthy' },
+      stats: { failed: 0, skipped: 0 }
+    });
+    expect.toEqual(report.suites.map(suite => suite.titles[0]), ['Deployment validation', 'Smoke tests']);
+    expect.toContain(stderr, 'Deployment validation PASSED');
+  });
+
+  this.it('should exit 3 when it passes with warnings', async () => {
+    const { code, stdout } = await validateBackend({
+      'GET /health': () => [200, { status: 'degraded', circuitBreakers: { stripe: { state: 'OPEN' } } }]
+    }, ['--format=json', '--only=health']);
+    const report = JSON.parse(stdout);
+
+    expect.toBe(code, 3);
+    expect.toEqual(report.warnings, [
+      { check: 'Health check endpoint', message: 'Health status is degraded' },
+      { check: 'Health check endpoint', message: 'stripe circuit breaker is OPEN' }
+    ]);
+  });
+
+  this.it('should exit 1 when a selected check fails, skipping the rest', async () => {
+    const { code, stdout } = await validateBackend({
+      'GET /health': () => [503, { status: 'unhealthy' }],
+      'GET /monitoring': () => [500, '<html>down</html>']
+    }, ['--format=json', '--only=health,connectivity']);
+    const report = JSON.parse(stdout);
+    const checks = report.suites.flatMap(suite => suite.tests);
+
+    expect.toBe(code, 1);
+    expect.toMatchObject(report, { status: 'failed', stats: { passed: 1, failed: 1 } });
+    expect.toEqual(checks.filter(check => check.status !== 'skipped').map(check => [check.title, check.status]), [
+      ['Root endpoint accessibility', 'passed'],
+      ['Health check endpoint', 'failed']
+    ]);
+    expect.toBe(checks.find(check => check.title === 'Health check endpoint').error.message, 'Health check returned status 503');
+  });
+
+  this.it('should leave out checks named by --skip', async () => {
+    const { code, stdout } = await validateBackend({
+      'POST /api/calculate-tax': (req) => (req.headers.authorization ? [500, { error: 'Tax service down' }] : [401, {}])
+    }, ['--format=json', '--skip=monitoring,checkout-flow']);
+    const report = JSON.parse(stdout);
+
+    expect.toBe(code, 0);
+    expect.toEqual(report.suites.flatMap(suite => suite.tests).filter(check => check.status === 'skipped').map(check => check.title),
+      ['Monitoring dashboard', 'Complete checkout flow']);
+  });
+
+  this.it('should write JUnit XML to --output', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'r3-deployment-'));
+    const file = path.join(dir, 'reports', 'deployment.xml');
+
+    try {
+      const { code, stdout } = await validateBackend({}, ['--format=junit', `--output=${file}`, '--only=connectivity']);
+      const xml = fs.readFileSync(file, 'utf8');
+
+      expect.toBe(code, 0);
+      expect.toContain(stdout, `Report written to ${file}`);
+      expect.toContain(xml, '<testsuites name="deployment-validation"');
+      expect.toContain(xml, 'name="Root endpoint accessibility"');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  this.it('should exit 2 on an unknown check or format without making requests', async () => {
+    const unknownCheck = await validate(['http://127.0.0.1:9', '--only=health,smoke']);
+    const unknownFormat = await validate(['http://127.0.0.1:9', '--format=html']);
+
+    expect.toBe(unknownCheck.code, 2);
+    expect.toContain(unknownCheck.stderr, 'Unknown check(s): smoke');
+    expect.toBe(unknownFormat.code, 2);
+    expect.toContain(unknownFormat.stderr, 'Unknown format "html"');
+  });
+});
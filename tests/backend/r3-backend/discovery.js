@@ -0,0 +1,133 @@
+// Test discovery for the custom backend runner
+// Finds test files by glob, imports them and collects every exported
+// TestRunner. Runner suites are named `*.spec.js`, which Jest's testMatch
+// leaves alone; Jest suites share the `.test.js` suffix with older runner
+// suites, so only files that import testFramework.js are loaded.
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { TestRunner, describe } from './testFramework.js';
+
+export const DEFAULT_INCLUDE = ['**/*.spec.js', '**/*.test.js'];
+export const DEFAULT_EXCLUDE = ['e2e/**'];
+
+// Converts a glob (`**`, `*`, `?`, `{a,b}`) to a RegExp matching paths
+// relative to the discovery root, with `/` separators
+export function globToRegExp(pattern) {
+  let source = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*' && pattern[i + 1] === '*') {
+      // `**/` matches zero or more whole directories
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{' && pattern.indexOf('}', i) > i) {
+      const end = pattern.indexOf('}', i);
+      source += `(?:${pattern.slice(i + 1, end).split(',').map(escapeRegExp).join('|')})`;
+      i = end;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function isGlob(pattern) {
+  return /[*?{]/.test(pattern);
+}
+
+function walk(dir, root, files = []) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name === 'node_modules' || entry.name.startsWith('.')) {
+      continue;
+    }
+
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      walk(fullPath, root, files);
+    } else if (entry.isFile()) {
+      files.push(path.relative(root, fullPath).split(path.sep).join('/'));
+    }
+  }
+
+  return files;
+}
+
+// Returns the relative paths matching `include` and not `exclude`. Literal
+// (non-glob) include paths are always returned, even when the file is
+// missing, so the loader can report them.
+export function discoverTestFiles({ root, include = DEFAULT_INCLUDE, exclude = DEFAULT_EXCLUDE } = {}) {
+  const includes = include.filter(isGlob).map(globToRegExp);
+  const excludes = exclude.map(globToRegExp);
+  const literals = include.filter(pattern => !isGlob(pattern));
+
+  const matched = walk(root, root)
+    .filter(file => includes.some(re => re.test(file)))
+    .filter(file => !excludes.some(re => re.test(file)))
+    .filter(file => fs.readFileSync(path.join(root, file), 'utf8').includes('testFramework.js'));
+
+  return [...new Set([...literals, ...matched])].sort();
+}
+
+// A stand-in suite that fails with the load error, so a missing or broken
+// file shows up in the results instead of crashing the runner
+function failedSuite(file, error) {
+  return describe(file, function () {
+    this.it('loads the test file', () => {
+      throw error;
+    });
+  });
+}
+
+// Imports each file and returns `{ name, file, suite }` for every exported
+// TestRunner
+export async function loadTestSuites(files, root) {
+  const suites = [];
+
+  for (const file of files) {
+    const fullPath = path.resolve(root, file);
+
+    if (!fs.existsSync(fullPath)) {
+      const error = new Error(`Test file not found: ${file}`);
+      suites.push({ name: file, file, suite: failedSuite(file, error) });
+      continue;
+    }
+
+    try {
+      const module = await import(pathToFileURL(fullPath).href);
+      const runners = Object.values(module).filter(value => value instanceof TestRunner);
+
+      if (runners.length === 0) {
+        throw new Error(`${file} does not export a TestRunner`);
+      }
+
+      runners.forEach(suite => suites.push({ name: `${suite.name} (${file})`, file, suite }));
+    } catch (error) {
+      suites.push({ name: file, file, suite: failedSuite(file, error) });
+    }
+  }
+
+  return suites;
+}
+
+export async function discoverTestSuites(options = {}) {
+  const files = discoverTestFiles(options);
+  return loadTestSuites(files, options.root);
+}
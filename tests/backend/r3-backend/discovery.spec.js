@@ -0,0 +1,104 @@
+// Tests for custom-runner suite discovery
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, expect, TestRunner } from './testFramework.js';
+import { silent } from './fixtures/output.js';
+import { globToRegExp, discoverTestFiles, loadTestSuites } from './discovery.js';
+
+const FRAMEWORK_URL = new URL('./testFramework.js', import.meta.url).href;
+
+// Writes { relativePath: content } under a fresh temporary directory, an ES
+// module scope like this one
+function createTree(files) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'r3-discovery-'));
+  fs.writeFileSync(path.join(root, 'package.json'), '{ "type": "module" }\n');
+  Object.entries(files).forEach(([file, content]) => {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), content);
+  });
+  return root;
+}
+
+const runnerSuite = (name) => `import { describe } from '${FRAMEWORK_URL}';
+export const suite = describe('${name}', function () {
+  this.it('passes', () => {});
+});
+`;
+
+export const discoveryTests = describe('Test discovery', function () {
+  this.after(() => {
+    fs.readdirSync(os.tmpdir())
+      .filter(entry => entry.startsWith('r3-discovery-'))
+      .forEach(entry => fs.rmSync(path.join(os.tmpdir(), entry), { recursive: true, force: true }));
+  });
+
+  this.describe('globToRegExp', function () {
+    this.it('should match files at any depth with **/', () => {
+      const re = globToRegExp('**/*.spec.js');
+
+      expect.toBeTruthy(re.test('runner.spec.js'));
+      expect.toBeTruthy(re.test('webhooks/delivery.spec.js'));
+      expect.toBeFalsy(re.test('runner.test.js'));
+    });
+
+    this.it('should keep * and ? within one directory and expand braces', () => {
+      expect.toBeFalsy(globToRegExp('*.js').test('e2e/flow.js'));
+      expect.toBeTruthy(globToRegExp('e2e/??.js').test('e2e/ab.js'));
+      expect.toBeTruthy(globToRegExp('{session,integration}.test.js').test('integration.test.js'));
+    });
+  });
+
+  this.describe('discoverTestFiles', function () {
+    this.it('should find runner suites and leave Jest suites and excluded paths out', () => {
+      const root = createTree({
+        'runner.spec.js': runnerSuite('Runner'),
+        'nested/legacy.test.js': runnerSuite('Legacy'),
+        'nested/jest.test.js': "describe('Jest', () => {});\n",
+        'e2e/flow.spec.js': runnerSuite('E2E'),
+        'notes.md': 'testFramework.js'
+      });
+
+      expect.toEqual(discoverTestFiles({ root }), ['nested/legacy.test.js', 'runner.spec.js']);
+      expect.toEqual(discoverTestFiles({ root, include: ['**/*.spec.js'], exclude: [] }), ['e2e/flow.spec.js', 'runner.spec.js']);
+    });
+
+    this.it('should keep literal includes even when the file is missing', () => {
+      const root = createTree({ 'runner.spec.js': runnerSuite('Runner') });
+
+      expect.toEqual(discoverTestFiles({ root, include: ['missing.spec.js'] }), ['missing.spec.js']);
+    });
+  });
+
+  this.describe('loadTestSuites', function () {
+    this.it('should name every exported TestRunner after its file', async () => {
+      const root = createTree({ 'runner.spec.js': runnerSuite('Runner') });
+
+      const suites = await loadTestSuites(['runner.spec.js'], root);
+
+      expect.toEqual(suites.map(({ name, file }) => ({ name, file })), [{ name: 'Runner (runner.spec.js)', file: 'runner.spec.js' }]);
+      expect.toBeTruthy(suites[0].suite instanceof TestRunner);
+    });
+
+    this.it('should turn missing, broken and empty files into failed suites', async () => {
+      const root = createTree({
+        'broken.spec.js': `import '${FRAMEWORK_URL}';\nthrow new Error('fixture blew up');\n`,
+        'empty.spec.js': `import '${FRAMEWORK_URL}';\nexport const value = 1;\n`
+      });
+
+      const suites = await loadTestSuites(['broken.spec.js', 'empty.spec.js', 'missing.spec.js'], root);
+      const messages = [];
+      for (const { suite } of suites) {
+        const results = await suite.run(0, { output: silent });
+        expect.toBe(results.failed, 1);
+        messages.push(results.report.tests[0].error.message);
+      }
+
+      expect.toEqual(messages, [
+        'fixture blew up',
+        'empty.spec.js does not export a TestRunner',
+        'Test file not found: missing.spec.js'
+      ]);
+    });
+  });
+});
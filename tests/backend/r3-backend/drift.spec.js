@@ -0,0 +1,176 @@
+// Tests for deployment-validation.js compare mode: drift between two
+// deployments, probe selection and read-only probing
+import { execFile } from 'child_process';
+import http from 'http';
+import { fileURLToPath } from 'url';
+import { describe, expect } from './testFramework.js';
+import { compareDeployments, probeDeployment } from './deployment-validation.js';
+
+const SCRIPT = fileURLToPath(new URL('./deployment-validation.js', import.meta.url));
+
+// Probe results as probeDeployment() returns them for a healthy deployment
+function probed(overrides = {}) {
+  return {
+    url: 'http://localhost',
+    root: { status: 200, service: 'r3-backend', version: '1.4.0' },
+    health: { status: 200, shape: { status: 'string', 'circuitBreakers.stripe.state': 'string' } },
+    circuitBreakers: { stripe: 'CLOSED', redis: 'CLOSED' },
+    cors: { 'GET / access-control-allow-origin': 'https://sqqpyb-yq.myshopify.com' },
+    endpoints: { 'GET /': 200, 'POST /api/calculate-tax': 401 },
+    responseTimes: { '/': { samples: 10, p50: 40, p95: 90, max: 120 } },
+    ...overrides
+  };
+}
+
+// A backend logging every request it serves; `version` and `breaker` tell
+// two instances apart
+function startBackend({ version = '1.4.0', breaker = 'CLOSED' } = {}) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(`${req.method} ${req.url}`);
+    req.resume();
+    req.on('end', () => {
+      const breakers = { stripe: { state: breaker } };
+      const routes = {
+        'GET /': [200, { service: 'r3-backend', version }],
+        'GET /health': [200, { status: 'healthy', circuitBreakers: breakers }],
+        'POST /api/checkout/session': [200, { sessionToken: 'sess_1', csrfToken: 'csrf_1' }],
+        'GET /api/circuit-breakers': [200, { states: { ...breakers, redis: { state: 'CLOSED' } }, timestamp: 1 }]
+      };
+      const [status, body] = routes[`${req.method} ${req.url}`] || [401, { error: 'Unauthorized' }];
+      res.writeHead(status, { 'content-type': 'application/json' });
+      res.end(JSON.stringify(body));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+function compare(args) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [SCRIPT, '--compare', ...args], { timeout: 60000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+async function compareBackends(stagingOptions, productionOptions, args) {
+  const staging = await startBackend(stagingOptions);
+  const production = await startBackend(productionOptions);
+  try {
+    const result = await compare([staging.url, production.url, '--format=json', '--samples=1', ...args]);
+    return { ...result, report: JSON.parse(result.stdout), staging, production };
+  } finally {
+    staging.server.close();
+    production.server.close();
+  }
+}
+
+export const driftTests = describe('Deployment drift', function () {
+  this.describe('compareDeployments', function () {
+    this.it('should find nothing between identical deployments', () => {
+      expect.toEqual(compareDeployments(probed(), probed()), []);
+    });
+
+    this.it('should grade config drift, live conditions and version changes', () => {
+      const differences = compareDeployments(probed(), probed({
+        root: { status: 200, service: 'r3-api', version: '1.3.9' },
+        health: { status: 200, shape: { status: 'string' } },
+        circuitBreakers: { stripe: 'OPEN' },
+        endpoints: { 'GET /': 200, 'POST /api/calculate-tax': 500 }
+      }));
+
+      expect.toEqual(differences.map(({ probe, field, severity }) => `${severity} ${probe} ${field}`), [
+        'drift root service',
+        'info root version',
+        'drift health circuitBreakers.stripe.state',
+        'drift circuitBreakers redis',
+        'warning circuitBreakers stripe',
+        'drift endpoints POST /api/calculate-tax'
+      ]);
+      expect.toMatchObject(differences[3], { staging: 'CLOSED', production: null });
+    });
+
+    this.it('should warn on response times only beyond both the tolerance and the margin', () => {
+      const slower = (p50, p95) => probed({ responseTimes: { '/': { samples: 10, p50, p95, max: p95 } } });
+
+      expect.toEqual(compareDeployments(probed(), slower(120, 180)), []);
+      expect.toEqual(compareDeployments(probed(), slower(45, 400)), [
+        { probe: 'responseTimes', field: '/ p95', staging: '90ms', production: '400ms', severity: 'warning' }
+      ]);
+    });
+
+    this.it('should report a probe that failed on one side only, and skip probes left out', () => {
+      const differences = compareDeployments(
+        probed({ cors: undefined, responseTimes: undefined }),
+        probed({ cors: undefined, responseTimes: undefined, health: { error: 'Request timeout after 30000ms' } })
+      );
+
+      expect.toEqual(differences, [
+        { probe: 'health', field: 'request', staging: 'ok', production: 'Request timeout after 30000ms', severity: 'drift' }
+      ]);
+    });
+  });
+
+  this.describe('Probing', function () {
+    this.it('should read breaker states from /health without creating a session', async () => {
+      const backend = await startBackend({ breaker: 'HALF_OPEN' });
+
+      try {
+        const result = await probeDeployment(backend.url, { samples: 1, probes: ['circuitBreakers'] });
+
+        expect.toEqual(result.circuitBreakers, { stripe: 'HALF_OPEN' });
+        expect.toEqual(backend.requests, ['GET /health']);
+        expect.toBe(result.root, undefined);
+      } finally {
+        backend.server.close();
+      }
+    });
+
+    this.it('should create a session for the full breaker set only with allowWrites', async () => {
+      const backend = await startBackend();
+
+      try {
+        const result = await probeDeployment(backend.url, { samples: 1, probes: ['circuitBreakers'], allowWrites: true });
+
+        expect.toEqual(result.circuitBreakers, { stripe: 'CLOSED', redis: 'CLOSED' });
+        expect.toEqual(backend.requests, ['POST /api/checkout/session', 'GET /api/circuit-breakers']);
+      } finally {
+        backend.server.close();
+      }
+    });
+  });
+
+  this.describe('Compare mode', function () {
+    this.it('should never write to either deployment unless --allow-writes is given', async () => {
+      const { code, report, staging, production } = await compareBackends({}, { version: '1.5.0' }, []);
+
+      expect.toBe(code, 0);
+      expect.toMatchObject(report, { environment: 'STAGING vs PRODUCTION', status: 'passed', stats: { skipped: 0 } });
+      expect.toEqual(report.comparison.differences.map(difference => difference.field), ['version']);
+      [staging, production].forEach(backend => {
+        expect.toBeFalsy(backend.requests.some(request => request === 'POST /api/checkout/session'),
+          `Expected no session to be created, got ${backend.requests.join(', ')}`);
+      });
+    });
+
+    this.it('should probe only the checks selected with --only and --skip', async () => {
+      const { code, report, production } = await compareBackends({}, { breaker: 'OPEN' }, ['--only=health,circuit-breakers', '--skip=health']);
+      const checks = report.suites[0].tests;
+
+      expect.toBe(code, 3);
+      expect.toEqual(checks.map(check => [check.title, check.status]), [
+        ['root', 'skipped'],
+        ['health', 'skipped'],
+        ['circuitBreakers', 'passed'],
+        ['cors', 'skipped'],
+        ['endpoints', 'skipped'],
+        ['responseTimes', 'skipped']
+      ]);
+      expect.toEqual(report.warnings, [{ check: 'circuitBreakers', message: 'stripe: staging CLOSED, production OPEN' }]);
+      expect.toEqual(production.requests, ['GET /health']);
+    });
+  });
+});
@@ -11,6 +11,7 @@ async function runE2ETests() {
 
   let totalPassed = 0;
   let totalFailed = 0;
+  let totalSkipped = 0;
 
   for (const { name, suite } of suites) {
     console.log(`\n📋 ${name}`);
@@ -19,12 +20,14 @@ async function runE2ETests() {
     const results = await suite.run();
     totalPassed += results.passed;
     totalFailed += results.failed;
+    totalSkipped += results.skipped;
   }
 
   console.log(`\n${'='.repeat(50)}`);
   console.log('E2E Test Summary:');
   console.log(`✅ Passed: ${totalPassed}`);
   console.log(`❌ Failed: ${totalFailed}`);
+  console.log(`⏭️  Skipped: ${totalSkipped}`);
   console.log('='.repeat(50));
 
   process.exit(totalFailed > 0 ? 1 : 0);
@@ -1,16 +1,27 @@
 // Security Test Runner
 import { securityTests } from './security.test.js';
+import { createReporters } from '../reporters.js';
+
+// --reporter=junit|tap|json[:path] adds machine-readable output
+const reporters = createReporters(
+  process.argv.slice(2)
+    .filter(arg => arg.startsWith('--reporter='))
+    .map(arg => arg.slice('--reporter='.length)),
+  { name: 'r3-security' }
+);
 
 async function runSecurityTests() {
   console.log('\n🔒 Running Security Tests\n');
   console.log('='.repeat(50));
 
-  const results = await securityTests.run();
+  const results = await securityTests.run(0, { reporters });
+  reporters.forEach(reporter => reporter.write());
 
   console.log(`\n${'='.repeat(50)}`);
   console.log('Security Test Summary:');
   console.log(`✅ Passed: ${results.passed}`);
   console.log(`❌ Failed: ${results.failed}`);
+  console.log(`⏭️  Skipped: ${results.skipped}`);
   console.log('='.repeat(50));
 
   if (results.failed > 0) {
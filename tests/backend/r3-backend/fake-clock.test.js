@@ -0,0 +1,68 @@
+// Fake clock tests: what install() patches, and that uninstalling always puts
+// the real globals back, including after a failed install
+const { FakeClock, uninstallFakeTimers } = require('@helpers/fake-clock');
+
+describe('Fake Clock', () => {
+  it('should drive Date, timers and performance.now from tick()', () => {
+    const clock = useFakeClock({ now: new Date('2026-03-02T15:00:00Z') });
+    const startedAt = performance.now();
+    const fired = [];
+    setTimeout(() => fired.push('timeout'), 1000);
+    setInterval(() => fired.push('interval'), 400);
+
+    clock.tick(1000);
+
+    expect(new Date().toISOString()).toBe('2026-03-02T15:00:01.000Z');
+    expect(performance.now() - startedAt).toBe(1000);
+    expect(fired).toEqual(['interval', 'interval', 'timeout']);
+  });
+
+  it('should restore the real globals on uninstall', () => {
+    const { Date: RealDate, setTimeout: realSetTimeout } = globalThis;
+    const realNow = Object.getOwnPropertyDescriptor(performance, 'now');
+
+    useFakeClock({ now: 0 });
+    uninstallFakeTimers();
+
+    expect(globalThis.Date).toBe(RealDate);
+    expect(globalThis.setTimeout).toBe(realSetTimeout);
+    expect(Object.getOwnPropertyDescriptor(performance, 'now')).toEqual(realNow);
+    expect(performance.now()).toBeGreaterThan(0);
+  });
+
+  it('should roll back a partial install', () => {
+    const realSetTimeout = () => {};
+    const realSetInterval = () => {};
+    // Takes back its own value only, so install() fails half way through
+    const target = {
+      Date,
+      setTimeout: realSetTimeout,
+      clearTimeout: () => {},
+      clearInterval: () => {},
+      get setInterval() {
+        return realSetInterval;
+      },
+      set setInterval(value) {
+        if (value !== realSetInterval) {
+          throw new Error('setInterval is locked');
+        }
+      }
+    };
+
+    expect(() => new FakeClock().install(target)).toThrow('setInterval is locked');
+    expect(target.setTimeout).toBe(realSetTimeout);
+    expect(target.Date).toBe(Date);
+  });
+
+  it('should leave a non-configurable performance.now alone', () => {
+    const realNow = () => 42;
+    const target = { Date, setTimeout, clearTimeout, setInterval, clearInterval, performance: {} };
+    Object.defineProperty(target.performance, 'now', { value: realNow, configurable: false });
+
+    const clock = new FakeClock().install(target);
+    clock.tick(1000);
+
+    expect(target.performance.now).toBe(realNow);
+    clock.uninstall();
+  });
+});
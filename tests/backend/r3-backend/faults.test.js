@@ -0,0 +1,154 @@
+// Fault injection tests: latency, error statuses, connection resets, truncated
+// bodies and timeouts injected in front of the MSW handlers
+const fetch = require('node-fetch');
+const { rest } = require('msw');
+const { server } = require('@mocks/server');
+const { shopify } = require('@mocks/shopify-admin');
+const { faults, withFaults, FaultInjector } = require('@mocks/faults');
+const { createTestWebhookEvent } = require('@helpers/utils/test-helpers');
+const { WebhookDispatcher } = require('@helpers/webhook-dispatcher');
+
+const API_URL = process.env.API_URL || 'http://localhost:3000';
+
+async function healthStatuses(count) {
+  const statuses = [];
+  for (let i = 0; i < count; i++) {
+    statuses.push((await fetch(`${API_URL}/health`)).status);
+  }
+  return statuses;
+}
+
+describe('Fault Injection', () => {
+  beforeAll(() => server.listen());
+  afterEach(() => server.resetHandlers());
+  afterAll(() => server.close());
+
+  describe('Latency', () => {
+    it('should delay matching requests only', async () => {
+      const fault = faults.inject('*/health', { latency: 60 });
+
+      const started = Date.now();
+      await fetch(`${API_URL}/health`);
+      expect(Date.now() - started).toBeGreaterThanOrEqual(50);
+
+      await fetch(`${API_URL}/api/checkout/csrf`);
+      expect(fault).toMatchObject({ calls: 1, triggered: 1 });
+    });
+
+    it('should wait out latency on real timers while a fake clock is installed', async () => {
+      useFakeClock();
+      const fault = faults.inject('*/health', { latency: 20 });
+
+      const response = await fetch(`${API_URL}/health`);
+
+      expect(response.status).toBe(200);
+      expect(fault.triggered).toBe(1);
+    });
+
+    it('should draw latency from the requested distribution', () => {
+      const injector = new FaultInjector().seed('latency');
+      const sample = (latency) => Array.from({ length: 500 }, () => injector.latencyOf({ latency }));
+      const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+      const uniform = sample([10, 20]);
+      expect(Math.min(...uniform)).toBeGreaterThanOrEqual(10);
+      expect(Math.max(...uniform)).toBeLessThanOrEqual(20);
+      expect(mean(sample({ distribution: 'normal', mean: 100, stddev: 10 }))).toBeCloseTo(100, -1);
+      expect(mean(sample({ distribution: 'exponential', mean: 50 }))).toBeGreaterThan(40);
+      expect(sample({ distribution: 'fixed', ms: 7 })).toEqual(Array(500).fill(7));
+    });
+  });
+
+  describe('Error responses', () => {
+    it('should answer 429 with Retry-After on the Nth call', async () => {
+      const fault = faults.inject('*/health', { status: 429, onCall: 2 });
+
+      const responses = [];
+      for (let i = 0; i < 3; i++) {
+        responses.push(await fetch(`${API_URL}/health`));
+      }
+
+      expect(responses.map(response => response.status)).toEqual([200, 429, 200]);
+      expect(responses[1].headers.get('retry-after')).toBe('1');
+      expect(await responses[1].json()).toEqual({ error: 'Too Many Requests' });
+      expect(fault).toMatchObject({ calls: 3, triggered: 1 });
+    });
+
+    it('should fail with a given probability, replayable by seed', async () => {
+      faults.seed('flaky').inject('*/health', { status: 503, probability: 0.5 });
+      const first = await healthStatuses(20);
+
+      faults.reset();
+      faults.seed('flaky').inject('*/health', { status: 503, probability: 0.5 });
+      const replay = await healthStatuses(20);
+
+      expect(first).toContain(503);
+      expect(first).toContain(200);
+      expect(replay).toEqual(first);
+    });
+
+    it('should let Shopify fail the first 3 draft-order creates', async () => {
+      const outage = faults.inject('*/admin/api/:version/draft_orders.json', { method: 'POST', status: 503, times: 3 });
+      const event = {
+        ...createTestWebhookEvent('payment_intent.succeeded', {
+          id: 'pi_test_outage',
+          amount: 5000,
+          metadata: { environment: 'staging' }
+        }),
+        id: 'evt_test_outage'
+      };
+
+      const dispatcher = new WebhookDispatcher({ maxAttempts: 4, retryDelay: 1 });
+      await dispatcher.enqueue(event).flush();
+
+      expect(outage.triggered).toBe(3);
+      expect(dispatcher.attemptsFor(event.id).map(attempt => attempt.status)).toEqual([500, 500, 500, 200]);
+      expect(shopify).toHaveOneOrderPerPayment(['pi_test_outage']);
+    });
+  });
+
+  describe('Broken connections', () => {
+    it('should reset the connection', async () => {
+      faults.inject('*/health', { error: 'reset' });
+
+      await expect(fetch(`${API_URL}/health`)).rejects.toThrow('ECONNRESET');
+    });
+
+    it('should truncate the JSON body', async () => {
+      faults.inject('*/health', { error: 'truncate' });
+
+      const response = await fetch(`${API_URL}/health`);
+      expect(response.status).toBe(200);
+      await expect(response.json()).rejects.toThrow(/JSON/);
+    });
+
+    it('should never answer a timed out request', async () => {
+      faults.inject('*/health', { error: 'timeout' });
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), 50);
+
+      await expect(fetch(`${API_URL}/health`, { signal: controller.signal })).rejects.toThrow(/abort/i);
+      clearTimeout(timer);
+    });
+  });
+
+  describe('Scripting', () => {
+    it('should start every test without faults', async () => {
+      expect(faults.faults).toEqual([]);
+      expect(await healthStatuses(2)).toEqual([200, 200]);
+    });
+
+    it('should wrap handlers added by a test', async () => {
+      server.use(...withFaults([rest.get(`${API_URL}/api/custom`, (req, res, ctx) => res(ctx.json({ ok: true })))]));
+      faults.inject('*/api/custom', { status: 502 });
+
+      expect((await fetch(`${API_URL}/api/custom`)).status).toBe(502);
+    });
+
+    it('should reject unknown faults', () => {
+      expect(() => faults.inject('*/health', { error: 'explode' })).toThrow('Unknown fault error');
+      expect(() => faults.inject('*/health', { status: 200 })).toThrow('HTTP error status');
+      expect(() => faults.inject('*/health', { latency: { distribution: 'pareto' } })).toThrow('Unknown latency distribution');
+    });
+  });
+});
@@ -0,0 +1,119 @@
+// Tests for only/skip/todo, tags and grep filtering in TestRunner
+import { describe, expect } from './testFramework.js';
+import { collectOutput } from './fixtures/output.js';
+
+// Runs `suite` quietly and returns its counts, the titles of the tests that
+// ran and the output lines
+async function runFiltered(suite, filters) {
+  const output = collectOutput();
+  const results = await suite.run(0, { output, filters });
+  const ran = [];
+  const visit = (report) => {
+    report.tests.filter(test => test.status === 'passed').forEach(test => ran.push(test.titles.slice(1).join(' ')));
+    report.suites.forEach(visit);
+  };
+  visit(results.report);
+  return { results, ran, lines: output.lines };
+}
+
+function checkoutSuite() {
+  return describe('Checkout', function () {
+    this.it('creates a session', () => {});
+    this.describe('Stripe', function () {
+      this.it('creates a payment intent', () => {});
+      this.it('retries declined cards', () => {}, { tags: ['slow'] });
+    }, { tags: ['stripe'] });
+    this.describe('Shipping', function () {
+      this.it('quotes rates', () => {});
+    });
+  });
+}
+
+export const filterTests = describe('Test filters', function () {
+  this.describe('skip and todo', function () {
+    this.it('should list and count skipped and todo tests without running them', async () => {
+      let ran = false;
+      const suite = describe('Session', function () {
+        this.it('runs', () => {});
+        this.it.skip('is skipped', () => {
+          ran = true;
+        });
+        this.it.todo('expires after 30 minutes');
+        this.describe.skip('Recovery', function () {
+          this.it('recovers', () => {
+            ran = true;
+          });
+        });
+      });
+
+      const { results, lines } = await runFiltered(suite);
+
+      expect.toBeFalsy(ran);
+      expect.toMatchObject(results, { passed: 1, failed: 0, skipped: 3 });
+      expect.toEqual(lines, [
+        'Session',
+        '  ✓ runs',
+        '  - is skipped (skipped)',
+        '  - expires after 30 minutes (todo)',
+        '  Recovery',
+        '    - recovers (skipped)'
+      ]);
+    });
+  });
+
+  this.describe('only', function () {
+    this.it('should run only focused tests and count the rest as skipped', async () => {
+      const suite = describe('Checkout', function () {
+        this.it('creates a session', () => {});
+        this.it.only('creates a payment intent', () => {});
+        this.describe('Shipping', function () {
+          this.it('quotes rates', () => {});
+        });
+      });
+
+      const { results, ran, lines } = await runFiltered(suite);
+
+      expect.toBeTruthy(suite.hasOnly());
+      expect.toEqual(ran, ['creates a payment intent']);
+      expect.toMatchObject(results, { passed: 1, skipped: 2 });
+      expect.toEqual(lines, ['Checkout', '  ✓ creates a payment intent']);
+    });
+
+    this.it('should run every test of a focused suite', async () => {
+      const suite = describe('Checkout', function () {
+        this.it('creates a session', () => {});
+        this.describe.only('Shipping', function () {
+          this.it('quotes rates', () => {});
+          this.it('rejects unknown countries', () => {});
+        });
+      });
+
+      const { ran } = await runFiltered(suite);
+
+      expect.toEqual(ran, ['Shipping quotes rates', 'Shipping rejects unknown countries']);
+    });
+  });
+
+  this.describe('tags and grep', function () {
+    this.it('should select tests by their own or inherited tags', async () => {
+      const { ran, results } = await runFiltered(checkoutSuite(), { tags: ['stripe'] });
+
+      expect.toEqual(ran, ['Stripe creates a payment intent', 'Stripe retries declined cards']);
+      expect.toBe(results.skipped, 2);
+    });
+
+    this.it('should exclude tests tagged with a "!" tag', async () => {
+      const { ran } = await runFiltered(checkoutSuite(), { tags: ['stripe', '!slow'] });
+
+      expect.toEqual(ran, ['Stripe creates a payment intent']);
+    });
+
+    this.it('should match grep against the full title, case-insensitively', async () => {
+      const { ran, lines } = await runFiltered(checkoutSuite(), { grep: 'stripe CREATES' });
+
+      expect.toEqual(ran, ['Stripe creates a payment intent']);
+      // Suites with nothing left to run stay out of the output
+      expect.toEqual(lines, ['Checkout', '  Stripe', '    ✓ creates a payment intent']);
+    });
+  });
+});
@@ -0,0 +1,15 @@
+// Load test scenarios for workers.spec.js, imported by LoadTester worker
+// threads through a { module, name } reference
+export const scenarios = {
+  // Times one step named after the virtual user, so the merged breakdown
+  // shows which users ran; every fourth iteration fails. The step yields to
+  // the event loop like a real request, so the other users get to start.
+  async checkout(vu) {
+    await vu.step(`vu${vu.id}`, () => new Promise(resolve => setImmediate(resolve)));
+    if (vu.iteration % 4 === 3) {
+      throw new Error('card_declined');
+    }
+  }
+};
+
+export const notAScenario = 'checkout';
@@ -0,0 +1,12 @@
+// Output sinks for runner specs, passed to suite.run() as `output`
+
+// Drops everything a run prints
+export const silent = { log() {}, error() {} };
+
+// Keeps the printed lines, with timings removed so runs can be compared:
+// "✓ pays (12ms)" becomes "✓ pays", "(12ms, attempt 3/3)" becomes "(attempt 3/3)"
+export function collectOutput() {
+  const lines = [];
+  const push = (...args) => lines.push(args.join(' ').replace(/ \(\d+ms\)/, '').replace(/\(\d+ms, /, '('));
+  return { lines, log: push, error: push };
+}
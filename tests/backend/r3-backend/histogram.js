@@ -0,0 +1,236 @@
+// Fixed-memory latency recording for LoadTester
+// Histogram is a log-linear (HdrHistogram-style) histogram: values are kept
+// to `significantDigits` digits of precision in buckets whose count depends
+// only on the value range, never on how many values are recorded. Histograms
+// merge by adding counts, so per-interval or per-worker histograms can be
+// combined without losing percentile accuracy.
+
+// Values are recorded in milliseconds and stored in integer microseconds
+const UNITS_PER_MS = 1000;
+
+export class Histogram {
+  constructor(options = {}) {
+    this.significantDigits = options.significantDigits || 3;
+    // Sub-buckets per power of two: enough for the requested precision
+    this.subBucketHalfCountMagnitude = Math.ceil(Math.log2(10 ** this.significantDigits));
+    this.subBucketHalfCount = 2 ** this.subBucketHalfCountMagnitude;
+    this.subBucketCount = this.subBucketHalfCount * 2;
+    this.counts = new Map();
+    this.reset();
+  }
+
+  reset() {
+    this.counts.clear();
+    this.count = 0;
+    this.sum = 0;
+    this.minValue = Infinity;
+    this.maxValue = 0;
+  }
+
+  record(ms, count = 1) {
+    const value = Math.max(0, Math.round(ms * UNITS_PER_MS));
+    const index = this.indexOf(value);
+    this.counts.set(index, (this.counts.get(index) || 0) + count);
+    this.count += count;
+    this.sum += value * count;
+    this.minValue = Math.min(this.minValue, value);
+    this.maxValue = Math.max(this.maxValue, value);
+  }
+
+  indexOf(value) {
+    if (value < this.subBucketCount) {
+      return value;
+    }
+    const bucket = Math.floor(Math.log2(value)) - this.subBucketHalfCountMagnitude;
+    return bucket * this.subBucketHalfCount + Math.floor(value / 2 ** bucket);
+  }
+
+  // Largest value that maps to the same bucket as index
+  highestValueAt(index) {
+    if (index < this.subBucketCount) {
+      return index;
+    }
+    const bucket = Math.floor(index / this.subBucketHalfCount) - 1;
+    const subBucket = index - bucket * this.subBucketHalfCount;
+    return (subBucket + 1) * 2 ** bucket - 1;
+  }
+
+  // Value (ms) at percentile p (0-100). Reported as the bucket's highest
+  // equivalent value, capped at the exact maximum.
+  percentile(p) {
+    if (this.count === 0) {
+      return 0;
+    }
+
+    const target = Math.max(1, Math.ceil((p / 100) * this.count));
+    const indexes = [...this.counts.keys()].sort((a, b) => a - b);
+    let seen = 0;
+    for (const index of indexes) {
+      seen += this.counts.get(index);
+      if (seen >= target) {
+        return Math.min(this.highestValueAt(index), this.maxValue) / UNITS_PER_MS;
+      }
+    }
+    return this.max;
+  }
+
+  get min() {
+    return this.count === 0 ? 0 : this.minValue / UNITS_PER_MS;
+  }
+
+  get max() {
+    return this.maxValue / UNITS_PER_MS;
+  }
+
+  get mean() {
+    return this.count === 0 ? 0 : this.sum / this.count / UNITS_PER_MS;
+  }
+
+  merge(other) {
+    if (other.significantDigits !== this.significantDigits) {
+      throw new Error('Cannot merge histograms with different precision');
+    }
+    other.counts.forEach((count, index) => {
+      this.counts.set(index, (this.counts.get(index) || 0) + count);
+    });
+    this.count += other.count;
+    this.sum += other.sum;
+    this.minValue = Math.min(this.minValue, other.minValue);
+    this.maxValue = Math.max(this.maxValue, other.maxValue);
+    return this;
+  }
+
+  // Numeric summary in milliseconds
+  summary() {
+    return {
+      count: this.count,
+      min: round(this.min),
+      mean: round(this.mean),
+      p50: round(this.percentile(50)),
+      p90: round(this.percentile(90)),
+      p95: round(this.percentile(95)),
+      p99: round(this.percentile(99)),
+      p999: round(this.percentile(99.9)),
+      max: round(this.max)
+    };
+  }
+
+  // Plain-object form, e.g. to post from a worker thread
+  toJSON() {
+    return {
+      significantDigits: this.significantDigits,
+      count: this.count,
+      sum: this.sum,
+      min: this.minValue === Infinity ? null : this.minValue,
+      max: this.maxValue,
+      counts: [...this.counts]
+    };
+  }
+
+  static fromJSON(data) {
+    const histogram = new Histogram({ significantDigits: data.significantDigits });
+    data.counts.forEach(([index, count]) => histogram.counts.set(index, count));
+    histogram.count = data.count;
+    histogram.sum = data.sum;
+    histogram.minValue = data.min === null ? Infinity : data.min;
+    histogram.maxValue = data.max;
+    return histogram;
+  }
+}
+
+// Per-interval buckets (1s by default) of request count, errors and latency,
+// keyed by time since the start of the run
+export class TimeSeries {
+  constructor(options = {}) {
+    this.interval = options.interval || 1000;
+    this.buckets = new Map();
+  }
+
+  record(elapsed, latency, success) {
+    const index = Math.max(0, Math.floor(elapsed / this.interval));
+    if (!this.buckets.has(index)) {
+      this.buckets.set(index, { requests: 0, errors: 0, histogram: new Histogram() });
+    }
+
+    const bucket = this.buckets.get(index);
+    bucket.requests++;
+    if (success) {
+      bucket.histogram.record(latency);
+    } else {
+      bucket.errors++;
+    }
+  }
+
+  merge(other) {
+    other.buckets.forEach((bucket, index) => {
+      if (!this.buckets.has(index)) {
+        this.buckets.set(index, { requests: 0, errors: 0, histogram: new Histogram() });
+      }
+      const target = this.buckets.get(index);
+      target.requests += bucket.requests;
+      target.errors += bucket.errors;
+      target.histogram.merge(bucket.histogram);
+    });
+    return this;
+  }
+
+  // One row per interval, empty intervals included:
+  // { second, requests, rps, errors, errorRate, p50, p95, p99, max }
+  rows() {
+    const last = Math.max(-1, ...this.buckets.keys());
+    const seconds = this.interval / 1000;
+
+    return Array.from({ length: last + 1 }, (_, index) => {
+      const bucket = this.buckets.get(index) || { requests: 0, errors: 0, histogram: new Histogram() };
+      const { histogram } = bucket;
+      return {
+        second: round(index * seconds),
+        requests: bucket.requests,
+        rps: round(bucket.requests / seconds),
+        errors: bucket.errors,
+        errorRate: bucket.requests === 0 ? 0 : round((bucket.errors / bucket.requests) * 100),
+        p50: round(histogram.percentile(50)),
+        p95: round(histogram.percentile(95)),
+        p99: round(histogram.percentile(99)),
+        max: round(histogram.max)
+      };
+    });
+  }
+
+  toJSON() {
+    return {
+      interval: this.interval,
+      buckets: [...this.buckets].map(([index, bucket]) => [index, {
+        requests: bucket.requests,
+        errors: bucket.errors,
+        histogram: bucket.histogram.toJSON()
+      }])
+    };
+  }
+
+  static fromJSON(data) {
+    const series = new TimeSeries({ interval: data.interval });
+    data.buckets.forEach(([index, bucket]) => {
+      series.buckets.set(index, {
+        requests: bucket.requests,
+        errors: bucket.errors,
+        histogram: Histogram.fromJSON(bucket.histogram)
+      });
+    });
+    return series;
+  }
+}
+
+// CSV with a header row from the keys of the first row
+export function toCSV(rows) {
+  if (rows.length === 0) {
+    return '';
+  }
+  const columns = Object.keys(rows[0]);
+  const escape = (value) => (/[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value));
+  return `${[columns.join(','), ...rows.map(row => columns.map(column => escape(row[column])).join(','))].join('\n')}\n`;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
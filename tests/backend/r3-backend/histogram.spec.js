@@ -0,0 +1,129 @@
+// Tests for the latency Histogram, TimeSeries and CSV export
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, expect, LoadTester } from './testFramework.js';
+import { Histogram, TimeSeries, toCSV } from './histogram.js';
+
+// Within the histogram's precision (3 significant digits) of `expected`
+function expectClose(actual, expected) {
+  expect.toBeTruthy(Math.abs(actual - expected) <= expected * 0.001, `Expected ${actual} to be within 0.1% of ${expected}`);
+}
+
+function histogramOf(values) {
+  const histogram = new Histogram();
+  values.forEach(value => histogram.record(value));
+  return histogram;
+}
+
+const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+
+export const histogramTests = describe('Histograms', function () {
+  this.describe('Histogram', function () {
+    this.it('should report percentiles to three significant digits', () => {
+      const summary = histogramOf(range(1, 1000)).summary();
+
+      expect.toMatchObject(summary, { count: 1000, min: 1, mean: 500.5, max: 1000 });
+      expectClose(summary.p50, 500);
+      expectClose(summary.p90, 900);
+      expectClose(summary.p95, 950);
+      expectClose(summary.p99, 990);
+    });
+
+    this.it('should keep sub-millisecond values exact and cap percentiles at the maximum', () => {
+      const histogram = histogramOf([0.25, 0.5, 1.75, 1234.567]);
+
+      expect.toBe(histogram.percentile(25), 0.25);
+      expect.toBe(histogram.percentile(75), 1.75);
+      expect.toBe(histogram.percentile(100), 1234.567);
+      expect.toBe(histogram.min, 0.25);
+    });
+
+    this.it('should report zeros when empty', () => {
+      expect.toEqual(new Histogram().summary(), { count: 0, min: 0, mean: 0, p50: 0, p90: 0, p95: 0, p99: 0, p999: 0, max: 0 });
+    });
+
+    this.it('should use a bounded number of buckets however many values it records', () => {
+      const histogram = new Histogram();
+      for (let i = 0; i < 50000; i++) {
+        histogram.record((i * 7919) % 60000);
+      }
+
+      expect.toBe(histogram.count, 50000);
+      expect.toBeTruthy(histogram.counts.size < 20000, `Expected fewer buckets than values, got ${histogram.counts.size}`);
+    });
+
+    this.it('should merge to the same summary as recording everything in one', () => {
+      const merged = histogramOf(range(1, 500)).merge(histogramOf(range(501, 1000)));
+
+      expect.toEqual(merged.summary(), histogramOf(range(1, 1000)).summary());
+      expect.toThrow(() => merged.merge(new Histogram({ significantDigits: 2 })), /different precision/);
+    });
+
+    this.it('should survive a JSON round trip, empty or not', () => {
+      const histogram = histogramOf([3, 14, 159]);
+      const empty = new Histogram();
+
+      const copy = Histogram.fromJSON(JSON.parse(JSON.stringify(histogram.toJSON())));
+      const emptyCopy = Histogram.fromJSON(JSON.parse(JSON.stringify(empty.toJSON())));
+
+      expect.toEqual(copy.summary(), histogram.summary());
+      expect.toEqual(emptyCopy.merge(histogram).summary(), histogram.summary());
+    });
+  });
+
+  this.describe('TimeSeries', function () {
+    this.it('should bucket requests by interval, including empty intervals', () => {
+      const series = new TimeSeries({ interval: 500 });
+      series.record(100, 1.5, true);
+      series.record(400, 2, true);
+      series.record(450, 0, false);
+      series.record(1200, 80, true);
+
+      expect.toEqual(series.rows(), [
+        { second: 0, requests: 3, rps: 6, errors: 1, errorRate: 33.33, p50: 1.5, p95: 2, p99: 2, max: 2 },
+        { second: 0.5, requests: 0, rps: 0, errors: 0, errorRate: 0, p50: 0, p95: 0, p99: 0, max: 0 },
+        { second: 1, requests: 1, rps: 2, errors: 0, errorRate: 0, p50: 80, p95: 80, p99: 80, max: 80 }
+      ]);
+    });
+
+    this.it('should merge per-worker series by interval, including through JSON', () => {
+      const first = new TimeSeries();
+      const second = new TimeSeries();
+      first.record(100, 10, true);
+      second.record(900, 30, false);
+      second.record(2500, 50, true);
+
+      const merged = first.merge(TimeSeries.fromJSON(JSON.parse(JSON.stringify(second.toJSON()))));
+
+      expect.toEqual(merged.rows().map(row => [row.second, row.requests, row.errors]), [[0, 2, 1], [1, 0, 0], [2, 1, 0]]);
+      expect.toEqual(new TimeSeries().rows(), []);
+    });
+  });
+
+  this.describe('Export', function () {
+    this.it('should write rows as CSV, quoting where needed', () => {
+      expect.toBe(toCSV([]), '');
+      expect.toBe(toCSV([{ step: 'tax', error: 'failed: 500, "retry"' }, { step: 'csrf', error: '' }]),
+        'step,error\ntax,"failed: 500, ""retry"""\ncsrf,\n');
+    });
+
+    this.it('should export a run\'s stats as JSON and its time series as CSV', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'r3-histogram-'));
+      const tester = new LoadTester({ concurrency: 1, duration: 2000, quiet: true });
+      tester.startedAt = performance.now();
+      tester.record({ latency: 12, success: true });
+      tester.record({ latency: 0, success: false, error: 'timeout' });
+
+      try {
+        const stats = JSON.parse(fs.readFileSync(tester.export(path.join(dir, 'run.json')), 'utf8'));
+        const csv = fs.readFileSync(tester.export(path.join(dir, 'out', 'run.csv')), 'utf8');
+
+        expect.toMatchObject(stats, { mode: 'closed', duration: 2000, total: 2, failed: 1, errorRate: 50, requestsPerSecond: 1, p50: 12 });
+        expect.toEqual(csv.split('\n'), ['second,requests,rps,errors,errorRate,p50,p95,p99,max', '0,2,2,1,50,12,12,12,12', '']);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,128 @@
+// Tests for hook inheritance and the per-test ctx in nested TestRunner suites
+import { describe, expect } from './testFramework.js';
+import { silent } from './fixtures/output.js';
+
+export const hookTests = describe('Hooks and ctx', function () {
+  this.describe('Inheritance', function () {
+    this.it('should run beforeEach outermost first and afterEach innermost first', async () => {
+      const events = [];
+      const suite = describe('Checkout', function () {
+        this.beforeEachTest(() => events.push('outer before'));
+        this.afterEachTest(() => events.push('outer after'));
+        this.describe('Session', function () {
+          this.describe('CSRF', function () {
+            this.beforeEachTest(() => events.push('inner before'));
+            this.afterEachTest(() => events.push('inner after'));
+            this.it('validates the token', () => events.push('test'));
+          });
+        });
+      });
+
+      await suite.run(0, { output: silent });
+
+      expect.toEqual(events, ['outer before', 'inner before', 'test', 'inner after', 'outer after']);
+    });
+
+    this.it('should not apply a nested suite\'s hooks to its siblings or parent', async () => {
+      const events = [];
+      const suite = describe('Checkout', function () {
+        this.it('parent test', () => events.push('parent'));
+        this.describe('With hook', function () {
+          this.beforeEachTest(() => events.push('hook'));
+          this.it('test', () => events.push('nested'));
+        });
+        this.describe('Sibling', function () {
+          this.it('test', () => events.push('sibling'));
+        });
+      });
+
+      await suite.run(0, { output: silent });
+
+      expect.toEqual(events, ['parent', 'hook', 'nested', 'sibling']);
+    });
+  });
+
+  this.describe('afterEach', function () {
+    this.it('should run even when the test or a beforeEach hook throws', async () => {
+      const cleanedUp = [];
+      const suite = describe('Circuit breaker', function () {
+        this.afterEachTest((ctx) => cleanedUp.push(ctx.test.title));
+        this.it('throws', () => {
+          throw new Error('test failed');
+        });
+        this.describe('Broken setup', function () {
+          this.beforeEachTest(() => {
+            throw new Error('setup failed');
+          });
+          this.it('never runs', () => {});
+        });
+      });
+
+      const results = await suite.run(0, { output: silent });
+
+      expect.toBe(results.failed, 2);
+      expect.toEqual(cleanedUp, ['throws', 'never runs']);
+      expect.toBe(results.report.suites[0].tests[0].error.message, 'setup failed');
+    });
+
+    this.it('should fail a passing test whose afterEach throws, reporting the first error', async () => {
+      const suite = describe('Session', function () {
+        this.afterEachTest(() => {
+          throw new Error('cleanup failed');
+        });
+        this.it('passes', () => {});
+        this.it('fails', () => {
+          throw new Error('test failed');
+        });
+      });
+
+      const results = await suite.run(0, { output: silent });
+
+      expect.toEqual(results.report.tests.map(test => test.error.message), ['cleanup failed', 'test failed']);
+    });
+  });
+
+  this.describe('ctx', function () {
+    this.it('should give every test a fresh ctx that inherits before() state', async () => {
+      const seen = [];
+      const suite = describe('Circuit breaker', function () {
+        this.before((context) => {
+          context.config = { failureThreshold: 3 };
+        });
+        this.beforeEachTest((ctx) => {
+          ctx.failures = ctx.failures ?? 0;
+        });
+        this.it('first', (ctx) => {
+          ctx.failures++;
+          seen.push([ctx.test.title, ctx.failures, ctx.config.failureThreshold]);
+        });
+        this.describe('Nested', function () {
+          this.it('second', (ctx) => {
+            seen.push([ctx.test.titles.join(' > '), ctx.failures, ctx.config.failureThreshold]);
+          });
+        });
+      });
+
+      await suite.run(0, { output: silent });
+
+      expect.toEqual(seen, [['first', 1, 3], ['Circuit breaker > Nested > second', 0, 3]]);
+    });
+
+    this.it('should start each retry with a fresh ctx', async () => {
+      const attempts = [];
+      const suite = describe('Stripe', function () {
+        this.it('confirms the intent', (ctx) => {
+          attempts.push([ctx.test.attempt, ctx.leftover]);
+          ctx.leftover = true;
+          if (ctx.test.attempt === 1) {
+            throw new Error('flaky');
+          }
+        }, { retries: 1 });
+      });
+
+      await suite.run(0, { output: silent });
+
+      expect.toEqual(attempts, [[1, undefined], [2, undefined]]);
+    });
+  });
+});
@@ -2,6 +2,7 @@
 
 const { createTestSession, generateTestSessionToken, generateTestCSRFToken } = require('@helpers/utils/test-helpers');
 const { clearTestSessions, addTestSession } = require('@helpers/utils/mock-handlers');
+const { signedWebhookRequest, TEST_WEBHOOK_SECRET } = require('@helpers/webhook-signature');
 const fixtures = require('@fixtures');
 
 describe('Security Validation', () => {
@@ -439,21 +440,38 @@ describe('Security Validation', () => {
       expect(invalidResponse.status).toBe(400);
     });
 
+    it('should accept correctly signed webhooks', async () => {
+      const payload = fixtures.webhooks.paymentSucceeded;
+
+      const response = await fetch(`${process.env.API_URL}/webhook/stripe`, signedWebhookRequest(payload));
+
+      expect(response.status).toBe(200);
+    });
+
     it('should reject replay attacks on webhooks', async () => {
-      // Old timestamp (more than 5 minutes ago)
+      // Genuine signature, but made more than 5 minutes ago
       const oldTimestamp = Math.floor(Date.now() / 1000) - 360;
       const payload = fixtures.webhooks.paymentSucceeded;
       
-      const response = await fetch(`${process.env.API_URL}/webhook/stripe`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'stripe-signature': `t=${oldTimestamp},v1=old_signature`
-        },
-        body: JSON.stringify(payload)
-      });
+      const response = await fetch(
+        `${process.env.API_URL}/webhook/stripe`,
+        signedWebhookRequest(payload, { timestamp: oldTimestamp })
+      );
 
       expect(response.status).toBe(400);
+      expect(await response.text()).toContain('tolerance');
+    });
+
+    it('should accept webhooks signed during a secret rotation', async () => {
+      const payload = fixtures.webhooks.paymentSucceeded;
+      
+      // Stripe signs with the retiring and the new secret while both are live
+      const response = await fetch(
+        `${process.env.API_URL}/webhook/stripe`,
+        signedWebhookRequest(payload, { secret: ['whsec_rotated_out', TEST_WEBHOOK_SECRET] })
+      );
+
+      expect(response.status).toBe(200);
     });
 
     it('should handle webhook request body tampering', async () => {
@@ -469,17 +487,16 @@ describe('Security Validation', () => {
         }
       };
 
-      // Even with valid format, tampered body should fail signature check
+      // Signature made for the original body, sent with the tampered one
+      const { headers } = signedWebhookRequest(originalPayload);
       const response = await fetch(`${process.env.API_URL}/webhook/stripe`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'stripe-signature': 't=123,v1=signature_for_different_body'
-        },
+        headers,
         body: JSON.stringify(tamperedPayload)
       });
 
       expect(response.status).toBe(400);
+      expect(await response.text()).toContain('No signatures found matching');
     });
   });
 
@@ -177,6 +177,30 @@ describe('Session Creation', () => {
       expect(data.error).toContain('session');
     });
 
+    it('should expire sessions exactly 30 minutes after creation', async () => {
+      const clock = useFakeClock({ now: new Date('2026-03-02T15:00:00Z') });
+      const session = createTestSession();
+      addTestSession(session.sessionId, session);
+
+      const createPaymentIntent = () => fetch(`${process.env.API_URL}/api/stripe/create-payment-intent`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${session.sessionId}`,
+          'x-csrf-token': session.csrfToken
+        },
+        body: JSON.stringify({ amount: 10000 })
+      });
+
+      clock.tick(30 * 60 * 1000);
+      expect((await createPaymentIntent()).status).toBe(200);
+
+      clock.tick(1);
+      const expiredResponse = await createPaymentIntent();
+      expect(expiredResponse.status).toBe(401);
+      expect((await expiredResponse.json()).error).toBe('Session expired');
+    });
+
     it('should handle concurrent sessions', async () => {
       // Create multiple sessions
       const sessions = await Promise.all([
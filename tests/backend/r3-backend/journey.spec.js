@@ -0,0 +1,85 @@
+// Tests for multi-step journeys: per-step timing, think time and step gates
+import { describe, expect, LoadTester } from './testFramework.js';
+import { gate } from './thresholds.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function journeyTester(options) {
+  return new LoadTester({ quiet: true, saturationThreshold: 101, ...options });
+}
+
+export const journeyTests = describe('Journeys', function () {
+  this.it('should break each iteration down by step, in the order steps first ran', async () => {
+    const tester = journeyTester({ rate: 50, duration: 100 });
+
+    const results = await tester.run(async (vu) => {
+      const session = await vu.step('session', async () => ({ sessionToken: `sess_${vu.id}` }));
+      await vu.step('csrf', () => sleep(5));
+      vu.state.session = session;
+    });
+
+    expect.toEqual(Object.keys(results.steps), ['session', 'csrf']);
+    expect.toMatchObject(results.steps.session, { count: 5, failed: 0, errorRate: 0 });
+    expect.toBeTruthy(results.steps.csrf.p50 >= 4, `Expected the csrf step to take about 5ms, got ${results.steps.csrf.p50}`);
+  });
+
+  this.it('should count a failed step and fail the iteration with its error', async () => {
+    const tester = journeyTester({ rate: 50, duration: 100 });
+    let iterations = 0;
+
+    const results = await tester.run(async (vu) => {
+      await vu.step('session', async () => {});
+      if (++iterations % 5 === 0) {
+        await vu.step('paymentIntent', async () => {
+          throw new Error('card_declined');
+        });
+      }
+      await vu.step('webhook', async () => {});
+    });
+
+    expect.toMatchObject(results, { total: 5, failed: 1 });
+    expect.toMatchObject(results.steps.paymentIntent, { count: 1, failed: 1, errorRate: 100 });
+    expect.toMatchObject(results.steps.webhook, { count: 4 });
+    expect.toEqual(tester.errors, { card_declined: 1 });
+  });
+
+  this.it('should leave think time out of the iteration latency', async () => {
+    const tester = journeyTester({ concurrency: 1, duration: 60 });
+
+    const results = await tester.run(async (vu) => {
+      await vu.step('session', async () => {});
+      await vu.think(30);
+    });
+
+    expect.toBeTruthy(results.total >= 1);
+    expect.toBeTruthy(results.maxLatency < 25, `Expected think time to be excluded, got ${results.maxLatency}ms`);
+  });
+
+  this.it('should gate on step thresholds, failing steps that never ran', async () => {
+    const tester = journeyTester({ rate: 50, duration: 100 });
+    const results = await tester.run(async (vu) => {
+      await vu.step('paymentIntent', async () => {});
+    });
+
+    const result = gate('checkoutJourney', results, { thresholds: 'steps.paymentIntent.p95 < 1000ms, steps.webhook.p95 < 500ms' });
+
+    expect.toEqual(result.failures, ['✗ checkoutJourney: steps.webhook.p95 < 500ms (missing) BREACHED']);
+  });
+
+  this.it('should merge step breakdowns from worker threads', () => {
+    const first = journeyTester({ concurrency: 1 });
+    const second = journeyTester({ concurrency: 1 });
+    first.recordStep('session', 10, true);
+    second.recordStep('session', 30, true);
+    second.recordStep('webhook', 0, false);
+
+    const merged = journeyTester({ concurrency: 1 }).merge(JSON.parse(JSON.stringify(first.toJSON())))
+      .merge(JSON.parse(JSON.stringify(second.toJSON())));
+    const { steps } = merged.analyze();
+
+    expect.toMatchObject(steps, {
+      session: { count: 2, failed: 0, averageLatency: 20, maxLatency: 30 },
+      webhook: { count: 1, failed: 1, errorRate: 100 }
+    });
+  });
+});
@@ -1,22 +1,72 @@
 // Load testing for the payment backend
 import { LoadTester } from './testFramework.js';
 import fetch from 'node-fetch';
+import { isMainThread } from 'worker_threads';
+import crypto from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Workload } from './workload.js';
+import { gate, loadBaseline, saveBaseline } from './thresholds.js';
+import { signedWebhookRequest } from '../../shared/helpers/webhook-signature.js';
 
 // Configuration
 const BASE_URL = process.env.TEST_URL || 'http://localhost:3000';
 const STRIPE_TEST_KEY = process.env.STRIPE_TEST_KEY || 'sk_test_...';
+const STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || 'whsec_test_secret';
+// Share of checkout journeys paying by ACH instead of card
+const ACH_SHARE = Number(process.env.LOAD_TEST_ACH_SHARE ?? 0.3);
+// --export=<dir> (LOAD_TEST_EXPORT) writes <test>.json stats and <test>.csv
+// per-second time series for each test run
+const getOption = (name) => process.argv.find(arg => arg.startsWith(`--${name}=`))?.slice(name.length + 3);
+const EXPORT_DIR = getOption('export') || process.env.LOAD_TEST_EXPORT;
+// --baseline=<file> (LOAD_TEST_BASELINE) fails the run when a scenario is
+// worse than the stored results by more than --tolerance (default 10%);
+// --save-baseline=<file> stores this run's results as the next baseline
+const BASELINE_FILE = getOption('baseline') || process.env.LOAD_TEST_BASELINE;
+const SAVE_BASELINE_FILE = getOption('save-baseline');
+const TOLERANCE = parseFloat(getOption('tolerance') || process.env.LOAD_TEST_TOLERANCE || '10') / 100;
+
+// --workload=<file> (LOAD_TEST_WORKLOAD) sets the traffic mix for the mixed
+// workload, --seed=<seed> (LOAD_TEST_SEED) overrides its seed to vary a run.
+// Every scenario draws its carts, amounts and payment methods from the virtual
+// user's RNG seeded from it, so the same seed replays the same traffic.
+const WORKLOAD_FILE = getOption('workload') || process.env.LOAD_TEST_WORKLOAD ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), 'workloads', 'checkout-mix.js');
+const SEED = getOption('seed') || process.env.LOAD_TEST_SEED;
+// --workers=<n> (LOAD_TEST_WORKERS) spreads each test's virtual users across
+// n worker threads, each of which imports this module for the scenarios
+const WORKERS = Number(getOption('workers') || process.env.LOAD_TEST_WORKERS) || 1;
+
+// Service-level objectives per scenario; any breach fails the run
+const thresholds = {
+  createSession: 'p95 < 300ms, errorRate < 0.5%',
+  completePayment: 'p95 < 1000ms, p99 < 2000ms, errorRate < 1%',
+  mixedWorkload: 'p95 < 800ms, errorRate < 1%',
+  checkoutJourney: 'p95 < 3000ms, errorRate < 1%, steps.paymentIntent.p95 < 1000ms, steps.webhook.p95 < 500ms',
+  // Every scheduled request must be sent: a dropped one means the generator
+  // or the backend fell behind the target rate
+  arrivalRate: 'dropped == 0, errorRate < 1%'
+};
+
+function exportResults(tester, name) {
+  if (EXPORT_DIR) {
+    tester.export(path.join(EXPORT_DIR, `${name}.json`));
+    tester.export(path.join(EXPORT_DIR, `${name}.csv`));
+    console.log(`Exported ${name}.json and ${name}.csv to ${EXPORT_DIR}`);
+  }
+}
 
 // Test scenarios
-const scenarios = {
+export const scenarios = {
   // Simulate checkout session creation
-  async createSession() {
+  async createSession(vu, options = {}) {
     const response = await fetch(`${BASE_URL}/api/checkout/session`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
-        cartToken: `test-cart-${Date.now()}-${Math.random()}`,
+        cartToken: `test-cart-${Date.now()}-vu${vu.id}-${vu.iteration}`,
         domain: 'test.myshopify.com',
-        cartTotal: Math.floor(Math.random() * 50000) + 1000
+        cartTotal: options.cartTotal ?? workload.randomFor(vu).int(1000, 50999)
       })
     });
 
@@ -28,10 +78,10 @@ const scenarios = {
   },
 
   // Simulate payment flow
-  async completePayment() {
+  async completePayment(vu) {
     // Create session
-    const sessionResponse = await scenarios.createSession();
-    const { sessionToken, csrfToken } = sessionResponse;
+    const { sessionToken } = await scenarios.createSession(vu);
+    const csrfToken = await scenarios.fetchCsrfToken(sessionToken);
 
     // Create payment intent
     const paymentResponse = await fetch(`${BASE_URL}/api/stripe/create-payment-intent`, {
@@ -42,7 +92,7 @@ const scenarios = {
         'x-csrf-token': csrfToken
       },
       body: JSON.stringify({
-        amount: Math.floor(Math.random() * 50000) + 1000,
+        amount: workload.randomFor(vu).int(1000, 50999),
         currency: 'usd',
         metadata: {
           customer_email: `test${Date.now()}@example.com`,
@@ -60,44 +110,221 @@ const scenarios = {
     return await paymentResponse.json();
   },
 
-  // Simulate shipping calculation
-  async calculateShipping(sessionToken) {
-    const response = await fetch(`${BASE_URL}/api/calculate-shipping`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${sessionToken}`
-      },
-      body: JSON.stringify({
-        postalCode: ['10001', '90210', '60601', '33101'][Math.floor(Math.random() * 4)],
-        country: 'US',
-        items: [{ weight: 1000, quantity: Math.floor(Math.random() * 5) + 1 }]
-      })
+  async fetchCsrfToken(sessionToken) {
+    const response = await fetch(`${BASE_URL}/api/checkout/csrf`, {
+      headers: { 'Authorization': `Bearer ${sessionToken}` }
     });
 
     if (!response.ok) {
-      throw new Error(`Shipping calculation failed: ${response.status}`);
+      throw new Error(`CSRF token fetch failed: ${response.status}`);
     }
 
-    return await response.json();
+    return (await response.json()).csrfToken;
   },
 
-  // Mixed realistic workload
-  async mixedWorkload() {
-    const operations = [
-      () => scenarios.createSession(),
-      () => scenarios.completePayment(),
-      async () => {
-        const session = await scenarios.createSession();
-        return scenarios.calculateShipping(session.sessionToken);
-      }
-    ];
+  // Mixed realistic workload, as defined by the workload file
+  async mixedWorkload(vu) {
+    return workload.iteration(vu);
+  },
+
+  // One shopper's whole checkout, each step timed on its own: session, CSRF,
+  // shipping and tax quotes, a card or ACH payment intent, the signed
+  // payment_intent.succeeded webhook Stripe would send, and logout
+  async checkoutJourney(vu) {
+    const random = workload.randomFor(vu);
+    const cart = { items: [{ name: 'Test Product', price: 2500, quantity: random.int(1, 3), weight: 500 }] };
+    const address = { postalCode: '90210', state: 'CA', country: 'US' };
+    const ach = random.next() < ACH_SHARE;
+    vu.state = { cart, address };
+
+    const session = await vu.step('session', () => scenarios.createSession(vu, { cartTotal: cartTotal(cart) }));
+    const csrfToken = await vu.step('csrf', () => scenarios.fetchCsrfToken(session.sessionToken));
+    vu.state.session = { sessionToken: session.sessionToken, csrfToken };
 
-    const operation = operations[Math.floor(Math.random() * operations.length)];
-    return await operation();
+    vu.state.shipping = await vu.step('shipping', () => request(vu, '/api/calculate-shipping', {
+      postalCode: address.postalCode,
+      country: address.country,
+      items: cart.items.map(({ weight, quantity }) => ({ weight, quantity }))
+    }));
+    await vu.step('tax', () => actions.tax(vu));
+
+    const metadata = {
+      customer_email: `journey-vu${vu.id}-${vu.iteration}@example.com`,
+      items: JSON.stringify(cart.items.map(({ name, quantity, price }) => ({ name, quantity, price })))
+    };
+    const paymentIntent = await vu.step('paymentIntent', () => request(vu, '/api/stripe/create-payment-intent', {
+      amount: cartTotal(cart),
+      currency: 'usd',
+      ...(ach && { payment_method_types: ['us_bank_account'] }),
+      metadata
+    }));
+
+    await vu.step('webhook', () => sendWebhook('payment_intent.succeeded', {
+      id: paymentIntent.id || paymentIntent.paymentIntentId,
+      object: 'payment_intent',
+      amount: cartTotal(cart),
+      currency: 'usd',
+      status: 'succeeded',
+      payment_method_types: [ach ? 'us_bank_account' : 'card'],
+      metadata
+    }));
+
+    await vu.step('logout', () => request(vu, '/api/checkout/logout', {}));
+    vu.state = {};
   }
 };
 
+// Workload actions. Every iteration starts a new shopper's checkout with
+// `session`, whose cart, session and CSRF token the later steps read from
+// vu.state.
+const actions = {
+  async session(vu, data) {
+    const cart = data.feed('carts');
+    const { sessionToken } = await scenarios.createSession(vu, { cartTotal: cartTotal(cart) });
+    const csrfToken = await scenarios.fetchCsrfToken(sessionToken);
+    vu.state = { cart, session: { sessionToken, csrfToken } };
+  },
+
+  async shipping(vu, data) {
+    const address = data.feed('addresses');
+    vu.state.address = address;
+    vu.state.shipping = await request(vu, '/api/calculate-shipping', {
+      postalCode: address.postalCode,
+      country: address.country,
+      items: vu.state.cart.items.map(({ weight, quantity }) => ({ weight, quantity }))
+    });
+  },
+
+  async tax(vu, data) {
+    const address = vu.state.address || data.feed('addresses');
+    await request(vu, '/api/calculate-tax', {
+      subtotal: cartTotal(vu.state.cart),
+      // Quoted rates are in dollars, tax takes cents
+      shipping: Math.round((vu.state.shipping?.rates?.standard?.price ?? 10) * 100),
+      state: address.state
+    });
+  },
+
+  async payment(vu, data) {
+    await request(vu, '/api/stripe/create-payment-intent', {
+      amount: cartTotal(vu.state.cart),
+      currency: 'usd',
+      metadata: {
+        customer_email: `vu${vu.id}-${vu.iteration}@example.com`,
+        items: JSON.stringify(vu.state.cart.items.map(({ name, quantity, price }) => ({ name, quantity, price })))
+      }
+    });
+  }
+};
+
+function cartTotal(cart) {
+  return cart.items.reduce((total, item) => total + item.price * item.quantity, 0);
+}
+
+// Authenticated POST with the virtual user's session and CSRF token
+async function request(vu, endpoint, body) {
+  const { sessionToken, csrfToken } = vu.state.session;
+  const response = await fetch(`${BASE_URL}${endpoint}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${sessionToken}`,
+      'x-csrf-token': csrfToken
+    },
+    body: JSON.stringify(body)
+  });
+
+  if (!response.ok) {
+    throw new Error(`${endpoint} failed: ${response.status}`);
+  }
+  return await response.json();
+}
+
+// Delivers a webhook event signed the way Stripe signs them
+async function sendWebhook(type, object) {
+  const event = {
+    id: `evt_load_${crypto.randomBytes(8).toString('hex')}`,
+    object: 'event',
+    type,
+    created: Math.floor(Date.now() / 1000),
+    data: { object }
+  };
+
+  const response = await fetch(
+    `${BASE_URL}/api/stripe/webhook`,
+    signedWebhookRequest(event, { secret: STRIPE_WEBHOOK_SECRET })
+  );
+
+  if (!response.ok) {
+    throw new Error(`Webhook delivery failed: ${response.status}`);
+  }
+}
+
+const workload = await Workload.load(WORKLOAD_FILE, { actions, ...(SEED && { seed: SEED }) });
+
+// What LoadTester runs: the scenario itself, or with worker threads a
+// reference they can import
+function scenario(name) {
+  return WORKERS > 1 ? { module: import.meta.url, name: `scenarios.${name}` } : scenarios[name];
+}
+
+// Stats without the per-second time series or step breakdown, for the console
+function summarize(results) {
+  const { timeSeries, steps, ...summary } = results;
+  return summary;
+}
+
+function printSteps(results) {
+  console.log('Step latency:');
+  console.table(Object.fromEntries(Object.entries(results.steps || {}).map(([name, step]) => [name, {
+    requests: step.count,
+    'errors %': step.errorRate,
+    'avg ms': step.averageLatency,
+    'p50 ms': step.p50,
+    'p95 ms': step.p95,
+    'p99 ms': step.p99,
+    'max ms': step.maxLatency
+  }])));
+}
+
+// Checks each scenario's results against its thresholds and the baseline,
+// prints the report, and exits 1 on any breach or regression
+function checkThresholds(results) {
+  const baseline = BASELINE_FILE ? loadBaseline(BASELINE_FILE) : {};
+
+  console.log('\nThresholds:');
+  console.log('===========');
+  const gates = Object.entries(results).map(([scenario, stats]) => {
+    const result = gate(scenario, stats, {
+      thresholds: thresholds[scenario],
+      baseline: baseline[scenario],
+      tolerance: TOLERANCE
+    });
+    result.lines.forEach(line => console.log(line));
+    return result;
+  });
+
+  if (SAVE_BASELINE_FILE) {
+    console.log(`\nSaved baseline to ${saveBaseline(SAVE_BASELINE_FILE, results)}`);
+  }
+
+  const failures = gates.flatMap(result => result.failures);
+  if (failures.length > 0) {
+    console.log(`\n${failures.length} threshold breach(es) or regression(s):`);
+    failures.forEach(line => console.log(`  ${line}`));
+    process.exit(1);
+  }
+}
+
+function createJourneyTest() {
+  return new LoadTester({
+    workers: WORKERS,
+    concurrency: 20,
+    duration: 60000,
+    rampUp: 10000
+  });
+}
+
 // Run load tests
 async function runLoadTests() {
   console.log('Starting load tests...\n');
@@ -105,52 +332,81 @@ async function runLoadTests() {
   // Test 1: Session creation load
   console.log('Test 1: Session Creation Load');
   const sessionTest = new LoadTester({
+    workers: WORKERS,
     concurrency: 50,
     duration: 30000, // 30 seconds
     rampUp: 5000 // 5 second ramp
   });
 
-  const sessionResults = await sessionTest.run(scenarios.createSession);
-  console.log('Session Creation Results:', sessionResults);
+  const sessionResults = await sessionTest.run(scenario('createSession'));
+  console.log('Session Creation Results:', summarize(sessionResults));
+  exportResults(sessionTest, 'session-creation');
   console.log('');
 
   // Test 2: Payment flow load
   console.log('Test 2: Payment Flow Load');
   const paymentTest = new LoadTester({
+    workers: WORKERS,
     concurrency: 20,
     duration: 30000,
     rampUp: 10000
   });
 
-  const paymentResults = await paymentTest.run(scenarios.completePayment);
-  console.log('Payment Flow Results:', paymentResults);
+  const paymentResults = await paymentTest.run(scenario('completePayment'));
+  console.log('Payment Flow Results:', summarize(paymentResults));
+  exportResults(paymentTest, 'payment-flow');
   console.log('');
 
   // Test 3: Mixed workload
   console.log('Test 3: Mixed Workload');
   const mixedTest = new LoadTester({
+    workers: WORKERS,
     concurrency: 30,
     duration: 60000, // 1 minute
     rampUp: 15000
   });
 
-  const mixedResults = await mixedTest.run(scenarios.mixedWorkload);
-  console.log('Mixed Workload Results:', mixedResults);
+  const mixedResults = await mixedTest.run(scenario('mixedWorkload'));
+  console.log('Mixed Workload Results:', summarize(mixedResults));
+  exportResults(mixedTest, 'mixed-workload');
+  console.log('');
+
+  // Test 4: Checkout journey
+  console.log('Test 4: Checkout Journey');
+  const journeyTest = createJourneyTest();
+  const journeyResults = await journeyTest.run(scenario('checkoutJourney'));
+  console.log('Checkout Journey Results:', summarize(journeyResults));
+  printSteps(journeyResults);
+  exportResults(journeyTest, 'checkout-journey');
   console.log('');
 
   // Summary
   console.log('Load Test Summary:');
   console.log('==================');
-  console.log(`Session Creation: ${sessionResults.requestsPerSecond} req/s, ${sessionResults.p95} p95`);
-  console.log(`Payment Flow: ${paymentResults.requestsPerSecond} req/s, ${paymentResults.p95} p95`);
-  console.log(`Mixed Workload: ${mixedResults.requestsPerSecond} req/s, ${mixedResults.p95} p95`);
-
-  // Check for failures
-  const totalErrors = sessionResults.failed + paymentResults.failed + mixedResults.failed;
-  if (totalErrors > 0) {
-    console.log(`\nWarning: ${totalErrors} total errors occurred during testing`);
-    process.exit(1);
-  }
+  console.log(`Session Creation: ${sessionResults.requestsPerSecond} req/s, ${sessionResults.p95}ms p95`);
+  console.log(`Payment Flow: ${paymentResults.requestsPerSecond} req/s, ${paymentResults.p95}ms p95`);
+  console.log(`Mixed Workload: ${mixedResults.requestsPerSecond} req/s, ${mixedResults.p95}ms p95`);
+  console.log(`Checkout Journey: ${journeyResults.requestsPerSecond} journeys/s, ${journeyResults.p95}ms p95`);
+
+  checkThresholds({
+    createSession: sessionResults,
+    completePayment: paymentResults,
+    mixedWorkload: mixedResults,
+    checkoutJourney: journeyResults
+  });
+}
+
+// Checkout journey on its own
+async function runJourneyTest() {
+  console.log('Starting checkout journey test...\n');
+
+  const journeyTest = createJourneyTest();
+  const results = await journeyTest.run(scenario('checkoutJourney'));
+  exportResults(journeyTest, 'checkout-journey');
+
+  console.log('Checkout Journey Results:', summarize(results));
+  printSteps(results);
+  checkThresholds({ checkoutJourney: results });
 }
 
 // Stress test - push to limits
@@ -158,22 +414,26 @@ async function runStressTest() {
   console.log('Starting stress test...\n');
 
   const stressTest = new LoadTester({
+    workers: WORKERS,
     concurrency: 100,
     duration: 120000, // 2 minutes
     rampUp: 30000 // 30 second ramp
   });
 
-  const results = await stressTest.run(scenarios.mixedWorkload);
+  const results = await stressTest.run(scenario('mixedWorkload'));
+  exportResults(stressTest, 'stress');
 
   console.log('Stress Test Results:');
   console.log('===================');
   console.log(`Total Requests: ${results.total}`);
   console.log(`Successful: ${results.successful}`);
-  console.log(`Failed: ${results.failed} (${results.errorRate})`);
+  console.log(`Failed: ${results.failed} (${results.errorRate}%)`);
   console.log(`Requests/sec: ${results.requestsPerSecond}`);
-  console.log(`Average Latency: ${results.averageLatency}`);
-  console.log(`P95 Latency: ${results.p95}`);
-  console.log(`P99 Latency: ${results.p99}`);
+  console.log(`Average Latency: ${results.averageLatency}ms`);
+  console.log(`P95 Latency: ${results.p95}ms`);
+  console.log(`P99 Latency: ${results.p99}ms`);
+  console.log(`P99.9 Latency: ${results.p999}ms`);
+  console.log(`Max Latency: ${results.maxLatency}ms`);
 
   if (results.errors) {
     console.log('\nError breakdown:');
@@ -183,11 +443,50 @@ async function runStressTest() {
   }
 }
 
-// Main execution
+// Arrival-rate test - checkout traffic at a fixed rate with a flash-sale
+// spike, measured from the intended send time
+async function runArrivalRateTest() {
+  console.log('Starting arrival-rate test...\n');
+
+  const arrivalTest = new LoadTester({
+    workers: WORKERS,
+    stages: LoadTester.spike({
+      rate: Number(process.env.TARGET_RPS) || 20,
+      spikeRate: Number(process.env.SPIKE_RPS) || 100,
+      at: 30000,
+      spikeDuration: 15000,
+      duration: 90000
+    }),
+    maxInFlight: 500
+  });
+
+  const results = await arrivalTest.run(scenario('mixedWorkload'));
+  exportResults(arrivalTest, 'arrival-rate');
+
+  console.log('Arrival-Rate Test Results:');
+  console.log('=========================');
+  console.log(`Scheduled: ${results.scheduled} (${results.targetRate} req/s target)`);
+  console.log(`Sent: ${results.total} (${results.dropped} dropped, ${results.late} late, max lateness ${results.maxLateness}ms)`);
+  console.log(`Failed: ${results.failed} (${results.errorRate}%)`);
+  console.log(`P95 Latency: ${results.p95}ms (service time ${results.serviceP95}ms)`);
+  console.log(`P99 Latency: ${results.p99}ms`);
+  console.log(`P99.9 Latency: ${results.p999}ms`);
+
+  checkThresholds({ arrivalRate: results });
+}
+
+// Main execution; worker threads only import the scenarios
 const testType = process.argv[2] || 'load';
+const tests = {
+  load: runLoadTests,
+  stress: runStressTest,
+  arrival: runArrivalRateTest,
+  journey: runJourneyTest
+};
 
-if (testType === 'stress') {
-  runStressTest().catch(console.error);
-} else {
-  runLoadTests().catch(console.error);
+if (isMainThread) {
+  (tests[testType] || runLoadTests)().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+  });
 }
@@ -0,0 +1,8 @@
+// Worker thread entry for LoadTester({ workers }): runs this thread's share of
+// the load and posts its raw results back to be merged
+import { parentPort, workerData } from 'worker_threads';
+import { LoadTester } from './testFramework.js';
+
+const tester = new LoadTester(workerData.options);
+await tester.run(workerData.test);
+parentPort.postMessage(tester.toJSON());
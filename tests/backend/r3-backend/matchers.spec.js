@@ -0,0 +1,166 @@
+// Tests for the runner's expect: equality, partial matching, asymmetric
+// matchers, structural diffs and matchers added with expect.extend
+import { describe, expect } from './testFramework.js';
+import { diff, equals } from '../../shared/helpers/matchers.js';
+
+// The failure message of `fn`, without colors
+function failureOf(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error.message.replace(/\u001b\[\d+m/g, '');
+  }
+  throw new Error('Expected the assertion to fail');
+}
+
+const paymentIntent = {
+  id: 'pi_test_123',
+  amount: 5000,
+  status: 'succeeded',
+  metadata: { environment: 'staging', items: ['naloxone', 'test strips'] },
+  created: 1718000000
+};
+
+export const matcherTests = describe('Matchers', function () {
+  this.after(() => {
+    delete expect.toBeWithinRange;
+    delete expect.toSettleWith;
+  });
+
+  this.describe('toEqual', function () {
+    this.it('should compare nested objects, arrays and dates by value', () => {
+      expect.toEqual(
+        { ...paymentIntent, paidAt: new Date('2026-03-02T15:00:00Z') },
+        { ...paymentIntent, metadata: { ...paymentIntent.metadata }, paidAt: new Date('2026-03-02T15:00:00Z') }
+      );
+      expect.toBeFalsy(equals({ amount: 5000 }, { amount: 5000, currency: 'usd' }));
+      expect.toBeFalsy(equals([1, 2], [1, 2, 3]));
+    });
+
+    this.it('should treat an undefined property as missing, like Jest', () => {
+      expect.toEqual({ id: 'pi_1', error: undefined }, { id: 'pi_1' });
+      expect.toEqual({ id: 'pi_1' }, { id: 'pi_1', error: undefined });
+      expect.toBeFalsy(equals([undefined], []));
+    });
+
+    this.it('should print a structural diff of only what differs', () => {
+      const message = failureOf(() => expect.toEqual(
+        { ...paymentIntent, status: 'requires_action', metadata: { environment: 'staging', items: ['naloxone'] } },
+        paymentIntent
+      ));
+
+      expect.toEqual(message.split('\n'), [
+        'Expected values to be equal',
+        '',
+        '- Expected',
+        '+ Received',
+        '',
+        '  {',
+        '    id: "pi_test_123"',
+        '    amount: 5000',
+        '-   status: "succeeded"',
+        '+   status: "requires_action"',
+        '    metadata: {',
+        '      environment: "staging"',
+        '      items: [',
+        '        "naloxone"',
+        '-       "test strips"',
+        '      ]',
+        '    }',
+        '    created: 1718000000',
+        '  }'
+      ]);
+    });
+  });
+
+  this.describe('toMatchObject', function () {
+    this.it('should ignore extra keys at every depth but not extra array items', () => {
+      expect.toMatchObject(paymentIntent, { status: 'succeeded', metadata: { environment: 'staging' } });
+      expect.toMatchObject({ orders: [{ id: 1, tags: 'r3' }] }, { orders: [{ id: 1 }] });
+
+      expect.toBeFalsy(equals({ orders: [{ id: 1 }, { id: 2 }] }, { orders: [{ id: 1 }] }, { partial: true }));
+    });
+
+    this.it('should require a key expected to be undefined to be present', () => {
+      expect.toMatchObject({ error: undefined }, { error: undefined });
+
+      expect.toContain(failureOf(() => expect.toMatchObject({}, { error: undefined })), '-   error: undefined');
+    });
+
+    this.it('should leave keys only present in the received value out of the diff', () => {
+      const message = failureOf(() => expect.toMatchObject(paymentIntent, { amount: 4000 }, 'Wrong amount'));
+
+      expect.toEqual(message.split('\n').slice(5), ['  {', '-   amount: 4000', '+   amount: 5000', '  }']);
+      expect.toContain(message, 'Wrong amount');
+    });
+  });
+
+  this.describe('Asymmetric matchers', function () {
+    this.it('should match by type, pattern and containment anywhere in the expected value', () => {
+      expect.toEqual(paymentIntent, {
+        id: expect.stringMatching(/^pi_/),
+        amount: expect.any(Number),
+        status: expect.stringContaining('succeed'),
+        metadata: expect.objectContaining({ items: expect.arrayContaining(['test strips']) }),
+        created: expect.anything()
+      });
+      expect.toMatchObject({ session: { sessionToken: 'sess_1', expiresAt: new Date() } }, {
+        session: { sessionToken: expect.any(String), expiresAt: expect.any(Date) }
+      });
+    });
+
+    this.it('should fail on a value they do not match and print themselves in the diff', () => {
+      const message = failureOf(() => expect.toEqual({ id: 42, note: null }, {
+        id: expect.stringMatching('^pi_'),
+        note: expect.anything()
+      }));
+
+      expect.toContain(message, '-   id: StringMatching ^pi_');
+      expect.toContain(message, '+   id: 42');
+      expect.toContain(message, '-   note: Anything');
+      expect.toBeFalsy(equals({ items: ['naloxone'] }, expect.objectContaining({ items: expect.arrayContaining(['kits']) })));
+    });
+  });
+
+  this.describe('expect.extend', function () {
+    this.it('should add Jest-format matchers with the message of a failure', () => {
+      expect.extend({
+        toBeWithinRange(received, floor, ceiling) {
+          const pass = received >= floor && received <= ceiling;
+          return {
+            pass,
+            message: () => `expected ${received} to be within ${floor}-${ceiling}`
+          };
+        }
+      });
+
+      expect.toBeWithinRange(5000, 50, 999999);
+      expect.toEqual(failureOf(() => expect.toBeWithinRange(25, 50, 999999)), 'expected 25 to be within 50-999999');
+    });
+
+    this.it('should await async matchers and give them equals and utils', async () => {
+      expect.extend({
+        async toSettleWith(received, expected) {
+          const value = await received;
+          return { pass: this.equals(value, expected), message: `expected ${this.utils.stringify(value)}` };
+        }
+      });
+
+      await expect.toSettleWith(Promise.resolve({ id: 'pi_1', error: undefined }), { id: expect.any(String) });
+      await expect.toReject(expect.toSettleWith(Promise.resolve({ id: 7 }), { id: expect.any(String) }), /expected \{id: 7\}/);
+    });
+
+    this.it('should register the domain matchers shared with Jest', () => {
+      expect.toBeValidSession({ sessionToken: 'sess_1', csrfToken: 'csrf_1', expiresAt: Date.now() + 1000 });
+      expect.toContain(failureOf(() => expect.toBeValidPaymentIntent({ id: 'ch_1' })), 'to be a valid payment intent');
+    });
+  });
+
+  this.describe('diff', function () {
+    this.it('should show missing and extra array items and a changed type', () => {
+      const lines = diff({ items: [1, 2], total: '3' }, { items: [1], total: 3, extra: true }).replace(/\u001b\[\d+m/g, '').split('\n');
+
+      expect.toEqual(lines.slice(3), ['  {', '    items: [', '      1', '-     2', '    ]', '-   total: "3"', '+   total: 3', '+   extra: true', '  }']);
+    });
+  });
+});
@@ -0,0 +1,178 @@
+// HTTP recording and replay for TestClient
+// A Recorder collects request/response pairs in a HAR-like shape (HAR 1.2
+// field names, plus `_test`: the test that made the request). Recordings can
+// be replayed against a running server, or through a TestClient, and each
+// response diffed against the recorded one:
+//
+//   node backend/r3-backend/replay.js test-results/http/security.har.json \
+//     --target=http://localhost:3000 --grep="CSRF"
+
+import fs from 'fs';
+import path from 'path';
+import fetch from 'node-fetch';
+import { VOLATILE_FIELDS, volatileMatchers } from '../../shared/helpers/matchers.js';
+import { serialize, mergeMatchers, diffSnapshots } from './snapshots.js';
+
+export const DEFAULT_RECORDING_DIR = 'test-results/http';
+
+export class Recorder {
+  constructor(options = {}) {
+    this.name = options.name || 'r3-backend';
+    this.entries = [];
+  }
+
+  // exchange: { test, startedAt, time, request: { method, url, headers, body },
+  // response: { status, headers, text } }
+  record(exchange) {
+    const { request, response } = exchange;
+    const url = new URL(request.url);
+    const requestType = request.headers['content-type'] || '';
+    const responseType = String(response.headers['content-type'] || '');
+
+    this.entries.push({
+      _test: exchange.test || null,
+      startedDateTime: new Date(exchange.startedAt).toISOString(),
+      time: exchange.time,
+      request: {
+        method: request.method,
+        url: request.url,
+        httpVersion: 'HTTP/1.1',
+        headers: toNameValues(request.headers),
+        queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+        cookies: parseCookieHeader(request.headers.cookie),
+        ...(request.body !== null && { postData: { mimeType: requestType, text: request.body } })
+      },
+      response: {
+        status: response.status,
+        statusText: response.statusText || '',
+        httpVersion: 'HTTP/1.1',
+        headers: toNameValues(response.headers),
+        cookies: Object.entries(response.cookies || {}).map(([name, cookie]) => ({ name, ...cookie })),
+        content: { size: Buffer.byteLength(response.text), mimeType: responseType, text: response.text },
+        redirectURL: response.redirect || ''
+      },
+      timings: { send: 0, wait: exchange.time, receive: 0 }
+    });
+  }
+
+  toJSON() {
+    return {
+      log: {
+        version: '1.2',
+        creator: { name: this.name, version: '1.0.0' },
+        entries: this.entries
+      }
+    };
+  }
+
+  save(outputPath = path.join(DEFAULT_RECORDING_DIR, `${this.name}.har.json`)) {
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, `${JSON.stringify(this.toJSON(), null, 2)}\n`);
+    return outputPath;
+  }
+
+  clear() {
+    this.entries = [];
+  }
+}
+
+export function loadRecording(file) {
+  const recording = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!recording.log || !Array.isArray(recording.log.entries)) {
+    throw new Error(`${file} is not a HAR recording (missing log.entries)`);
+  }
+  return recording;
+}
+
+// Re-sends each recorded request and compares the new response with the
+// recorded one: status, then the body with `ignore` fields (ids, timestamps,
+// secrets by default) scrubbed on both sides.
+//
+// options:
+//   target - base URL to send to (default: each entry's recorded origin)
+//   grep   - RegExp or string matched against "<test> <METHOD> <path>"
+//   ignore - body fields to scrub before comparing
+//   send   - async (entry, url) => { status, text }, e.g. through a TestClient
+//
+// Returns [{ entry, label, status, passed, diff }]
+export async function replayRecording(recording, options = {}) {
+  const grep = typeof options.grep === 'string' ? new RegExp(options.grep, 'i') : options.grep;
+  const ignore = options.ignore || VOLATILE_FIELDS;
+  const send = options.send || sendWithFetch;
+  const results = [];
+
+  for (const entry of recording.log.entries) {
+    const recordedUrl = new URL(entry.request.url);
+    const label = `${entry._test || ''} ${entry.request.method} ${recordedUrl.pathname}`.trim();
+    if (grep && !grep.test(label)) {
+      continue;
+    }
+
+    const url = options.target
+      ? new URL(`${recordedUrl.pathname}${recordedUrl.search}`, options.target).href
+      : recordedUrl.href;
+    const response = await send(entry, url);
+
+    const expected = normalizeBody(entry.response.content.text, ignore);
+    const actual = normalizeBody(response.text, ignore);
+    const statusMatches = response.status === entry.response.status;
+    const passed = statusMatches && expected === actual;
+
+    results.push({
+      entry,
+      label,
+      status: response.status,
+      passed,
+      diff: passed
+        ? null
+        : [
+          statusMatches ? null : `Status: recorded ${entry.response.status}, replayed ${response.status}`,
+          expected === actual ? null : diffSnapshots(expected, actual, ['Recorded', 'Replayed'])
+        ].filter(Boolean).join('\n\n')
+    });
+  }
+
+  return results;
+}
+
+async function sendWithFetch(entry, url) {
+  const headers = Object.fromEntries(entry.request.headers
+    .filter(({ name }) => !['host', 'content-length', 'connection'].includes(name.toLowerCase()))
+    .map(({ name, value }) => [name, value]));
+
+  const response = await fetch(url, {
+    method: entry.request.method,
+    headers,
+    body: entry.request.postData ? entry.request.postData.text : undefined,
+    redirect: 'manual'
+  });
+
+  return { status: response.status, text: await response.text() };
+}
+
+// JSON bodies are compared structurally with volatile fields scrubbed; other
+// bodies as text
+function normalizeBody(text, ignore) {
+  try {
+    const value = JSON.parse(text);
+    return serialize(mergeMatchers(value, volatileMatchers(value, ignore)));
+  } catch {
+    return text || '';
+  }
+}
+
+function toNameValues(headers) {
+  return Object.entries(headers).flatMap(([name, value]) =>
+    [].concat(value).map(item => ({ name, value: String(item) }))
+  );
+}
+
+function parseCookieHeader(header) {
+  if (!header) {
+    return [];
+  }
+  return header.split(';').map(part => part.trim()).filter(Boolean).map(part => {
+    const index = part.indexOf('=');
+    return { name: part.slice(0, index), value: decodeURIComponent(part.slice(index + 1)) };
+  });
+}
@@ -0,0 +1,189 @@
+// Tests for the TestClient socket transport and HTTP recording/replay
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, expect, TestClient } from './testFramework.js';
+import { Recorder, loadRecording, replayRecording } from './recording.js';
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'content-type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+// Payment intent API: ids and client secrets change on every request, the
+// amount comes from the request body. `status` lets a test change what the
+// app answers after the recording was made.
+function paymentsApp({ status = 'requires_payment_method' } = {}) {
+  let created = 0;
+  return (req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      if (req.method === 'POST' && pathname === '/api/payment-intents') {
+        created++;
+        const { amount } = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        sendJson(res, 201, { id: `pi_${created}`, client_secret: `pi_${created}_secret_${Date.now()}`, amount, status }, {
+          'set-cookie': `checkout=pi_${created}; Path=/; HttpOnly`
+        });
+      } else if (pathname === '/checkout') {
+        res.writeHead(303, { location: '/checkout/payment' });
+        res.end();
+      } else {
+        sendJson(res, 200, { cookie: req.headers.cookie || null, remoteAddress: req.socket.remoteAddress });
+      }
+    });
+  };
+}
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'r3-recording-'));
+}
+
+export const recordingTests = describe('Socket transport and recording', function () {
+  this.describe('Socket transport', function () {
+    this.it('should send requests over a real connection and keep cookies', async () => {
+      const client = new TestClient(paymentsApp(), { transport: 'socket' });
+
+      try {
+        const created = await client.post('/api/payment-intents', { body: { amount: 2500 } });
+        const echoed = await client.get('/api/echo');
+
+        expect.toMatchObject(created, { status: 201, body: { id: 'pi_1', amount: 2500 } });
+        expect.toBeTruthy(/^http:\/\/127\.0\.0\.1:\d+$/.test(client.baseUrl));
+        expect.toEqual(echoed.body, { cookie: 'checkout=pi_1', remoteAddress: '127.0.0.1' });
+      } finally {
+        await client.close();
+      }
+
+      expect.toBe(client.server, null);
+    });
+
+    this.it('should report redirects as the app sent them, like the in-process transport', async () => {
+      const socket = new TestClient(paymentsApp(), { transport: 'socket' });
+      const inProcess = new TestClient(paymentsApp());
+
+      try {
+        const [overSocket, direct] = await Promise.all([socket.get('/checkout'), inProcess.get('/checkout')]);
+
+        expect.toMatchObject(overSocket, { status: 303, redirect: '/checkout/payment' });
+        expect.toEqual(direct.redirect, overSocket.redirect);
+      } finally {
+        await socket.close();
+      }
+    });
+  });
+
+  this.describe('Recording', function () {
+    this.it('should record each exchange with the test that made it', async (ctx) => {
+      const client = new TestClient(paymentsApp(), { record: true, name: 'payments' });
+      await client.post('/api/payment-intents?expand=customer', { body: { amount: 2500 } });
+
+      const [entry] = client.recorder.toJSON().log.entries;
+
+      expect.toBe(entry._test, ctx.test.titles.join(' '));
+      expect.toMatchObject(entry.request, {
+        method: 'POST',
+        url: 'http://localhost/api/payment-intents?expand=customer',
+        queryString: [{ name: 'expand', value: 'customer' }],
+        postData: { mimeType: 'application/json', text: '{"amount":2500}' }
+      });
+      expect.toMatchObject(entry.response, {
+        status: 201,
+        cookies: [{ name: 'checkout', value: 'pi_1', path: '/', httpOnly: true }],
+        content: { mimeType: 'application/json' }
+      });
+    });
+
+    this.it('should save the recording on close() when given a path, and load it back', async () => {
+      const dir = tempDir();
+      const file = path.join(dir, 'http', 'payments.har.json');
+
+      try {
+        const client = new TestClient(paymentsApp(), { record: file });
+        await client.get('/api/echo', { cookies: { theme: 'dark' } });
+        await client.close();
+
+        const recording = loadRecording(file);
+        expect.toMatchObject(recording.log, { version: '1.2', creator: { name: 'r3-backend' } });
+        expect.toEqual(recording.log.entries[0].request.cookies, [{ name: 'theme', value: 'dark' }]);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    this.it('should refuse to load a file that is not a recording', () => {
+      const dir = tempDir();
+      const file = path.join(dir, 'results.json');
+      fs.writeFileSync(file, '{"tests": []}');
+
+      try {
+        expect.toThrow(() => loadRecording(file), /is not a HAR recording/);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    this.it('should refuse to save when the client is not recording', () => {
+      expect.toThrow(() => new TestClient(paymentsApp()).saveRecording('out.har.json'), /without \{ record: true \}/);
+    });
+  });
+
+  this.describe('Replay', function () {
+    async function record() {
+      const client = new TestClient(paymentsApp(), { record: true });
+      await client.post('/api/payment-intents', { body: { amount: 2500 } });
+      await client.get('/api/echo');
+      return client.recorder.toJSON();
+    }
+
+    this.it('should match a running server, ignoring ids and secrets', async () => {
+      const recording = await record();
+      const server = new TestClient(paymentsApp(), { transport: 'socket' });
+
+      try {
+        // A fresh server creates pi_1 again, and the echo request goes out
+        // with its recorded headers, cookie included
+        const results = await replayRecording(recording, { target: await server.listen() });
+
+        expect.toEqual(results.map(result => [result.label, result.status, result.passed]), [
+          ['Socket transport and recording Replay should match a running server, ignoring ids and secrets POST /api/payment-intents', 201, true],
+          ['Socket transport and recording Replay should match a running server, ignoring ids and secrets GET /api/echo', 200, true]
+        ]);
+      } finally {
+        await server.close();
+      }
+    });
+
+    this.it('should diff responses that changed, through a TestClient, filtered by grep', async () => {
+      const recording = await record();
+      const client = new TestClient(paymentsApp({ status: 'succeeded' }));
+
+      const results = await replayRecording(recording, {
+        grep: 'payment-intents',
+        send: (entry, url) => client.request(entry.request.method, url, { body: entry.request.postData?.text, headers: { 'content-type': 'application/json' } })
+      });
+
+      expect.toBe(results.length, 1);
+      expect.toBeFalsy(results[0].passed);
+      expect.toContain(results[0].diff, 'requires_payment_method');
+      expect.toContain(results[0].diff, 'succeeded');
+    });
+
+    this.it('should report a status change', async () => {
+      const recorder = new Recorder();
+      recorder.record({
+        startedAt: 0,
+        time: 1,
+        request: { method: 'GET', url: 'http://localhost/api/echo', headers: {}, body: null },
+        response: { status: 404, headers: {}, text: '' }
+      });
+
+      const [result] = await replayRecording(recorder.toJSON(), {
+        send: async () => ({ status: 200, text: '' })
+      });
+
+      expect.toEqual(result.diff, 'Status: recorded 404, replayed 200');
+    });
+  });
+});
@@ -0,0 +1,50 @@
+// Replays a TestClient HTTP recording against a running server and diffs the
+// responses with the recorded ones
+//
+//   node replay.js <recording.har.json> [--target=http://localhost:3000]
+//     [--grep=<pattern>] [--ignore=id,created,client_secret]
+import { loadRecording, replayRecording } from './recording.js';
+
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  red: '\x1b[31m',
+  green: '\x1b[32m'
+};
+
+const args = process.argv.slice(2);
+const getOption = (name) => args.find(a => a.startsWith(`--${name}=`))?.slice(name.length + 3);
+const file = args.find(arg => !arg.startsWith('--'));
+
+async function main() {
+  if (!file) {
+    console.error('Usage: node replay.js <recording.har.json> [--target=<url>] [--grep=<pattern>] [--ignore=<fields>]');
+    return 2;
+  }
+
+  const results = await replayRecording(loadRecording(file), {
+    target: getOption('target') || process.env.API_URL,
+    grep: getOption('grep'),
+    ignore: getOption('ignore')?.split(',').map(field => field.trim()).filter(Boolean)
+  });
+
+  results.forEach(result => {
+    if (result.passed) {
+      console.log(`${colors.green}✓ ${result.label} (${result.status})${colors.reset}`);
+    } else {
+      console.log(`${colors.red}✗ ${result.label}${colors.reset}`);
+      console.log(result.diff.split('\n').map(line => `    ${line}`).join('\n'));
+    }
+  });
+
+  const failed = results.filter(result => !result.passed).length;
+  console.log(`\n${colors.bright}${results.length - failed} matched, ${failed} differed${colors.reset}`);
+  return failed > 0 ? 1 : 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(`${colors.red}Replay failed: ${error.message}${colors.reset}`);
+    process.exit(1);
+  });
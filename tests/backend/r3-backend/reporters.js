@@ -0,0 +1,273 @@
+// Machine-readable reporters for TestRunner
+// Each reporter collects the result tree of every top-level suite passed to
+// TestRunner.run() via `options.reporters`, then renders it in one format.
+//
+// Reporter interface (all methods optional):
+//   onTestResult(test)          - called as each test finishes
+//   onSuiteEnd(report, results) - called when a top-level suite finishes
+//   render()                    - returns the formatted output as a string
+//   write()                     - writes render() to the reporter's outputPath
+
+import fs from 'fs';
+import path from 'path';
+
+const DEFAULT_OUTPUT_DIR = 'test-results';
+
+// Base reporter: collects top-level suite reports
+export class Reporter {
+  constructor(options = {}) {
+    this.name = options.name || 'r3-backend';
+    this.outputPath = options.outputPath || null;
+    // Extra top-level fields for formats that can carry them (JSON)
+    this.metadata = options.metadata || {};
+    this.suites = [];
+  }
+
+  onSuiteEnd(report) {
+    this.suites.push(report);
+  }
+
+  render() {
+    throw new Error(`${this.constructor.name} must implement render()`);
+  }
+
+  write() {
+    const content = this.render();
+
+    if (!this.outputPath) {
+      process.stdout.write(content);
+      return null;
+    }
+
+    fs.mkdirSync(path.dirname(this.outputPath), { recursive: true });
+    fs.writeFileSync(this.outputPath, content);
+    return this.outputPath;
+  }
+
+  stats() {
+    const stats = { suites: 0, tests: 0, passed: 0, failed: 0, skipped: 0, todo: 0, flaky: 0, duration: 0 };
+
+    const visit = (report) => {
+      stats.suites++;
+      report.tests.forEach(test => {
+        stats.tests++;
+        stats[test.status]++;
+        if (test.status === 'passed' && test.attempts > 1) {
+          stats.flaky++;
+        }
+      });
+      stats.tests += report.hookErrors.length;
+      stats.failed += report.hookErrors.length;
+      report.suites.forEach(visit);
+    };
+
+    this.suites.forEach(report => {
+      visit(report);
+      stats.duration += report.duration;
+    });
+
+    return stats;
+  }
+}
+
+// JSON: the full result tree plus totals
+export class JsonReporter extends Reporter {
+  render() {
+    return `${JSON.stringify({
+      name: this.name,
+      timestamp: new Date().toISOString(),
+      ...this.metadata,
+      stats: this.stats(),
+      suites: this.suites
+    }, null, 2)}\n`;
+  }
+}
+
+// JUnit XML: one <testsuite> per describe block, named by its full path,
+// since most CI parsers don't understand nested <testsuite> elements
+export class JUnitReporter extends Reporter {
+  render() {
+    const stats = this.stats();
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="${xmlEscape(this.name)}" tests="${stats.tests}" failures="${stats.failed}" ` +
+        `skipped="${stats.skipped + stats.todo}" time="${seconds(stats.duration)}">`
+    ];
+
+    const visit = (report) => {
+      const className = report.titles.join('.');
+      const failures = report.tests.filter(test => test.status === 'failed').length + report.hookErrors.length;
+      const skipped = report.tests.filter(test => test.status === 'skipped' || test.status === 'todo').length;
+
+      lines.push(`  <testsuite name="${xmlEscape(report.titles.join(' > '))}" ` +
+        `tests="${report.tests.length + report.hookErrors.length}" failures="${failures}" ` +
+        `skipped="${skipped}" time="${seconds(report.duration)}">`);
+
+      report.hookErrors.forEach(({ hook, error }) => {
+        lines.push(`    <testcase classname="${xmlEscape(className)}" name="&quot;${hook}&quot; hook" time="0">`);
+        lines.push(`      ${junitFailure(error)}`);
+        lines.push('    </testcase>');
+      });
+
+      report.tests.forEach(test => {
+        const open = `    <testcase classname="${xmlEscape(className)}" name="${xmlEscape(test.title)}" ` +
+          `time="${seconds(test.duration)}"`;
+
+        const warnings = test.warnings || [];
+        if (test.status === 'passed' && test.attempts <= 1 && warnings.length === 0) {
+          lines.push(`${open}/>`);
+          return;
+        }
+
+        lines.push(`${open}>`);
+        if (test.status === 'failed') {
+          lines.push(`      ${junitFailure(test.error)}`);
+        } else if (test.status === 'skipped' || test.status === 'todo') {
+          lines.push(`      <skipped message="${test.status}"/>`);
+        } else if (test.attempts > 1) {
+          lines.push(`      <system-out>flaky: passed on attempt ${test.attempts}</system-out>`);
+        }
+        if (warnings.length > 0) {
+          lines.push(`      <system-err>${warnings.map(warning => xmlEscape(`warning: ${warning}`)).join('\n')}</system-err>`);
+        }
+        lines.push('    </testcase>');
+      });
+
+      lines.push('  </testsuite>');
+      report.suites.forEach(visit);
+    };
+
+    this.suites.forEach(visit);
+    lines.push('</testsuites>');
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+// TAP 13: one test point per test, suites as comments, failure details as
+// YAML diagnostics
+export class TapReporter extends Reporter {
+  render() {
+    const points = [];
+
+    const visit = (report) => {
+      points.push(`# ${report.titles.join(' > ')}`);
+
+      report.hookErrors.forEach(({ hook, error }) => {
+        points.push({ ok: false, title: `${report.titles.join(' > ')} "${hook}" hook`, error, duration: 0 });
+      });
+      report.tests.forEach(test => {
+        points.push({
+          ok: test.status !== 'failed',
+          title: test.titles.join(' > '),
+          directive: test.status === 'skipped' ? ' # SKIP' : test.status === 'todo' ? ' # TODO' : '',
+          error: test.error,
+          duration: test.duration,
+          attempts: test.attempts
+        });
+      });
+
+      report.suites.forEach(visit);
+    };
+
+    this.suites.forEach(visit);
+
+    const total = points.filter(point => typeof point !== 'string').length;
+    const lines = ['TAP version 13', `1..${total}`];
+    let number = 0;
+
+    points.forEach(point => {
+      if (typeof point === 'string') {
+        lines.push(point);
+        return;
+      }
+
+      number++;
+      lines.push(`${point.ok ? 'ok' : 'not ok'} ${number} - ${tapEscape(point.title)}${point.directive || ''}`);
+
+      if (!point.ok || point.attempts > 1) {
+        lines.push('  ---');
+        lines.push(`  duration_ms: ${point.duration.toFixed(0)}`);
+        if (point.attempts > 1) {
+          lines.push(`  attempts: ${point.attempts}`);
+        }
+        if (point.error) {
+          lines.push(`  message: ${JSON.stringify(stripAnsi(point.error.message))}`);
+          if (point.error.stack) {
+            lines.push('  stack: |-');
+            stripAnsi(point.error.stack).split('\n').forEach(line => lines.push(`    ${line}`));
+          }
+        }
+        lines.push('  ...');
+      }
+    });
+
+    const stats = this.stats();
+    lines.push(`# tests ${total}`);
+    lines.push(`# pass ${stats.passed}`);
+    lines.push(`# fail ${stats.failed}`);
+    lines.push(`# skip ${stats.skipped + stats.todo}`);
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+const reporterTypes = {
+  json: { Reporter: JsonReporter, extension: 'json' },
+  junit: { Reporter: JUnitReporter, extension: 'xml' },
+  tap: { Reporter: TapReporter, extension: 'tap' }
+};
+
+// Builds reporters from CLI specs such as "junit", "tap:-" (stdout) or
+// "json:test-results/backend.json". Comma-separated lists are accepted.
+export function createReporters(specs = [], options = {}) {
+  const name = options.name || 'r3-backend';
+
+  return [].concat(specs)
+    .flatMap(spec => spec.split(','))
+    .map(spec => spec.trim())
+    .filter(Boolean)
+    .map(spec => {
+      const [type, ...rest] = spec.split(':');
+      const target = rest.join(':');
+      const entry = reporterTypes[type];
+      if (!entry) {
+        throw new Error(`Unknown reporter "${type}" (expected one of: ${Object.keys(reporterTypes).join(', ')})`);
+      }
+
+      const outputPath = target === '-'
+        ? null
+        : target || path.join(options.outputDir || DEFAULT_OUTPUT_DIR, `${name}.${entry.extension}`);
+      return new entry.Reporter({ name, outputPath });
+    });
+}
+
+// Helpers
+// ANSI color codes, and the control characters XML 1.0 does not allow
+const ANSI_CODES = /\u001b\[[0-9;]*m/g;
+const XML_INVALID_CHARACTERS = /[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g;
+
+function seconds(ms) {
+  return (ms / 1000).toFixed(3);
+}
+
+function stripAnsi(text) {
+  return String(text).replace(ANSI_CODES, '');
+}
+
+function xmlEscape(text) {
+  return stripAnsi(text)
+    .replace(XML_INVALID_CHARACTERS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function junitFailure(error) {
+  return `<failure message="${xmlEscape(error.message)}" type="${xmlEscape(error.name)}">` +
+    `${xmlEscape(error.stack || error.message)}</failure>`;
+}
+
+function tapEscape(text) {
+  return stripAnsi(text).replace(/#/g, '\\#').replace(/\n/g, ' ');
+}
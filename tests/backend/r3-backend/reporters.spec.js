@@ -0,0 +1,138 @@
+// Tests for the JUnit, TAP and JSON reporters
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, expect } from './testFramework.js';
+import { silent } from './fixtures/output.js';
+import { createReporters, JsonReporter, JUnitReporter, TapReporter } from './reporters.js';
+
+// A run with a pass, a colored multi-line failure, a skip, a todo, a flaky
+// pass and a failing afterAll hook in a nested suite
+async function runSample(reporters) {
+  let attempts = 0;
+  const suite = describe('Payments', function () {
+    this.it('creates an intent', () => {});
+    this.it('rejects <script> & "quotes"', () => {
+      throw new Error('\x1b[31mexpected\x1b[0m 200\n\x00got 500');
+    });
+    this.it.skip('refunds', () => {});
+    this.it.todo('disputes');
+    this.describe('ACH', function () {
+      this.after(() => {
+        throw new Error('cleanup failed');
+      });
+      this.it('settles # eventually', () => {
+        if (++attempts < 2) {
+          throw new Error('not yet');
+        }
+      }, { retries: 1 });
+    });
+  });
+
+  return suite.run(0, { output: silent, reporters });
+}
+
+export const reporterTests = describe('Reporters', function () {
+  this.it('should collect every test as it finishes and each top-level suite at the end', async () => {
+    const events = [];
+    await runSample([{
+      onTestResult: (test) => events.push(`${test.status} ${test.title}`),
+      onSuiteEnd: (report, results) => events.push(`suite ${report.name} ${results.failed} failed`)
+    }]);
+
+    expect.toEqual(events, [
+      'passed creates an intent',
+      'failed rejects <script> & "quotes"',
+      'skipped refunds',
+      'todo disputes',
+      'passed settles # eventually',
+      'suite Payments 1 failed'
+    ]);
+  });
+
+  this.it('should render the result tree, totals and metadata as JSON', async () => {
+    const reporter = new JsonReporter({ name: 'backend', metadata: { commit: 'abc123' } });
+    await runSample([reporter]);
+
+    const report = JSON.parse(reporter.render());
+
+    expect.toMatchObject(report, {
+      name: 'backend',
+      commit: 'abc123',
+      stats: { suites: 2, tests: 6, passed: 2, failed: 2, skipped: 1, todo: 1, flaky: 1 },
+      suites: [{
+        titles: ['Payments'],
+        suites: [{ titles: ['Payments', 'ACH'], hookErrors: [{ hook: 'afterAll', error: { message: 'cleanup failed' } }] }]
+      }]
+    });
+    expect.toMatchObject(report.suites[0].tests[1], {
+      titles: ['Payments', 'rejects <script> & "quotes"'],
+      status: 'failed',
+      error: { name: 'Error', message: expect.stringContaining('expected'), stack: expect.any(String) }
+    });
+  });
+
+  this.it('should render one JUnit testsuite per describe block, escaped and without color codes', async () => {
+    const reporter = new JUnitReporter({ name: 'backend' });
+    await runSample([reporter]);
+
+    const xml = reporter.render();
+
+    expect.toContain(xml, '<testsuites name="backend" tests="6" failures="2" skipped="2"');
+    expect.toContain(xml, '<testsuite name="Payments" tests="4" failures="1" skipped="2"');
+    expect.toContain(xml, '<testsuite name="Payments &gt; ACH" tests="2" failures="1" skipped="0"');
+    expect.toContain(xml, 'name="rejects &lt;script&gt; &amp; &quot;quotes&quot;"');
+    expect.toContain(xml, '<failure message="expected 200\ngot 500" type="Error">');
+    expect.toContain(xml, '<testcase classname="Payments.ACH" name="&quot;afterAll&quot; hook" time="0">');
+    expect.toContain(xml, '<system-out>flaky: passed on attempt 2</system-out>');
+    expect.toContain(xml, '<skipped message="todo"/>');
+    expect.toBeFalsy(xml.includes('\u0000') || xml.includes('\u001b'), 'Expected no control characters in the XML');
+  });
+
+  this.it('should render TAP 13 with directives and YAML diagnostics', async () => {
+    const reporter = new TapReporter();
+    await runSample([reporter]);
+
+    const lines = reporter.render().split('\n');
+
+    expect.toEqual(lines.slice(0, 3), ['TAP version 13', '1..6', '# Payments']);
+    expect.toContain(lines, 'ok 1 - Payments > creates an intent');
+    expect.toContain(lines, 'not ok 2 - Payments > rejects <script> & "quotes"');
+    expect.toContain(lines, '  message: "expected 200\\n\\u0000got 500"');
+    expect.toContain(lines, 'ok 3 - Payments > refunds # SKIP');
+    expect.toContain(lines, 'ok 4 - Payments > disputes # TODO');
+    expect.toContain(lines, 'not ok 5 - Payments > ACH "afterAll" hook');
+    expect.toContain(lines, 'ok 6 - Payments > ACH > settles \\# eventually');
+    expect.toContain(lines, '  attempts: 2');
+    expect.toEqual(lines.slice(-5), ['# tests 6', '# pass 2', '# fail 2', '# skip 2', '']);
+  });
+
+  this.describe('createReporters', function () {
+    this.it('should build reporters from CLI specs', () => {
+      const reporters = createReporters(['junit,tap:-', 'json:out/backend.json'], { name: 'backend' });
+
+      expect.toEqual(reporters.map(reporter => [reporter.constructor.name, reporter.outputPath]), [
+        ['JUnitReporter', path.join('test-results', 'backend.xml')],
+        ['TapReporter', null],
+        ['JsonReporter', 'out/backend.json']
+      ]);
+    });
+
+    this.it('should reject unknown reporters', () => {
+      expect.toThrow(() => createReporters(['html']), /Unknown reporter "html"/);
+    });
+
+    this.it('should write the report to its output path', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'r3-reporters-'));
+      const [reporter] = createReporters([`json:${path.join(dir, 'nested', 'backend.json')}`]);
+      await runSample([reporter]);
+
+      try {
+        const file = reporter.write();
+        expect.toEqual(JSON.parse(fs.readFileSync(file, 'utf8')).stats.tests, 6);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});
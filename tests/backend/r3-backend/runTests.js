@@ -1,8 +1,12 @@
 // Main test runner - executes all test suites
+import fs from 'fs';
+import path from 'path';
 import { performance } from 'perf_hooks';
-import { circuitBreakerTests } from './circuitBreaker.test.js';
-import { sessionTests } from './session.test.js';
-import { integrationTests } from './integration.test.js';
+import { fileURLToPath } from 'url';
+import { runGrouped } from './testFramework.js';
+import { createReporters } from './reporters.js';
+import { discoverTestSuites, DEFAULT_INCLUDE, DEFAULT_EXCLUDE } from './discovery.js';
+import { SnapshotManager, findObsoleteSnapshotFiles } from './snapshots.js';
 
 // ANSI color codes
 const colors = {
@@ -15,50 +19,158 @@ const colors = {
   cyan: '\x1b[36m'
 };
 
+// Command-line options
+const args = process.argv.slice(2);
+const getOptions = (name) => args
+  .filter(a => a.startsWith(`--${name}=`))
+  .map(a => a.slice(name.length + 3));
+const getOption = (name) => getOptions(name)[0];
+
+const root = fileURLToPath(new URL('.', import.meta.url));
+
 // Test configuration
-const testSuites = [
-  { name: 'Circuit Breaker Tests', suite: circuitBreakerTests },
-  { name: 'Session Management Tests', suite: sessionTests },
-  { name: 'Integration Tests', suite: integrationTests }
-];
+// Suites are discovered from files under this directory that import
+// testFramework.js; --include=<glob> and --exclude=<glob> (repeatable) replace
+// the defaults. Files that fail to load are reported as failed suites.
+const testSuites = await discoverTestSuites({
+  root,
+  include: getOptions('include').length > 0 ? getOptions('include') : DEFAULT_INCLUDE,
+  exclude: getOptions('exclude').length > 0 ? getOptions('exclude') : DEFAULT_EXCLUDE
+});
+
+// Suites run as concurrent tasks when --concurrency=N or PARALLEL_TESTS is
+// set: the discovered top-level suites at most N at a time, and sibling suites
+// within each the same way. Output stays grouped per suite, in order.
+// --grep=<pattern> (TEST_GREP) matches full test titles; --tag=stripe,!slow
+// (TEST_TAGS) selects tagged tests, "!" excluding. An .only anywhere focuses
+// the whole run. --timeout=<ms> (TEST_TIMEOUT) and --retries=<n> (TEST_RETRIES)
+// set the defaults for tests and suites that don't set their own.
+const runOptions = {
+  concurrency: Number(getOption('concurrency') || process.env.PARALLEL_TESTS) || 1,
+  timeout: parseInt(getOption('timeout') || process.env.TEST_TIMEOUT, 10) || undefined,
+  retries: parseInt(getOption('retries') || process.env.TEST_RETRIES, 10) || 0,
+  filters: {
+    grep: getOption('grep') || process.env.TEST_GREP,
+    tags: [...getOptions('tag'), process.env.TEST_TAGS || '']
+      .flatMap(tags => tags.split(','))
+      .map(tag => tag.trim())
+      .filter(Boolean),
+    focused: testSuites.some(({ suite }) => suite.hasOnly())
+  }
+};
+
+// Snapshots: --update-snapshots (-u, UPDATE_SNAPSHOTS=1) rewrites mismatching
+// snapshots and removes obsolete ones; --ci (or CI) never writes, so a
+// missing snapshot fails instead of being recorded
+const updateSnapshots = args.includes('--update-snapshots') || args.includes('-u') || Boolean(process.env.UPDATE_SNAPSHOTS);
+function createSnapshotManager(ci) {
+  return new SnapshotManager({ update: updateSnapshots ? 'all' : ci ? 'none' : 'new' });
+}
+
+// Saves snapshot changes and reports obsolete snapshots and snapshot files.
+// Returns the number of obsolete snapshots left in place.
+function saveSnapshots(snapshots) {
+  const summary = snapshots.save();
+  const obsoleteFiles = findObsoleteSnapshotFiles(root);
+  const fullRun = !runOptions.filters.grep && runOptions.filters.tags.length === 0 && !runOptions.filters.focused;
+
+  if (updateSnapshots && fullRun) {
+    obsoleteFiles.forEach(file => fs.unlinkSync(file));
+  }
+
+  const counts = [
+    summary.matched && `${summary.matched} passed`,
+    summary.added && `${summary.added} written`,
+    summary.updated && `${summary.updated} updated`,
+    summary.failed && `${colors.red}${summary.failed} failed${colors.reset}`,
+    summary.removed && `${summary.removed} removed`,
+    summary.obsolete.length && `${colors.yellow}${summary.obsolete.length} obsolete${colors.reset}`
+  ].filter(Boolean);
+  if (counts.length > 0) {
+    console.log(`Snapshots: ${counts.join(', ')}`);
+  }
+
+  summary.obsolete.forEach(({ file, key }) => {
+    console.log(`${colors.yellow}  obsolete: ${key} (${path.relative(root, file)})${colors.reset}`);
+  });
+  if (!(updateSnapshots && fullRun)) {
+    obsoleteFiles.forEach(file => {
+      console.log(`${colors.yellow}  obsolete snapshot file: ${path.relative(root, file)}${colors.reset}`);
+    });
+  }
+
+  const obsolete = summary.obsolete.length + (updateSnapshots && fullRun ? 0 : obsoleteFiles.length);
+  if (obsolete > 0) {
+    console.log(`${colors.yellow}Run with --update-snapshots to remove obsolete snapshots${colors.reset}`);
+  }
+  return obsolete;
+}
+
+// Runs `task(entry, output)` for every discovered suite, --concurrency at a
+// time, in discovery order when it is 1. Reporters get each suite's results
+// in discovery order too, whichever finished first.
+async function runSuites(task, reporters) {
+  const results = await runGrouped(testSuites, runOptions.concurrency, task);
+  results.forEach(result => reporters.forEach(reporter => reporter.onSuiteEnd?.(result.report, result)));
+  return results;
+}
+
+// --reporter=junit|tap|json[:path] writes machine-readable results next to the
+// console output (default path test-results/r3-backend.<ext>, "-" for stdout)
+function writeReports(reporters) {
+  reporters.forEach(reporter => {
+    const outputPath = reporter.write();
+    if (outputPath) {
+      console.log(`Report written: ${outputPath}`);
+    }
+  });
+}
 
 // Run all tests
 async function runAllTests() {
   console.log(`${colors.bright}${colors.blue}R3 Payment Backend - Test Suite${colors.reset}\n`);
 
   const startTime = performance.now();
+  const reporters = createReporters(getOptions('reporter'));
+  const snapshots = createSnapshotManager(Boolean(process.env.CI));
   const results = {
     total: 0,
     passed: 0,
     failed: 0,
+    skipped: 0,
+    flaky: 0,
     suites: []
   };
 
   // Run each test suite
-  for (const { name, suite } of testSuites) {
-    console.log(`${colors.bright}${colors.cyan}Running ${name}...${colors.reset}`);
+  const suiteResults = await runSuites(async ({ name, suite }, output) => {
+    output.log(`${colors.bright}${colors.cyan}Running ${name}...${colors.reset}`);
 
     const suiteStart = performance.now();
-    const suiteResults = await suite.run();
+    const suiteResult = await suite.run(0, { ...runOptions, snapshots, output });
     const suiteDuration = performance.now() - suiteStart;
 
-    results.total += suiteResults.passed + suiteResults.failed;
-    results.passed += suiteResults.passed;
-    results.failed += suiteResults.failed;
-
-    results.suites.push({
-      name,
-      ...suiteResults,
-      duration: suiteDuration
-    });
-
     // Suite summary
-    if (suiteResults.failed === 0) {
-      console.log(`${colors.green}✓ ${name}: All tests passed (${suiteDuration.toFixed(0)}ms)${colors.reset}\n`);
+    if (suiteResult.failed === 0) {
+      output.log(`${colors.green}✓ ${name}: All tests passed (${suiteDuration.toFixed(0)}ms)${colors.reset}\n`);
     } else {
-      console.log(`${colors.red}✗ ${name}: ${suiteResults.failed} tests failed (${suiteDuration.toFixed(0)}ms)${colors.reset}\n`);
+      output.log(`${colors.red}✗ ${name}: ${suiteResult.failed} tests failed (${suiteDuration.toFixed(0)}ms)${colors.reset}\n`);
     }
-  }
+    return { ...suiteResult, duration: suiteDuration };
+  }, reporters);
+
+  suiteResults.forEach((suiteResult, i) => {
+    results.total += suiteResult.passed + suiteResult.failed;
+    results.passed += suiteResult.passed;
+    results.failed += suiteResult.failed;
+    results.skipped += suiteResult.skipped;
+    results.flaky += suiteResult.flaky;
+
+    results.suites.push({
+      name: testSuites[i].name,
+      ...suiteResult
+    });
+  });
 
   const totalDuration = performance.now() - startTime;
 
@@ -68,7 +180,7 @@ async function runAllTests() {
 
   results.suites.forEach(suite => {
     const status = suite.failed === 0 ? `${colors.green}PASS` : `${colors.red}FAIL`;
-    console.log(`${suite.name}: ${status}${colors.reset} (${suite.passed}/${suite.passed + suite.failed} tests)`);
+    console.log(`${suite.name}: ${status}${colors.reset} (${suite.passed}/${suite.passed + suite.failed} tests${suite.skipped ? `, ${suite.skipped} skipped` : ''})`);
   });
 
   console.log('='.repeat(50));
@@ -82,14 +194,20 @@ async function runAllTests() {
   console.log(`\nTotal: ${results.total} tests`);
   console.log(`Passed: ${colors.green}${results.passed}${colors.reset}`);
   console.log(`Failed: ${colors.red}${results.failed}${colors.reset}`);
+  console.log(`Skipped: ${colors.yellow}${results.skipped}${colors.reset}`);
+  if (results.flaky > 0) {
+    console.log(`Flaky: ${colors.yellow}${results.flaky}${colors.reset} (passed after retry)`);
+  }
   console.log(`Time: ${(totalDuration / 1000).toFixed(2)}s`);
+  saveSnapshots(snapshots);
+  writeReports(reporters);
 
   // Generate coverage report (simplified)
   if (process.env.COVERAGE) {
     console.log(`\n${colors.bright}Code Coverage${colors.reset}`);
     console.log('='.repeat(50));
     console.log('Note: For full coverage, use c8 or nyc');
-    console.log(`Files tested: ${testSuites.length}`);
+    console.log(`Files tested: ${new Set(testSuites.map(({ file }) => file)).size}`);
     console.log(`Test cases: ${results.total}`);
   }
 
@@ -119,31 +237,50 @@ async function runWatchMode() {
 // CI mode - output in standard format
 async function runCIMode() {
   const startTime = performance.now();
+  const reporters = createReporters(getOptions('reporter'));
+  const snapshots = createSnapshotManager(true);
   let exitCode = 0;
 
-  for (const { name, suite } of testSuites) {
-    console.log(`##[group]${name}`);
-    const results = await suite.run();
-    console.log('##[endgroup]');
+  await runSuites(async ({ name, suite }, output) => {
+    output.log(`##[group]${name}`);
+    const results = await suite.run(0, { ...runOptions, snapshots, output });
+    output.log('##[endgroup]');
 
     if (results.failed > 0) {
       exitCode = 1;
-      console.log(`::error::${name} failed with ${results.failed} errors`);
+      output.log(`::error::${name} failed with ${results.failed} errors`);
     }
+    if (results.flaky > 0) {
+      output.log(`::warning::${name} has ${results.flaky} flaky tests that passed after retry`);
+    }
+    return results;
+  }, reporters);
+
+  const obsoleteSnapshots = saveSnapshots(snapshots);
+  if (obsoleteSnapshots > 0) {
+    exitCode = 1;
+    console.log(`::error::${obsoleteSnapshots} obsolete snapshots`);
   }
 
   const duration = performance.now() - startTime;
   console.log(`::notice::Tests completed in ${(duration / 1000).toFixed(2)}s`);
+  writeReports(reporters);
 
   return exitCode;
 }
 
 // Main execution
-const mode = process.argv[2];
+const mode = args.find(arg => ['--watch', '-w', '--ci'].includes(arg) || !arg.startsWith('-'));
 
 async function main() {
   let exitCode = 0;
 
+  // An empty run is a broken include pattern or layout, not a pass
+  if (testSuites.length === 0) {
+    console.error(`${colors.red}No test suites found under ${root}${colors.reset}`);
+    process.exit(1);
+  }
+
   try {
     switch (mode) {
       case '--watch':
@@ -0,0 +1,104 @@
+// Shopify Admin stand-in tests: validation errors, draft order completion and
+// access token checks, through the API and through the MSW handlers
+const fetch = require('node-fetch');
+const { server } = require('@mocks/server');
+const { shopify, ShopifyError } = require('@mocks/shopify-admin');
+
+const ADMIN_API = 'https://test-store.myshopify.com/admin/api/2024-01';
+
+function adminRequest(method, path, body, { token = 'shpat_test_token' } = {}) {
+  return fetch(`${ADMIN_API}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { 'X-Shopify-Access-Token': token } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+}
+
+const customItem = { title: 'Stripe payment', price: '25.00', quantity: 1 };
+
+describe('Shopify Admin stand-in', () => {
+  beforeAll(() => server.listen());
+  afterEach(() => server.resetHandlers());
+  afterAll(() => server.close());
+
+  describe('Validation', () => {
+    it('should reject orders without line items', () => {
+      expect(() => shopify.createOrder({ email: 'test@example.com' }))
+        .toThrow(expect.objectContaining({ statusCode: 422, errors: { line_items: ['can\'t be blank'] } }));
+    });
+
+    it('should reject over-long tags and duplicated note attributes', () => {
+      let error;
+      try {
+        shopify.createDraftOrder({
+          line_items: [customItem],
+          tags: `stripe, ${'x'.repeat(41)}`,
+          note_attributes: [
+            { name: 'payment_intent', value: 'pi_test_1' },
+            { name: 'payment_intent', value: 'pi_test_2' }
+          ]
+        });
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error).toBeInstanceOf(ShopifyError);
+      expect(error.errors.tags[0]).toContain('too long');
+      expect(error.errors.note_attributes).toEqual(['"payment_intent" is duplicated']);
+      expect(shopify.draftOrders).toHaveLength(0);
+    });
+  });
+
+  describe('Draft orders', () => {
+    it('should complete a draft into a pending order once', () => {
+      const draft = shopify.createDraftOrder({
+        line_items: [customItem],
+        tags: 'stripe, pi_test_ach, ACH_PAYMENT'
+      });
+
+      const completed = shopify.completeDraftOrder(draft.id, { paymentPending: true });
+      expect(completed.status).toBe('completed');
+      expect(shopify.retrieveOrder(completed.order_id)).toMatchObject({
+        financial_status: 'pending',
+        source_name: 'shopify_draft_order',
+        total_price: '25.00'
+      });
+      expect(shopify.ordersFor('pi_test_ach')).toHaveLength(1);
+
+      expect(() => shopify.completeDraftOrder(draft.id))
+        .toThrow(expect.objectContaining({ statusCode: 422 }));
+    });
+  });
+
+  describe('HTTP endpoints', () => {
+    it('should create and list orders for the requested shop', async () => {
+      const response = await adminRequest('POST', '/orders.json', {
+        order: { line_items: [customItem], note_attributes: [{ name: 'payment_intent', value: 'pi_test_http' }] }
+      });
+      expect(response.status).toBe(201);
+      const { order } = await response.json();
+      expect(order.name).toBe('#1001');
+
+      const { orders } = await (await adminRequest('GET', '/orders.json')).json();
+      expect(orders.map(item => item.id)).toEqual([order.id]);
+      expect(shopify.listOrders({ shop: 'other-store.myshopify.com' })).toHaveLength(0);
+      expect(shopify.ordersFor('pi_test_http')).toHaveLength(1);
+    });
+
+    it('should answer with Shopify-shaped errors', async () => {
+      const unauthorized = await adminRequest('GET', '/orders.json', null, { token: null });
+      expect(unauthorized.status).toBe(401);
+      expect((await unauthorized.json()).errors).toContain('Invalid API key');
+
+      const invalid = await adminRequest('POST', '/draft_orders.json', { draft_order: { line_items: [] } });
+      expect(invalid.status).toBe(422);
+      expect((await invalid.json()).errors).toEqual({ line_items: ['can\'t be blank'] });
+
+      const missing = await adminRequest('GET', '/orders/1.json');
+      expect(missing.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,317 @@
+// Snapshot testing for the custom backend runner
+// expect.toMatchSnapshot(value) serializes the value and compares it with the
+// copy stored in __snapshots__/<test file>.snapshot next to the test file.
+// Snapshots are keyed like Jest's: "<suite titles> <test title> <n>", with an
+// optional hint ("<suite titles> <test title>: <hint> <n>").
+//
+// Update modes (SnapshotManager `update` option):
+//   'new'  - write snapshots that don't exist yet, fail on mismatches (default)
+//   'all'  - rewrite mismatching snapshots and remove obsolete ones (--update-snapshots)
+//   'none' - write nothing; missing snapshots fail (CI)
+//
+// The extension is deliberately not `.snap`, so Jest doesn't treat these files
+// as its own obsolete snapshot files.
+
+import fs from 'fs';
+import path from 'path';
+import { isAsymmetric } from '../../shared/helpers/matchers.js';
+
+export const SNAPSHOT_DIR = '__snapshots__';
+export const SNAPSHOT_EXTENSION = '.snapshot';
+const HEADER = '// R3 backend snapshot file, written by testFramework.js. Review changes like code.';
+
+// Serializer
+// Stable, diff-friendly text: object keys sorted, one value per line, strings
+// at the top level stored raw (so markup and messages stay readable)
+export function serialize(value) {
+  return typeof value === 'string' ? value : serializeValue(value, '', new Set());
+}
+
+function serializeValue(value, indent, seen) {
+  if (isAsymmetric(value)) {return value.toString();}
+  if (value === undefined) {return 'undefined';}
+  if (value === null || typeof value === 'number' || typeof value === 'boolean') {return String(value);}
+  if (typeof value === 'bigint') {return `${value}n`;}
+  if (typeof value === 'string') {return JSON.stringify(value);}
+  if (typeof value === 'symbol') {return value.toString();}
+  if (typeof value === 'function') {return `[Function ${value.name || 'anonymous'}]`;}
+  if (Object.prototype.toString.call(value) === '[object Date]') {return `Date(${value.toISOString()})`;}
+  if (value instanceof RegExp) {return String(value);}
+  if (value instanceof Error) {return `[${value.name}: ${value.message}]`;}
+  if (seen.has(value)) {return '[Circular]';}
+
+  seen.add(value);
+  const inner = `${indent}  `;
+  let result;
+
+  if (Array.isArray(value)) {
+    result = value.length === 0
+      ? '[]'
+      : `[\n${value.map(item => `${inner}${serializeValue(item, inner, seen)},`).join('\n')}\n${indent}]`;
+  } else if (value instanceof Map) {
+    const entries = [...value.entries()]
+      .map(([key, item]) => `${inner}${serializeValue(key, inner, seen)} => ${serializeValue(item, inner, seen)},`);
+    result = entries.length === 0 ? 'Map {}' : `Map {\n${entries.join('\n')}\n${indent}}`;
+  } else if (value instanceof Set) {
+    const items = [...value].map(item => `${inner}${serializeValue(item, inner, seen)},`);
+    result = items.length === 0 ? 'Set {}' : `Set {\n${items.join('\n')}\n${indent}}`;
+  } else {
+    const proto = Object.getPrototypeOf(value);
+    const name = proto && proto !== Object.prototype && proto.constructor ? `${proto.constructor.name} ` : '';
+    const keys = Object.keys(value).sort();
+    result = keys.length === 0
+      ? `${name}{}`
+      : `${name}{\n${keys.map(key => `${inner}${JSON.stringify(key)}: ${serializeValue(value[key], inner, seen)},`).join('\n')}\n${indent}}`;
+  }
+
+  seen.delete(value);
+  return result;
+}
+
+// Replaces the values matched by property matchers with the matchers
+// themselves, so the snapshot stores `Any<String>` instead of a generated id
+export function mergeMatchers(value, matchers) {
+  if (isAsymmetric(matchers)) {
+    return matchers;
+  }
+  if (Array.isArray(value) && Array.isArray(matchers)) {
+    return value.map((item, i) => (i < matchers.length ? mergeMatchers(item, matchers[i]) : item));
+  }
+  if (value && matchers && typeof value === 'object' && typeof matchers === 'object' && !Array.isArray(value)) {
+    const merged = { ...value };
+    Object.keys(matchers).forEach(key => {
+      merged[key] = mergeMatchers(value[key], matchers[key]);
+    });
+    return merged;
+  }
+  return value;
+}
+
+// Line diff (longest common subsequence) of a stored and a received snapshot
+export function diffSnapshots(expected, received, labels = ['Snapshot', 'Received']) {
+  const a = expected.split('\n');
+  const b = received.split('\n');
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [`- ${labels[0]}`, `+ ${labels[1]}`, ''];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push(`  ${a[i]}`);
+      i++;
+      j++;
+    } else if (j < b.length && (i === a.length || lengths[i][j + 1] > lengths[i + 1][j])) {
+      lines.push(`+ ${b[j++]}`);
+    } else {
+      lines.push(`- ${a[i++]}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+// Snapshot file format: Jest-style `exports[`key`] = `value`;` entries
+function escape(text) {
+  return text.replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${');
+}
+
+function unescape(text) {
+  return text.replace(/\\([\\`$])/g, '$1');
+}
+
+function parseSnapshotFile(content) {
+  const entries = new Map();
+  const pattern = /^exports\[`((?:[^`\\]|\\.)*)`\] = `\n?((?:[^`\\]|\\.)*?)\n?`;$/gms;
+  let match;
+  while ((match = pattern.exec(content))) {
+    entries.set(unescape(match[1]), unescape(match[2]));
+  }
+  return entries;
+}
+
+function formatSnapshotFile(entries) {
+  const keys = [...entries.keys()].sort(naturalCompare);
+  const body = keys.map(key => `exports[\`${escape(key)}\`] = \`\n${escape(entries.get(key))}\n\`;`);
+  return `${HEADER}\n\n${body.join('\n\n')}\n`;
+}
+
+function naturalCompare(a, b) {
+  return a.localeCompare(b, 'en', { numeric: true });
+}
+
+// Snapshots of one test file
+export class SnapshotFile {
+  constructor(filePath, update) {
+    this.path = filePath;
+    this.update = update;
+    this.entries = fs.existsSync(filePath) ? parseSnapshotFile(fs.readFileSync(filePath, 'utf8')) : new Map();
+    this.checked = new Set();
+    this.dirty = false;
+    this.stats = { matched: 0, added: 0, updated: 0, failed: 0 };
+  }
+
+  // Compares `received` (already serialized) with the stored snapshot.
+  // Returns { pass, message }.
+  match(key, received) {
+    this.checked.add(key);
+
+    if (!this.entries.has(key)) {
+      if (this.update === 'none') {
+        this.stats.failed++;
+        return {
+          pass: false,
+          message: `New snapshot was not written: \`${key}\`\n` +
+            'Snapshots are read-only in CI. Run the suite locally, or pass --update-snapshots, and commit the result.'
+        };
+      }
+      this.entries.set(key, received);
+      this.dirty = true;
+      this.stats.added++;
+      return { pass: true };
+    }
+
+    const expected = this.entries.get(key);
+    if (expected === received) {
+      this.stats.matched++;
+      return { pass: true };
+    }
+
+    if (this.update === 'all') {
+      this.entries.set(key, received);
+      this.dirty = true;
+      this.stats.updated++;
+      return { pass: true };
+    }
+
+    this.stats.failed++;
+    return {
+      pass: false,
+      message: `Snapshot \`${key}\` does not match. Run with --update-snapshots if the change is intended.\n\n` +
+        diffSnapshots(expected, received)
+    };
+  }
+
+  // Keeps the snapshots of a test that was skipped or failed before reaching
+  // them from being reported as obsolete
+  markTestChecked(testName) {
+    this.entries.forEach((value, key) => {
+      if (key.startsWith(testName) && /^(?::.*)? \d+$/.test(key.slice(testName.length))) {
+        this.checked.add(key);
+      }
+    });
+  }
+
+  // Same, for every test below a suite that didn't run at all
+  markSuiteChecked(suiteName) {
+    this.entries.forEach((value, key) => {
+      if (key.startsWith(`${suiteName} `)) {
+        this.checked.add(key);
+      }
+    });
+  }
+
+  obsoleteKeys() {
+    return [...this.entries.keys()].filter(key => !this.checked.has(key));
+  }
+
+  // Writes pending changes. In update mode obsolete snapshots are removed
+  // too, and the file is deleted once it holds none.
+  save() {
+    const removed = this.update === 'all' ? this.obsoleteKeys() : [];
+    removed.forEach(key => this.entries.delete(key));
+
+    if (this.entries.size === 0) {
+      if (fs.existsSync(this.path)) {
+        fs.unlinkSync(this.path);
+      }
+      return removed;
+    }
+
+    if (this.dirty || removed.length > 0) {
+      fs.mkdirSync(path.dirname(this.path), { recursive: true });
+      fs.writeFileSync(this.path, formatSnapshotFile(this.entries));
+    }
+    return removed;
+  }
+}
+
+// Snapshot files touched during a run, keyed by test file
+export class SnapshotManager {
+  constructor(options = {}) {
+    this.update = options.update || 'new';
+    this.files = new Map();
+  }
+
+  // Default mode from the environment, as Jest does: read-only on CI,
+  // UPDATE_SNAPSHOTS=1 to rewrite
+  static fromEnv(env = process.env) {
+    const update = env.UPDATE_SNAPSHOTS ? 'all' : env.CI ? 'none' : 'new';
+    return new SnapshotManager({ update });
+  }
+
+  forTestFile(testFile) {
+    if (!testFile) {
+      return null;
+    }
+
+    if (!this.files.has(testFile)) {
+      this.files.set(testFile, new SnapshotFile(snapshotPathFor(testFile), this.update));
+    }
+    return this.files.get(testFile);
+  }
+
+  // Writes every touched file and returns run totals, with `obsolete` listing
+  // snapshots no test asked for ({ file, key }) and `removed` how many of
+  // them update mode deleted
+  save() {
+    const summary = { matched: 0, added: 0, updated: 0, failed: 0, obsolete: [], removed: 0 };
+
+    this.files.forEach(file => {
+      Object.keys(file.stats).forEach(stat => {
+        summary[stat] += file.stats[stat];
+      });
+
+      const obsolete = file.obsoleteKeys();
+      const removed = file.save();
+      summary.removed += removed.length;
+      obsolete
+        .filter(key => !removed.includes(key))
+        .forEach(key => summary.obsolete.push({ file: file.path, key }));
+    });
+
+    return summary;
+  }
+}
+
+export function snapshotPathFor(testFile) {
+  return path.join(path.dirname(testFile), SNAPSHOT_DIR, `${path.basename(testFile)}${SNAPSHOT_EXTENSION}`);
+}
+
+// Snapshot files under `root` whose test file no longer exists
+export function findObsoleteSnapshotFiles(root) {
+  const obsolete = [];
+
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory() && entry.name !== 'node_modules') {
+        walk(fullPath);
+      } else if (path.basename(dir) === SNAPSHOT_DIR && entry.name.endsWith(SNAPSHOT_EXTENSION)) {
+        const testFile = path.join(path.dirname(dir), entry.name.slice(0, -SNAPSHOT_EXTENSION.length));
+        if (!fs.existsSync(testFile)) {
+          obsolete.push(fullPath);
+        }
+      }
+    }
+  };
+
+  walk(root);
+  return obsolete;
+}
@@ -0,0 +1,144 @@
+// Tests for runner snapshots: writing, update modes, CI mode and obsolete
+// snapshots, against files in a temporary directory
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, expect } from './testFramework.js';
+import { silent } from './fixtures/output.js';
+import { SnapshotManager, findObsoleteSnapshotFiles, snapshotPathFor } from './snapshots.js';
+
+const order = { id: 'gid://shopify/Order/1001', total: '50.00', tags: ['r3-staging'] };
+
+// A suite declared in `<dir>/cart.spec.js`, so its snapshots go to
+// `<dir>/__snapshots__/cart.spec.js.snapshot`
+function cartSuite(dir, tests) {
+  return describe('Cart', function () {
+    Object.entries(tests).forEach(([title, value]) => {
+      this.it(title, () => expect.toMatchSnapshot(value));
+    });
+  }, { file: path.join(dir, 'cart.spec.js') });
+}
+
+async function runCart(dir, tests, update) {
+  const snapshots = new SnapshotManager({ update });
+  const results = await cartSuite(dir, tests).run(0, { output: silent, snapshots });
+  return { results, summary: snapshots.save(), errors: results.report.tests.filter(test => test.error).map(test => test.error.message) };
+}
+
+const snapshotFile = (dir) => snapshotPathFor(path.join(dir, 'cart.spec.js'));
+
+export const snapshotTests = describe('Snapshots', function () {
+  this.beforeEachTest((ctx) => {
+    ctx.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'r3-snapshots-'));
+  });
+
+  this.afterEachTest((ctx) => {
+    fs.rmSync(ctx.dir, { recursive: true, force: true });
+  });
+
+  this.it('should write a new snapshot and match it on the next run', async (ctx) => {
+    const first = await runCart(ctx.dir, { 'creates an order': order }, 'new');
+    const second = await runCart(ctx.dir, { 'creates an order': order }, 'new');
+
+    expect.toMatchObject(first, { results: { passed: 1 }, summary: { added: 1, matched: 0 } });
+    expect.toMatchObject(second, { results: { passed: 1 }, summary: { added: 0, matched: 1, obsolete: [] } });
+    expect.toEqual(fs.readFileSync(snapshotFile(ctx.dir), 'utf8'), [
+      '// R3 backend snapshot file, written by testFramework.js. Review changes like code.',
+      '',
+      'exports[`Cart creates an order 1`] = `',
+      '{',
+      '  "id": "gid://shopify/Order/1001",',
+      '  "tags": [',
+      '    "r3-staging",',
+      '  ],',
+      '  "total": "50.00",',
+      '}',
+      '`;',
+      ''
+    ].join('\n'));
+  });
+
+  this.it('should fail a mismatch with a line diff and leave the file alone', async (ctx) => {
+    await runCart(ctx.dir, { 'creates an order': order }, 'new');
+    const before = fs.readFileSync(snapshotFile(ctx.dir), 'utf8');
+
+    const { results, summary, errors } = await runCart(ctx.dir, { 'creates an order': { ...order, total: '55.00' } }, 'new');
+
+    expect.toMatchObject(results, { passed: 0, failed: 1 });
+    expect.toBe(summary.failed, 1);
+    expect.toContain(errors[0], 'Snapshot `Cart creates an order 1` does not match');
+    expect.toContain(errors[0], '-   "total": "50.00",\n+   "total": "55.00",');
+    expect.toBe(fs.readFileSync(snapshotFile(ctx.dir), 'utf8'), before);
+  });
+
+  this.it('should rewrite mismatches and remove obsolete snapshots in update mode', async (ctx) => {
+    await runCart(ctx.dir, { 'creates an order': order, 'creates a draft order': order }, 'new');
+
+    const { results, summary } = await runCart(ctx.dir, { 'creates an order': { ...order, total: '55.00' } }, 'all');
+    const rerun = await runCart(ctx.dir, { 'creates an order': { ...order, total: '55.00' } }, 'none');
+
+    expect.toMatchObject(results, { passed: 1, failed: 0 });
+    expect.toMatchObject(summary, { updated: 1, removed: 1, obsolete: [] });
+    expect.toMatchObject(rerun.summary, { matched: 1, obsolete: [] });
+    expect.toBeFalsy(fs.readFileSync(snapshotFile(ctx.dir), 'utf8').includes('draft order'));
+  });
+
+  this.it('should fail a missing snapshot in CI mode without writing it', async (ctx) => {
+    const { results, summary, errors } = await runCart(ctx.dir, { 'creates an order': order }, 'none');
+
+    expect.toMatchObject(results, { passed: 0, failed: 1 });
+    expect.toMatchObject(summary, { added: 0, failed: 1 });
+    expect.toContain(errors[0], 'New snapshot was not written: `Cart creates an order 1`');
+    expect.toContain(errors[0], 'Snapshots are read-only in CI');
+    expect.toBeFalsy(fs.existsSync(snapshotFile(ctx.dir)));
+  });
+
+  this.it('should report obsolete snapshots without removing them, except for skipped tests', async (ctx) => {
+    await runCart(ctx.dir, { 'creates an order': order, 'creates a draft order': order, 'tags the order': order.tags }, 'new');
+
+    const snapshots = new SnapshotManager({ update: 'new' });
+    const suite = describe('Cart', function () {
+      this.it('creates an order', () => expect.toMatchSnapshot(order));
+      this.it.skip('tags the order', () => expect.toMatchSnapshot(order.tags));
+    }, { file: path.join(ctx.dir, 'cart.spec.js') });
+    await suite.run(0, { output: silent, snapshots });
+    const summary = snapshots.save();
+
+    expect.toEqual(summary.obsolete, [{ file: snapshotFile(ctx.dir), key: 'Cart creates a draft order 1' }]);
+    expect.toBe(summary.removed, 0);
+    expect.toContain(fs.readFileSync(snapshotFile(ctx.dir), 'utf8'), 'Cart creates a draft order 1');
+  });
+
+  this.it('should find snapshot files whose test file is gone', async (ctx) => {
+    await runCart(ctx.dir, { 'creates an order': order }, 'new');
+    fs.writeFileSync(path.join(ctx.dir, 'cart.spec.js'), '');
+
+    expect.toEqual(findObsoleteSnapshotFiles(ctx.dir), []);
+    fs.unlinkSync(path.join(ctx.dir, 'cart.spec.js'));
+    expect.toEqual(findObsoleteSnapshotFiles(ctx.dir), [snapshotFile(ctx.dir)]);
+  });
+
+  this.it('should store property matchers in place of generated values, and number repeated snapshots', async (ctx) => {
+    const suite = describe('Cart', function () {
+      this.it('creates an order', () => {
+        expect.toMatchSnapshot(order, { id: expect.any(String) });
+        expect.toMatchSnapshot('Order #1001 created', 'message');
+        expect.toMatchSnapshot(order.tags);
+      });
+    }, { file: path.join(ctx.dir, 'cart.spec.js') });
+    const snapshots = new SnapshotManager();
+    await suite.run(0, { output: silent, snapshots });
+    snapshots.save();
+
+    const content = fs.readFileSync(snapshotFile(ctx.dir), 'utf8');
+    expect.toContain(content, '  "id": Any<String>,');
+    expect.toContain(content, 'exports[`Cart creates an order: message 1`] = `\nOrder #1001 created\n`;');
+    expect.toContain(content, 'exports[`Cart creates an order 2`]');
+  });
+
+  this.it('should pick the mode from the environment like Jest', () => {
+    expect.toBe(SnapshotManager.fromEnv({}).update, 'new');
+    expect.toBe(SnapshotManager.fromEnv({ CI: '1' }).update, 'none');
+    expect.toBe(SnapshotManager.fromEnv({ CI: '1', UPDATE_SNAPSHOTS: '1' }).update, 'all');
+  });
+});
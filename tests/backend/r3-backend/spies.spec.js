@@ -0,0 +1,135 @@
+// Tests for Mock spies and for the runner restoring spies and fake clocks
+import { describe, expect, Mock, useFakeTimers } from './testFramework.js';
+import { silent } from './fixtures/output.js';
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+class Gateway {
+  charge(amount) {
+    return `charged ${amount}`;
+  }
+}
+
+export const spyTests = describe('Spies', function () {
+  this.describe('Mock.spyOn', function () {
+    this.it('should call through to the original and record its calls', () => {
+      const gateway = new Gateway();
+      const spy = Mock.spyOn(gateway, 'charge');
+
+      expect.toBe(gateway.charge(500), 'charged 500');
+      expect.toEqual(spy.calls, [[500]]);
+      expect.toBe(spy.callCount(), 1);
+      spy.restore();
+    });
+
+    this.it('should put back an inherited method by removing the own property', () => {
+      const gateway = new Gateway();
+      const spy = Mock.spyOn(gateway, 'charge').returns('declined');
+
+      expect.toBe(gateway.charge(500), 'declined');
+      spy.restore();
+
+      expect.toBeFalsy(Object.prototype.hasOwnProperty.call(gateway, 'charge'));
+      expect.toBe(gateway.charge(500), 'charged 500');
+    });
+
+    this.it('should reject non-functions', () => {
+      expect.toThrow(() => Mock.spyOn({ amount: 5 }, 'amount'), /Cannot spy on amount: not a function/);
+    });
+  });
+
+  this.describe('Behaviors', function () {
+    this.it('should consume one-shot behaviors in order before the default', async () => {
+      const declined = new Error('card_declined');
+      const mock = new Mock('confirm').rejectsOnce(declined).returnsOnce('pending').resolves('succeeded');
+
+      await expect.toReject(mock.fn(), /card_declined/);
+      expect.toBe(mock.fn(), 'pending');
+      expect.toBe(await mock.fn(), 'succeeded');
+      expect.toBe(await mock.fn(), 'succeeded');
+    });
+
+    this.it('should match calls deeply and with asymmetric matchers', () => {
+      const mock = new Mock('addItem');
+      mock.fn('cart:abc', { sku: 'TSHIRT', quantity: 2, addedAt: 1700000000000 });
+
+      expect.toBeTruthy(mock.wasCalledWith('cart:abc'));
+      expect.toBeTruthy(mock.wasCalledWith('cart:abc', expect.objectContaining({ quantity: 2 })));
+      expect.toBeTruthy(mock.wasCalledWith(expect.stringContaining('cart:'), { sku: 'TSHIRT', quantity: 2, addedAt: expect.any(Number) }));
+      expect.toBeFalsy(mock.wasCalledWith('cart:abc', expect.objectContaining({ quantity: 3 })));
+    });
+
+    this.it('should go back to calling the original after reset()', () => {
+      const gateway = new Gateway();
+      const spy = Mock.spyOn(gateway, 'charge').throws(new Error('down'));
+      spy.reset();
+
+      expect.toBe(gateway.charge(5), 'charged 5');
+      expect.toEqual(spy.calls, [[5]]);
+      spy.restore();
+    });
+  });
+
+  this.describe('Restoring', function () {
+    this.it('should unwind two spies on the same method to the original', () => {
+      const gateway = new Gateway();
+      const original = gateway.charge;
+      Mock.spyOn(gateway, 'charge').returns('first');
+      Mock.spyOn(gateway, 'charge').returns('second');
+
+      Mock.restoreAll();
+
+      expect.toBe(gateway.charge, original);
+    });
+
+    this.it('should restore the spies and clock a test created once its afterEach hooks ran', async () => {
+      const gateway = new Gateway();
+      const realDate = Date;
+      const seen = [];
+      const suite = describe('Checkout', function () {
+        this.afterEachTest(() => {
+          seen.push(gateway.charge(1), Date.now());
+        });
+        this.it('declines', () => {
+          Mock.spyOn(gateway, 'charge').returns('declined');
+          Mock.spyOn(gateway, 'charge').returns('declined again');
+          useFakeTimers({ now: 0 });
+        });
+      });
+
+      await suite.run(0, { output: silent });
+
+      expect.toEqual(seen, ['declined again', 0]);
+      expect.toBe(gateway.charge(1), 'charged 1');
+      expect.toBe(Date, realDate);
+    });
+
+    this.it('should leave a concurrent suite\'s spies and clock alone', async () => {
+      const gateway = new Gateway();
+      const seen = [];
+      const suite = describe('Payments', function () {
+        this.describe('Slow', function () {
+          this.it('spies and waits', async () => {
+            Mock.spyOn(gateway, 'charge').returns('stubbed');
+            const clock = useFakeTimers({ now: 0 });
+            for (let i = 0; i < 5; i++) {
+              await tick();
+            }
+            seen.push(gateway.charge(1), Date.now() === clock.now());
+          });
+        });
+        this.describe('Fast', function () {
+          this.it('finishes first', async () => {
+            await tick();
+          });
+        });
+      });
+
+      const results = await suite.run(0, { concurrency: 2, output: silent });
+
+      expect.toBe(results.passed, 2);
+      expect.toEqual(seen, ['stubbed', true]);
+      expect.toBe(gateway.charge(1), 'charged 1');
+    });
+  });
+});
@@ -0,0 +1,267 @@
+// Stripe simulator tests: state kept between calls, legal status transitions
+// and magic test numbers, through the API and through the MSW handlers
+const fetch = require('node-fetch');
+const { server } = require('@mocks/server');
+const { stripe, StripeError } = require('@mocks/stripe-simulator');
+
+const STRIPE_API = 'https://api.stripe.com/v1';
+
+function stripeRequest(method, path, params) {
+  return fetch(`${STRIPE_API}${path}`, {
+    method,
+    headers: {
+      'Authorization': 'Bearer sk_test_simulator',
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: params ? new URLSearchParams(params).toString() : undefined
+  });
+}
+
+function createBankPaymentMethod(accountNumber, extra = {}) {
+  return stripe.createPaymentMethod({
+    type: 'us_bank_account',
+    us_bank_account: { routing_number: '110000000', account_number: accountNumber, ...extra }
+  });
+}
+
+describe('Stripe Simulator', () => {
+  beforeAll(() => server.listen());
+  afterEach(() => server.resetHandlers());
+  afterAll(() => server.close());
+
+  describe('Cards', () => {
+    it('should succeed with 4242 and record a charge', () => {
+      const intent = stripe.createPaymentIntent({ amount: 5000, payment_method: 'pm_card_visa', confirm: true });
+
+      expect(intent.status).toBe('succeeded');
+      expect(intent.amount_received).toBe(5000);
+      expect(stripe.retrieveCharge(intent.latest_charge)).toMatchObject({
+        status: 'succeeded',
+        paid: true,
+        payment_intent: intent.id
+      });
+    });
+
+    it('should decline magic decline cards and return to requires_payment_method', () => {
+      const intent = stripe.createPaymentIntent({ amount: 5000 });
+
+      expect(() => stripe.confirmPaymentIntent(intent.id, { payment_method: 'pm_card_chargeDeclinedInsufficientFunds' }))
+        .toThrow(expect.objectContaining({ statusCode: 402, code: 'card_declined', decline_code: 'insufficient_funds' }));
+
+      const failed = stripe.retrievePaymentIntent(intent.id);
+      expect(failed.status).toBe('requires_payment_method');
+      expect(failed.last_payment_error.decline_code).toBe('insufficient_funds');
+      expect(stripe.listCharges({ payment_intent: intent.id }).data[0].status).toBe('failed');
+    });
+
+    it('should require 3D Secure for 4000002500003155 until authenticated', () => {
+      const paymentMethod = stripe.createPaymentMethod({ type: 'card', card: { number: '4000002500003155' } });
+      const intent = stripe.createPaymentIntent({ amount: 5000, payment_method: paymentMethod.id, confirm: true });
+
+      expect(intent.status).toBe('requires_action');
+      expect(intent.next_action.type).toBe('use_stripe_sdk');
+      expect(stripe.authenticate(intent.id).status).toBe('succeeded');
+    });
+
+    it('should reject unknown card numbers', () => {
+      expect(() => stripe.createPaymentMethod({ type: 'card', card: { number: '1234123412341234' } }))
+        .toThrow(expect.objectContaining({ code: 'incorrect_number' }));
+    });
+  });
+
+  describe('US bank accounts', () => {
+    it('should require microdeposits for manually entered accounts, then settle', () => {
+      const paymentMethod = createBankPaymentMethod('000123456789');
+      const intent = stripe.createPaymentIntent({ amount: 10000, payment_method_types: ['us_bank_account'] });
+
+      const confirmed = stripe.confirmPaymentIntent(intent.id, { payment_method: paymentMethod.id });
+      expect(confirmed.status).toBe('requires_action');
+      expect(confirmed.next_action.type).toBe('verify_with_microdeposits');
+
+      expect(() => stripe.verifyMicrodeposits(intent.id, { amounts: [10, 20] }))
+        .toThrow(expect.objectContaining({ code: 'payment_method_microdeposit_verification_amounts_mismatch' }));
+      expect(stripe.verifyMicrodeposits(intent.id, { amounts: [32, 45] }).status).toBe('processing');
+
+      const settled = stripe.settle(intent.id);
+      expect(settled.status).toBe('succeeded');
+      expect(stripe.retrieveCharge(settled.latest_charge).status).toBe('succeeded');
+    });
+
+    it('should go straight to processing for Financial Connections accounts and create a mandate', () => {
+      const paymentMethod = stripe.createPaymentMethod({
+        type: 'us_bank_account',
+        us_bank_account: { financial_connections_account: 'fca_test' }
+      });
+      const intent = stripe.createPaymentIntent({
+        amount: 10000,
+        payment_method_types: ['us_bank_account'],
+        payment_method: paymentMethod.id,
+        confirm: true
+      });
+
+      expect(intent.status).toBe('processing');
+      const charge = stripe.retrieveCharge(intent.latest_charge);
+      expect(charge.status).toBe('pending');
+      expect(stripe.retrieveMandate(charge.payment_method_details.us_bank_account.mandate)).toMatchObject({
+        status: 'active',
+        payment_method: paymentMethod.id
+      });
+    });
+
+    it('should fail settlement with the magic account failure code', () => {
+      const paymentMethod = createBankPaymentMethod('000111111113');
+      const intent = stripe.createPaymentIntent({ amount: 10000, payment_method_types: ['us_bank_account'] });
+      stripe.confirmPaymentIntent(intent.id, { payment_method: paymentMethod.id });
+      stripe.verifyMicrodeposits(intent.id, { descriptor_code: 'SM11AA' });
+
+      const failed = stripe.settle(intent.id);
+      expect(failed.status).toBe('requires_payment_method');
+      expect(failed.last_payment_error.code).toBe('account_closed');
+      expect(stripe.retrieveCharge(failed.charges.data[0].id).failure_code).toBe('account_closed');
+    });
+
+    it('should reject routing numbers that fail the ABA checksum', () => {
+      expect(() => createBankPaymentMethod('000123456789', { routing_number: '123456789' }))
+        .toThrow(expect.objectContaining({ code: 'routing_number_invalid' }));
+    });
+  });
+
+  describe('Status transitions', () => {
+    it('should refuse to confirm without a payment method', () => {
+      const intent = stripe.createPaymentIntent({ amount: 5000 });
+
+      expect(() => stripe.confirmPaymentIntent(intent.id)).toThrow(StripeError);
+      expect(stripe.retrievePaymentIntent(intent.id).status).toBe('requires_payment_method');
+    });
+
+    it('should refuse to confirm, cancel or update a succeeded intent', () => {
+      const intent = stripe.createPaymentIntent({ amount: 5000, payment_method: 'pm_card_visa', confirm: true });
+
+      ['confirmPaymentIntent', 'cancelPaymentIntent', 'updatePaymentIntent'].forEach(method => {
+        expect(() => stripe[method](intent.id, {}))
+          .toThrow(expect.objectContaining({ code: 'payment_intent_unexpected_state' }));
+      });
+    });
+
+    it('should record an event for each status an intent comes to rest in', () => {
+      const paymentMethod = createBankPaymentMethod('000123456789');
+      const intent = stripe.createPaymentIntent({
+        amount: 10000,
+        payment_method_types: ['us_bank_account'],
+        payment_method: paymentMethod.id,
+        confirm: true
+      });
+      stripe.verifyMicrodeposits(intent.id, { amounts: [32, 45] });
+      stripe.settle(intent.id);
+
+      expect(stripe.eventLog.map(event => event.type)).toEqual([
+        'payment_intent.created',
+        'payment_intent.requires_action',
+        'charge.pending',
+        'payment_intent.processing',
+        'charge.succeeded',
+        'payment_intent.succeeded'
+      ]);
+      const [succeeded] = stripe.listEvents({ type: 'payment_intent.*', limit: 1 }).data;
+      expect(succeeded.data.object).toMatchObject({ id: intent.id, status: 'succeeded', amount_received: 10000 });
+    });
+
+    it('should not let callers change stored state through returned objects', () => {
+      const intent = stripe.createPaymentIntent({ amount: 5000 });
+      intent.status = 'succeeded';
+
+      expect(stripe.retrievePaymentIntent(intent.id).status).toBe('requires_payment_method');
+    });
+  });
+
+  describe('HTTP endpoints', () => {
+    it('should create, confirm, retrieve and list over form-encoded requests', async () => {
+      const created = await stripeRequest('POST', '/payment_intents', {
+        amount: '2500',
+        'payment_method_types[]': 'card',
+        'metadata[order_ref]': 'R3-1001'
+      });
+      expect(created.status).toBe(200);
+      const intent = await created.json();
+      expect(intent.id).toMatch(/^pi_test_/);
+      expect(intent.metadata.order_ref).toBe('R3-1001');
+
+      const confirmed = await stripeRequest('POST', `/payment_intents/${intent.id}/confirm`, { payment_method: 'pm_card_visa' });
+      expect((await confirmed.json()).status).toBe('succeeded');
+
+      const retrieved = await (await stripeRequest('GET', `/payment_intents/${intent.id}`)).json();
+      expect(retrieved.status).toBe('succeeded');
+
+      const charges = await (await stripeRequest('GET', `/charges?payment_intent=${intent.id}`)).json();
+      expect(charges.data).toHaveLength(1);
+
+      const intents = await (await stripeRequest('GET', '/payment_intents?limit=5')).json();
+      expect(intents.data.map(item => item.id)).toContain(intent.id);
+    });
+
+    it('should answer with Stripe-shaped errors', async () => {
+      const missing = await stripeRequest('GET', '/payment_intents/pi_test_missing');
+      expect(missing.status).toBe(404);
+      expect((await missing.json()).error).toMatchObject({ type: 'invalid_request_error', code: 'resource_missing' });
+
+      const { id } = stripe.createPaymentIntent({ amount: 5000 });
+      const declined = await stripeRequest('POST', `/payment_intents/${id}/confirm`, { payment_method: 'pm_card_chargeDeclined' });
+      expect(declined.status).toBe(402);
+      const { error } = await declined.json();
+      expect(error).toMatchObject({ type: 'card_error', code: 'card_declined', decline_code: 'generic_decline' });
+      expect(error.payment_intent.status).toBe('requires_payment_method');
+    });
+
+    it('should keep intents created through the checkout API', async () => {
+      const sessionResponse = await fetch('http://localhost:3000/api/checkout/session', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Origin': 'https://sqqpyb-yq.myshopify.com' },
+        body: JSON.stringify({ cartToken: 'cart_simulator', cartTotal: 10000 })
+      });
+      const { sessionToken, csrfToken } = await sessionResponse.json();
+
+      const response = await fetch('http://localhost:3000/api/stripe/create-payment-intent', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${sessionToken}`,
+          'x-csrf-token': csrfToken
+        },
+        body: JSON.stringify({ amount: 10000, payment_method_types: ['us_bank_account'], customer_email: 'ach@example.com' })
+      });
+      const { paymentIntentId } = await response.json();
+
+      expect(stripe.retrievePaymentIntent(paymentIntentId)).toMatchObject({
+        status: 'requires_payment_method',
+        receipt_email: 'ach@example.com',
+        payment_method_types: ['us_bank_account']
+      });
+    });
+
+    it('should pass Stripe errors through the checkout API', async () => {
+      const sessionResponse = await fetch('http://localhost:3000/api/checkout/session', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Origin': 'https://sqqpyb-yq.myshopify.com' },
+        body: JSON.stringify({ cartToken: 'cart_simulator_error', cartTotal: 10000 })
+      });
+      const { sessionToken, csrfToken } = await sessionResponse.json();
+
+      const response = await fetch('http://localhost:3000/api/stripe/create-payment-intent', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${sessionToken}`,
+          'x-csrf-token': csrfToken
+        },
+        body: JSON.stringify({ amount: 25, payment_method_types: ['card'] })
+      });
+
+      expect(response.status).toBe(400);
+      expect((await response.json()).error).toMatchObject({
+        type: 'invalid_request_error',
+        code: 'amount_too_small',
+        param: 'amount'
+      });
+    });
+  });
+});
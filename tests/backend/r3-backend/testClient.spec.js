@@ -0,0 +1,177 @@
+// Tests for TestClient running requests through an app's request pipeline
+import { describe, expect, TestClient } from './testFramework.js';
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.statusCode = status;
+  res.setHeader('content-type', 'application/json');
+  res.end(JSON.stringify(body));
+}
+
+// A small Express-like app: middleware runs in order, then the first route
+// matching the method and path (with :params); errors thrown anywhere go to
+// the error handler
+function createApp(middleware, routes) {
+  return async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    req.path = url.pathname;
+    req.query = Object.fromEntries([...url.searchParams.keys()].map(key => [key, url.searchParams.getAll(key)]));
+    req.cookies = Object.fromEntries((req.headers.cookie || '').split('; ').filter(Boolean).map(pair => {
+      const [name, value] = pair.split('=');
+      return [name, decodeURIComponent(value)];
+    }));
+
+    try {
+      for (const fn of middleware) {
+        await fn(req, res);
+      }
+      for (const [route, handler] of Object.entries(routes)) {
+        const [method, pattern] = route.split(' ');
+        const names = [];
+        const regex = new RegExp(`^${pattern.replace(/:(\w+)/g, (_, name) => names.push(name) && '([^/]+)')}$`);
+        const match = req.path.match(regex);
+        if (method === req.method && match) {
+          req.params = Object.fromEntries(names.map((name, i) => [name, match[i + 1]]));
+          return await handler(req, res);
+        }
+      }
+      sendJson(res, 404, { error: 'Not found' });
+    } catch (error) {
+      sendJson(res, error.status || 500, { error: error.message });
+    }
+  };
+}
+
+function checkoutApp(events = []) {
+  return createApp([
+    (req) => events.push(`logger ${req.method} ${req.path}`),
+    async (req) => {
+      const text = await readBody(req);
+      req.body = req.headers['content-type']?.includes('json') && text ? JSON.parse(text) : text;
+    },
+    (req) => {
+      if (req.path.startsWith('/api/admin') && req.cookies.role !== 'admin') {
+        throw Object.assign(new Error('Forbidden'), { status: 403 });
+      }
+    }
+  ], {
+    'GET /api/carts/:cartId/items/:itemId': (req, res) => sendJson(res, 200, { params: req.params, query: req.query }),
+    'POST /api/checkout/session': (req, res) => {
+      res.setHeader('set-cookie', [`session=${req.body.cartId}; Path=/; HttpOnly`, 'theme=dark; Max-Age=3600']);
+      sendJson(res, 201, { received: req.body, ip: req.socket.remoteAddress });
+    },
+    'GET /api/checkout/session': (req, res) => sendJson(res, 200, { cookies: req.cookies }),
+    'DELETE /api/checkout/session': (req, res) => {
+      res.setHeader('set-cookie', 'session=; Max-Age=0');
+      res.statusCode = 204;
+      res.end();
+    },
+    'GET /api/admin/orders': (req, res) => sendJson(res, 200, []),
+    'POST /api/forms': (req, res) => sendJson(res, 200, { body: req.body, type: req.headers['content-type'] }),
+    'GET /checkout': (req, res) => {
+      res.writeHead(302, { location: '/checkout/shipping' });
+      res.end();
+    }
+  });
+}
+
+export const testClientTests = describe('TestClient', function () {
+  this.describe('In-process pipeline', function () {
+    this.it('should run the middleware and stream the JSON body to the app', async () => {
+      const events = [];
+      const client = new TestClient(checkoutApp(events), { remoteAddress: '203.0.113.7' });
+
+      const response = await client.post('/api/checkout/session', { body: { cartId: 'cart_1', items: 2 } });
+
+      expect.toBe(response.status, 201);
+      expect.toEqual(response.body, { received: { cartId: 'cart_1', items: 2 }, ip: '203.0.113.7' });
+      expect.toEqual(events, ['logger POST /api/checkout/session']);
+    });
+
+    this.it('should pass route params and merge query options into the path\'s query string', async () => {
+      const client = new TestClient(checkoutApp());
+
+      const response = await client.get('/api/carts/cart_1/items/sku_9?currency=usd', {
+        query: { expand: ['price', 'stock'] }
+      });
+
+      expect.toEqual(response.body, {
+        params: { cartId: 'cart_1', itemId: 'sku_9' },
+        query: { currency: ['usd'], expand: ['price', 'stock'] }
+      });
+    });
+
+    this.it('should encode form bodies when the content type asks for it', async () => {
+      const client = new TestClient(checkoutApp());
+
+      const response = await client.post('/api/forms', {
+        body: { email: 'a+b@example.com', zip: '94107' },
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      });
+
+      expect.toEqual(response.body, { body: 'email=a%2Bb%40example.com&zip=94107', type: 'application/x-www-form-urlencoded' });
+    });
+
+    this.it('should report headers passed to writeHead and expose redirects', async () => {
+      const client = new TestClient(checkoutApp());
+
+      const response = await client.get('/checkout');
+
+      expect.toBe(response.status, 302);
+      expect.toBe(response.redirect, '/checkout/shipping');
+      expect.toBe(response.header('Location'), '/checkout/shipping');
+    });
+
+    this.it('should send error middleware responses back like any other', async () => {
+      const client = new TestClient(checkoutApp());
+
+      const forbidden = await client.get('/api/admin/orders');
+      const allowed = await client.get('/api/admin/orders', { cookies: { role: 'admin' } });
+
+      expect.toMatchObject(forbidden, { status: 403, body: { error: 'Forbidden' } });
+      expect.toBe(allowed.status, 200);
+    });
+
+    this.it('should reject when the app itself throws', async () => {
+      const client = new TestClient(() => {
+        throw new Error('boom');
+      });
+      const asyncClient = new TestClient(async () => {
+        throw new Error('async boom');
+      });
+
+      await expect.toReject(client.get('/'), /boom/);
+      await expect.toReject(asyncClient.get('/'), /async boom/);
+    });
+  });
+
+  this.describe('Cookies', function () {
+    this.it('should keep cookies between requests and drop expired ones', async () => {
+      const client = new TestClient(checkoutApp());
+
+      const created = await client.post('/api/checkout/session', { body: { cartId: 'cart 1' } });
+      const first = await client.get('/api/checkout/session');
+      await client.delete('/api/checkout/session');
+      const second = await client.get('/api/checkout/session');
+
+      expect.toMatchObject(created.cookies, {
+        session: { value: 'cart 1', path: '/', httpOnly: true },
+        theme: { value: 'dark', maxAge: 3600 }
+      });
+      expect.toEqual(first.body.cookies, { session: 'cart 1', theme: 'dark' });
+      expect.toEqual(second.body.cookies, { theme: 'dark' });
+    });
+  });
+
+  this.it('should reject unknown transports', () => {
+    expect.toThrow(() => new TestClient(checkoutApp(), { transport: 'carrier-pigeon' }), /Unknown TestClient transport "carrier-pigeon"/);
+  });
+});
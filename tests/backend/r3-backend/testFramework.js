@@ -2,31 +2,77 @@
 // Provides utilities for unit, integration, and load testing
 
 import { strict as assert } from 'assert';
+import fs from 'fs';
+import path from 'path';
 import { performance } from 'perf_hooks';
+import { AsyncLocalStorage } from 'async_hooks';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { Worker } from 'worker_threads';
+import http from 'http';
+import { Duplex } from 'stream';
+import fetch from 'node-fetch';
+import { setTimeout, clearTimeout, setInterval, clearInterval } from 'timers';
+import { FakeClock, useFakeTimers as installFakeTimers } from '../../shared/helpers/fake-clock.js';
+import { asymmetric, equals, diff, format, domainMatchers } from '../../shared/helpers/matchers.js';
+import { SnapshotManager, serialize, mergeMatchers } from './snapshots.js';
+import { Recorder } from './recording.js';
+import { Histogram, TimeSeries, toCSV } from './histogram.js';
+
+// Fake clock, shared with the Jest suites. The runner itself keeps real time:
+// timers come from the `timers` module and durations from this reference,
+// neither of which a fake clock replaces.
+export { FakeClock };
+const now = performance.now.bind(performance);
+
+// Applied when neither the test, its suites nor the run set a timeout
+const DEFAULT_TEST_TIMEOUT = 30000;
 
 // Test runner
-class TestRunner {
-  constructor(name) {
+export class TestRunner {
+  constructor(name, options = {}) {
     this.name = name;
     this.tests = [];
     this.beforeEach = null;
     this.afterEach = null;
     this.beforeAll = null;
     this.afterAll = null;
+    this.concurrency = 1;
+    this.tags = [].concat(options.tags || []);
+    this.mode = options.mode || null;
+    this.timeout = options.timeout;
+    this.retries = options.retries;
+    // Test file the suite was declared in, for snapshots
+    this.file = options.file;
+
+    // Bound per instance so `this.it.only(...)` works inside suite callbacks
+    const it = (description, fn, testOptions) => this.addTest(description, fn, testOptions);
+    it.only = (description, fn, testOptions) => this.addTest(description, fn, testOptions, 'only');
+    it.skip = (description, fn, testOptions) => this.addTest(description, fn, testOptions, 'skip');
+    it.todo = (description, testOptions) => this.addTest(description, null, testOptions, 'todo');
+    this.it = it;
+
+    const describe = (description, fn, suiteOptions) => this.addSuite(description, fn, suiteOptions);
+    describe.only = (description, fn, suiteOptions) => this.addSuite(description, fn, suiteOptions, 'only');
+    describe.skip = (description, fn, suiteOptions) => this.addSuite(description, fn, suiteOptions, 'skip');
+    this.describe = describe;
   }
 
-  describe(description, fn) {
-    const suite = new TestRunner(description);
+  addSuite(description, fn, options = {}, mode = null) {
+    const suite = new TestRunner(description, { ...options, mode });
     fn.call(suite);
     this.tests.push(suite);
     return suite;
   }
 
-  it(description, fn) {
+  addTest(description, fn, options = {}, mode = null) {
     this.tests.push({
       description,
       fn,
-      type: 'test'
+      type: 'test',
+      mode,
+      tags: [].concat(options.tags || []),
+      timeout: options.timeout,
+      retries: options.retries
     });
   }
 
@@ -46,83 +92,462 @@ class TestRunner {
     this.afterEach = fn;
   }
 
-  async run(indent = 0) {
+  hasOnly() {
+    return this.mode === 'only' || this.tests.some(test =>
+      test instanceof TestRunner ? test.hasOnly() : test.mode === 'only'
+    );
+  }
+
+  // Titles, tags, skip/only mode, timeout, retries and beforeEach/afterEach
+  // hooks this suite inherits from its ancestors (or from the run options, at
+  // the top level). beforeEach hooks run outermost first, afterEach innermost
+  // first, as in Mocha.
+  scopeWithin(parent) {
+    const skipped = parent.mode === 'skip' || this.mode === 'skip';
+    return {
+      file: this.file ?? parent.file,
+      titles: [...parent.titles, this.name],
+      tags: [...parent.tags, ...this.tags],
+      mode: skipped ? 'skip' : this.mode || parent.mode,
+      timeout: this.timeout ?? parent.timeout,
+      retries: this.retries ?? parent.retries,
+      beforeEach: this.beforeEach ? [...parent.beforeEach, this.beforeEach] : parent.beforeEach,
+      afterEach: this.afterEach ? [this.afterEach, ...parent.afterEach] : parent.afterEach
+    };
+  }
+
+  // Counts the tests below this suite: all of them, those that will run, and
+  // those that will be listed in the output (run, skipped or todo)
+  plan(scope, filters) {
+    const plan = { total: 0, runnable: 0, listed: 0 };
+
+    for (const test of this.tests) {
+      if (test instanceof TestRunner) {
+        const nested = test.plan(test.scopeWithin(scope), filters);
+        plan.total += nested.total;
+        plan.runnable += nested.runnable;
+        plan.listed += nested.listed;
+      } else {
+        const reason = skipReason(test, scope, filters);
+        plan.total++;
+        if (!reason) {plan.runnable++;}
+        if (reason !== 'filtered') {plan.listed++;}
+      }
+    }
+
+    return plan;
+  }
+
+  async run(indent = 0, options = {}) {
+    // A top-level run without a snapshot manager owns one and saves it when done
+    if (!options.scope && !options.snapshots) {
+      const snapshots = SnapshotManager.fromEnv();
+      const results = await this.run(indent, { ...options, snapshots });
+      results.snapshots = snapshots.save();
+      return results;
+    }
+
+    const concurrency = Math.max(1, options.concurrency || this.concurrency || 1);
+    const output = options.output || consoleOutput;
+    const filters = options.scope ? options.filters : createFilters(options.filters, this);
+    const scope = this.scopeWithin(options.scope || {
+      file: undefined,
+      titles: [],
+      tags: [],
+      mode: null,
+      timeout: options.timeout ?? DEFAULT_TEST_TIMEOUT,
+      retries: options.retries ?? 0,
+      beforeEach: [],
+      afterEach: []
+    });
     const prefix = '  '.repeat(indent);
-    console.log(`${prefix}${this.name}`);
 
     const results = {
       passed: 0,
       failed: 0,
       skipped: 0,
-      duration: 0
+      flaky: 0,
+      duration: 0,
+      report: null
     };
 
-    const start = performance.now();
+    // Suites with nothing to run or report are counted but stay silent, and
+    // their hooks never run
+    const plan = this.plan(scope, filters);
+    if (plan.listed === 0) {
+      results.skipped = plan.total;
+      options.snapshots.forTestFile(scope.file)?.markSuiteChecked(scope.titles.join(' '));
+      return results;
+    }
+
+    output.log(`${prefix}${this.name}`);
+    const start = now();
+    // Suite context: state set by before() hooks, inherited by nested suites
+    // and by each test's ctx through the prototype chain
+    const context = options.context ? Object.create(options.context) : {};
+    const childOptions = { ...options, concurrency, output, filters, scope, context };
+    results.report = {
+      name: this.name,
+      titles: scope.titles,
+      tests: [],
+      suites: [],
+      hookErrors: [],
+      duration: 0
+    };
 
     // Run beforeAll
-    if (this.beforeAll) {
+    if (this.beforeAll && plan.runnable > 0) {
       try {
-        await this.beforeAll();
+        await withTimeout(() => this.beforeAll(context), scope.timeout, `beforeAll hook timed out after ${scope.timeout}ms`);
       } catch (error) {
-        console.error(`${prefix}  ✗ beforeAll hook failed: ${error.message}`);
-        results.failed = this.tests.length;
-        return results;
+        output.error(`${prefix}  ✗ beforeAll hook failed: ${error.message}`);
+        results.failed = plan.runnable;
+        results.skipped = plan.total - plan.runnable;
+        results.report.hookErrors.push({ hook: 'beforeAll', error: serializeError(error) });
+        return this.finish(results, start, options);
       }
     }
 
-    // Run tests
-    for (const test of this.tests) {
-      if (test instanceof TestRunner) {
-        // Nested suite
-        const suiteResults = await test.run(indent + 1);
-        results.passed += suiteResults.passed;
-        results.failed += suiteResults.failed;
-        results.skipped += suiteResults.skipped;
-      } else {
-        // Individual test
-        const testStart = performance.now();
+    if (concurrency > 1) {
+      await this.runParallel(indent, childOptions, results);
+    } else {
+      for (const test of this.tests) {
+        if (test instanceof TestRunner) {
+          // Nested suite
+          mergeResults(results, await test.run(indent + 1, childOptions));
+        } else {
+          await this.runTest(test, prefix, childOptions, results);
+        }
+      }
+    }
 
-        try {
-          // Run beforeEach
-          if (this.beforeEach) {
-            await this.beforeEach();
-          }
+    // Run afterAll
+    if (this.afterAll && plan.runnable > 0) {
+      try {
+        await withTimeout(() => this.afterAll(context), scope.timeout, `afterAll hook timed out after ${scope.timeout}ms`);
+      } catch (error) {
+        output.error(`${prefix}  ✗ afterAll hook failed: ${error.message}`);
+        results.report.hookErrors.push({ hook: 'afterAll', error: serializeError(error) });
+      }
+    }
 
-          // Run test
-          await test.fn();
+    return this.finish(results, start, options);
+  }
 
-          // Run afterEach
-          if (this.afterEach) {
-            await this.afterEach();
-          }
+  // Stamps the duration and, for a top-level run, hands the finished result
+  // tree to each reporter in `options.reporters`
+  finish(results, start, options) {
+    results.duration = now() - start;
+    results.report.duration = results.duration;
 
-          const duration = performance.now() - testStart;
-          console.log(`${prefix}  ✓ ${test.description} (${duration.toFixed(0)}ms)`);
-          results.passed++;
-        } catch (error) {
-          const duration = performance.now() - testStart;
-          console.error(`${prefix}  ✗ ${test.description} (${duration.toFixed(0)}ms)`);
-          console.error(`${prefix}    ${error.message}`);
-          if (error.stack) {
-            console.error(`${prefix}    ${error.stack.split('\n').slice(1, 3).join('\n')}`);
-          }
-          results.failed++;
-        }
+    if (!options.scope) {
+      (options.reporters || []).forEach(reporter => reporter.onSuiteEnd?.(results.report, results));
+    }
+
+    return results;
+  }
+
+  // Runs consecutive nested suites as concurrent async tasks (at most
+  // `options.concurrency` at a time, see runGrouped) and this suite's own
+  // tests serially between them, in declaration order. Worker threads are
+  // not used because suites close over shared fixtures and mocks.
+  async runParallel(indent, options, results) {
+    const prefix = '  '.repeat(indent);
+
+    for (let i = 0; i < this.tests.length;) {
+      if (!(this.tests[i] instanceof TestRunner)) {
+        await this.runTest(this.tests[i++], prefix, options, results);
+        continue;
+      }
+
+      const suites = [];
+      while (i < this.tests.length && this.tests[i] instanceof TestRunner) {
+        suites.push(this.tests[i++]);
+      }
+      const suiteResults = await runGrouped(suites, options.concurrency,
+        (suite, output) => suite.run(indent + 1, { ...options, output }), options.output);
+      suiteResults.forEach(suiteResult => mergeResults(results, suiteResult));
+    }
+  }
+
+  async runTest(test, prefix, options, results) {
+    const { output } = options;
+    const reason = skipReason(test, options.scope, options.filters);
+    const testName = [...options.scope.titles, test.description].join(' ');
+    const snapshotFile = options.snapshots.forTestFile(options.scope.file);
+    if (reason) {
+      snapshotFile?.markTestChecked(testName);
+      if (reason !== 'filtered') {
+        output.log(`${prefix}  - ${test.description} (${reason})`);
+        this.recordTest(test, options, results, { status: reason, duration: 0, attempts: 0, error: null });
       }
+      results.skipped++;
+      return;
     }
 
-    // Run afterAll
-    if (this.afterAll) {
+    const timeout = test.timeout ?? options.scope.timeout;
+    const attempts = (test.retries ?? options.scope.retries) + 1;
+    const testStart = now();
+    let attempt = 0;
+    let error;
+
+    do {
+      attempt++;
+      error = null;
+
+      // Fresh per-test context on every attempt, so nothing leaks between
+      // tests or retries
+      const ctx = Object.create(options.context);
+      ctx.test = { title: test.description, titles: [...options.scope.titles, test.description], attempt };
+
+      // Spies and fake clocks created by this attempt are tracked here, so
+      // concurrent suites only ever restore their own
+      const store = { name: testName, snapshots: snapshotFile, counters: new Map(), spies: [], clocks: [] };
+
       try {
-        await this.afterAll();
-      } catch (error) {
-        console.error(`${prefix}  ✗ afterAll hook failed: ${error.message}`);
+        await currentTest.run(store, () =>
+          withTimeout(async () => {
+            // Run inherited beforeEach hooks, outermost first
+            for (const hook of options.scope.beforeEach) {
+              await hook(ctx);
+            }
+
+            // Run test
+            await test.fn(ctx);
+          }, timeout, `Test timed out after ${timeout}ms`)
+        );
+      } catch (e) {
+        error = e;
+      }
+
+      // afterEach hooks always run, innermost first, even if the test or a
+      // beforeEach hook failed; the first error is the one reported
+      for (const hook of options.scope.afterEach) {
+        try {
+          await currentTest.run(store, () =>
+            withTimeout(() => hook(ctx), timeout, `afterEach hook timed out after ${timeout}ms`)
+          );
+        } catch (e) {
+          error = error || e;
+        }
+      }
+
+      // Neither a fake clock nor a spy outlives the test that installed it
+      restoreTestDoubles(store);
+
+      if (error && attempt < attempts) {
+        output.error(`${prefix}  ↻ ${test.description} attempt ${attempt}/${attempts} failed: ${error.message}`);
       }
+    } while (error && attempt < attempts);
+
+    const duration = now() - testStart;
+    const attemptInfo = attempts > 1 ? `, attempt ${attempt}/${attempts}` : '';
+
+    if (!error) {
+      output.log(`${prefix}  ✓ ${test.description} (${duration.toFixed(0)}ms${attemptInfo})`);
+      results.passed++;
+      this.recordTest(test, options, results, { status: 'passed', duration, attempts: attempt, error: null });
+      if (attempt > 1) {
+        output.log(`${prefix}    ⚠ flaky: passed only after ${attempt - 1} failed attempt(s)`);
+        results.flaky++;
+      }
+    } else {
+      output.error(`${prefix}  ✗ ${test.description} (${duration.toFixed(0)}ms${attemptInfo})`);
+      output.error(`${prefix}    ${String(error.message).split('\n').join(`\n${prefix}    `)}`);
+      if (error.stack) {
+        // Frames only: multi-line messages (structural diffs) are repeated in the stack
+        const frames = error.stack.split('\n')
+          .filter(line => /^\s+at /.test(line) && !line.includes('node:internal'))
+          .map(line => `${prefix}    ${line.trim()}`);
+        output.error(frames.slice(0, 2).join('\n'));
+      }
+      results.failed++;
+      snapshotFile?.markTestChecked(testName);
+      this.recordTest(test, options, results, { status: 'failed', duration, attempts: attempt, error: serializeError(error) });
+    }
+  }
+
+  recordTest(test, options, results, outcome) {
+    const entry = {
+      title: test.description,
+      titles: [...options.scope.titles, test.description],
+      tags: [...options.scope.tags, ...test.tags],
+      ...outcome
+    };
+
+    results.report.tests.push(entry);
+    (options.reporters || []).forEach(reporter => reporter.onTestResult?.(entry));
+  }
+}
+
+// Normalizes the grep/tag/focus filters given to a top-level run. Tags
+// prefixed with "!" exclude tests instead of selecting them.
+function createFilters(filters = {}, root) {
+  const tags = [].concat(filters.tags || []).filter(Boolean);
+  let grep = filters.grep || null;
+  if (typeof grep === 'string') {
+    grep = new RegExp(grep, 'i');
+  }
+
+  return {
+    grep,
+    tags: tags.filter(tag => !tag.startsWith('!')),
+    excludeTags: tags.filter(tag => tag.startsWith('!')).map(tag => tag.slice(1)),
+    focused: filters.focused ?? root.hasOnly()
+  };
+}
+
+// Returns null when the test should run, otherwise 'todo', 'skipped' or
+// 'filtered' (excluded by only/grep/tag, not listed in the output)
+function skipReason(test, scope, filters) {
+  if (test.mode === 'todo') {return 'todo';}
+  if (test.mode === 'skip' || scope.mode === 'skip') {return 'skipped';}
+  if (filters.focused && test.mode !== 'only' && scope.mode !== 'only') {return 'filtered';}
+
+  const tags = [...scope.tags, ...test.tags];
+  if (filters.grep && !filters.grep.test([...scope.titles, test.description].join(' '))) {return 'filtered';}
+  if (filters.tags.length > 0 && !tags.some(tag => filters.tags.includes(tag))) {return 'filtered';}
+  if (tags.some(tag => filters.excludeTags.includes(tag))) {return 'filtered';}
+
+  return null;
+}
+
+function mergeResults(target, source) {
+  target.passed += source.passed;
+  target.failed += source.failed;
+  target.skipped += source.skipped;
+  target.flaky += source.flaky;
+  if (source.report) {
+    target.report.suites.push(source.report);
+  }
+}
+
+function serializeError(error) {
+  return {
+    name: error?.name || 'Error',
+    message: error?.message || String(error),
+    stack: error?.stack || null
+  };
+}
+
+// Rejects with `message` if fn() has not settled within `ms` (0 disables).
+// The timed-out work is abandoned rather than cancelled.
+function withTimeout(fn, ms, message) {
+  if (!ms) {
+    return fn();
+  }
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+
+  return Promise.race([Promise.resolve().then(fn), timeout])
+    .finally(() => clearTimeout(timer));
+}
+
+// Output sinks used by TestRunner.run()
+const consoleOutput = {
+  log: (...args) => console.log(...args),
+  error: (...args) => console.error(...args)
+};
+
+class BufferedOutput {
+  constructor() {
+    this.entries = [];
+  }
+
+  log(...args) {
+    this.entries.push(['log', args]);
+  }
+
+  error(...args) {
+    this.entries.push(['error', args]);
+  }
+
+  flushTo(output) {
+    this.entries.forEach(([level, args]) => output[level](...args));
+    this.entries = [];
+  }
+}
+
+// While suites run in parallel, console calls made from inside a test are
+// routed to the buffer of the suite that made them.
+const outputContext = new AsyncLocalStorage();
+const originalConsole = { log: console.log, info: console.info, warn: console.warn, error: console.error };
+let consoleRoutingDepth = 0;
+
+async function withConsoleRouting(fn) {
+  if (consoleRoutingDepth++ === 0) {
+    for (const method of Object.keys(originalConsole)) {
+      const level = method === 'log' || method === 'info' ? 'log' : 'error';
+      console[method] = (...args) => {
+        const buffer = outputContext.getStore();
+        if (buffer) {
+          buffer[level](...args);
+        } else {
+          originalConsole[method].apply(console, args);
+        }
+      };
+    }
+  }
+
+  try {
+    return await fn();
+  } finally {
+    if (--consoleRoutingDepth === 0) {
+      Object.assign(console, originalConsole);
     }
+  }
+}
 
-    results.duration = performance.now() - start;
+/**
+ * Runs `task(item, output)` for each item, at most `concurrency` at a time,
+ * and resolves to their results in item order. Each task logs into its own
+ * buffer (console calls made inside it included), flushed to `output` in item
+ * order as soon as every task before it has finished, so the output reads
+ * like a serial run. With a concurrency of 1 tasks run one after another and
+ * log straight to `output`. runTests.js runs top-level suites through this,
+ * as TestRunner does nested ones.
+ */
+export async function runGrouped(items, concurrency, task, output = consoleOutput) {
+  if (concurrency <= 1) {
+    const results = [];
+    for (const item of items) {
+      results.push(await task(item, output));
+    }
     return results;
   }
+
+  const buffers = items.map(() => new BufferedOutput());
+  const finished = items.map(() => false);
+  let flushed = 0;
+
+  return withConsoleRouting(() =>
+    runConcurrently(items, concurrency, async (item, i) => {
+      const result = await outputContext.run(buffers[i], () => task(item, buffers[i]));
+      finished[i] = true;
+      while (flushed < items.length && finished[flushed]) {
+        buffers[flushed++].flushTo(output);
+      }
+      return result;
+    })
+  );
+}
+
+async function runConcurrently(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
 }
 
 // Assertion helpers
@@ -132,7 +557,9 @@ export const expect = {
   },
 
   toEqual(actual, expected, message) {
-    assert.deepStrictEqual(actual, expected, message || 'Expected objects to be equal');
+    if (!equals(actual, expected)) {
+      fail(`${message || 'Expected values to be equal'}\n\n${diff(expected, actual)}`, actual, expected, 'toEqual');
+    }
   },
 
   toBeTruthy(actual, message) {
@@ -176,17 +603,105 @@ export const expect = {
     assert.ok(actual < expected, message || `Expected ${actual} to be less than ${expected}`);
   },
 
+  // Recursive partial match: keys missing from `expected` are ignored at
+  // every depth, and asymmetric matchers (expect.any(String), ...) may appear
+  // anywhere in it
   toMatchObject(actual, expected, message) {
-    for (const key in expected) {
-      if (expected.hasOwnProperty(key)) {
-        assert.strictEqual(actual[key], expected[key],
-          message || `Expected property "${key}" to be ${expected[key]} but got ${actual[key]}`);
-      }
+    if (!equals(actual, expected, { partial: true })) {
+      fail(`${message || 'Expected object to match'}\n\n${diff(expected, actual, { partial: true })}`,
+        actual, expected, 'toMatchObject');
     }
-  }
+  },
+
+  // Registers Jest-format matchers, `(received, ...args) => ({ pass, message })`,
+  // as `expect.<name>(actual, ...args)`. Matchers may be async.
+  extend(matchers) {
+    Object.entries(matchers).forEach(([name, matcher]) => {
+      this[name] = (actual, ...args) => {
+        const check = (result) => {
+          if (!result.pass) {
+            fail(typeof result.message === 'function' ? result.message() : result.message, actual, args[0], name);
+          }
+        };
+
+        const result = matcher.call(matcherContext, actual, ...args);
+        return typeof result?.then === 'function' ? result.then(check) : check(result);
+      };
+    });
+  },
+
+  // Compares `actual` with the snapshot stored for the current test (see
+  // snapshots.js). Property matchers, e.g. volatileMatchers(actual) from
+  // shared/helpers/matchers.js, are checked first and stored in place of the
+  // values they match. Jest's signature: (actual, propertyMatchers?, hint?).
+  toMatchSnapshot(actual, propertyMatchers, hint) {
+    if (typeof propertyMatchers === 'string') {
+      [propertyMatchers, hint] = [undefined, propertyMatchers];
+    }
+
+    const current = currentTest.getStore();
+    if (!current?.snapshots) {
+      throw new Error('toMatchSnapshot() must be called inside a test of a suite created with describe()');
+    }
+
+    if (propertyMatchers !== undefined && !equals(actual, propertyMatchers, { partial: true })) {
+      fail(`Snapshot property matchers did not match\n\n${diff(propertyMatchers, actual, { partial: true })}`,
+        actual, propertyMatchers, 'toMatchSnapshot');
+    }
+
+    const name = hint ? `${current.name}: ${hint}` : current.name;
+    const count = (current.counters.get(name) || 0) + 1;
+    current.counters.set(name, count);
+
+    const received = serialize(propertyMatchers === undefined ? actual : mergeMatchers(actual, propertyMatchers));
+    const result = current.snapshots.match(`${name} ${count}`, received);
+    if (!result.pass) {
+      fail(result.message, received, undefined, 'toMatchSnapshot');
+    }
+  },
+
+  // Asymmetric matchers: any, anything, stringMatching, stringContaining,
+  // objectContaining, arrayContaining
+  ...asymmetric
+};
+
+// The subset of Jest's matcher `this` that shared matchers may rely on
+const matcherContext = {
+  isNot: false,
+  equals,
+  utils: { diff, stringify: format }
 };
 
+function fail(message, actual, expected, operator) {
+  throw new assert.AssertionError({ message, actual, expected, operator, stackStartFn: fail });
+}
+
+// Matchers shared with the Jest suites (config/jest.setup.js)
+expect.extend(domainMatchers);
+
+// The test currently running: its name, snapshot file and snapshot
+// counters, and the spies and fake clocks it created
+const currentTest = new AsyncLocalStorage();
+
+// Installs a fake clock (see fake-clock.js). Inside a test, the runner
+// uninstalls it once the test and its afterEach hooks are done.
+export function useFakeTimers(options) {
+  const clock = installFakeTimers(options);
+  currentTest.getStore()?.clocks.push(clock);
+  return clock;
+}
+
+// Puts back what a test spied on and faked, newest first so stacked spies on
+// the same method unwind to the original
+function restoreTestDoubles(store) {
+  [...store.spies].reverse().forEach(mock => mock.restore());
+  [...store.clocks].reverse().forEach(clock => clock.uninstall());
+}
+
 // Mock utilities
+// Spies created with Mock.spyOn() that have not been restored yet
+const activeSpies = new Set();
+
 export class Mock {
   constructor(name = 'mock') {
     this.name = name;
@@ -194,17 +709,64 @@ export class Mock {
     this.returnValue = undefined;
     this.implementation = null;
     this.throwError = null;
+    // One-shot behaviors, consumed in order before the defaults above
+    this.queue = [];
+    this.restoreFn = null;
+
+    // A plain function, so it can stand in for a method and keep its receiver
+    const mock = this;
+    this.fn = function (...args) {
+      return mock.invoke(this, args);
+    };
   }
 
-  fn(...args) {
+  // Replaces obj[method] with a mock that calls through to the original until
+  // told otherwise. Restored by restore(), Mock.restoreAll(), or after the
+  // test that created it.
+  static spyOn(obj, method) {
+    const original = obj[method];
+    if (typeof original !== 'function') {
+      throw new TypeError(`Cannot spy on ${String(method)}: not a function`);
+    }
+
+    const hadOwnProperty = Object.prototype.hasOwnProperty.call(obj, method);
+    const mock = new Mock(String(method));
+    mock.original = original;
+    mock.implementation = original;
+    mock.restoreFn = () => {
+      if (hadOwnProperty) {
+        obj[method] = original;
+      } else {
+        delete obj[method];
+      }
+    };
+
+    obj[method] = mock.fn;
+    activeSpies.add(mock);
+    currentTest.getStore()?.spies.push(mock);
+    return mock;
+  }
+
+  // Restores every spy, including other tests' spies: newest first, so two
+  // spies on the same method leave the original in place
+  static restoreAll() {
+    [...activeSpies].reverse().forEach(mock => mock.restore());
+  }
+
+  invoke(receiver, args) {
     this.calls.push(args);
 
+    const next = this.queue.shift();
+    if (next) {
+      return next(receiver, args);
+    }
+
     if (this.throwError) {
       throw this.throwError;
     }
 
     if (this.implementation) {
-      return this.implementation(...args);
+      return this.implementation.apply(receiver, args);
     }
 
     return this.returnValue;
@@ -212,9 +774,18 @@ export class Mock {
 
   returns(value) {
     this.returnValue = value;
+    this.implementation = null;
     return this;
   }
 
+  resolves(value) {
+    return this.implements(() => Promise.resolve(value));
+  }
+
+  rejects(error) {
+    return this.implements(() => Promise.reject(error));
+  }
+
   throws(error) {
     this.throwError = error;
     return this;
@@ -225,20 +796,64 @@ export class Mock {
     return this;
   }
 
+  // Queued behaviors apply to one call each, in order, then the mock falls
+  // back to its default. E.g. fail twice, then succeed:
+  //   mock.rejectsOnce(err).rejectsOnce(err).resolves(result)
+  returnsOnce(value) {
+    this.queue.push(() => value);
+    return this;
+  }
+
+  resolvesOnce(value) {
+    this.queue.push(() => Promise.resolve(value));
+    return this;
+  }
+
+  rejectsOnce(error) {
+    this.queue.push(() => Promise.reject(error));
+    return this;
+  }
+
+  throwsOnce(error) {
+    this.queue.push(() => {
+      throw error;
+    });
+    return this;
+  }
+
+  implementsOnce(fn) {
+    this.queue.push((receiver, args) => fn.apply(receiver, args));
+    return this;
+  }
+
+  // Clears calls and behaviors. A spy goes back to calling the original.
   reset() {
     this.calls = [];
     this.returnValue = undefined;
-    this.implementation = null;
+    this.implementation = this.original || null;
     this.throwError = null;
+    this.queue = [];
+  }
+
+  // Puts a spied method back; a no-op for plain mocks
+  restore() {
+    if (this.restoreFn) {
+      this.restoreFn();
+      this.restoreFn = null;
+      activeSpies.delete(this);
+    }
   }
 
   wasCalled() {
     return this.calls.length > 0;
   }
 
+  // True if any call's leading arguments equal `args`. Objects are compared
+  // deeply and asymmetric matchers are allowed, e.g.
+  //   mock.wasCalledWith('cart:abc', expect.objectContaining({ quantity: 2 }))
   wasCalledWith(...args) {
     return this.calls.some(call =>
-      args.every((arg, i) => arg === call[i])
+      args.every((arg, i) => equals(call[i], arg))
     );
   }
 
@@ -252,107 +867,223 @@ export class Mock {
 }
 
 // HTTP test client
+// By default requests run through the app in-process: `app` is called with
+// real http.IncomingMessage / http.ServerResponse objects, so an Express app
+// runs its whole pipeline (app.use() middleware, route params, body parsers,
+// error middleware, res.cookie, res.redirect) exactly as it does behind a
+// server. Any plain `(req, res)` handler works too.
+//
+// With `transport: 'socket'` (or TEST_CLIENT_TRANSPORT=socket) the app is
+// started on an ephemeral 127.0.0.1 port instead and requests go over real
+// HTTP via node-fetch, so payload limits and header parsing are Node's own.
+// Call close() when done.
+//
+// Cookies set by responses are kept and sent with later requests, like a
+// browser session. With `record: true` (or a file path, saved on close())
+// every exchange is recorded to a HAR-like file; see recording.js.
 export class TestClient {
-  constructor(app) {
+  constructor(app, options = {}) {
     this.app = app;
+    this.cookies = new Map();
+    this.defaultHeaders = lowercaseKeys(options.headers || {});
+    this.remoteAddress = options.remoteAddress || '127.0.0.1';
+    this.transport = options.transport || process.env.TEST_CLIENT_TRANSPORT || 'in-process';
+    this.server = null;
+    this.baseUrl = null;
+    this.recorder = options.record ? new Recorder({ name: options.name }) : null;
+    this.recordingPath = typeof options.record === 'string' ? options.record : null;
+
+    if (!['in-process', 'socket'].includes(this.transport)) {
+      throw new Error(`Unknown TestClient transport "${this.transport}" (expected in-process or socket)`);
+    }
   }
 
-  async request(method, path, options = {}) {
-    const { body, headers = {}, query = {} } = options;
-
-    // Build query string
-    const queryString = new URLSearchParams(query).toString();
-    const fullPath = queryString ? `${path}?${queryString}` : path;
-
-    // Create mock request and response
-    const req = {
-      method,
-      path: fullPath,
-      headers: {
-        'content-type': 'application/json',
-        ...headers
-      },
-      body,
-      query,
-      ip: '127.0.0.1',
-      get: (header) => req.headers[header.toLowerCase()]
-    };
-
-    const res = {
-      statusCode: 200,
-      headers: {},
-      body: null,
+  // Starts the app on an ephemeral port (socket transport; done lazily by
+  // the first request)
+  async listen() {
+    if (!this.server) {
+      this.server = http.createServer(this.app);
+      await new Promise((resolve, reject) => {
+        this.server.once('error', reject);
+        this.server.listen(0, '127.0.0.1', resolve);
+      });
+      this.baseUrl = `http://127.0.0.1:${this.server.address().port}`;
+    }
+    return this.baseUrl;
+  }
 
-      status(code) {
-        this.statusCode = code;
-        return this;
-      },
+  // Stops the server, if one was started, and saves the recording if it was
+  // given a path
+  async close() {
+    if (this.server) {
+      const server = this.server;
+      this.server = null;
+      this.baseUrl = null;
+      server.closeAllConnections?.();
+      await new Promise(resolve => server.close(() => resolve()));
+    }
+    if (this.recorder && this.recordingPath) {
+      this.recorder.save(this.recordingPath);
+    }
+  }
 
-      set(header, value) {
-        this.headers[header] = value;
-        return this;
-      },
+  saveRecording(outputPath) {
+    if (!this.recorder) {
+      throw new Error('TestClient was created without { record: true }');
+    }
+    return this.recorder.save(outputPath);
+  }
 
-      json(data) {
-        this.headers['content-type'] = 'application/json';
-        this.body = data;
-      },
+  async request(method, path, options = {}) {
+    const { body, query = {}, cookies = {} } = options;
+    const headers = { ...this.defaultHeaders, ...lowercaseKeys(options.headers || {}) };
 
-      send(data) {
-        this.body = data;
-      },
+    // Query parameters are appended to whatever query string `path` carries
+    const url = new URL(path, this.transport === 'socket' ? await this.listen() : 'http://localhost');
+    Object.entries(query).forEach(([key, value]) => {
+      [].concat(value).forEach(item => url.searchParams.append(key, item));
+    });
 
-      end(data) {
-        if (data) {this.body = data;}
+    // Body: objects are sent as JSON unless a content type says otherwise
+    let payload = null;
+    if (body !== undefined && body !== null) {
+      if (Buffer.isBuffer(body) || typeof body === 'string') {
+        payload = Buffer.from(body);
+      } else {
+        headers['content-type'] = headers['content-type'] || 'application/json';
+        payload = Buffer.from(headers['content-type'].includes('application/x-www-form-urlencoded')
+          ? new URLSearchParams(body).toString()
+          : JSON.stringify(body));
       }
-    };
+      headers['content-length'] = String(payload.length);
+    }
 
-    // Call the app
-    await new Promise((resolve) => {
-      const middleware = this.app._router.stack
-        .filter(layer => layer.route && layer.route.path === path)
-        .find(layer => layer.route.methods[method.toLowerCase()]);
+    const cookieHeader = [...this.cookies, ...Object.entries(cookies)]
+      .map(([name, value]) => `${name}=${encodeURIComponent(value)}`)
+      .join('; ');
+    if (cookieHeader && !headers.cookie) {
+      headers.cookie = cookieHeader;
+    }
 
-      if (middleware) {
-        const handlers = middleware.route.stack.map(layer => layer.handle);
+    const startedAt = Date.now();
+    const start = now();
+    const response = this.transport === 'socket'
+      ? await this.sendOverSocket(method, url, headers, payload)
+      : await this.dispatch(method, url, headers, payload);
+
+    this.storeCookies(response.cookies);
+    this.recorder?.record({
+      test: currentTest.getStore()?.name,
+      startedAt,
+      time: now() - start,
+      request: { method: method.toUpperCase(), url: url.href, headers, body: payload ? payload.toString('utf8') : null },
+      response
+    });
+    return response;
+  }
 
-        const next = (error) => {
-          if (error) {
-            res.statusCode = error.status || 500;
-            res.json({ error: error.message });
-          }
-          resolve();
-        };
+  async sendOverSocket(method, url, headers, payload) {
+    const response = await fetch(url.href, {
+      method: method.toUpperCase(),
+      headers,
+      body: payload || undefined,
+      redirect: 'manual'
+    });
 
-        // Execute handlers in sequence
-        let index = 0;
-        const runHandler = async () => {
-          if (index >= handlers.length) {
-            resolve();
-            return;
-          }
+    const responseHeaders = {};
+    Object.entries(response.headers.raw()).forEach(([name, values]) => {
+      responseHeaders[name] = name === 'set-cookie' ? values : values.join(', ');
+    });
+    // node-fetch makes Location absolute; report it as the app sent it
+    if (responseHeaders.location?.startsWith(this.baseUrl)) {
+      responseHeaders.location = responseHeaders.location.slice(this.baseUrl.length) || '/';
+    }
 
-          const handler = handlers[index++];
-          try {
-            await handler(req, res, runHandler);
-          } catch (error) {
-            next(error);
-          }
-        };
+    return buildResponse(response.status, response.statusText, responseHeaders, Buffer.from(await response.arrayBuffer()));
+  }
+
+  dispatch(method, url, headers, payload) {
+    const socket = new Duplex({ read() {}, write(chunk, encoding, callback) { callback(); } });
+    socket.remoteAddress = this.remoteAddress;
+    socket.encrypted = false;
+
+    const req = new http.IncomingMessage(socket);
+    req.method = method.toUpperCase();
+    req.url = `${url.pathname}${url.search}`;
+    req.httpVersion = '1.1';
+    req.httpVersionMajor = 1;
+    req.httpVersionMinor = 1;
+    Object.entries({ host: url.host, ...headers }).forEach(([name, value]) => {
+      req.headers[name] = String(value);
+      req.rawHeaders.push(name, String(value));
+    });
+    if (payload) {
+      req.push(payload);
+    }
+    req.push(null);
+
+    const res = new http.ServerResponse(req);
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      const collect = (chunk, encoding) => {
+        if (chunk !== undefined && chunk !== null && typeof chunk !== 'function') {
+          chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8'));
+        }
+      };
+
+      // Nothing goes to the socket: the body is collected here, and writeHead
+      // still runs so header hooks (on-headers, cookie sessions) fire.
+      // Headers passed straight to writeHead are copied into getHeaders().
+      const writeHead = res.writeHead;
+      res.writeHead = function (statusCode, reason, extraHeaders) {
+        const fields = typeof reason === 'object' ? reason : extraHeaders;
+        if (fields && !Array.isArray(fields)) {
+          Object.entries(fields).forEach(([name, value]) => res.setHeader(name, value));
+        }
+        return writeHead.call(this, statusCode, typeof reason === 'string' ? reason : undefined);
+      };
+      res.write = (chunk, encoding, callback) => {
+        if (!res.headersSent) {res.writeHead(res.statusCode);}
+        collect(chunk, encoding);
+        if (typeof callback === 'function') {callback();}
+        return true;
+      };
+      res.end = (chunk, encoding, callback) => {
+        if (res.writableEnded) {return res;}
+        if (!res.headersSent) {res.writeHead(res.statusCode);}
+        collect(chunk, encoding);
+        res.finished = true;
+        Object.defineProperty(res, 'writableEnded', { value: true });
+        resolve(buildResponse(res.statusCode, res.statusMessage, res.getHeaders(), Buffer.concat(chunks)));
+        res.emit('finish');
+        if (typeof callback === 'function') {callback();}
+        return res;
+      };
+
+      try {
+        const result = this.app(req, res);
+        if (typeof result?.catch === 'function') {
+          result.catch(reject);
+        }
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
 
-        runHandler();
+  storeCookies(cookies) {
+    Object.entries(cookies).forEach(([name, cookie]) => {
+      const expired = cookie.maxAge !== undefined ? cookie.maxAge <= 0 : cookie.expires && cookie.expires <= new Date();
+      if (expired || cookie.value === '') {
+        this.cookies.delete(name);
       } else {
-        res.statusCode = 404;
-        res.json({ error: 'Not found' });
-        resolve();
+        this.cookies.set(name, cookie.value);
       }
     });
+  }
 
-    return {
-      status: res.statusCode,
-      headers: res.headers,
-      body: res.body
-    };
+  clearCookies() {
+    this.cookies.clear();
   }
 
   get(path, options) {
@@ -367,53 +1098,252 @@ export class TestClient {
     return this.request('PUT', path, options);
   }
 
+  patch(path, options) {
+    return this.request('PATCH', path, options);
+  }
+
   delete(path, options) {
     return this.request('DELETE', path, options);
   }
+
+  options(path, options) {
+    return this.request('OPTIONS', path, options);
+  }
+}
+
+function lowercaseKeys(object) {
+  return Object.fromEntries(Object.entries(object).map(([key, value]) => [key.toLowerCase(), value]));
+}
+
+// { status, statusText, headers (lowercase names), body (parsed JSON when the
+// response is JSON), text, cookies, redirect, header(name) }
+function buildResponse(status, statusText, headers, raw) {
+  const text = raw.toString('utf8');
+  const contentType = String(headers['content-type'] || '');
+  let body = text;
+  if (contentType.includes('json') && text) {
+    try {
+      body = JSON.parse(text);
+    } catch {
+      body = text;
+    }
+  }
+
+  return {
+    status,
+    statusText,
+    headers,
+    body,
+    text,
+    cookies: parseSetCookie(headers['set-cookie']),
+    redirect: status >= 300 && status < 400 ? headers.location || null : null,
+    header: (name) => headers[name.toLowerCase()]
+  };
+}
+
+// Set-Cookie headers as { name: { value, path, domain, expires, maxAge,
+// httpOnly, secure, sameSite } }
+function parseSetCookie(header) {
+  const cookies = {};
+
+  [].concat(header || []).forEach(line => {
+    const [pair, ...attributes] = String(line).split(';').map(part => part.trim());
+    const index = pair.indexOf('=');
+    const name = pair.slice(0, index);
+    const cookie = { value: decodeURIComponent(pair.slice(index + 1)) };
+
+    attributes.forEach(attribute => {
+      const [key, ...rest] = attribute.split('=');
+      const value = rest.join('=');
+      switch (key.toLowerCase()) {
+        case 'path': cookie.path = value; break;
+        case 'domain': cookie.domain = value; break;
+        case 'expires': cookie.expires = new Date(value); break;
+        case 'max-age': cookie.maxAge = Number(value); break;
+        case 'httponly': cookie.httpOnly = true; break;
+        case 'secure': cookie.secure = true; break;
+        case 'samesite': cookie.sameSite = value; break;
+      }
+    });
+
+    cookies[name] = cookie;
+  });
+
+  return cookies;
 }
 
 // Load testing utilities
+// Two models:
+//   closed (default) - `concurrency` workers each send the next request as
+//     soon as the previous one returns. Offered load falls when the backend
+//     slows down.
+//   arrival-rate (open) - requests start on a fixed schedule (`rate` per
+//     second, or `stages` of { duration, rate }) whether or not earlier ones
+//     have returned, like real checkout traffic. Latency is measured from the
+//     intended send time, so scheduler lag counts against the backend instead
+//     of hiding it (coordinated omission). Requests that would exceed
+//     `maxInFlight` are dropped; ones sent more than `lateThreshold` ms after
+//     their slot are counted as late.
+//
+// With `workers: n` the virtual users (closed) or the schedule (arrival rate)
+// are split across n worker threads, whose results are merged into one
+// analyze(). The test then has to be a reference the workers can import,
+// { module: <path or file URL>, name: <export, e.g. 'scenarios.checkout'> },
+// since functions can't be sent to a thread. Each thread's event loop
+// utilization is sampled, with a warning when it passes
+// `saturationThreshold` percent: past that the load generator, not the
+// backend, is the limit.
 export class LoadTester {
   constructor(options = {}) {
+    this.options = options;
+    this.workers = options.workers || 1;
+    this.partition = options.partition || { index: 0, count: 1 };
+    this.quiet = options.quiet || false;
+    this.saturationThreshold = options.saturationThreshold ?? 90;
+    this.mode = options.mode || (options.rate || options.stages ? 'arrival-rate' : 'closed');
     this.concurrency = options.concurrency || 10;
     this.duration = options.duration || 60000; // 1 minute
     this.rampUp = options.rampUp || 0;
-    this.results = [];
+    this.stages = options.stages || [{ duration: this.duration, rate: options.rate || 10 }];
+    this.maxInFlight = options.maxInFlight || 1000;
+    this.lateThreshold = options.lateThreshold ?? 10;
+    this.interval = options.interval || 1000;
+    this.reset();
+
+    if (options.stages) {
+      this.duration = this.stages.reduce((total, stage) => total + stage.duration, 0);
+    }
+  }
+
+  // Results are aggregated as they arrive, so memory stays flat however long
+  // the run: latency histograms, a per-interval time series, and counters
+  reset() {
+    this.latency = new Histogram();
+    this.serviceTime = new Histogram();
+    this.timeSeries = new TimeSeries({ interval: this.interval });
+    this.counts = { scheduled: 0, sent: 0, successful: 0, failed: 0, dropped: 0, late: 0 };
+    this.maxLateness = 0;
+    this.errors = {};
+    this.steps = new Map();
+    this.generator = [];
+    this.startedAt = null;
+    this.elapsed = 0;
   }
 
-  async run(testFn) {
-    console.log(`Starting load test: ${this.concurrency} concurrent users`);
+  // result: { latency, serviceTime?, success, error, dropped?, lateBy? }
+  record(result) {
+    this.counts.scheduled++;
+    if (result.dropped) {
+      this.counts.dropped++;
+      return;
+    }
+
+    this.counts.sent++;
+    this.maxLateness = Math.max(this.maxLateness, result.lateBy || 0);
+    if (result.lateBy > this.lateThreshold) {
+      this.counts.late++;
+    }
+
+    if (result.success) {
+      this.counts.successful++;
+      this.latency.record(result.latency);
+      this.serviceTime.record(result.serviceTime ?? result.latency);
+    } else {
+      this.counts.failed++;
+      this.errors[result.error] = (this.errors[result.error] || 0) + 1;
+    }
+    this.timeSeries.record(performance.now() - this.startedAt, result.latency, result.success);
+  }
+
+  // Latency of one named step within an iteration (see vu.step)
+  recordStep(name, latency, success) {
+    if (!this.steps.has(name)) {
+      this.steps.set(name, { latency: new Histogram(), failed: 0 });
+    }
+    const step = this.steps.get(name);
+    if (success) {
+      step.latency.record(latency);
+    } else {
+      step.failed++;
+    }
+  }
+
+  // Stages rising from `from` to `to` req/s in `steps` equal steps
+  static steps({ from, to, steps, stepDuration }) {
+    return Array.from({ length: steps }, (_, i) => ({
+      duration: stepDuration,
+      rate: steps === 1 ? to : from + ((to - from) * i) / (steps - 1)
+    }));
+  }
+
+  // Stages holding `rate`, with a burst of `spikeRate` for `spikeDuration`
+  // starting at `at` ms
+  static spike({ rate, spikeRate, at, spikeDuration, duration }) {
+    return [
+      { duration: at, rate },
+      { duration: spikeDuration, rate: spikeRate },
+      { duration: duration - at - spikeDuration, rate }
+    ].filter(stage => stage.duration > 0);
+  }
+
+  // test: a function, or a { module, name } reference (required with workers)
+  async run(test) {
+    if (this.workers > 1) {
+      return this.runWorkers(test);
+    }
+
+    const testFn = typeof test === 'function' ? test : await resolveTest(test);
+    const monitor = monitorEventLoop(this.interval);
+    try {
+      if (this.mode === 'arrival-rate') {
+        await this.runArrivalRate(testFn);
+      } else {
+        await this.runClosed(testFn);
+      }
+    } finally {
+      this.generator = [{ worker: this.partition.index, ...monitor.stop() }];
+    }
+
+    if (this.partition.count === 1) {
+      this.warnIfSaturated();
+    }
+    return this.analyze();
+  }
+
+  async runClosed(testFn) {
+    this.log(`Starting load test: ${this.concurrency} concurrent users`);
 
     const startTime = Date.now();
     const workers = [];
+    this.startedAt = performance.now();
 
-    // Ramp up workers
+    // Ramp up workers; a worker thread runs only its share of them
     for (let i = 0; i < this.concurrency; i++) {
+      if (i % this.partition.count !== this.partition.index) {
+        continue;
+      }
       const delay = this.rampUp ? (this.rampUp / this.concurrency) * i : 0;
 
       workers.push(
         new Promise(async (resolve) => {
           await new Promise(r => setTimeout(r, delay));
 
+          const vu = this.createVirtualUser(i);
           while (Date.now() - startTime < this.duration) {
             const requestStart = performance.now();
             let success = true;
             let error = null;
 
+            vu.thinkTime = 0;
             try {
-              await testFn();
+              await testFn(vu);
             } catch (e) {
               success = false;
               error = e.message;
             }
+            vu.iteration++;
 
-            const duration = performance.now() - requestStart;
-            this.results.push({
-              timestamp: Date.now(),
-              duration,
-              success,
-              error
-            });
+            this.record({ latency: performance.now() - requestStart - vu.thinkTime, success, error });
           }
 
           resolve();
@@ -422,55 +1352,355 @@ export class LoadTester {
     }
 
     await Promise.all(workers);
+    this.elapsed = performance.now() - this.startedAt;
+  }
+
+  async runArrivalRate(testFn) {
+    const rates = this.stages.map(stage => `${stage.rate} req/s for ${stage.duration / 1000}s`).join(', then ');
+    this.log(`Starting load test: ${rates} (arrival rate)`);
+
+    const { index, count } = this.partition;
+    const schedule = this.schedule().filter((time, i) => i % count === index);
+    const start = performance.now();
+    this.startedAt = start;
+    const inFlight = new Set();
+    // Virtual users are reused once their request finishes, so per-user
+    // state carries over; new ones are created only when all are busy
+    const idle = [];
+    let virtualUsers = 0;
+
+    for (let i = 0; i < schedule.length;) {
+      const wait = start + schedule[i] - performance.now();
+      if (wait > 1) {
+        await new Promise(r => setTimeout(r, wait));
+      }
+
+      // Send everything that is due; after a stall that may be several
+      const sendTime = performance.now();
+      while (i < schedule.length && start + schedule[i] <= sendTime + 1) {
+        const intended = start + schedule[i++];
+        const lateBy = Math.max(0, sendTime - intended);
 
+        if (inFlight.size >= this.maxInFlight) {
+          this.record({ dropped: true, lateBy });
+          continue;
+        }
+
+        const vu = idle.pop() || this.createVirtualUser(virtualUsers++ * count + index);
+        const request = this.send(testFn, intended, lateBy, vu).finally(() => {
+          inFlight.delete(request);
+          idle.push(vu);
+        });
+        inFlight.add(request);
+      }
+    }
+
+    await Promise.all(inFlight);
+    this.elapsed = performance.now() - start;
+  }
+
+  async runWorkers(test) {
+    if (typeof test === 'function') {
+      throw new Error('LoadTester with workers needs a { module, name } test reference: functions can\'t be sent to worker threads');
+    }
+
+    const description = this.mode === 'arrival-rate' ? 'arrival rate' : `${this.concurrency} concurrent users`;
+    this.log(`Starting load test: ${description} across ${this.workers} worker threads`);
+    this.startedAt = performance.now();
+
+    const threads = [];
+    const finished = Promise.all(Array.from({ length: this.workers }, (_, index) => new Promise((resolve, reject) => {
+      const worker = new Worker(new URL('./loadWorker.js', import.meta.url), {
+        // The test module sees the same command-line options as in this thread
+        argv: process.argv.slice(2),
+        workerData: {
+          test,
+          options: { ...this.options, workers: 1, quiet: true, partition: { index, count: this.workers } }
+        }
+      });
+      worker.once('message', data => {
+        resolve(data);
+        worker.terminate();
+      });
+      worker.once('error', reject);
+      worker.once('exit', code => reject(new Error(`Load worker ${index} exited with code ${code}`)));
+      threads.push(worker);
+    })));
+
+    let results;
+    try {
+      results = await finished;
+    } catch (error) {
+      // One failed thread fails the run; don't leave the others generating load
+      await Promise.all(threads.map(worker => worker.terminate()));
+      throw error;
+    }
+
+    results.forEach(data => this.merge(data));
+    this.elapsed = performance.now() - this.startedAt;
+    this.warnIfSaturated();
     return this.analyze();
   }
 
+  // Raw results, for posting from a worker thread
+  toJSON() {
+    return {
+      latency: this.latency.toJSON(),
+      serviceTime: this.serviceTime.toJSON(),
+      timeSeries: this.timeSeries.toJSON(),
+      counts: this.counts,
+      maxLateness: this.maxLateness,
+      errors: this.errors,
+      steps: [...this.steps].map(([name, step]) => [name, { latency: step.latency.toJSON(), failed: step.failed }]),
+      generator: this.generator
+    };
+  }
+
+  // Adds another tester's toJSON() results to this one's
+  merge(data) {
+    this.latency.merge(Histogram.fromJSON(data.latency));
+    this.serviceTime.merge(Histogram.fromJSON(data.serviceTime));
+    this.timeSeries.merge(TimeSeries.fromJSON(data.timeSeries));
+    Object.keys(this.counts).forEach(key => {
+      this.counts[key] += data.counts[key];
+    });
+    this.maxLateness = Math.max(this.maxLateness, data.maxLateness);
+    Object.entries(data.errors).forEach(([error, count]) => {
+      this.errors[error] = (this.errors[error] || 0) + count;
+    });
+    data.steps.forEach(([name, step]) => {
+      if (!this.steps.has(name)) {
+        this.steps.set(name, { latency: new Histogram(), failed: 0 });
+      }
+      const target = this.steps.get(name);
+      target.latency.merge(Histogram.fromJSON(step.latency));
+      target.failed += step.failed;
+    });
+    this.generator.push(...data.generator);
+    return this;
+  }
+
+  warnIfSaturated() {
+    this.generator
+      .filter(thread => thread.utilization >= this.saturationThreshold)
+      .forEach(thread => {
+        console.warn(`Warning: load generator thread ${thread.worker} was ${thread.utilization}% busy ` +
+          `(peak ${thread.peak}%). Results may be limited by the generator, not the backend; ` +
+          'add workers or reduce load per thread.');
+      });
+  }
+
+  log(message) {
+    if (!this.quiet) {
+      console.log(message);
+    }
+  }
+
+  // Intended send offsets (ms from start) for every request in the profile
+  schedule() {
+    const times = [];
+    let stageStart = 0;
+
+    this.stages.forEach(({ duration, rate }) => {
+      if (rate > 0) {
+        const interval = 1000 / rate;
+        for (let t = 0; t < duration; t += interval) {
+          times.push(stageStart + t);
+        }
+      }
+      stageStart += duration;
+    });
+
+    return times;
+  }
+
+  async send(testFn, intended, lateBy, vu) {
+    const sent = performance.now();
+    let success = true;
+    let error = null;
+
+    vu.thinkTime = 0;
+    try {
+      await testFn(vu);
+    } catch (e) {
+      success = false;
+      error = e.message;
+    }
+    vu.iteration++;
+
+    const finished = performance.now() - vu.thinkTime;
+    this.record({ latency: finished - intended, serviceTime: finished - sent, success, error, lateBy });
+  }
+
+  // Context passed to the test function for each worker: `state` persists
+  // across its iterations, think(ms) pauses without counting as latency, and
+  // step(name, fn) times part of an iteration for the per-step breakdown
+  createVirtualUser(id) {
+    const tester = this;
+    const vu = {
+      id,
+      iteration: 0,
+      state: {},
+      thinkTime: 0,
+      async think(ms) {
+        const start = performance.now();
+        await new Promise(r => setTimeout(r, ms));
+        vu.thinkTime += performance.now() - start;
+      },
+      async step(name, fn) {
+        const start = performance.now();
+        let success = false;
+        try {
+          const result = await fn();
+          success = true;
+          return result;
+        } finally {
+          tester.recordStep(name, performance.now() - start, success);
+        }
+      }
+    };
+    return vu;
+  }
+
+  // Numeric stats: latencies in ms, errorRate in percent. For arrival-rate
+  // runs latency is measured from the intended send time and dropped and late
+  // requests are reported on their own, so they can't hide in the percentiles.
   analyze() {
-    const successful = this.results.filter(r => r.success);
-    const failed = this.results.filter(r => !r.success);
-    const durations = successful.map(r => r.duration).sort((a, b) => a - b);
+    const { sent, successful, failed } = this.counts;
+    const latency = this.latency.summary();
+    const seconds = this.duration / 1000;
 
     const stats = {
-      total: this.results.length,
-      successful: successful.length,
-      failed: failed.length,
-      errorRate: `${(failed.length / this.results.length * 100).toFixed(2)}%`,
-      requestsPerSecond: (this.results.length / (this.duration / 1000)).toFixed(2),
-      averageLatency: `${(durations.reduce((a, b) => a + b, 0) / durations.length).toFixed(2)}ms`,
-      minLatency: `${Math.min(...durations).toFixed(2)}ms`,
-      maxLatency: `${Math.max(...durations).toFixed(2)}ms`,
-      p50: `${this.percentile(durations, 0.5).toFixed(2)}ms`,
-      p95: `${this.percentile(durations, 0.95).toFixed(2)}ms`,
-      p99: `${this.percentile(durations, 0.99).toFixed(2)}ms`
+      total: sent,
+      successful,
+      failed,
+      errorRate: sent === 0 ? 0 : round2((failed / sent) * 100),
+      requestsPerSecond: round2(sent / seconds),
+      averageLatency: latency.mean,
+      minLatency: latency.min,
+      maxLatency: latency.max,
+      p50: latency.p50,
+      p90: latency.p90,
+      p95: latency.p95,
+      p99: latency.p99,
+      p999: latency.p999,
+      timeSeries: this.timeSeries.rows()
     };
 
-    // Group errors
-    if (failed.length > 0) {
-      const errors = {};
-      failed.forEach(r => {
-        errors[r.error] = (errors[r.error] || 0) + 1;
+    if (this.mode === 'arrival-rate') {
+      stats.scheduled = this.counts.scheduled;
+      stats.targetRate = round2(this.counts.scheduled / seconds);
+      stats.dropped = this.counts.dropped;
+      stats.late = this.counts.late;
+      stats.maxLateness = round2(this.maxLateness);
+      stats.serviceP95 = this.serviceTime.summary().p95;
+    }
+
+    // Event loop utilization (%) of each generating thread
+    stats.generator = this.generator;
+
+    // Per-step breakdown, in the order steps first ran
+    if (this.steps.size > 0) {
+      stats.steps = {};
+      this.steps.forEach((step, name) => {
+        const summary = step.latency.summary();
+        const count = summary.count + step.failed;
+        stats.steps[name] = {
+          count,
+          failed: step.failed,
+          errorRate: round2((step.failed / count) * 100),
+          averageLatency: summary.mean,
+          p50: summary.p50,
+          p95: summary.p95,
+          p99: summary.p99,
+          maxLatency: summary.max
+        };
       });
-      stats.errors = errors;
+    }
+
+    // Group errors
+    if (failed > 0) {
+      stats.errors = { ...this.errors };
     }
 
     return stats;
   }
 
-  percentile(values, p) {
-    if (values.length === 0) {return 0;}
-    const index = Math.ceil(values.length * p) - 1;
-    return values[Math.max(0, index)];
+  // Writes the stats of the last run as JSON, or its time series as CSV
+  // (one row per interval), for charting
+  export(file, format = path.extname(file).slice(1)) {
+    const stats = this.analyze();
+    const content = format === 'csv'
+      ? toCSV(stats.timeSeries)
+      : `${JSON.stringify({ mode: this.mode, duration: this.duration, ...stats }, null, 2)}\n`;
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+    return file;
+  }
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Resolves a { module, name } test reference; `name` may be a dotted path
+// into the module's exports
+async function resolveTest(test) {
+  const url = test.module.startsWith('file:') ? test.module : pathToFileURL(path.resolve(test.module)).href;
+  const testFn = test.name.split('.').reduce((value, key) => value?.[key], await import(url));
+  if (typeof testFn !== 'function') {
+    throw new Error(`Load test "${test.name}" is not a function exported by ${test.module}`);
   }
+  return testFn;
+}
+
+// Samples this thread's event loop utilization every `interval` ms; stop()
+// returns the overall and peak interval utilization in percent
+function monitorEventLoop(interval) {
+  const start = performance.eventLoopUtilization();
+  let last = start;
+  let peak = 0;
+  const timer = setInterval(() => {
+    const current = performance.eventLoopUtilization();
+    peak = Math.max(peak, performance.eventLoopUtilization(current, last).utilization);
+    last = current;
+  }, interval);
+  timer.unref();
+
+  return {
+    stop() {
+      clearInterval(timer);
+      const overall = performance.eventLoopUtilization(start).utilization;
+      return { utilization: round2(overall * 100), peak: round2(Math.max(peak, overall) * 100) };
+    }
+  };
 }
 
 // Export main test runner
-export const describe = (name, fn) => {
-  const runner = new TestRunner(name);
+export const describe = (name, fn, options) => {
+  const runner = new TestRunner(name, { file: callerFile(), ...options });
   fn.call(runner);
   return runner;
 };
 
+describe.only = (name, fn, options) => describe(name, fn, { ...options, mode: 'only' });
+describe.skip = (name, fn, options) => describe(name, fn, { ...options, mode: 'skip' });
+
+// Path of the first stack frame outside this module, i.e. the test file
+// calling describe()
+function callerFile() {
+  const self = fileURLToPath(import.meta.url);
+  for (const line of new Error().stack.split('\n').slice(1)) {
+    const match = line.match(/(?:\(|at )((?:file:\/\/)?\/[^()]+?):\d+:\d+\)?$/);
+    const file = match && (match[1].startsWith('file:') ? fileURLToPath(match[1]) : match[1]);
+    if (file && file !== self) {
+      return file;
+    }
+  }
+  return undefined;
+}
+
 // Run all tests if this file is executed directly
 if (import.meta.url === `file://${process.argv[1]}`) {
   console.log('Running tests...\n');
@@ -478,14 +1708,18 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   const startTime = Date.now();
   const runner = new TestRunner('All Tests');
 
-  // Import and run all test files
-  // This would be expanded to dynamically load all test files
-
-  runner.run().then(results => {
-    const duration = Date.now() - startTime;
-    console.log(`\n${results.passed} passed, ${results.failed} failed`);
-    console.log(`Time: ${(duration / 1000).toFixed(2)}s`);
-
-    process.exit(results.failed > 0 ? 1 : 0);
-  });
+  // Discover and load every suite file under this directory
+  import('./discovery.js')
+    .then(({ discoverTestSuites }) => discoverTestSuites({ root: fileURLToPath(new URL('.', import.meta.url)) }))
+    .then(suites => {
+      runner.tests.push(...suites.map(({ suite }) => suite));
+      return runner.run();
+    })
+    .then(results => {
+      const duration = Date.now() - startTime;
+      console.log(`\n${results.passed} passed, ${results.failed} failed, ${results.skipped} skipped`);
+      console.log(`Time: ${(duration / 1000).toFixed(2)}s`);
+
+      process.exit(results.failed > 0 ? 1 : 0);
+    });
 }
@@ -0,0 +1,160 @@
+// SLO thresholds and baseline comparison for LoadTester results
+//
+// Thresholds are declared per scenario as comma-separated expressions:
+//   'p95 < 300ms, errorRate < 0.5%'
+// Metrics are LoadTester.analyze() fields, plus the aliases below; per-step
+// stats are addressed by path, e.g. 'steps.webhook.p95 < 200ms'. Units:
+// ms or s for latencies, % for rates, none for counts. Operators: < <= > >= ==
+//
+// A baseline is a JSON file of stats per scenario from an earlier run; a
+// metric regresses when it is worse than the baseline by more than the
+// relative tolerance (and more than a small absolute margin, so a 2ms -> 3ms
+// p50 doesn't count as a 50% regression).
+
+import fs from 'fs';
+import path from 'path';
+
+const ALIASES = {
+  avg: 'averageLatency',
+  mean: 'averageLatency',
+  min: 'minLatency',
+  max: 'maxLatency',
+  rps: 'requestsPerSecond',
+  'p99.9': 'p999'
+};
+
+const UNITS = { ms: 1, s: 1000, '%': 1, '': 1 };
+
+const OPERATORS = {
+  '<': (actual, limit) => actual < limit,
+  '<=': (actual, limit) => actual <= limit,
+  '>': (actual, limit) => actual > limit,
+  '>=': (actual, limit) => actual >= limit,
+  '==': (actual, limit) => actual === limit
+};
+
+// Metrics compared against a baseline, and the absolute change below which a
+// difference is noise. Higher is worse for all but throughput.
+export const BASELINE_METRICS = {
+  p50: { margin: 5 },
+  p95: { margin: 5 },
+  p99: { margin: 10 },
+  errorRate: { margin: 0.1 },
+  requestsPerSecond: { margin: 1, higherIsBetter: true }
+};
+
+export function parseThresholds(spec) {
+  return [].concat(spec)
+    .flatMap(item => (typeof item === 'string' ? item.split(',') : [item]))
+    .map(item => (typeof item === 'string' ? parseThreshold(item) : item));
+}
+
+export function parseThreshold(expression) {
+  const match = expression.trim().match(/^([\w.]+)\s*(<=|>=|==|<|>)\s*(-?[\d.]+)\s*(ms|s|%)?$/);
+  if (!match) {
+    throw new Error(`Invalid threshold "${expression.trim()}" (expected e.g. "p95 < 300ms")`);
+  }
+
+  const [, name, operator, value, unit = ''] = match;
+  const parts = name.split('.');
+  const last = parts.pop();
+  return {
+    expression: expression.trim(),
+    metric: ALIASES[name] || [...parts, ALIASES[last] || last].join('.'),
+    operator,
+    limit: Number(value) * UNITS[unit]
+  };
+}
+
+// Returns [{ expression, metric, actual, limit, passed }]. A metric missing
+// from the results (e.g. a step that never ran) has a null `actual` and
+// fails its threshold.
+export function evaluateThresholds(stats, spec) {
+  return parseThresholds(spec).map(threshold => {
+    const actual = threshold.metric.split('.').reduce((value, key) => value?.[key], stats);
+    if (typeof actual !== 'number') {
+      return { ...threshold, actual: null, passed: false };
+    }
+    return { ...threshold, actual, passed: OPERATORS[threshold.operator](actual, threshold.limit) };
+  });
+}
+
+// Returns [{ metric, baseline, actual, change, regressed }] for each metric
+// present in both. `change` is relative (0.25 = 25% worse).
+export function compareToBaseline(stats, baseline, options = {}) {
+  const tolerance = options.tolerance ?? 0.1;
+  const metrics = options.metrics || BASELINE_METRICS;
+
+  return Object.entries(metrics)
+    .filter(([metric]) => typeof stats[metric] === 'number' && typeof baseline[metric] === 'number')
+    .map(([metric, { margin = 0, higherIsBetter = false }]) => {
+      const actual = stats[metric];
+      const expected = baseline[metric];
+      const worseBy = higherIsBetter ? expected - actual : actual - expected;
+      const change = expected === 0 ? (worseBy > 0 ? Infinity : 0) : worseBy / expected;
+      return {
+        metric,
+        baseline: expected,
+        actual,
+        change,
+        regressed: worseBy > margin && change > tolerance
+      };
+    });
+}
+
+export function loadBaseline(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Stores { scenario: stats } without time series, errors or generator load
+export function saveBaseline(file, resultsByScenario) {
+  const baseline = {};
+  Object.entries(resultsByScenario).forEach(([scenario, stats]) => {
+    const { timeSeries, errors, generator, ...summary } = stats;
+    baseline[scenario] = summary;
+  });
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(baseline, null, 2)}\n`);
+  return file;
+}
+
+// Checks one scenario's stats against its thresholds and, if given, its
+// baseline. Returns { passed, lines, failures }: a human-readable report
+// and the lines that failed it.
+export function gate(scenario, stats, { thresholds, baseline, tolerance } = {}) {
+  const lines = [];
+  const failures = [];
+
+  if (thresholds) {
+    evaluateThresholds(stats, thresholds).forEach(result => {
+      const actual = result.actual === null ? 'missing' : `actual ${formatValue(result.metric, result.actual)}`;
+      const line = `${result.passed ? '✓' : '✗'} ${scenario}: ${result.expression} ` +
+        `(${actual})${result.passed ? '' : ' BREACHED'}`;
+      lines.push(line);
+      if (!result.passed) {failures.push(line);}
+    });
+  }
+
+  if (baseline) {
+    compareToBaseline(stats, baseline, { tolerance }).forEach(result => {
+      const change = Number.isFinite(result.change)
+        ? `${Math.abs(result.change * 100).toFixed(1)}% ${result.change > 0 ? 'worse' : 'better'} than baseline`
+        : 'baseline was 0';
+      const line = `${result.regressed ? '✗' : '✓'} ${scenario}: ${result.metric} ` +
+        `${formatValue(result.metric, result.baseline)} -> ${formatValue(result.metric, result.actual)} ` +
+        `(${change})${result.regressed ? ' REGRESSED' : ''}`;
+      lines.push(line);
+      if (result.regressed) {failures.push(line);}
+    });
+  }
+
+  return { passed: failures.length === 0, lines, failures };
+}
+
+function formatValue(path, value) {
+  const metric = path.split('.').pop();
+  if (metric === 'errorRate') {return `${value}%`;}
+  if (/^p\d+$|Latency$|^serviceP95$|^maxLateness$/.test(metric)) {return `${value}ms`;}
+  return String(value);
+}
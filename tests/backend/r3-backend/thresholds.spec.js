@@ -0,0 +1,120 @@
+// Tests for SLO thresholds and baseline comparison of LoadTester results
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, expect } from './testFramework.js';
+import { parseThreshold, evaluateThresholds, compareToBaseline, gate, loadBaseline, saveBaseline } from './thresholds.js';
+
+const journeyStats = {
+  total: 400,
+  errorRate: 0.5,
+  requestsPerSecond: 20,
+  averageLatency: 900,
+  p50: 800,
+  p95: 2400,
+  p99: 2900,
+  steps: {
+    paymentIntent: { p95: 1200 },
+    webhook: { p95: 180 }
+  }
+};
+
+export const thresholdTests = describe('Thresholds', function () {
+  this.describe('Parsing', function () {
+    this.it('should parse metrics, aliases, step paths and units', () => {
+      expect.toMatchObject(parseThreshold(' p95 < 300ms '), { expression: 'p95 < 300ms', metric: 'p95', operator: '<', limit: 300 });
+      expect.toMatchObject(parseThreshold('avg<=1.5s'), { metric: 'averageLatency', operator: '<=', limit: 1500 });
+      expect.toMatchObject(parseThreshold('p99.9 < 5s'), { metric: 'p999', limit: 5000 });
+      expect.toMatchObject(parseThreshold('steps.webhook.max < 500ms'), { metric: 'steps.webhook.maxLatency' });
+      expect.toMatchObject(parseThreshold('dropped == 0'), { metric: 'dropped', operator: '==', limit: 0 });
+    });
+
+    this.it('should reject expressions it cannot read', () => {
+      expect.toThrow(() => parseThreshold('p95 under 300ms'), /Invalid threshold "p95 under 300ms"/);
+      expect.toThrow(() => evaluateThresholds(journeyStats, 'p95 < 300ms, errorRate ~ 1%'), /Invalid threshold "errorRate ~ 1%"/);
+    });
+  });
+
+  this.describe('Evaluating', function () {
+    this.it('should check every threshold against the stats', () => {
+      const results = evaluateThresholds(journeyStats, 'p95 < 3000ms, errorRate < 0.5%, steps.paymentIntent.p95 < 1000ms, rps >= 20');
+
+      expect.toEqual(results.map(result => [result.expression, result.actual, result.passed]), [
+        ['p95 < 3000ms', 2400, true],
+        ['errorRate < 0.5%', 0.5, false],
+        ['steps.paymentIntent.p95 < 1000ms', 1200, false],
+        ['rps >= 20', 20, true]
+      ]);
+    });
+
+    this.it('should fail a threshold whose metric is missing instead of throwing', () => {
+      const results = evaluateThresholds({ p95: 100 }, 'p95 < 300ms, steps.paymentIntent.p95 < 1000ms');
+
+      expect.toEqual(results.map(result => [result.metric, result.actual, result.passed]), [
+        ['p95', 100, true],
+        ['steps.paymentIntent.p95', null, false]
+      ]);
+    });
+  });
+
+  this.describe('Baseline', function () {
+    this.it('should flag metrics worse than the baseline beyond the tolerance and the noise margin', () => {
+      const baseline = { p50: 2, p95: 2000, p99: 2900, errorRate: 0.5, requestsPerSecond: 25 };
+      const stats = { p50: 3, p95: 2400, p99: 2950, errorRate: 0.5, requestsPerSecond: 20 };
+
+      const results = compareToBaseline(stats, baseline, { tolerance: 0.1 });
+
+      expect.toEqual(results.map(result => [result.metric, result.regressed]), [
+        ['p50', false],
+        ['p95', true],
+        ['p99', false],
+        ['errorRate', false],
+        ['requestsPerSecond', true]
+      ]);
+      expect.toBe(results[1].change, 0.2);
+    });
+
+    this.it('should only compare metrics present on both sides', () => {
+      const results = compareToBaseline({ p95: 10, errorRate: 1 }, { p95: 10 });
+
+      expect.toEqual(results.map(result => result.metric), ['p95']);
+    });
+
+    this.it('should save stats without time series, errors or generator load, and load them back', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'r3-thresholds-'));
+      const file = path.join(dir, 'baselines', 'load.json');
+
+      try {
+        saveBaseline(file, { checkoutJourney: { ...journeyStats, timeSeries: [{ second: 0 }], errors: { timeout: 2 }, generator: [] } });
+
+        expect.toEqual(loadBaseline(file), { checkoutJourney: journeyStats });
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  this.describe('gate', function () {
+    this.it('should report each threshold and regression, and fail on any', () => {
+      const result = gate('checkoutJourney', journeyStats, {
+        thresholds: 'p95 < 3000ms, steps.paymentIntent.p95 < 1000ms, steps.logout.p95 < 500ms',
+        baseline: { p95: 2000, errorRate: 0.5 },
+        tolerance: 0.1
+      });
+
+      expect.toBeFalsy(result.passed);
+      expect.toEqual(result.lines, [
+        '✓ checkoutJourney: p95 < 3000ms (actual 2400ms)',
+        '✗ checkoutJourney: steps.paymentIntent.p95 < 1000ms (actual 1200ms) BREACHED',
+        '✗ checkoutJourney: steps.logout.p95 < 500ms (missing) BREACHED',
+        '✗ checkoutJourney: p95 2000ms -> 2400ms (20.0% worse than baseline) REGRESSED',
+        '✓ checkoutJourney: errorRate 0.5% -> 0.5% (0.0% better than baseline)'
+      ]);
+      expect.toEqual(result.failures, [result.lines[1], result.lines[2], result.lines[3]]);
+    });
+
+    this.it('should pass with nothing to check', () => {
+      expect.toEqual(gate('createSession', journeyStats), { passed: true, lines: [], failures: [] });
+    });
+  });
+});
@@ -0,0 +1,111 @@
+// Tests for per-test/suite timeouts and retries in TestRunner
+import { describe, expect } from './testFramework.js';
+import { collectOutput } from './fixtures/output.js';
+
+const hang = () => new Promise(() => {});
+
+// A test that fails until its `passOn`th attempt
+function flaky(passOn) {
+  let attempts = 0;
+  return () => {
+    attempts++;
+    if (attempts < passOn) {
+      throw new Error(`attempt ${attempts} failed`);
+    }
+  };
+}
+
+export const timeoutTests = describe('Timeouts and retries', function () {
+  this.describe('Timeouts', function () {
+    this.it('should fail a hung test with the timeout in the message', async () => {
+      const suite = describe('Webhooks', function () {
+        this.it('never answers', hang, { timeout: 20 });
+        this.it('still runs', () => {});
+      });
+
+      const results = await suite.run(0, { output: collectOutput() });
+
+      expect.toMatchObject(results, { passed: 1, failed: 1 });
+      expect.toBe(results.report.tests[0].error.message, 'Test timed out after 20ms');
+    });
+
+    this.it('should let a test override its suite, and a suite the run', async () => {
+      const suite = describe('Webhooks', function () {
+        this.describe('Suite timeout', function () {
+          this.it('uses the suite timeout', hang);
+          this.it('uses its own timeout', hang, { timeout: 15 });
+        }, { timeout: 25 });
+        this.it('uses the run timeout', hang);
+      });
+
+      const results = await suite.run(0, { output: collectOutput(), timeout: 30 });
+      const messages = [...results.report.suites[0].tests, ...results.report.tests].map(test => test.error.message);
+
+      expect.toEqual(messages, [
+        'Test timed out after 25ms',
+        'Test timed out after 15ms',
+        'Test timed out after 30ms'
+      ]);
+    });
+
+    this.it('should fail the suite\'s tests when beforeAll times out', async () => {
+      let ran = false;
+      const suite = describe('Session', function () {
+        this.before(hang);
+        this.it('needs the hook', () => {
+          ran = true;
+        });
+        this.it('needs it too', () => {});
+      }, { timeout: 20 });
+
+      const results = await suite.run(0, { output: collectOutput() });
+
+      expect.toBeFalsy(ran);
+      expect.toBe(results.failed, 2);
+      expect.toBe(results.report.hookErrors[0].error.message, 'beforeAll hook timed out after 20ms');
+    });
+  });
+
+  this.describe('Retries', function () {
+    this.it('should report the attempt that passed and count the test as flaky', async () => {
+      const output = collectOutput();
+      const suite = describe('Stripe', function () {
+        this.it('confirms the intent', flaky(3), { retries: 2 });
+      });
+
+      const results = await suite.run(0, { output });
+
+      expect.toMatchObject(results, { passed: 1, failed: 0, flaky: 1 });
+      expect.toMatchObject(results.report.tests[0], { status: 'passed', attempts: 3 });
+      expect.toEqual(output.lines, [
+        'Stripe',
+        '  ↻ confirms the intent attempt 1/3 failed: attempt 1 failed',
+        '  ↻ confirms the intent attempt 2/3 failed: attempt 2 failed',
+        '  ✓ confirms the intent (attempt 3/3)',
+        '    ⚠ flaky: passed only after 2 failed attempt(s)'
+      ]);
+    });
+
+    this.it('should fail with the last error once retries run out', async () => {
+      const suite = describe('Stripe', function () {
+        this.it('confirms the intent', flaky(5));
+      }, { retries: 1 });
+
+      const results = await suite.run(0, { output: collectOutput() });
+
+      expect.toMatchObject(results, { passed: 0, failed: 1, flaky: 0 });
+      expect.toMatchObject(results.report.tests[0], { status: 'failed', attempts: 2 });
+      expect.toBe(results.report.tests[0].error.message, 'attempt 2 failed');
+    });
+
+    this.it('should not retry unless asked to', async () => {
+      const suite = describe('Stripe', function () {
+        this.it('confirms the intent', flaky(2));
+      });
+
+      const results = await suite.run(0, { output: collectOutput() });
+
+      expect.toMatchObject(results.report.tests[0], { status: 'failed', attempts: 1 });
+    });
+  });
+});
@@ -1,62 +1,38 @@
 // Order Creation Rules Test
 // Tests the webhook handler's order creation logic across environments
 const fetch = require('node-fetch');
-const { server } = require('../../../shared/mocks/server');
 const { rest } = require('msw');
+const { server } = require('../../../shared/mocks/server');
+const { shopify } = require('../../../shared/mocks/shopify-admin');
 const { createTestWebhookEvent } = require('../../../shared/helpers/utils/test-helpers');
+const { signedWebhookRequest } = require('../../../shared/helpers/webhook-signature');
 const { getApiUrl, shouldMockPayments } = require('../../../shared/helpers/environment');
+const { volatileMatchers } = require('../../../shared/helpers/matchers');
 
 const API_URL = shouldMockPayments() ? 'http://localhost:3000' : getApiUrl();
 
+// Every webhook must be acknowledged, whichever backend API_URL points at.
+// The order assertions are contract tests of the mocked webhook endpoint's
+// reference order rules (createShopifyOrder in mock-handlers.js), checked in
+// the Shopify Admin stand-in (@mocks/shopify-admin): a live backend creates
+// its orders in the real store, so they only run when payments are mocked.
+function expectFixtureOrders(assertions) {
+  if (shouldMockPayments()) {
+    assertions();
+  }
+}
+const fixtureTest = shouldMockPayments() ? test : test.skip;
+
+async function expectAcknowledged(response) {
+  expect(response.ok).toBe(true);
+  expect(await response.json()).toMatchObject({ received: true });
+}
+
 describe('Webhook Order Creation Rules', () => {
-  let createdOrders = [];
-  
   beforeAll(() => server.listen());
-  afterEach(() => {
-    server.resetHandlers();
-    createdOrders = [];
-  });
+  afterEach(() => server.resetHandlers());
   afterAll(() => server.close());
   
-  beforeEach(() => {
-    // Mock Shopify Admin API
-    server.use(
-      // Draft Orders API (staging/dev)
-      rest.post('https://sqqpyb-yq.myshopify.com/admin/api/*/draft_orders.json', (req, res, ctx) => {
-        const draftOrder = req.body.draft_order;
-        createdOrders.push({
-          type: 'draft_order',
-          environment: 'staging/dev',
-          ...draftOrder
-        });
-        
-        return res(ctx.json({
-          draft_order: {
-            id: Math.floor(Math.random() * 1000000),
-            ...draftOrder
-          }
-        }));
-      }),
-      
-      // Real Orders API (production)
-      rest.post('https://rthree.io/admin/api/*/orders.json', (req, res, ctx) => {
-        const order = req.body.order;
-        createdOrders.push({
-          type: 'order',
-          environment: 'production',
-          ...order
-        });
-        
-        return res(ctx.json({
-          order: {
-            id: Math.floor(Math.random() * 1000000),
-            ...order
-          }
-        }));
-      })
-    );
-  });
-  
   describe('Environment-Based Order Creation', () => {
     test('Production environment creates real orders', async () => {
       const webhookPayload = {
@@ -84,20 +60,16 @@ describe('Webhook Order Creation Rules', () => {
         }
       };
       
-      const response = await fetch(`${API_URL}/api/stripe/webhook`, {
-        method: 'POST',
-        headers: {
-          'stripe-signature': 'whsec_prod_test_signature',
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(webhookPayload)
-      });
+      const response = await fetch(`${API_URL}/api/stripe/webhook`, signedWebhookRequest(webhookPayload));
       
-      expect(response.ok).toBe(true);
+      await expectAcknowledged(response);
       
       // In production with livemode, should create real order
-      // Note: Actual implementation would create real orders
-      // This test documents the expected behavior
+      expectFixtureOrders(() => {
+        expect(shopify.ordersFor('pi_prod_test')).toHaveLength(1);
+        expect(shopify.draftOrdersFor('pi_prod_test')).toHaveLength(0);
+        expect(shopify.listOrders({ shop: 'rthree.io' })).toHaveLength(1);
+      });
     });
     
     test('Staging environment creates draft orders', async () => {
@@ -126,17 +98,14 @@ describe('Webhook Order Creation Rules', () => {
         }
       };
       
-      const response = await fetch(`${API_URL}/api/stripe/webhook`, {
-        method: 'POST',
-        headers: {
-          'stripe-signature': 'whsec_stage_test_signature',
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(webhookPayload)
-      });
+      const response = await fetch(`${API_URL}/api/stripe/webhook`, signedWebhookRequest(webhookPayload));
       
-      expect(response.ok).toBe(true);
+      await expectAcknowledged(response);
       // Should create draft order in staging
+      expectFixtureOrders(() => {
+        expect(shopify.draftOrdersFor('pi_stage_test')).toHaveLength(1);
+        expect(shopify.orders).toHaveLength(0);
+      });
     });
     
     test('Development environment creates draft orders', async () => {
@@ -165,17 +134,14 @@ describe('Webhook Order Creation Rules', () => {
         }
       };
       
-      const response = await fetch(`${API_URL}/api/stripe/webhook`, {
-        method: 'POST',
-        headers: {
-          'stripe-signature': 'whsec_dev_test_signature',
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(webhookPayload)
-      });
+      const response = await fetch(`${API_URL}/api/stripe/webhook`, signedWebhookRequest(webhookPayload));
       
-      expect(response.ok).toBe(true);
+      await expectAcknowledged(response);
       // Should create draft order in development
+      expectFixtureOrders(() => {
+        expect(shopify.draftOrdersFor('pi_dev_test')).toHaveLength(1);
+        expect(shopify.orders).toHaveLength(0);
+      });
     });
   });
   
@@ -193,14 +159,7 @@ describe('Webhook Order Creation Rules', () => {
         }
       });
       
-      await fetch(`${API_URL}/api/stripe/webhook`, {
-        method: 'POST',
-        headers: {
-          'stripe-signature': 'test_sig_1',
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(webhook1)
-      });
+      await expectAcknowledged(await fetch(`${API_URL}/api/stripe/webhook`, signedWebhookRequest(webhook1)));
       
       // Duplicate webhook (same payment intent)
       const webhook2 = createTestWebhookEvent('payment_intent.succeeded', {
@@ -212,17 +171,13 @@ describe('Webhook Order Creation Rules', () => {
         }
       });
       
-      await fetch(`${API_URL}/api/stripe/webhook`, {
-        method: 'POST',
-        headers: {
-          'stripe-signature': 'test_sig_2',
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(webhook2)
-      });
+      // The duplicate is acknowledged too, so Stripe stops delivering it
+      await expectAcknowledged(await fetch(`${API_URL}/api/stripe/webhook`, signedWebhookRequest(webhook2)));
       
       // Should only create one order despite two webhooks
-      // Actual implementation should check for existing orders
+      expectFixtureOrders(() => {
+        expect(shopify.draftOrdersFor(paymentIntentId)).toHaveLength(1);
+      });
     });
     
     test('Different payment intents should create separate orders', async () => {
@@ -242,18 +197,16 @@ describe('Webhook Order Creation Rules', () => {
           }
         });
         
-        await fetch(`${API_URL}/api/stripe/webhook`, {
-          method: 'POST',
-          headers: {
-            'stripe-signature': `test_sig_${payment.id}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(webhook)
-        });
+        await expectAcknowledged(await fetch(`${API_URL}/api/stripe/webhook`, signedWebhookRequest(webhook)));
       }
       
       // Should create 3 separate orders
-      expect(createdOrders.length).toBe(3);
+      expectFixtureOrders(() => {
+        expect(shopify.draftOrders.length).toBe(3);
+        payments.forEach(payment => {
+          expect(shopify.draftOrdersFor(payment.id)).toHaveLength(1);
+        });
+      });
     });
   });
   
@@ -293,17 +246,13 @@ describe('Webhook Order Creation Rules', () => {
           }
         });
         
-        const response = await fetch(`${API_URL}/api/stripe/webhook`, {
-          method: 'POST',
-          headers: {
-            'stripe-signature': 'test_signature',
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(webhook)
-        });
+        const response = await fetch(`${API_URL}/api/stripe/webhook`, signedWebhookRequest(webhook));
         
-        expect(response.ok).toBe(true);
+        await expectAcknowledged(response);
         // Should create order regardless of payment method
+        expectFixtureOrders(() => {
+          expect(shopify.draftOrdersFor(`pi_test_${pm.name}`)).toHaveLength(1);
+        });
       });
     });
   });
@@ -323,18 +272,18 @@ describe('Webhook Order Creation Rules', () => {
           }
         });
         
-        await fetch(`${API_URL}/api/stripe/webhook`, {
-          method: 'POST',
-          headers: {
-            'stripe-signature': 'test_signature',
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(webhook)
-        });
+        await expectAcknowledged(await fetch(`${API_URL}/api/stripe/webhook`, signedWebhookRequest(webhook)));
       }
       
       // Created orders should have environment tags
       // Expected tags: environment name, payment method, rep (if present)
+      expectFixtureOrders(() => {
+        environments.forEach(env => {
+          const [draftOrder] = shopify.draftOrdersFor(`pi_test_${env}_tags`);
+          expect(draftOrder.tags.split(', ')).toEqual(expect.arrayContaining([env, 'card', 'rep-sales_rep_123']));
+          expect(draftOrder.note_attributes).toContainEqual({ name: 'rep', value: 'sales_rep_123' });
+        });
+      });
     });
     
     test('ACH orders should include ACH-specific tags', async () => {
@@ -350,17 +299,18 @@ describe('Webhook Order Creation Rules', () => {
         }
       });
       
-      await fetch(`${API_URL}/api/stripe/webhook`, {
-        method: 'POST',
-        headers: {
-          'stripe-signature': 'test_signature',
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(webhook)
-      });
+      // Event ids, timestamps and the payment intent id are generated
+      expect(webhook).toMatchSnapshot(volatileMatchers(webhook));
       
-      // Should include ACH_PAYMENT tag
-      // Should include PENDING_CLEARING tag for processing status
+      await expectAcknowledged(await fetch(`${API_URL}/api/stripe/webhook`, signedWebhookRequest(webhook)));
+      
+      // Should include ACH_PAYMENT tag, and PENDING_VERIFICATION while the
+      // debit is processing
+      expectFixtureOrders(() => {
+        const [draftOrder] = shopify.draftOrdersFor(webhook.data.object.id);
+        expect(draftOrder.tags.split(', ')).toEqual(expect.arrayContaining(['ACH_PAYMENT', 'PENDING_VERIFICATION']));
+        expect(draftOrder.note).toContain('Pending Bank Verification');
+      });
     });
   });
   
@@ -372,17 +322,10 @@ describe('Webhook Order Creation Rules', () => {
         // No metadata
       });
       
-      const response = await fetch(`${API_URL}/api/stripe/webhook`, {
-        method: 'POST',
-        headers: {
-          'stripe-signature': 'test_signature',
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(webhook)
-      });
+      const response = await fetch(`${API_URL}/api/stripe/webhook`, signedWebhookRequest(webhook));
       
       // Should still process but may skip order creation
-      expect(response.ok).toBe(true);
+      await expectAcknowledged(response);
     });
     
     test('Should validate required fields before order creation', async () => {
@@ -396,18 +339,34 @@ describe('Webhook Order Creation Rules', () => {
         }
       });
       
-      const response = await fetch(`${API_URL}/api/stripe/webhook`, {
-        method: 'POST',
-        headers: {
-          'stripe-signature': 'test_signature',
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(webhook)
-      });
+      const response = await fetch(`${API_URL}/api/stripe/webhook`, signedWebhookRequest(webhook));
       
-      expect(response.ok).toBe(true); // Webhook acknowledged
+      await expectAcknowledged(response);
       // But order creation might be skipped due to missing data
     });
+    
+    fixtureTest('Should answer 500 with the Shopify failure so Stripe retries', async () => {
+      server.use(
+        rest.post('*/admin/api/:version/draft_orders.json', (req, res, ctx) => (
+          res.once(ctx.status(503), ctx.json({ errors: 'Service Unavailable' }))
+        ))
+      );
+      const webhook = createTestWebhookEvent('payment_intent.succeeded', {
+        id: 'pi_test_shopify_down',
+        amount: 10000,
+        metadata: { environment: 'staging' }
+      });
+      
+      const response = await fetch(`${API_URL}/api/stripe/webhook`, signedWebhookRequest(webhook));
+      
+      expect(response.status).toBe(500);
+      expect(await response.text()).toBe('Webhook Error: Shopify draft_order creation failed: 503 {"errors":"Service Unavailable"}');
+      expect(shopify.draftOrdersFor('pi_test_shopify_down')).toHaveLength(0);
+      
+      // The retry creates the order
+      await expectAcknowledged(await fetch(`${API_URL}/api/stripe/webhook`, signedWebhookRequest(webhook)));
+      expect(shopify.draftOrdersFor('pi_test_shopify_down')).toHaveLength(1);
+    });
   });
   
   describe('Production Safeguards', () => {
@@ -423,17 +382,14 @@ describe('Webhook Order Creation Rules', () => {
         }
       });
       
-      const response = await fetch(`${API_URL}/api/stripe/webhook`, {
-        method: 'POST',
-        headers: {
-          'stripe-signature': 'test_signature',
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(webhook)
-      });
+      const response = await fetch(`${API_URL}/api/stripe/webhook`, signedWebhookRequest(webhook));
       
-      expect(response.ok).toBe(true);
+      await expectAcknowledged(response);
       // Should NOT create order in production with test payment
+      expectFixtureOrders(() => {
+        expect(shopify.ordersFor('pi_test_prod_safeguard')).toHaveLength(0);
+        expect(shopify.draftOrdersFor('pi_test_prod_safeguard')).toHaveLength(1);
+      });
     });
     
     test('Should validate environment matches Stripe mode', async () => {
@@ -447,16 +403,9 @@ describe('Webhook Order Creation Rules', () => {
         }
       });
       
-      const response = await fetch(`${API_URL}/api/stripe/webhook`, {
-        method: 'POST',
-        headers: {
-          'stripe-signature': 'test_signature',
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(mismatchedWebhook)
-      });
+      const response = await fetch(`${API_URL}/api/stripe/webhook`, signedWebhookRequest(mismatchedWebhook));
       
-      expect(response.ok).toBe(true);
+      await expectAcknowledged(response);
       // Should handle mismatch appropriately
     });
   });
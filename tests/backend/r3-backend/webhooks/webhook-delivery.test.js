@@ -0,0 +1,169 @@
+// Webhook delivery tests: a self-test of the webhook dispatcher
+// (@helpers/webhook-dispatcher) delivering events late, out of order, twice
+// and again after failed attempts.
+//
+// The endpoint is the mocked /api/stripe/webhook. Its orders come from the
+// reference order rules in mock-handlers.js, including the once-per-payment
+// dedupe, so the toHaveOneOrderPerPayment checks show that the deliveries add
+// up to what that fixture expects; they do not test the backend's dedupe.
+const { rest } = require('msw');
+const { server } = require('@mocks/server');
+const { stripe } = require('@mocks/stripe-simulator');
+const { shopify } = require('@mocks/shopify-admin');
+const { createTestWebhookEvent } = require('@helpers/utils/test-helpers');
+const { WebhookDispatcher } = require('@helpers/webhook-dispatcher');
+
+const API_URL = process.env.API_URL || 'http://localhost:3000';
+const WEBHOOK_URL = `${API_URL}/api/stripe/webhook`;
+
+function paymentEvent(id, type, paymentIntent) {
+  return {
+    ...createTestWebhookEvent(type, {
+      amount: 10000,
+      payment_method_types: ['card'],
+      metadata: { environment: 'staging', customer_email: 'test@example.com' },
+      ...paymentIntent
+    }),
+    id
+  };
+}
+
+function achPayment() {
+  const paymentMethod = stripe.createPaymentMethod({
+    type: 'us_bank_account',
+    us_bank_account: { financial_connections_account: 'fca_test' }
+  });
+  return stripe.createPaymentIntent({
+    amount: 10000,
+    payment_method_types: ['us_bank_account'],
+    payment_method: paymentMethod.id,
+    metadata: { environment: 'staging' },
+    confirm: true
+  });
+}
+
+describe('Webhook Delivery', () => {
+  beforeAll(() => server.listen());
+  afterEach(() => server.resetHandlers());
+  afterAll(() => server.close());
+
+  describe('Ordering', () => {
+    it('should create one order when succeeded arrives before processing', async () => {
+      const intent = achPayment();
+      stripe.settle(intent.id);
+
+      const dispatcher = new WebhookDispatcher({ order: 'reverse' });
+      dispatcher.enqueueFrom(stripe, { types: ['payment_intent.processing', 'payment_intent.succeeded'] });
+      const attempts = await dispatcher.flush();
+
+      expect(attempts.map(attempt => [attempt.type, attempt.status])).toEqual([
+        ['payment_intent.succeeded', 200],
+        ['payment_intent.processing', 200]
+      ]);
+      expect(shopify).toHaveOneOrderPerPayment([intent.id]);
+      expect(shopify.draftOrdersFor(intent.id)[0].tags).not.toContain('PENDING_VERIFICATION');
+    });
+
+    it('should create one order per payment under random delays and shuffling', async () => {
+      const intents = [
+        achPayment(),
+        stripe.createPaymentIntent({ amount: 2500, payment_method: 'pm_card_visa', confirm: true }),
+        stripe.createPaymentIntent({ amount: 7500, payment_method: 'pm_card_mastercard', confirm: true })
+      ];
+      stripe.settle(intents[0].id);
+
+      const dispatcher = new WebhookDispatcher({ order: 'shuffle', delay: [0, 15], concurrency: 3, seed: 'delays' });
+      dispatcher.enqueueFrom(stripe, { types: ['payment_intent.*', 'charge.*'] });
+      const queued = dispatcher.queue.map(event => event.id);
+      const attempts = await dispatcher.flush();
+
+      expect(attempts.map(attempt => attempt.eventId).sort()).toEqual(queued.sort());
+      expect(dispatcher.undelivered).toEqual([]);
+      expect(shopify).toHaveOneOrderPerPayment(intents.map(intent => intent.id));
+    });
+  });
+
+  describe('Duplicates', () => {
+    it('should create one order when every event is delivered twice at once', async () => {
+      const events = ['pi_test_dup_1', 'pi_test_dup_2', 'pi_test_dup_3']
+        .map(id => paymentEvent(`evt_${id}`, 'payment_intent.succeeded', { id }));
+
+      const dispatcher = new WebhookDispatcher({ duplicateRate: 1, concurrency: 6 });
+      const attempts = await dispatcher.enqueue(events).flush();
+
+      expect(attempts).toHaveLength(6);
+      expect(attempts.every(attempt => attempt.ok)).toBe(true);
+      events.forEach(event => expect(dispatcher.attemptsFor(event.id)).toHaveLength(2));
+      expect(shopify).toHaveOneOrderPerPayment(['pi_test_dup_1', 'pi_test_dup_2', 'pi_test_dup_3']);
+    });
+
+    it('should not queue simulator events twice', () => {
+      achPayment();
+      const dispatcher = new WebhookDispatcher();
+
+      dispatcher.enqueueFrom(stripe);
+      const queued = dispatcher.queue.length;
+      dispatcher.enqueueFrom(stripe);
+
+      expect(queued).toBeGreaterThan(0);
+      expect(dispatcher.queue).toHaveLength(queued);
+    });
+  });
+
+  describe('Retries', () => {
+    it('should retry after a non-2xx answer', async () => {
+      server.use(rest.post(WEBHOOK_URL, (req, res, ctx) => res.once(ctx.status(503))));
+      const event = paymentEvent('evt_test_retry', 'payment_intent.succeeded', { id: 'pi_test_retry' });
+
+      const dispatcher = new WebhookDispatcher({ retryDelay: 1 });
+      await dispatcher.enqueue(event).flush();
+
+      expect(dispatcher.attemptsFor(event.id).map(attempt => attempt.status)).toEqual([503, 200]);
+      expect(shopify).toHaveOneOrderPerPayment(['pi_test_retry']);
+    });
+
+    it('should create the order on retry when Shopify failed the first time', async () => {
+      server.use(
+        rest.post('*/admin/api/:version/draft_orders.json', (req, res, ctx) => (
+          res.once(ctx.status(503), ctx.json({ errors: 'Service Unavailable' }))
+        ))
+      );
+      const event = paymentEvent('evt_test_shopify_down', 'payment_intent.processing', {
+        id: 'pi_test_shopify_down',
+        payment_method_types: ['us_bank_account'],
+        status: 'processing'
+      });
+
+      const dispatcher = new WebhookDispatcher({ duplicateRate: 1, retryDelay: 1 });
+      await dispatcher.enqueue(event).flush();
+
+      expect(dispatcher.attemptsFor(event.id).map(attempt => attempt.status)).toEqual([500, 200, 200]);
+      expect(shopify).toHaveOneOrderPerPayment(['pi_test_shopify_down']);
+    });
+
+    it('should wait out delays and backoff while a fake clock is installed', async () => {
+      useFakeClock();
+      server.use(rest.post(WEBHOOK_URL, (req, res, ctx) => res.once(ctx.status(503))));
+      const event = paymentEvent('evt_test_fake_clock', 'payment_intent.succeeded', { id: 'pi_test_fake_clock' });
+
+      const dispatcher = new WebhookDispatcher({ delay: 5, retryDelay: 5 });
+      await dispatcher.enqueue(event).flush();
+
+      expect(dispatcher.attemptsFor(event.id).map(attempt => attempt.status)).toEqual([503, 200]);
+    });
+
+    it('should give up after maxAttempts with backoff between attempts', async () => {
+      server.use(rest.post(WEBHOOK_URL, (req, res, ctx) => res(ctx.status(500))));
+      const event = paymentEvent('evt_test_down', 'payment_intent.succeeded', { id: 'pi_test_down' });
+
+      const dispatcher = new WebhookDispatcher({ maxAttempts: 3, retryDelay: 5 });
+      const started = Date.now();
+      await dispatcher.enqueue(event).flush();
+
+      expect(dispatcher.attemptsFor(event.id)).toHaveLength(3);
+      expect(Date.now() - started).toBeGreaterThanOrEqual(15);
+      expect(dispatcher.undelivered).toEqual([event.id]);
+      expect(shopify.draftOrdersFor('pi_test_down')).toHaveLength(0);
+    });
+  });
+});
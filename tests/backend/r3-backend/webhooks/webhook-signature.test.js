@@ -0,0 +1,93 @@
+// Stripe-Signature helper tests: header format, rotation, tolerance window,
+// and the mock webhook endpoints verifying real signatures
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const { server } = require('@mocks/server');
+const { createTestWebhookEvent } = require('@helpers/utils/test-helpers');
+const {
+  TEST_WEBHOOK_SECRET,
+  WebhookSignatureError,
+  computeSignature,
+  generateSignatureHeader,
+  parseSignatureHeader,
+  verifySignatureHeader,
+  signedWebhookRequest
+} = require('@helpers/webhook-signature');
+
+const API_URL = process.env.API_URL || 'http://localhost:3000';
+const payload = JSON.stringify(createTestWebhookEvent('payment_intent.succeeded', { id: 'pi_test_signed' }));
+
+describe('Webhook Signatures', () => {
+  beforeAll(() => server.listen());
+  afterEach(() => server.resetHandlers());
+  afterAll(() => server.close());
+
+  describe('Signing', () => {
+    it('should produce t=...,v1=... with the HMAC-SHA256 of "<t>.<body>"', () => {
+      const header = generateSignatureHeader(payload, { timestamp: 1700000000 });
+      const expected = crypto
+        .createHmac('sha256', TEST_WEBHOOK_SECRET)
+        .update(`1700000000.${payload}`)
+        .digest('hex');
+
+      expect(header).toBe(`t=1700000000,v1=${expected}`);
+      expect(computeSignature(payload, TEST_WEBHOOK_SECRET, 1700000000)).toBe(expected);
+    });
+
+    it('should add one v1 signature per secret while rotating', () => {
+      const header = generateSignatureHeader(payload, { secret: ['whsec_old', 'whsec_new'] });
+      const { signatures } = parseSignatureHeader(header);
+
+      expect(signatures).toHaveLength(2);
+      expect(verifySignatureHeader(payload, header, 'whsec_old')).toBe(true);
+      expect(verifySignatureHeader(payload, header, 'whsec_new')).toBe(true);
+    });
+  });
+
+  describe('Verification', () => {
+    it('should reject headers without a timestamp or v1 signature', () => {
+      ['', 'v1=abc', 't=123', 't=123,v0=abc'].forEach(header => {
+        expect(() => verifySignatureHeader(payload, header))
+          .toThrow('Unable to extract timestamp and signatures from header');
+      });
+    });
+
+    it('should reject a signature made with another secret or for another body', () => {
+      const header = generateSignatureHeader(payload);
+
+      expect(() => verifySignatureHeader(payload, header, 'whsec_other')).toThrow(WebhookSignatureError);
+      expect(() => verifySignatureHeader(payload.replace('pi_test_signed', 'pi_test_other'), header))
+        .toThrow('No signatures found matching the expected signature for payload');
+    });
+
+    it('should accept an endpoint configured with either secret during rotation', () => {
+      const header = generateSignatureHeader(payload, { secret: 'whsec_new' });
+
+      expect(verifySignatureHeader(payload, header, ['whsec_old', 'whsec_new'])).toBe(true);
+    });
+
+    it('should enforce the tolerance window', () => {
+      const clock = global.useFakeClock({ now: new Date('2024-06-01T12:00:00Z') });
+      const header = generateSignatureHeader(payload);
+
+      clock.tick(299 * 1000);
+      expect(verifySignatureHeader(payload, header)).toBe(true);
+
+      clock.tick(2 * 1000);
+      expect(() => verifySignatureHeader(payload, header)).toThrow('Timestamp outside the tolerance zone');
+      expect(verifySignatureHeader(payload, header, TEST_WEBHOOK_SECRET, { tolerance: 600 })).toBe(true);
+      expect(verifySignatureHeader(payload, header, TEST_WEBHOOK_SECRET, { tolerance: 0 })).toBe(true);
+    });
+  });
+
+  describe('Mock webhook endpoints', () => {
+    it.each(['/webhook/stripe', '/api/stripe/webhook'])('should verify signatures on %s', async path => {
+      const accepted = await fetch(`${API_URL}${path}`, signedWebhookRequest(payload));
+      expect(accepted.status).toBe(200);
+
+      const forged = await fetch(`${API_URL}${path}`, signedWebhookRequest(payload, { secret: 'whsec_forged' }));
+      expect(forged.status).toBe(400);
+      expect(await forged.text()).toContain('No signatures found matching');
+    });
+  });
+});
@@ -0,0 +1,56 @@
+// Tests for spreading LoadTester virtual users across worker threads
+import { describe, expect, LoadTester } from './testFramework.js';
+
+const scenario = (name) => ({ module: new URL('./fixtures/load-scenarios.js', import.meta.url).href, name });
+
+function workerTester(options) {
+  return new LoadTester({ quiet: true, saturationThreshold: 101, ...options });
+}
+
+export const workerTests = describe('Load worker threads', function () {
+  this.it('should split an arrival-rate schedule across threads and merge the results', async () => {
+    const tester = workerTester({ workers: 2, rate: 100, duration: 200 });
+
+    const results = await tester.run(scenario('scenarios.checkout'));
+
+    expect.toMatchObject(results, { scheduled: 20, total: 20, dropped: 0, targetRate: 100 });
+    expect.toEqual(results.generator.map(thread => thread.worker).sort(), [0, 1]);
+    expect.toBe(results.successful + results.failed, 20);
+  });
+
+  this.it('should give each thread its share of closed-model virtual users', async () => {
+    const tester = workerTester({ workers: 2, concurrency: 4, duration: 100 });
+
+    const results = await tester.run(scenario('scenarios.checkout'));
+
+    expect.toEqual(Object.keys(results.steps).sort(), ['vu0', 'vu1', 'vu2', 'vu3']);
+    expect.toBeTruthy(results.failed > 0, 'Expected failed iterations from the worker threads');
+    expect.toEqual(Object.keys(tester.errors), ['card_declined']);
+  });
+
+  this.it('should require a module reference', async () => {
+    const tester = workerTester({ workers: 2, rate: 10, duration: 100 });
+
+    await expect.toReject(tester.run(async () => {}), /needs a \{ module, name \} test reference/);
+  });
+
+  this.it('should fail the run when a thread cannot resolve the test', async () => {
+    const tester = workerTester({ workers: 2, rate: 10, duration: 100 });
+
+    await expect.toReject(tester.run(scenario('notAScenario')), /Load test "notAScenario" is not a function exported by/);
+  });
+
+  this.it('should add up counts, errors and latencies when merging raw results', () => {
+    const first = workerTester({ concurrency: 1 });
+    const second = workerTester({ concurrency: 1 });
+    first.record({ latency: 10, success: true });
+    second.record({ latency: 30, success: true });
+    second.record({ latency: 0, success: false, error: 'timeout' });
+
+    const merged = workerTester({ concurrency: 1, duration: 1000 });
+    [first, second].forEach(tester => merged.merge(JSON.parse(JSON.stringify(tester.toJSON()))));
+
+    expect.toMatchObject(merged.analyze(), { total: 3, successful: 2, failed: 1, averageLatency: 20, maxLatency: 30 });
+    expect.toEqual(merged.errors, { timeout: 1 });
+  });
+});
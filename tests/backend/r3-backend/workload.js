@@ -0,0 +1,149 @@
+// Weighted, reproducible workloads for LoadTester
+// A workload definition describes the traffic mix declaratively; the code that
+// talks to the server lives in named actions supplied by the caller:
+//
+//   export default {
+//     seed: 42,
+//     feeders: {
+//       postalCodes: { data: [{ postalCode: '10001', state: 'NY' }], order: 'random' },
+//       carts: { file: './data/carts.json', order: 'sequential' }
+//     },
+//     scenarios: {
+//       browse: { weight: 70, steps: ['session'] },
+//       quote: { weight: 20, steps: ['session', { action: 'shipping', think: [500, 2000] }, 'tax'] },
+//       purchase: { weight: 10, steps: ['session', 'shipping', { action: 'payment', think: 1000 }] }
+//     }
+//   };
+//
+// Actions pass what later steps need (a session token, a CSRF token, a cart)
+// through `vu.state`. The workload neither reads nor clears it, so the action
+// that begins a scenario should replace it; loadTest.js's `session` starts a
+// new shopper, with a new session and CSRF token, every iteration. Every
+// virtual user has its own RNG seeded from the workload seed and its id, so the
+// same seed replays the same scenario choices, think times and feeder rows per
+// user. Think time (`think`: ms, or [min, max] ms) is spent after the step and
+// not counted as latency.
+//
+// Feeders hand out rows of test data: 'random' picks with the user's RNG,
+// 'sequential' walks the rows in order, shared by all users, wrapping around.
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { createRandom } from '../../shared/helpers/random.js';
+
+// Re-exported for actions that need randomness of their own
+export { createRandom };
+
+export class Feeder {
+  constructor(name, rows, options = {}) {
+    if (!Array.isArray(rows) || rows.length === 0) {
+      throw new Error(`Feeder "${name}" has no rows`);
+    }
+    if (!['random', 'sequential'].includes(options.order || 'random')) {
+      throw new Error(`Feeder "${name}": unknown order "${options.order}"`);
+    }
+
+    this.name = name;
+    this.rows = rows;
+    this.order = options.order || 'random';
+    this.cursor = 0;
+  }
+
+  next(random) {
+    if (this.order === 'sequential') {
+      return this.rows[this.cursor++ % this.rows.length];
+    }
+    return random.pick(this.rows);
+  }
+}
+
+export class Workload {
+  // definition: see the top of this file
+  // options.actions: { name: async (vu, data) => ... }
+  // options.seed: overrides definition.seed
+  // options.baseDir: where feeder `file`s are resolved from
+  constructor(definition, options = {}) {
+    this.seed = options.seed ?? definition.seed ?? Date.now();
+    this.actions = options.actions || {};
+    this.feeders = {};
+    this.scenarios = [];
+    this.iterations = {};
+
+    Object.entries(definition.feeders || {}).forEach(([name, feeder]) => {
+      const rows = feeder.file
+        ? JSON.parse(fs.readFileSync(path.resolve(options.baseDir || process.cwd(), feeder.file), 'utf8'))
+        : feeder.data;
+      this.feeders[name] = new Feeder(name, rows, feeder);
+    });
+
+    Object.entries(definition.scenarios || {}).forEach(([name, scenario]) => {
+      if (!(scenario.weight > 0)) {
+        throw new Error(`Scenario "${name}" needs a positive weight`);
+      }
+      const steps = scenario.steps.map(step => (typeof step === 'string' ? { action: step } : step));
+      steps.forEach(step => {
+        if (typeof this.actions[step.action] !== 'function') {
+          throw new Error(`Scenario "${name}" uses unknown action "${step.action}"`);
+        }
+      });
+      this.scenarios.push({ name, weight: scenario.weight, steps });
+      this.iterations[name] = 0;
+    });
+
+    if (this.scenarios.length === 0) {
+      throw new Error('Workload defines no scenarios');
+    }
+  }
+
+  // Loads a definition from a .js module (default export) or a .json file
+  static async load(file, options = {}) {
+    const fullPath = path.resolve(file);
+    const definition = fullPath.endsWith('.json')
+      ? JSON.parse(fs.readFileSync(fullPath, 'utf8'))
+      : (await import(pathToFileURL(fullPath).href)).default;
+    return new Workload(definition, { baseDir: path.dirname(fullPath), ...options });
+  }
+
+  // Share of iterations each scenario should get, in percent
+  get mix() {
+    const total = this.scenarios.reduce((sum, scenario) => sum + scenario.weight, 0);
+    return Object.fromEntries(this.scenarios.map(scenario => [scenario.name, (scenario.weight / total) * 100]));
+  }
+
+  // The virtual user's RNG, seeded from the workload seed and its id; kept on
+  // the user as `vu.random`, so scenarios outside the workload can draw from
+  // the same replayable stream
+  randomFor(vu) {
+    if (!vu.random) {
+      vu.random = createRandom(`${this.seed}:${vu.id}`);
+    }
+    return vu.random;
+  }
+
+  // One iteration for a LoadTester virtual user:
+  //   tester.run(vu => workload.iteration(vu))
+  async iteration(vu) {
+    this.randomFor(vu);
+
+    const scenario = vu.random.weighted(this.scenarios);
+    this.iterations[scenario.name]++;
+    const data = {
+      scenario: scenario.name,
+      random: vu.random,
+      feed: (name) => {
+        if (!this.feeders[name]) {
+          throw new Error(`Unknown feeder "${name}"`);
+        }
+        return this.feeders[name].next(vu.random);
+      }
+    };
+
+    for (const step of scenario.steps) {
+      await this.actions[step.action](vu, data);
+      if (step.think) {
+        await vu.think(Array.isArray(step.think) ? vu.random.int(step.think[0], step.think[1]) : step.think);
+      }
+    }
+  }
+}
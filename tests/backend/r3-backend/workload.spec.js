@@ -0,0 +1,177 @@
+// Tests for weighted, seeded workloads and feeders
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, expect } from './testFramework.js';
+import { createRandom, Feeder, Workload } from './workload.js';
+
+// A virtual user like LoadTester's, recording think times instead of waiting
+function virtualUser(id) {
+  const vu = { id, iteration: 0, state: {}, thinks: [] };
+  vu.think = async (ms) => {
+    vu.thinks.push(ms);
+  };
+  return vu;
+}
+
+// Actions that log what ran, with the feeder rows they were given
+function recordingActions(log) {
+  return {
+    session: async (vu, data) => {
+      vu.state.cart = data.feed('carts');
+      log.push(`${data.scenario}:session:${vu.state.cart.id}`);
+    },
+    shipping: async (vu, data) => log.push(`${data.scenario}:shipping:${data.feed('addresses').state}`),
+    payment: async (vu, data) => log.push(`${data.scenario}:payment:${vu.state.cart.id}`)
+  };
+}
+
+const definition = {
+  seed: 'r3-checkout',
+  feeders: {
+    carts: { order: 'sequential', data: [{ id: 'cart_1' }, { id: 'cart_2' }, { id: 'cart_3' }] },
+    addresses: { data: [{ state: 'NY' }, { state: 'CA' }, { state: 'TX' }] }
+  },
+  scenarios: {
+    browse: { weight: 70, steps: [{ action: 'session', think: [1000, 5000] }] },
+    quote: { weight: 20, steps: ['session', { action: 'shipping', think: 500 }] },
+    purchase: { weight: 10, steps: ['session', 'shipping', 'payment'] }
+  }
+};
+
+async function runIterations(workload, users, iterations) {
+  const vus = Array.from({ length: users }, (_, id) => virtualUser(id));
+  for (let i = 0; i < iterations; i++) {
+    for (const vu of vus) {
+      await workload.iteration(vu);
+    }
+  }
+  return vus;
+}
+
+export const workloadTests = describe('Workloads', function () {
+  this.describe('createRandom', function () {
+    this.it('should repeat the same sequence for the same seed', () => {
+      const first = createRandom('seed-1');
+      const second = createRandom('seed-1');
+      const other = createRandom('seed-2');
+
+      const sequence = Array.from({ length: 5 }, () => first.next());
+      expect.toEqual(Array.from({ length: 5 }, () => second.next()), sequence);
+      expect.toBeFalsy(other.next() === sequence[0]);
+      expect.toBeTruthy(sequence.every(value => value >= 0 && value < 1));
+    });
+
+    this.it('should pick integers in range and items in proportion to their weight', () => {
+      const random = createRandom(42);
+      const counts = { heavy: 0, light: 0 };
+      const ints = new Set();
+
+      for (let i = 0; i < 2000; i++) {
+        counts[random.weighted([{ name: 'heavy', weight: 9 }, { name: 'light', weight: 1 }]).name]++;
+        ints.add(random.int(1, 3));
+      }
+
+      expect.toEqual([...ints].sort(), [1, 2, 3]);
+      expect.toBeTruthy(counts.heavy > 1700 && counts.heavy < 1900, `Expected about 90% heavy, got ${counts.heavy}`);
+    });
+  });
+
+  this.describe('Feeder', function () {
+    this.it('should hand out sequential rows in order, wrapping around', () => {
+      const feeder = new Feeder('carts', ['a', 'b']);
+      const sequential = new Feeder('carts', ['a', 'b'], { order: 'sequential' });
+
+      expect.toEqual([1, 2, 3].map(() => sequential.next()), ['a', 'b', 'a']);
+      expect.toContain(['a', 'b'], feeder.next(createRandom(1)));
+    });
+
+    this.it('should reject empty rows and unknown orders', () => {
+      expect.toThrow(() => new Feeder('carts', []), /Feeder "carts" has no rows/);
+      expect.toThrow(() => new Feeder('carts', ['a'], { order: 'shuffled' }), /unknown order "shuffled"/);
+    });
+  });
+
+  this.describe('Workload', function () {
+    this.it('should run a seeded mix close to the declared weights', async () => {
+      const workload = new Workload(definition, { actions: recordingActions([]) });
+      await runIterations(workload, 10, 100);
+
+      expect.toEqual(workload.mix, { browse: 70, quote: 20, purchase: 10 });
+      const { browse, quote, purchase } = workload.iterations;
+      expect.toBe(browse + quote + purchase, 1000);
+      expect.toBeTruthy(browse > 630 && quote > 150 && purchase > 60, `Unexpected mix ${browse}/${quote}/${purchase}`);
+    });
+
+    this.it('should replay the same steps, feeder rows and think times for the same seed', async () => {
+      const runs = await Promise.all(['r3-checkout', 'r3-checkout', 'other'].map(async seed => {
+        const log = [];
+        const workload = new Workload(definition, { actions: recordingActions(log), seed });
+        const vus = await runIterations(workload, 3, 20);
+        return { log, thinks: vus.map(vu => vu.thinks) };
+      }));
+
+      expect.toEqual(runs[1], runs[0]);
+      expect.toBeFalsy(JSON.stringify(runs[2].log) === JSON.stringify(runs[0].log));
+      expect.toBeTruthy(runs[0].thinks.flat().every(ms => ms === 500 || (ms >= 1000 && ms <= 5000)));
+    });
+
+    this.it('should run each step in order with state carried between them', async () => {
+      const log = [];
+      const workload = new Workload({ ...definition, scenarios: { purchase: { weight: 1, steps: ['session', 'shipping', 'payment'] } } }, {
+        actions: recordingActions(log)
+      });
+
+      await runIterations(workload, 1, 2);
+
+      expect.toEqual(log.map(line => line.replace(/:(NY|CA|TX)$/, ':<state>')), [
+        'purchase:session:cart_1', 'purchase:shipping:<state>', 'purchase:payment:cart_1',
+        'purchase:session:cart_2', 'purchase:shipping:<state>', 'purchase:payment:cart_2'
+      ]);
+    });
+
+    this.it('should share the seeded stream of a virtual user with code outside the workload', async () => {
+      const workload = new Workload(definition, { actions: recordingActions([]) });
+      const vu = virtualUser(4);
+
+      const random = workload.randomFor(vu);
+      await workload.iteration(vu);
+
+      expect.toBe(vu.random, random);
+      expect.toBe(createRandom('r3-checkout:4').next(), new Workload(definition, { actions: recordingActions([]) }).randomFor(virtualUser(4)).next());
+    });
+
+    this.it('should reject bad definitions', async () => {
+      const actions = recordingActions([]);
+
+      expect.toThrow(() => new Workload({ scenarios: {} }, { actions }), /defines no scenarios/);
+      expect.toThrow(() => new Workload({ scenarios: { browse: { weight: 0, steps: ['session'] } } }, { actions }), /needs a positive weight/);
+      expect.toThrow(() => new Workload({ scenarios: { browse: { weight: 1, steps: ['refund'] } } }, { actions }), /unknown action "refund"/);
+
+      const workload = new Workload({ scenarios: { browse: { weight: 1, steps: ['session'] } } }, { actions });
+      await expect.toReject(workload.iteration(virtualUser(0)), /Unknown feeder "carts"/);
+    });
+
+    this.it('should load a JSON definition with feeder files relative to it', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'r3-workload-'));
+      fs.mkdirSync(path.join(dir, 'data'));
+      fs.writeFileSync(path.join(dir, 'data', 'carts.json'), JSON.stringify([{ id: 'cart_file' }]));
+      fs.writeFileSync(path.join(dir, 'mix.json'), JSON.stringify({
+        seed: 7,
+        feeders: { carts: { file: './data/carts.json' } },
+        scenarios: { browse: { weight: 1, steps: ['session'] } }
+      }));
+
+      try {
+        const log = [];
+        const workload = await Workload.load(path.join(dir, 'mix.json'), { actions: recordingActions(log) });
+        await workload.iteration(virtualUser(0));
+
+        expect.toBe(workload.seed, 7);
+        expect.toEqual(log, ['browse:session:cart_file']);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});
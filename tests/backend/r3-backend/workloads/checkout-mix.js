@@ -0,0 +1,58 @@
+// Default loadTest.js traffic mix: mostly shoppers opening checkout, some
+// getting shipping and tax quotes, a few paying. Actions are defined in
+// loadTest.js; see workload.js for the format.
+export default {
+  seed: 'r3-checkout',
+
+  feeders: {
+    addresses: {
+      order: 'random',
+      data: [
+        { postalCode: '10001', state: 'NY', country: 'US' },
+        { postalCode: '90210', state: 'CA', country: 'US' },
+        { postalCode: '60601', state: 'IL', country: 'US' },
+        { postalCode: '33101', state: 'FL', country: 'US' },
+        { postalCode: '98101', state: 'WA', country: 'US' },
+        { postalCode: '78701', state: 'TX', country: 'US' }
+      ]
+    },
+    carts: {
+      order: 'sequential',
+      data: [
+        { items: [{ name: 'Test Product', price: 2500, quantity: 1, weight: 500 }] },
+        { items: [{ name: 'Test Product', price: 2500, quantity: 2, weight: 500 }] },
+        { items: [{ name: 'Heavy Product', price: 12000, quantity: 1, weight: 8000 }] },
+        {
+          items: [
+            { name: 'Test Product', price: 2500, quantity: 3, weight: 500 },
+            { name: 'Accessory', price: 900, quantity: 2, weight: 100 }
+          ]
+        }
+      ]
+    }
+  },
+
+  scenarios: {
+    browse: {
+      weight: 70,
+      steps: [{ action: 'session', think: [1000, 5000] }]
+    },
+    quote: {
+      weight: 20,
+      steps: [
+        { action: 'session', think: [500, 2000] },
+        { action: 'shipping', think: [500, 2000] },
+        'tax'
+      ]
+    },
+    purchase: {
+      weight: 10,
+      steps: [
+        { action: 'session', think: [500, 2000] },
+        { action: 'shipping', think: [500, 1500] },
+        { action: 'tax', think: [2000, 6000] },
+        'payment'
+      ]
+    }
+  }
+};
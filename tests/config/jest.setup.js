@@ -15,6 +15,30 @@ global.fixtures = require('@fixtures');
 // Global environment helpers
 global.environment = require('../shared/helpers/environment');
 
+// Controllable clock shared with the custom backend runner (testFramework.js).
+// useFakeClock() patches Date, timers and performance.now; it is always
+// restored after the test that installed it.
+const { useFakeTimers, uninstallFakeTimers } = require('@helpers/fake-clock');
+global.useFakeClock = useFakeTimers;
+afterEach(() => {
+  uninstallFakeTimers();
+});
+
+// In-memory Stripe (@mocks/stripe-simulator) and Shopify Admin
+// (@mocks/shopify-admin) behind the MSW handlers; every test starts with no
+// payment intents, methods, charges, mandates, orders or draft orders, and
+// with no faults injected (@mocks/faults).
+const { stripe } = require('@mocks/stripe-simulator');
+const { shopify } = require('@mocks/shopify-admin');
+const { faults } = require('@mocks/faults');
+const { resetOrderCreation } = require('@helpers/utils/mock-handlers');
+afterEach(() => {
+  stripe.reset();
+  shopify.reset();
+  faults.reset();
+  resetOrderCreation();
+});
+
 // Mock console methods to reduce noise
 const originalConsoleError = console.error;
 console.error = (...args) => {
@@ -37,13 +61,12 @@ global.fetch = require('node-fetch');
 const authSetup = require('../shared/helpers/auth-setup');
 global.authSetup = authSetup;
 
-// Setup MSW for API mocking (only in development environment)
+// Setup MSW for API mocking (only in development environment). This is the
+// same server tests get from @mocks/server, so their server.use() overrides
+// apply to every request; listening again from a test is a no-op.
 let server;
 if (shouldMock) {
-  const { setupServer } = require('msw/node');
-  const { handlers } = require('@helpers/utils/mock-handlers');
-  
-  server = setupServer(...handlers);
+  ({ server } = require('@mocks/server'));
   
   beforeAll(async () => {
     server.listen({ 
@@ -87,41 +110,6 @@ if (shouldMock) {
   });
 }
 
-// Custom matchers
-expect.extend({
-  toBeValidSession(received) {
-    const pass = Boolean(
-      received &&
-      typeof received === 'object' &&
-      received.sessionToken &&
-      received.csrfToken &&
-      received.expiresAt
-    );
-    
-    return {
-      pass,
-      message: () => 
-        pass
-          ? `expected ${JSON.stringify(received)} not to be a valid session`
-          : `expected ${JSON.stringify(received)} to be a valid session with sessionToken, csrfToken, and expiresAt`
-    };
-  },
-  
-  toBeValidPaymentIntent(received) {
-    const pass = Boolean(
-      received &&
-      typeof received === 'object' &&
-      received.id &&
-      received.id.startsWith('pi_') &&
-      received.client_secret
-    );
-    
-    return {
-      pass,
-      message: () => 
-        pass
-          ? `expected ${JSON.stringify(received)} not to be a valid payment intent`
-          : `expected ${JSON.stringify(received)} to be a valid payment intent with id and client_secret`
-    };
-  }
-});
\ No newline at end of file
+// Custom matchers, shared with the custom backend runner (testFramework.js)
+const { domainMatchers } = require('@helpers/matchers');
+expect.extend(domainMatchers);
@@ -3,6 +3,8 @@
  * Tests all cart functionality including visual and behavioral aspects
  */
 
+const { stripWhitespace } = require('../../shared/helpers/matchers');
+
 // Mock CartDrawer class for testing
 class CartDrawer {
   constructor() {
@@ -399,6 +401,16 @@ describe('Cart Drawer Functionality', () => {
       expect(priceValue.style.opacity).toBe('0.3');
     });
     
+    test('Loading markup should match snapshot', () => {
+      const item = document.querySelector('[data-variant-id="123"]');
+      
+      cartDrawer.updateOptimisticUI('123', 3, 2);
+      expect(stripWhitespace(item)).toMatchSnapshot('loading');
+      
+      cartDrawer.updateCartUI({ ...mockCart, total_price: 3000 });
+      expect(stripWhitespace(item)).toMatchSnapshot('updated');
+    });
+    
     test('Should center spinner over item price', () => {
       const priceElement = document.querySelector('[data-line-price]');
       
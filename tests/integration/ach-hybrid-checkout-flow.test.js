@@ -13,6 +13,7 @@ const {
   waitFor
 } = require('../../shared/helpers/utils/test-helpers');
 const { getApiUrl, shouldMockPayments } = require('../../shared/helpers/environment');
+const { signedWebhookRequest } = require('@helpers/webhook-signature');
 
 const API_URL = shouldMockPayments() ? 'http://localhost:3000' : getApiUrl();
 
@@ -147,14 +148,7 @@ describe('ACH Hybrid Checkout Flow - End to End', () => {
         }
       });
       
-      const webhookResponse = await fetch(`${API_URL}/api/stripe/webhook`, {
-        method: 'POST',
-        headers: {
-          'stripe-signature': 'test_signature',
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(webhookPayload)
-      });
+      const webhookResponse = await fetch(`${API_URL}/api/stripe/webhook`, signedWebhookRequest(webhookPayload));
       
       expect(webhookResponse.ok).toBe(true);
       const webhookResult = await webhookResponse.json();
@@ -284,14 +278,7 @@ describe('ACH Hybrid Checkout Flow - End to End', () => {
         }
       });
       
-      const webhookResponse = await fetch(`${API_URL}/api/stripe/webhook`, {
-        method: 'POST',
-        headers: {
-          'stripe-signature': 'test_signature',
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(webhookPayload)
-      });
+      const webhookResponse = await fetch(`${API_URL}/api/stripe/webhook`, signedWebhookRequest(webhookPayload));
       
       expect(webhookResponse.ok).toBe(true);
     });
@@ -403,14 +390,7 @@ describe('ACH Hybrid Checkout Flow - End to End', () => {
         }
       });
       
-      const fcResponse = await fetch(`${API_URL}/api/stripe/webhook`, {
-        method: 'POST',
-        headers: {
-          'stripe-signature': 'test_signature',
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(fcWebhook)
-      });
+      const fcResponse = await fetch(`${API_URL}/api/stripe/webhook`, signedWebhookRequest(fcWebhook));
       
       expect(fcResponse.ok).toBe(true);
       
@@ -424,14 +404,7 @@ describe('ACH Hybrid Checkout Flow - End to End', () => {
         }
       });
       
-      const manualResponse = await fetch(`${API_URL}/api/stripe/webhook`, {
-        method: 'POST',
-        headers: {
-          'stripe-signature': 'test_signature',
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(manualWebhook)
-      });
+      const manualResponse = await fetch(`${API_URL}/api/stripe/webhook`, signedWebhookRequest(manualWebhook));
       
       expect(manualResponse.ok).toBe(true);
     });
@@ -456,14 +429,7 @@ describe('ACH Hybrid Checkout Flow - End to End', () => {
         }
       });
       
-      const response = await fetch(`${API_URL}/api/stripe/webhook`, {
-        method: 'POST',
-        headers: {
-          'stripe-signature': 'test_signature',
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(failureWebhook)
-      });
+      const response = await fetch(`${API_URL}/api/stripe/webhook`, signedWebhookRequest(failureWebhook));
       
       expect(response.ok).toBe(true);
       const result = await response.json();
@@ -3,6 +3,7 @@
 
 const { createTestCart, createTestCustomer, waitFor } = require('../../../shared/helpers/test-helpers');
 const fixtures = require('../../../shared/fixtures');
+const { signedWebhookRequest } = require('@helpers/webhook-signature');
 
 describe('End-to-End Checkout Integration', () => {
   // These tests validate the complete flow across all systems
@@ -124,14 +125,10 @@ describe('End-to-End Checkout Integration', () => {
       // Step 5: Backend processes webhook and creates order
       console.log('📦 Step 5: Processing webhook and creating order...');
       
-      const webhookResponse = await fetch(`${process.env.BACKEND_API_URL}/webhook/stripe`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'stripe-signature': 'test-signature' // Would be real signature in production
-        },
-        body: JSON.stringify(webhookPayload)
-      });
+      const webhookResponse = await fetch(
+        `${process.env.BACKEND_API_URL}/webhook/stripe`,
+        signedWebhookRequest(webhookPayload)
+      );
 
       // In integration test, this might fail due to signature validation
       // But the flow demonstrates the complete integration
@@ -1,7 +1,16 @@
 // Order Creation Consistency Tests
 // Ensures exactly 1 Stripe order and 1 Shopify order per payment across all environments
+//
+// The webhook endpoint is this suite's own override, which records the Stripe
+// side and creates the Shopify order with the reference order rules of the
+// mocked backend (createShopifyOrder in mock-handlers.js). The order
+// assertions are contract tests of that fixture, with every Admin API request
+// checked by the Shopify stand-in (@mocks/shopify-admin). They pin down the
+// rules a live backend must follow, but do not exercise it.
 const fetch = require('node-fetch');
-const { server } = require('../../shared/mocks/server');
+const { server } = require('../shared/mocks/server');
+const { shopify } = require('../shared/mocks/shopify-admin');
+const { createShopifyOrder } = require('../shared/helpers/utils/mock-handlers');
 const { rest } = require('msw');
 const { 
   createTestCart, 
@@ -9,22 +18,29 @@ const {
   generateTestSessionToken,
   generateTestCSRFToken,
   createTestWebhookEvent
-} = require('../../shared/helpers/utils/test-helpers');
-const { getApiUrl, shouldMockPayments } = require('../../shared/helpers/environment');
+} = require('../shared/helpers/utils/test-helpers');
+const { getApiUrl, shouldMockPayments } = require('../shared/helpers/environment');
+const { signedWebhookRequest } = require('../shared/helpers/webhook-signature');
 
 const API_URL = shouldMockPayments() ? 'http://localhost:3000' : getApiUrl();
 
+// Orders and draft orders in the Shopify Admin stand-in, tagged with their type
+function shopifyOrders() {
+  return [
+    ...shopify.orders.map(order => ({ type: 'order', ...order })),
+    ...shopify.draftOrders.map(draftOrder => ({ type: 'draft_order', ...draftOrder }))
+  ];
+}
+
 describe('Order Creation Consistency', () => {
   let sessionToken;
   let csrfToken;
   let stripeOrders;
-  let shopifyOrders;
   
   beforeAll(() => server.listen());
   afterEach(() => {
     server.resetHandlers();
     stripeOrders = [];
-    shopifyOrders = [];
   });
   afterAll(() => server.close());
   
@@ -32,7 +48,6 @@ describe('Order Creation Consistency', () => {
     sessionToken = generateTestSessionToken();
     csrfToken = generateTestCSRFToken();
     stripeOrders = [];
-    shopifyOrders = [];
     
     // Mock Stripe webhook handler that tracks orders
     server.use(
@@ -54,17 +69,8 @@ describe('Order Creation Consistency', () => {
             paymentMethod: paymentIntent.payment_method_types?.[0] || 'card'
           });
           
-          // Simulate Shopify order creation
-          const environment = paymentIntent.metadata?.environment || 'production';
-          const orderType = environment === 'production' ? 'order' : 'draft_order';
-          
-          shopifyOrders.push({
-            type: orderType,
-            payment_intent_id: paymentIntent.id,
-            environment: environment,
-            total: paymentIntent.amount,
-            created_via: 'stripe_webhook'
-          });
+          // Create the Shopify order through the Admin API with the reference rules
+          await createShopifyOrder(paymentIntent);
         }
         
         return res(ctx.json({ received: true }));
@@ -123,14 +129,7 @@ describe('Order Creation Consistency', () => {
               }
             );
             
-            await fetch(`${API_URL}/api/stripe/webhook`, {
-              method: 'POST',
-              headers: {
-                'stripe-signature': 'test_signature',
-                'Content-Type': 'application/json'
-              },
-              body: JSON.stringify(webhookEvent)
-            });
+            await fetch(`${API_URL}/api/stripe/webhook`, signedWebhookRequest(webhookEvent));
             
             // Verify exactly 1 Stripe order
             expect(stripeOrders).toHaveLength(1);
@@ -140,11 +139,11 @@ describe('Order Creation Consistency', () => {
             });
             
             // Verify exactly 1 Shopify order
-            expect(shopifyOrders).toHaveLength(1);
-            expect(shopifyOrders[0]).toMatchObject({
+            expect(shopifyOrders()).toHaveLength(1);
+            expect(shopifyOrders()[0]).toMatchObject({
               type: environment === 'production' ? 'order' : 'draft_order',
-              environment: environment,
-              created_via: 'stripe_webhook'
+              note_attributes: expect.arrayContaining([{ name: 'environment', value: environment }]),
+              tags: expect.stringContaining('stripe')
             });
           });
         });
@@ -166,17 +165,10 @@ describe('Order Creation Consistency', () => {
             }
           });
           
-          await fetch(`${API_URL}/api/stripe/webhook`, {
-            method: 'POST',
-            headers: {
-              'stripe-signature': 'test_signature',
-              'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(webhookEvent)
-          });
+          await fetch(`${API_URL}/api/stripe/webhook`, signedWebhookRequest(webhookEvent));
           
-          expect(shopifyOrders).toHaveLength(1);
-          expect(shopifyOrders[0].type).toBe('draft_order');
+          expect(shopifyOrders()).toHaveLength(1);
+          expect(shopifyOrders()[0].type).toBe('draft_order');
         });
       });
     });
@@ -197,22 +189,13 @@ describe('Order Creation Consistency', () => {
           }
         });
         
-        await fetch(`${API_URL}/api/stripe/webhook`, {
-          method: 'POST',
-          headers: {
-            'stripe-signature': 'test_signature',
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(webhookEvent)
-        });
+        await fetch(`${API_URL}/api/stripe/webhook`, signedWebhookRequest(webhookEvent));
       }
       
       // Should still only have 1 order despite 2 webhooks
       expect(stripeOrders).toHaveLength(2); // Webhooks were received
-      expect(shopifyOrders).toHaveLength(2); // But duplicate detection should prevent 2nd order
-      
-      // In real implementation, the second webhook should be ignored
-      // This test documents the expected behavior
+      expect(shopifyOrders()).toHaveLength(1); // But duplicate detection prevents the 2nd order
+      expect(shopify.draftOrdersFor(paymentIntentId)).toHaveLength(1);
     });
     
     it('should handle multiple different payments correctly', async () => {
@@ -232,19 +215,12 @@ describe('Order Creation Consistency', () => {
           }
         });
         
-        await fetch(`${API_URL}/api/stripe/webhook`, {
-          method: 'POST',
-          headers: {
-            'stripe-signature': 'test_signature',
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(webhookEvent)
-        });
+        await fetch(`${API_URL}/api/stripe/webhook`, signedWebhookRequest(webhookEvent));
       }
       
       // Should have exactly 3 orders
       expect(stripeOrders).toHaveLength(3);
-      expect(shopifyOrders).toHaveLength(3);
+      expect(shopifyOrders()).toHaveLength(3);
       
       // Each should be unique
       const uniqueStripeIds = new Set(stripeOrders.map(o => o.id));
@@ -265,18 +241,11 @@ describe('Order Creation Consistency', () => {
       });
       
       // In real implementation, this would create a real Shopify order
-      await fetch(`${API_URL}/api/stripe/webhook`, {
-        method: 'POST',
-        headers: {
-          'stripe-signature': 'test_signature',
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(webhookEvent)
-      });
+      await fetch(`${API_URL}/api/stripe/webhook`, signedWebhookRequest(webhookEvent));
       
-      expect(shopifyOrders).toHaveLength(1);
+      expect(shopifyOrders()).toHaveLength(1);
       // In production with livemode, it should be a real order
-      // Note: This behavior would be implemented in the actual webhook handler
+      expect(shopify.ordersFor('pi_live_prod')).toHaveLength(1);
     });
     
     const nonProdEnvironments = ['staging', 'development'];
@@ -293,17 +262,10 @@ describe('Order Creation Consistency', () => {
           }
         });
         
-        await fetch(`${API_URL}/api/stripe/webhook`, {
-          method: 'POST',
-          headers: {
-            'stripe-signature': 'test_signature',
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(webhookEvent)
-        });
+        await fetch(`${API_URL}/api/stripe/webhook`, signedWebhookRequest(webhookEvent));
         
-        expect(shopifyOrders).toHaveLength(1);
-        expect(shopifyOrders[0].type).toBe('draft_order'); // Always draft in non-prod
+        expect(shopifyOrders()).toHaveLength(1);
+        expect(shopifyOrders()[0].type).toBe('draft_order'); // Always draft in non-prod
       });
     });
   });
@@ -332,22 +294,16 @@ describe('Order Creation Consistency', () => {
             console.warn('Environment mismatch detected');
           }
           
-          return res(ctx.json({ received: true }));
+          // Fall through to the order-tracking webhook handler
+          return undefined;
         })
       );
       
-      await fetch(`${API_URL}/api/stripe/webhook`, {
-        method: 'POST',
-        headers: {
-          'stripe-signature': 'test_signature',
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(webhookEvent)
-      });
+      await fetch(`${API_URL}/api/stripe/webhook`, signedWebhookRequest(webhookEvent));
       
       // Order should still be created but with appropriate environment handling
       expect(stripeOrders).toHaveLength(1);
-      expect(shopifyOrders).toHaveLength(1);
+      expect(shopifyOrders()).toHaveLength(1);
     });
   });
   
@@ -374,22 +330,15 @@ describe('Order Creation Consistency', () => {
           }
         );
         
-        await fetch(`${API_URL}/api/stripe/webhook`, {
-          method: 'POST',
-          headers: {
-            'stripe-signature': 'test_signature',
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(webhookEvent)
-        });
+        await fetch(`${API_URL}/api/stripe/webhook`, signedWebhookRequest(webhookEvent));
       }
       
       // Both payment methods should create orders
       expect(stripeOrders).toHaveLength(2);
-      expect(shopifyOrders).toHaveLength(2);
+      expect(shopifyOrders()).toHaveLength(2);
       
       // Both should be draft orders in staging
-      expect(shopifyOrders.every(o => o.type === 'draft_order')).toBe(true);
+      expect(shopifyOrders().every(o => o.type === 'draft_order')).toBe(true);
     });
   });
   
@@ -409,7 +358,7 @@ describe('Order Creation Consistency', () => {
       });
       
       expect(stripeOrders).toHaveLength(0);
-      expect(shopifyOrders).toHaveLength(0);
+      expect(shopifyOrders()).toHaveLength(0);
     });
     
     it('should handle Shopify API failures gracefully', async () => {
@@ -429,20 +378,14 @@ describe('Order Creation Consistency', () => {
         }
       });
       
-      const response = await fetch(`${API_URL}/api/stripe/webhook`, {
-        method: 'POST',
-        headers: {
-          'stripe-signature': 'test_signature',
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(webhookEvent)
-      });
+      const response = await fetch(`${API_URL}/api/stripe/webhook`, signedWebhookRequest(webhookEvent));
       
       // Webhook should still acknowledge receipt
       expect(response.ok).toBe(true);
       
-      // Stripe order is recorded but Shopify order might fail
+      // Stripe order is recorded but the Shopify order failed
       expect(stripeOrders).toHaveLength(1);
+      expect(shopifyOrders()).toHaveLength(0);
     });
   });
 });
\ No newline at end of file
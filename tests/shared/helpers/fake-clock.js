@@ -0,0 +1,314 @@
+/**
+ * Controllable clock for time-dependent tests (session expiry, circuit
+ * breaker reset timeouts, ACH processing windows).
+ *
+ * Shared by the custom backend runner (testFramework.js) and the Jest suites
+ * (exposed as global.useFakeClock in config/jest.setup.js). While installed it
+ * replaces Date (including Date.now and `new Date()`), setTimeout,
+ * clearTimeout, setInterval, clearInterval and performance.now (unless the
+ * runtime made it non-configurable). setImmediate and process.nextTick are
+ * left alone so promises and I/O keep working.
+ */
+
+const MAX_TIMERS_PER_RUN = 1000;
+
+let activeClock = null;
+
+class FakeClock {
+  /**
+   * @param {Object} options
+   * @param {number|Date} [options.now] - Initial system time (defaults to the real current time)
+   */
+  constructor(options = {}) {
+    this.systemTime = toMillis(options.now ?? Date.now());
+    this.elapsed = 0;
+    this.timers = new Map();
+    this.nextId = 1;
+    this.originals = null;
+  }
+
+  /**
+   * Current fake system time in milliseconds
+   */
+  now() {
+    return this.systemTime;
+  }
+
+  /**
+   * Replace the global timer functions, Date and performance.now
+   */
+  install(target = globalThis) {
+    if (this.originals) {
+      return this;
+    }
+    if (activeClock) {
+      activeClock.uninstall();
+    }
+
+    const clock = this;
+    const RealDate = target.Date;
+    const performance = target.performance;
+
+    this.target = target;
+    this.originals = {
+      Date: RealDate,
+      setTimeout: target.setTimeout,
+      clearTimeout: target.clearTimeout,
+      setInterval: target.setInterval,
+      clearInterval: target.clearInterval,
+      // Own property descriptor, if any: Node 16 and 18 define a read-only
+      // `now` on the performance object itself, later versions inherit it
+      performanceNow: performance && Object.getOwnPropertyDescriptor(performance, 'now'),
+      performanceBase: performance ? performance.now() : 0
+    };
+    // Set before patching so uninstallFakeTimers() can always undo a
+    // partial install
+    activeClock = this;
+
+    class FakeDate extends RealDate {
+      constructor(...args) {
+        if (args.length === 0) {
+          super(clock.systemTime);
+        } else {
+          super(...args);
+        }
+      }
+
+      static now() {
+        return clock.systemTime;
+      }
+    }
+
+    try {
+      target.Date = FakeDate;
+      target.setTimeout = (callback, delay, ...args) => this.addTimer(callback, delay, args, false);
+      target.setInterval = (callback, delay, ...args) => this.addTimer(callback, delay, args, true);
+      target.clearTimeout = (timer) => this.removeTimer(timer);
+      target.clearInterval = (timer) => this.removeTimer(timer);
+      if (performance && this.originals.performanceNow?.configurable !== false) {
+        const base = this.originals.performanceBase;
+        Object.defineProperty(performance, 'now', {
+          value: () => base + this.elapsed,
+          writable: true,
+          configurable: true
+        });
+        this.originals.performancePatched = true;
+      }
+    } catch (error) {
+      this.uninstall();
+      throw error;
+    }
+
+    return this;
+  }
+
+  /**
+   * Restore the real globals. Pending fake timers are discarded.
+   */
+  uninstall() {
+    if (!this.originals) {
+      return;
+    }
+
+    const { target, originals } = this;
+    target.Date = originals.Date;
+    target.setTimeout = originals.setTimeout;
+    target.clearTimeout = originals.clearTimeout;
+    target.setInterval = originals.setInterval;
+    target.clearInterval = originals.clearInterval;
+    if (originals.performancePatched) {
+      if (originals.performanceNow) {
+        Object.defineProperty(target.performance, 'now', originals.performanceNow);
+      } else {
+        delete target.performance.now;
+      }
+    }
+
+    this.originals = null;
+    this.timers.clear();
+    if (activeClock === this) {
+      activeClock = null;
+    }
+  }
+
+  /**
+   * Move the system time without firing timers (e.g. jump to a weekend to
+   * test ACH processing days)
+   */
+  setSystemTime(time) {
+    this.systemTime = toMillis(time);
+  }
+
+  /**
+   * Advance time by `ms`, firing due timers in order. Timers scheduled by
+   * callbacks fire too if they fall inside the window.
+   */
+  tick(ms) {
+    const target = this.elapsed + ms;
+    let timer;
+    while ((timer = this.nextTimer(target))) {
+      this.fire(timer);
+    }
+    this.advanceTo(target);
+    return this.systemTime;
+  }
+
+  /**
+   * Like tick(), but lets pending promise callbacks settle before each timer
+   * fires, for async code that awaits between timeouts
+   */
+  async tickAsync(ms) {
+    const target = this.elapsed + ms;
+    await this.flushPromises();
+
+    let timer;
+    while ((timer = this.nextTimer(target))) {
+      this.fire(timer);
+      await this.flushPromises();
+    }
+    this.advanceTo(target);
+    return this.systemTime;
+  }
+
+  /**
+   * Fire timers until none are left
+   */
+  runAll() {
+    for (let i = 0; i < MAX_TIMERS_PER_RUN; i++) {
+      const timer = this.nextTimer(Infinity);
+      if (!timer) {
+        return this.systemTime;
+      }
+      this.fire(timer);
+    }
+
+    throw new Error(`Aborting after running ${MAX_TIMERS_PER_RUN} timers, assuming an infinite interval loop`);
+  }
+
+  async runAllAsync() {
+    await this.flushPromises();
+
+    for (let i = 0; i < MAX_TIMERS_PER_RUN; i++) {
+      const timer = this.nextTimer(Infinity);
+      if (!timer) {
+        return this.systemTime;
+      }
+      this.fire(timer);
+      await this.flushPromises();
+    }
+
+    throw new Error(`Aborting after running ${MAX_TIMERS_PER_RUN} timers, assuming an infinite interval loop`);
+  }
+
+  /**
+   * Number of pending timers
+   */
+  timerCount() {
+    return this.timers.size;
+  }
+
+  addTimer(callback, delay, args, repeat) {
+    const id = this.nextId++;
+    const interval = Math.max(0, Number(delay) || 0);
+    const timer = {
+      id,
+      callback,
+      args,
+      interval: repeat ? Math.max(1, interval) : null,
+      at: this.elapsed + interval
+    };
+    this.timers.set(id, timer);
+
+    // Shaped like Node's Timeout so .unref()/.ref() calls keep working
+    const handle = {
+      id,
+      ref: () => handle,
+      unref: () => handle,
+      hasRef: () => true,
+      refresh: () => {
+        timer.at = this.elapsed + interval;
+        return handle;
+      },
+      [Symbol.toPrimitive]: () => id
+    };
+    return handle;
+  }
+
+  // Lets queued promise callbacks run. setImmediate fires after them; jsdom
+  // environments lack it, so fall back to the real setTimeout.
+  flushPromises() {
+    return new Promise(resolve => {
+      if (typeof setImmediate === 'function') {
+        setImmediate(resolve);
+      } else {
+        (this.originals ? this.originals.setTimeout : setTimeout)(resolve, 0);
+      }
+    });
+  }
+
+  removeTimer(timer) {
+    if (timer === null || timer === undefined) {
+      return;
+    }
+    this.timers.delete(typeof timer === 'object' ? timer.id : Number(timer));
+  }
+
+  nextTimer(limit) {
+    let next = null;
+    for (const timer of this.timers.values()) {
+      if (timer.at <= limit && (!next || timer.at < next.at || (timer.at === next.at && timer.id < next.id))) {
+        next = timer;
+      }
+    }
+    return next;
+  }
+
+  fire(timer) {
+    this.advanceTo(timer.at);
+
+    if (timer.interval) {
+      timer.at += timer.interval;
+    } else {
+      this.timers.delete(timer.id);
+    }
+
+    timer.callback(...timer.args);
+  }
+
+  advanceTo(elapsed) {
+    if (elapsed > this.elapsed) {
+      this.systemTime += elapsed - this.elapsed;
+      this.elapsed = elapsed;
+    }
+  }
+}
+
+function toMillis(time) {
+  // Not `instanceof Date`: Date may be the fake subclass while `time` is real
+  return typeof time?.getTime === 'function' ? time.getTime() : Number(time);
+}
+
+/**
+ * Install a new fake clock and return it
+ * @param {Object} [options] - See FakeClock
+ * @returns {FakeClock}
+ */
+function useFakeTimers(options) {
+  return new FakeClock(options).install();
+}
+
+/**
+ * Restore real timers if a fake clock is installed. Test runners call this
+ * after every test so a forgotten clock can't leak into the next one.
+ */
+function uninstallFakeTimers() {
+  if (activeClock) {
+    activeClock.uninstall();
+  }
+}
+
+module.exports = {
+  FakeClock,
+  useFakeTimers,
+  uninstallFakeTimers
+};
@@ -0,0 +1,438 @@
+/**
+ * Matching, diffing and shared custom matchers for both test runners.
+ *
+ * - Asymmetric matchers (any, anything, stringMatching, stringContaining,
+ *   objectContaining, arrayContaining) usable inside expected values. They
+ *   carry Jest's asymmetric-matcher marker, so they also work with Jest's
+ *   own toEqual/toMatchObject.
+ * - equals() with full or partial (toMatchObject-style) recursion.
+ * - diff(): colorized structural diff of expected vs received.
+ * - volatileMatchers(): snapshot property matchers for generated fields (ids,
+ *   timestamps, client secrets), for Jest's toMatchSnapshot and the custom
+ *   runner's expect.toMatchSnapshot. stripWhitespace() drops template
+ *   indentation from DOM nodes before they are snapshotted.
+ * - domainMatchers: Jest-format matchers registered with expect.extend() in
+ *   config/jest.setup.js and in the custom runner (testFramework.js).
+ */
+
+const { isDeepStrictEqual } = require('util');
+
+const ASYMMETRIC = Symbol.for('jest.asymmetricMatcher');
+
+const useColor = process.env.FORCE_COLOR !== '0' &&
+  (Boolean(process.env.FORCE_COLOR) || Boolean(process.stdout && process.stdout.isTTY));
+const paint = (code) => (text) => (useColor ? `\x1b[${code}m${text}\x1b[0m` : text);
+const colors = {
+  expected: paint(32), // green
+  received: paint(31), // red
+  dim: paint(2)
+};
+
+// =============================================================================
+// ASYMMETRIC MATCHERS
+// =============================================================================
+
+class AsymmetricMatcher {
+  constructor(sample) {
+    this.sample = sample;
+    this.$$typeof = ASYMMETRIC;
+  }
+
+  // How Jest's snapshot serializer prints the matcher
+  toAsymmetricMatcher() {
+    return this.toString();
+  }
+}
+
+class Any extends AsymmetricMatcher {
+  asymmetricMatch(other) {
+    const type = this.sample;
+    if (type === String) {return typeof other === 'string' || other instanceof String;}
+    if (type === Number) {return typeof other === 'number' || other instanceof Number;}
+    if (type === Boolean) {return typeof other === 'boolean' || other instanceof Boolean;}
+    if (type === Function) {return typeof other === 'function';}
+    if (type === Object) {return other !== null && typeof other === 'object';}
+    return other instanceof type;
+  }
+
+  toString() {
+    return `Any<${this.sample.name}>`;
+  }
+}
+
+class Anything extends AsymmetricMatcher {
+  asymmetricMatch(other) {
+    return other !== null && other !== undefined;
+  }
+
+  toString() {
+    return 'Anything';
+  }
+}
+
+class StringMatching extends AsymmetricMatcher {
+  asymmetricMatch(other) {
+    const pattern = typeof this.sample === 'string' ? new RegExp(this.sample) : this.sample;
+    return typeof other === 'string' && pattern.test(other);
+  }
+
+  toString() {
+    return `StringMatching ${this.sample}`;
+  }
+}
+
+class StringContaining extends AsymmetricMatcher {
+  asymmetricMatch(other) {
+    return typeof other === 'string' && other.includes(this.sample);
+  }
+
+  toString() {
+    return `StringContaining ${JSON.stringify(this.sample)}`;
+  }
+}
+
+class ObjectContaining extends AsymmetricMatcher {
+  asymmetricMatch(other) {
+    return equals(other, this.sample, { partial: true });
+  }
+
+  toString() {
+    return `ObjectContaining ${format(this.sample)}`;
+  }
+}
+
+class ArrayContaining extends AsymmetricMatcher {
+  asymmetricMatch(other) {
+    return Array.isArray(other) &&
+      this.sample.every(expected => other.some(item => equals(item, expected)));
+  }
+
+  toString() {
+    return `ArrayContaining ${format(this.sample)}`;
+  }
+}
+
+const asymmetric = {
+  any: (type) => new Any(type),
+  anything: () => new Anything(),
+  stringMatching: (pattern) => new StringMatching(pattern),
+  stringContaining: (text) => new StringContaining(text),
+  objectContaining: (object) => new ObjectContaining(object),
+  arrayContaining: (array) => new ArrayContaining(array)
+};
+
+function isAsymmetric(value) {
+  return Boolean(value) && value.$$typeof === ASYMMETRIC && typeof value.asymmetricMatch === 'function';
+}
+
+// =============================================================================
+// EQUALITY
+// =============================================================================
+
+// Not `instanceof Date`: a fake clock may have swapped the global Date
+function isDate(value) {
+  return Object.prototype.toString.call(value) === '[object Date]';
+}
+
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') {
+    return false;
+  }
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Recursive equality with asymmetric matcher support
+ * @param {*} actual
+ * @param {*} expected - May contain asymmetric matchers at any depth
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Ignore keys of `actual` not present in
+ *   `expected` (toMatchObject semantics; arrays must still match in length)
+ * @returns {boolean}
+ *
+ * As in Jest's toEqual, a key whose value is undefined counts as missing, so
+ * {a: undefined} equals {}. With `partial`, as in toMatchObject, every key of
+ * `expected` must be present in `actual`, even one expected to be undefined.
+ */
+function equals(actual, expected, options = {}) {
+  if (isAsymmetric(expected)) {
+    return expected.asymmetricMatch(actual);
+  }
+  if (Object.is(actual, expected)) {
+    return true;
+  }
+  if (isDate(expected) || isDate(actual)) {
+    return isDate(actual) && isDate(expected) && actual.getTime() === expected.getTime();
+  }
+  if (expected instanceof RegExp || actual instanceof RegExp) {
+    return String(actual) === String(expected);
+  }
+  if (Array.isArray(expected)) {
+    return Array.isArray(actual) &&
+      actual.length === expected.length &&
+      expected.every((item, i) => equals(actual[i], item, options));
+  }
+  if (isPlainObject(expected)) {
+    if (actual === null || typeof actual !== 'object' || Array.isArray(actual)) {
+      return false;
+    }
+    const expectedKeys = options.partial ? Object.keys(expected) : definedKeys(expected);
+    if (!options.partial && definedKeys(actual).length !== expectedKeys.length) {
+      return false;
+    }
+    return expectedKeys.every(key =>
+      Object.prototype.hasOwnProperty.call(actual, key) && equals(actual[key], expected[key], options)
+    );
+  }
+  if (expected !== null && typeof expected === 'object') {
+    // Maps, Sets, Buffers and class instances
+    return isDeepStrictEqual(actual, expected);
+  }
+  return false;
+}
+
+function definedKeys(object) {
+  return Object.keys(object).filter(key => object[key] !== undefined);
+}
+
+// =============================================================================
+// FORMATTING AND DIFFS
+// =============================================================================
+
+function format(value, depth = 0) {
+  if (isAsymmetric(value)) {return value.toString();}
+  if (value === undefined) {return 'undefined';}
+  if (typeof value === 'function') {return `[Function ${value.name || 'anonymous'}]`;}
+  if (typeof value === 'bigint') {return `${value}n`;}
+  if (typeof value === 'symbol' || value instanceof RegExp) {return String(value);}
+  if (isDate(value)) {return `Date(${value.toISOString()})`;}
+  if (typeof value !== 'object' || value === null) {return JSON.stringify(value);}
+  if (depth > 2) {return Array.isArray(value) ? '[…]' : '{…}';}
+  if (Array.isArray(value)) {
+    return `[${value.map(item => format(item, depth + 1)).join(', ')}]`;
+  }
+  if (!isPlainObject(value)) {
+    return `${value.constructor ? value.constructor.name : 'Object'} ${JSON.stringify(value)}`;
+  }
+  const entries = Object.keys(value).map(key => `${formatKey(key)}: ${format(value[key], depth + 1)}`);
+  return `{${entries.join(', ')}}`;
+}
+
+function formatKey(key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+function diffLines(expected, actual, options, indent, label, lines) {
+  const pad = '  '.repeat(indent);
+  const prefix = label === null ? '' : `${label}: `;
+
+  if (equals(actual, expected, options)) {
+    lines.push(colors.dim(`  ${pad}${prefix}${format(actual)}`));
+    return;
+  }
+
+  const bothArrays = Array.isArray(expected) && Array.isArray(actual);
+  const bothObjects = isPlainObject(expected) && isPlainObject(actual);
+
+  if (!bothArrays && !bothObjects) {
+    lines.push(colors.expected(`- ${pad}${prefix}${format(expected)}`));
+    lines.push(colors.received(`+ ${pad}${prefix}${format(actual)}`));
+    return;
+  }
+
+  lines.push(`  ${pad}${prefix}${bothArrays ? '[' : '{'}`);
+
+  if (bothArrays) {
+    const length = Math.max(expected.length, actual.length);
+    for (let i = 0; i < length; i++) {
+      if (i >= actual.length) {
+        lines.push(colors.expected(`- ${pad}  ${format(expected[i])}`));
+      } else if (i >= expected.length) {
+        lines.push(colors.received(`+ ${pad}  ${format(actual[i])}`));
+      } else {
+        diffLines(expected[i], actual[i], options, indent + 1, null, lines);
+      }
+    }
+  } else {
+    const keys = Object.keys(expected);
+    if (!options.partial) {
+      Object.keys(actual).forEach(key => {
+        if (!keys.includes(key)) {keys.push(key);}
+      });
+    }
+    keys.forEach(key => {
+      const name = formatKey(key);
+      if (!options.partial && (!(key in actual) || !(key in expected)) && expected[key] === undefined && actual[key] === undefined) {
+        // Missing and undefined are equal
+        return;
+      }
+      if (!(key in actual)) {
+        lines.push(colors.expected(`- ${pad}  ${name}: ${format(expected[key])}`));
+      } else if (!(key in expected)) {
+        lines.push(colors.received(`+ ${pad}  ${name}: ${format(actual[key])}`));
+      } else {
+        diffLines(expected[key], actual[key], options, indent + 1, name, lines);
+      }
+    });
+  }
+
+  lines.push(`  ${pad}${bothArrays ? ']' : '}'}`);
+}
+
+/**
+ * Structural diff of `expected` vs `actual`
+ * @param {*} expected
+ * @param {*} actual
+ * @param {Object} [options] - `partial: true` hides keys only present in `actual`
+ * @returns {string}
+ */
+function diff(expected, actual, options = {}) {
+  const lines = [
+    `${colors.expected('- Expected')}`,
+    `${colors.received('+ Received')}`,
+    ''
+  ];
+  diffLines(expected, actual, options, 0, null, lines);
+  return lines.join('\n');
+}
+
+// =============================================================================
+// SNAPSHOT PROPERTY MATCHERS
+// =============================================================================
+
+// Fields Stripe, Shopify and the test factories fill with generated values
+const VOLATILE_FIELDS = ['id', 'created', 'client_secret'];
+
+const TYPES = { string: String, number: Number, boolean: Boolean, object: Object };
+
+/**
+ * Build snapshot property matchers that replace every volatile field in
+ * `value`, at any depth, with `any(<its type>)`. The snapshot then records
+ * `Any<String>` instead of the generated value, while the type is still
+ * checked on every run.
+ *
+ * @example
+ * expect(event).toMatchSnapshot(volatileMatchers(event));
+ * expect(order).toMatchSnapshot(volatileMatchers(order, [...VOLATILE_FIELDS, 'order_number']));
+ *
+ * @param {*} value - The value about to be snapshotted
+ * @param {string[]} [fields] - Keys to scrub (defaults to VOLATILE_FIELDS)
+ * @returns {*} Property matchers shaped like `value`
+ */
+function volatileMatchers(value, fields = VOLATILE_FIELDS) {
+  if (Array.isArray(value)) {
+    return value.map(item => volatileMatchers(item, fields));
+  }
+  if (!isPlainObject(value)) {
+    return value;
+  }
+
+  const matchers = {};
+  Object.keys(value).forEach(key => {
+    const type = value[key] === null ? null : TYPES[typeof value[key]];
+    if (fields.includes(key) && type) {
+      matchers[key] = asymmetric.any(type);
+    } else if (Array.isArray(value[key]) || isPlainObject(value[key])) {
+      matchers[key] = volatileMatchers(value[key], fields);
+    }
+  });
+  return matchers;
+}
+
+const TEXT_NODE = 3;
+
+/**
+ * Clone a DOM node without whitespace-only text nodes, so markup built from
+ * indented template strings snapshots as its element structure
+ * @param {Node} node
+ * @returns {Node}
+ */
+function stripWhitespace(node) {
+  const clone = node.cloneNode(true);
+  const strip = (parent) => {
+    Array.from(parent.childNodes).forEach(child => {
+      if (child.nodeType === TEXT_NODE && !child.textContent.trim()) {
+        parent.removeChild(child);
+      } else {
+        strip(child);
+      }
+    });
+  };
+  strip(clone);
+  return clone;
+}
+
+// =============================================================================
+// SHARED DOMAIN MATCHERS
+// =============================================================================
+
+// Jest matcher format: (received, ...args) => ({ pass, message })
+const domainMatchers = {
+  toBeValidSession(received) {
+    const pass = Boolean(
+      received &&
+      typeof received === 'object' &&
+      received.sessionToken &&
+      received.csrfToken &&
+      received.expiresAt
+    );
+
+    return {
+      pass,
+      message: () =>
+        pass
+          ? `expected ${JSON.stringify(received)} not to be a valid session`
+          : `expected ${JSON.stringify(received)} to be a valid session with sessionToken, csrfToken, and expiresAt`
+    };
+  },
+
+  toBeValidPaymentIntent(received) {
+    const pass = Boolean(
+      received &&
+      typeof received === 'object' &&
+      received.id &&
+      received.id.startsWith('pi_') &&
+      received.client_secret
+    );
+
+    return {
+      pass,
+      message: () =>
+        pass
+          ? `expected ${JSON.stringify(received)} not to be a valid payment intent`
+          : `expected ${JSON.stringify(received)} to be a valid payment intent with id and client_secret`
+    };
+  },
+
+  // received: a Shopify Admin stand-in (shared/mocks/shopify-admin.js); each
+  // payment must have exactly one order or draft order
+  toHaveOneOrderPerPayment(received, paymentIntentIds) {
+    const counts = paymentIntentIds.map(id => ({
+      id,
+      count: received.ordersFor(id).length + received.draftOrdersFor(id).length
+    }));
+    const wrong = counts.filter(({ count }) => count !== 1);
+    const pass = wrong.length === 0;
+
+    return {
+      pass,
+      message: () =>
+        pass
+          ? `expected ${paymentIntentIds.join(', ')} not to have one order each`
+          : `expected one order per payment, got ${wrong.map(({ id, count }) => `${count} for ${id}`).join(', ')}`
+    };
+  }
+};
+
+module.exports = {
+  asymmetric,
+  isAsymmetric,
+  equals,
+  format,
+  diff,
+  VOLATILE_FIELDS,
+  volatileMatchers,
+  stripWhitespace,
+  domainMatchers
+};
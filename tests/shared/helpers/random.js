@@ -0,0 +1,61 @@
+/**
+ * Seeded random numbers, so a run that shaped traffic, delivery order or
+ * injected faults at random can be replayed with the same seed.
+ *
+ * Shared by the load test workloads (backend/r3-backend/workload.js), the
+ * webhook dispatcher and the MSW fault injector:
+ *
+ *   const random = createRandom('r3-checkout');
+ *   random.next();                 // [0, 1)
+ *   random.int(1, 6);              // integer in [1, 6]
+ *   random.pick(['NY', 'CA']);
+ *   random.weighted([{ name: 'browse', weight: 70 }, { name: 'purchase', weight: 30 }]);
+ */
+
+/**
+ * mulberry32: small, fast and good enough to shape traffic
+ * @param {number|string} [seed] - Any value; strings and numbers are hashed (defaults to the current time)
+ */
+function createRandom(seed = Date.now()) {
+  let state = hashSeed(seed);
+
+  const next = () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    next,
+    // Integer in [min, max]
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    pick: (items) => items[Math.floor(next() * items.length)],
+    // Item chosen in proportion to its `weight`
+    weighted(items) {
+      const total = items.reduce((sum, item) => sum + item.weight, 0);
+      let target = next() * total;
+      for (const item of items) {
+        target -= item.weight;
+        if (target < 0) {
+          return item;
+        }
+      }
+      return items[items.length - 1];
+    }
+  };
+}
+
+// FNV-1a over the seed's text
+function hashSeed(seed) {
+  const text = String(seed);
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+  }
+  return hash >>> 0;
+}
+
+module.exports = {
+  createRandom
+};
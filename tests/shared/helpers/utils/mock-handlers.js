@@ -1,9 +1,18 @@
 // MSW (Mock Service Worker) handlers for API mocking
 
+const fetch = require('node-fetch');
 const { rest } = require('msw');
-const { createTestSession, createTestPaymentIntent, generateTestSessionToken } = require('./test-helpers');
+const { createTestSession, generateTestSessionToken } = require('./test-helpers');
+const { getShopifyDomain } = require('../environment');
+const { stripe, StripeError } = require('../../mocks/stripe-simulator');
+const { verifySignatureHeader, WebhookSignatureError } = require('../webhook-signature');
 
 const API_URL = process.env.API_URL || 'http://localhost:3000';
+const SHOPIFY_API_VERSION = process.env.SHOPIFY_API_VERSION || '2024-01';
+const SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN || 'shpat_test_token';
+
+// Webhook events that create a Shopify order
+const ORDER_EVENTS = ['payment_intent.succeeded', 'payment_intent.processing'];
 
 // Session storage for tests
 const testSessions = new Map();
@@ -34,6 +43,125 @@ function checkRateLimit(endpoint, ip = '127.0.0.1', limit = 10, window = 60000)
   return true;
 }
 
+// Payment intents an order was created (or is being created) for
+const orderedPayments = new Set();
+
+// Reference order rules for the mocked webhook endpoints: a real order only
+// for live production payments, a draft order otherwise, and only once per
+// payment intent. They restate what the backend is expected to do, so tests
+// that check orders made here are contract tests of this fixture, not of the
+// backend. The request goes through the Shopify Admin API, so
+// @mocks/shopify-admin (or a test's override) answers it and checks its shape.
+// Resolves to { order } (null when skipped) or { error } when Shopify failed.
+async function createShopifyOrder(paymentIntent) {
+  if (!paymentIntent?.id || orderedPayments.has(paymentIntent.id)) {
+    return { order: null };
+  }
+  orderedPayments.add(paymentIntent.id);
+
+  const metadata = paymentIntent.metadata || {};
+  const environment = metadata.environment || 'production';
+  const isRealOrder = environment === 'production' && paymentIntent.livemode !== false;
+  const isAch = paymentIntent.payment_method_types?.includes('us_bank_account');
+  const isPending = isAch && paymentIntent.status === 'processing';
+
+  const order = {
+    email: metadata.customer_email,
+    line_items: parseLineItems(metadata.items, paymentIntent),
+    tags: [
+      'stripe',
+      paymentIntent.id,
+      environment,
+      isAch ? 'ACH_PAYMENT' : (paymentIntent.payment_method_types?.[0] || 'card'),
+      isPending && 'PENDING_VERIFICATION',
+      metadata.rep && `rep-${metadata.rep}`
+    ].filter(Boolean).join(','),
+    note: isPending
+      ? `ACH PAYMENT (Pending Bank Verification) - Stripe Payment ID: ${paymentIntent.id}`
+      : `Stripe Payment ID: ${paymentIntent.id}`,
+    note_attributes: [
+      { name: 'payment_intent', value: paymentIntent.id },
+      { name: 'environment', value: environment },
+      metadata.rep && { name: 'rep', value: metadata.rep }
+    ].filter(Boolean)
+  };
+  const shippingAddress = parseJson(metadata.shipping_address);
+  if (shippingAddress) {order.shipping_address = shippingAddress;}
+  if (isRealOrder) {order.financial_status = isPending ? 'pending' : 'paid';}
+
+  const shop = metadata.store_domain || getShopifyDomain();
+  const resource = isRealOrder ? 'order' : 'draft_order';
+  try {
+    const response = await fetch(`https://${shop}/admin/api/${SHOPIFY_API_VERSION}/${resource}s.json`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN
+      },
+      body: JSON.stringify({ [resource]: order })
+    });
+    if (!response.ok) {
+      throw new Error(`Shopify ${resource} creation failed: ${response.status} ${await response.text()}`);
+    }
+    return { order: (await response.json())[resource] };
+  } catch (error) {
+    // Let a retried webhook try again
+    orderedPayments.delete(paymentIntent.id);
+    return { error: error.message };
+  }
+}
+
+// Helper for the webhook handlers: creates the order for order events.
+// Returns why the order failed, or null; a failed order leaves the payment
+// without one, and the handler answers 500 with the reason so Stripe
+// delivers it again.
+async function handleOrderEvent(event) {
+  if (!ORDER_EVENTS.includes(event?.type)) {return null;}
+  const { error } = await createShopifyOrder(event.data?.object);
+  return error || null;
+}
+
+// Cart items from payment metadata (prices in cents), or one custom item for
+// the payment amount when the metadata has none
+function parseLineItems(items, paymentIntent) {
+  const parsed = parseJson(items);
+  if (Array.isArray(parsed) && parsed.length > 0) {
+    return parsed.map(item => ({
+      variant_id: item.variant_id,
+      title: item.title,
+      quantity: item.quantity || 1,
+      price: ((item.price || 0) / 100).toFixed(2)
+    }));
+  }
+  return [{
+    title: `Stripe payment ${paymentIntent.id}`,
+    quantity: 1,
+    price: ((paymentIntent.amount || 0) / 100).toFixed(2)
+  }];
+}
+
+function parseJson(value) {
+  if (typeof value !== 'string') {return value || null;}
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Helper to check a Stripe-Signature header against the raw webhook body with
+// the test endpoint secret; returns the reason it was rejected, or null
+function checkWebhookSignature(signature, body) {
+  if (!signature) {return 'Missing stripe-signature header';}
+  try {
+    verifySignatureHeader(body, signature);
+    return null;
+  } catch (error) {
+    if (!(error instanceof WebhookSignatureError)) {throw error;}
+    return error.message;
+  }
+}
+
 // Helper to validate domains
 function isValidDomain(origin) {
   const validDomains = [
@@ -214,19 +342,23 @@ const handlers = [
       metadata = sanitizedMetadata;
     }
     
-    // Check payment method types
-    const paymentTypes = payment_method_types || ['card'];
-    const isAch = paymentTypes.includes('us_bank_account');
-    const requires3DSecure = metadata?.card_3ds_required === 'true';
-    
-    // Create test payment intent
-    const paymentIntent = createTestPaymentIntent({
-      amount,
-      metadata,
-      payment_method_types: paymentTypes,
-      status: isAch ? 'requires_action' : (requires3DSecure ? 'requires_action' : 'requires_confirmation'),
-      next_action: isAch ? { type: 'verify_with_microdeposits' } : (requires3DSecure ? { type: 'use_stripe_sdk' } : null)
-    });
+    // Create the payment intent in the Stripe simulator, so tests can confirm
+    // it and follow its status
+    let paymentIntent;
+    try {
+      paymentIntent = stripe.createPaymentIntent({
+        amount,
+        metadata,
+        payment_method_types: payment_method_types || ['card'],
+        receipt_email: customer_email || null
+      });
+    } catch (error) {
+      if (!(error instanceof StripeError)) {throw error;}
+      return res(
+        ctx.status(error.statusCode),
+        ctx.json(error.toJSON())
+      );
+    }
     
     return res(
       ctx.status(200),
@@ -327,43 +459,25 @@ const handlers = [
 
   // Stripe webhook (for testing webhook handling)
   rest.post(`${API_URL}/webhook/stripe`, async (req, res, ctx) => {
-    const signature = req.headers.get('stripe-signature');
-    const timestamp = req.headers.get('stripe-timestamp');
-    
-    if (!signature) {
-      return res(
-        ctx.status(400),
-        ctx.text('Webhook Error: Missing stripe-signature header')
-      );
-    }
-    
-    // Simulate signature validation failure
-    if (signature.includes('invalid') || signature === 't=invalid') {
-      return res(
-        ctx.status(400),
-        ctx.text('Webhook Error: Invalid signature')
-      );
-    }
+    const body = await req.text();
+    const signatureError = checkWebhookSignature(req.headers.get('stripe-signature'), body);
     
-    // Simulate replay attack detection
-    if (timestamp && Date.now() - parseInt(timestamp) * 1000 > 300000) { // 5 minutes
+    if (signatureError) {
       return res(
         ctx.status(400),
-        ctx.text('Webhook Error: Timestamp too old')
+        ctx.text(`Webhook Error: ${signatureError}`)
       );
     }
     
-    const body = await req.text();
-    
-    // Validate body tampering
-    if (body.includes('tampered')) {
+    // Simulate webhook processing
+    const orderError = await handleOrderEvent(parseJson(body));
+    if (orderError) {
       return res(
-        ctx.status(400),
-        ctx.text('Webhook Error: Invalid payload')
+        ctx.status(500),
+        ctx.text(`Webhook Error: ${orderError}`)
       );
     }
     
-    // Simulate webhook processing
     return res(
       ctx.status(200),
       ctx.json({ received: true })
@@ -397,27 +511,27 @@ const handlers = [
 
   // API Stripe webhook endpoint (for order creation tests)
   rest.post(`${API_URL}/api/stripe/webhook`, async (req, res, ctx) => {
-    const signature = req.headers.get('stripe-signature');
-    
-    if (!signature) {
-      return res(
-        ctx.status(400),
-        ctx.text('Webhook Error: Missing stripe-signature header')
-      );
-    }
+    const body = await req.text();
+    const signatureError = checkWebhookSignature(req.headers.get('stripe-signature'), body);
     
-    // Simulate signature validation failure
-    if (signature.includes('invalid')) {
+    if (signatureError) {
       return res(
         ctx.status(400),
-        ctx.text('Webhook Error: Invalid signature')
+        ctx.text(`Webhook Error: ${signatureError}`)
       );
     }
     
-    const event = await req.json();
+    const event = parseJson(body) || {};
     
     // Simulate webhook processing
     console.log('Processing webhook event:', event.type);
+    const orderError = await handleOrderEvent(event);
+    if (orderError) {
+      return res(
+        ctx.status(500),
+        ctx.text(`Webhook Error: ${orderError}`)
+      );
+    }
     
     return res(
       ctx.status(200),
@@ -447,10 +561,17 @@ function resetRateLimiting() {
   requestCounts.clear();
 }
 
+// Helper to forget which payments already have an order
+function resetOrderCreation() {
+  orderedPayments.clear();
+}
+
 module.exports = {
   handlers,
   clearTestSessions,
   addTestSession,
   getTestSession,
-  resetRateLimiting
+  resetRateLimiting,
+  createShopifyOrder,
+  resetOrderCreation
 };
\ No newline at end of file
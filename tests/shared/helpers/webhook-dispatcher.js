@@ -0,0 +1,178 @@
+/**
+ * Delivers Stripe webhook events the way Stripe does, not the way tests
+ * usually do: asynchronously, out of order, sometimes twice, and again with
+ * backoff when the endpoint does not answer 2xx.
+ *
+ * Events come from createTestWebhookEvent or from the Stripe simulator's event
+ * log, and are posted with a genuine Stripe-Signature (webhook-signature.js)
+ * to /api/stripe/webhook:
+ *
+ *   const dispatcher = new WebhookDispatcher({ order: 'reverse', duplicateRate: 1 });
+ *   dispatcher.enqueueFrom(stripe, { types: ['payment_intent.*'] });
+ *   await dispatcher.flush();
+ *   expect(dispatcher.undelivered).toEqual([]);
+ */
+
+const fetch = require('node-fetch');
+// Not the global setTimeout, so delays and backoff still elapse under useFakeClock()
+const { setTimeout } = require('timers');
+const { createRandom } = require('./random');
+const { signedWebhookRequest } = require('./webhook-signature');
+
+const ORDERS = ['fifo', 'reverse', 'shuffle'];
+
+class WebhookDispatcher {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.url] - Endpoint (defaults to API_URL + /api/stripe/webhook)
+   * @param {string|string[]} [options.secret] - Signing secret(s), see generateSignatureHeader
+   * @param {number|number[]|Function} [options.delay] - Wait before each first attempt: ms, [min, max] ms or (event) => ms
+   * @param {string} [options.order] - 'fifo', 'reverse' or 'shuffle' (with the seeded RNG)
+   * @param {number} [options.duplicateRate] - Chance (0-1) that an event is delivered twice
+   * @param {number} [options.concurrency] - Deliveries in flight at once; 1 keeps the chosen order exact
+   * @param {number} [options.maxAttempts] - Attempts per delivery before giving up
+   * @param {number} [options.retryDelay] - Backoff before the first retry, doubled for each later one (ms)
+   * @param {number|string} [options.seed] - Seed for delays, shuffling and duplicates
+   */
+  constructor(options = {}) {
+    const order = options.order || 'fifo';
+    if (!ORDERS.includes(order)) {
+      throw new Error(`Unknown delivery order "${order}" (expected ${ORDERS.join(', ')})`);
+    }
+
+    this.url = options.url || `${process.env.API_URL || 'http://localhost:3000'}/api/stripe/webhook`;
+    this.secret = options.secret;
+    this.delay = options.delay || 0;
+    this.order = order;
+    this.duplicateRate = options.duplicateRate || 0;
+    this.concurrency = options.concurrency || 1;
+    this.maxAttempts = options.maxAttempts || 3;
+    this.retryDelay = options.retryDelay ?? 5;
+    this.random = createRandom(options.seed ?? 1);
+
+    this.queue = [];
+    this.seen = new Set();
+    this.attempts = [];
+  }
+
+  /**
+   * Queue one event or a list of events
+   */
+  enqueue(events) {
+    [].concat(events).forEach(event => {
+      this.seen.add(event.id);
+      this.queue.push(event);
+    });
+    return this;
+  }
+
+  /**
+   * Queue the simulator's events that weren't queued before
+   * @param {StripeSimulator} simulator
+   * @param {Object} [options]
+   * @param {string[]} [options.types] - Event types; a `payment_intent.*` entry matches the group
+   */
+  enqueueFrom(simulator, { types } = {}) {
+    const events = simulator.eventLog
+      .filter(event => !this.seen.has(event.id))
+      .filter(event => !types || types.some(type => matchesType(event.type, type)));
+    return this.enqueue(events);
+  }
+
+  /**
+   * Deliver everything queued, including duplicates and retries
+   * @returns {Promise<Object[]>} Every attempt so far: { eventId, type, attempt, status, ok, error }
+   */
+  async flush() {
+    const pending = this.arrange(this.queue.splice(0))
+      .flatMap(event => (this.random.next() < this.duplicateRate ? [event, event] : [event]))
+      .map(event => ({ event, attempt: 1, wait: this.initialDelay(event) }));
+
+    const worker = async () => {
+      while (pending.length > 0) {
+        const delivery = pending.shift();
+        await sleep(delivery.wait);
+
+        const { ok } = await this.attempt(delivery);
+        if (!ok && delivery.attempt < this.maxAttempts) {
+          // Other deliveries go ahead while this one backs off, as with Stripe
+          pending.push({
+            event: delivery.event,
+            attempt: delivery.attempt + 1,
+            wait: this.retryDelay * 2 ** (delivery.attempt - 1)
+          });
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: this.concurrency }, worker));
+    return this.attempts;
+  }
+
+  /**
+   * Attempts made for one event, in order
+   */
+  attemptsFor(eventId) {
+    return this.attempts.filter(attempt => attempt.eventId === eventId);
+  }
+
+  /**
+   * Events that were never answered with 2xx
+   */
+  get undelivered() {
+    const delivered = new Set(this.attempts.filter(attempt => attempt.ok).map(attempt => attempt.eventId));
+    return [...new Set(this.attempts.map(attempt => attempt.eventId))].filter(id => !delivered.has(id));
+  }
+
+  // Internals
+
+  async attempt({ event, attempt }) {
+    const record = { eventId: event.id, type: event.type, attempt, status: null, ok: false, error: null };
+    try {
+      // Signed at send time, so retries carry a fresh timestamp
+      const response = await fetch(this.url, signedWebhookRequest(event, this.secret ? { secret: this.secret } : {}));
+      record.status = response.status;
+      record.ok = response.ok;
+    } catch (error) {
+      record.error = error.message;
+    }
+    this.attempts.push(record);
+    return record;
+  }
+
+  arrange(events) {
+    if (this.order === 'reverse') {
+      return events.reverse();
+    }
+    if (this.order === 'shuffle') {
+      // Fisher-Yates
+      for (let i = events.length - 1; i > 0; i--) {
+        const j = Math.floor(this.random.next() * (i + 1));
+        [events[i], events[j]] = [events[j], events[i]];
+      }
+    }
+    return events;
+  }
+
+  initialDelay(event) {
+    if (typeof this.delay === 'function') {
+      return this.delay(event);
+    }
+    if (Array.isArray(this.delay)) {
+      return this.random.int(...this.delay);
+    }
+    return this.delay;
+  }
+}
+
+// Helpers
+function matchesType(type, pattern) {
+  return pattern.endsWith('.*') ? type.startsWith(pattern.slice(0, -1)) : type === pattern;
+}
+
+function sleep(ms) {
+  return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+}
+
+module.exports = {
+  WebhookDispatcher
+};
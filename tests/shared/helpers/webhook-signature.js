@@ -0,0 +1,167 @@
+/**
+ * Stripe-Signature signing and verification for webhook tests.
+ *
+ * Produces and checks the same header Stripe sends:
+ *   Stripe-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ * While an endpoint secret is being rolled Stripe signs with the old and the
+ * new secret, so a header may carry several v1 entries; verification passes
+ * when any of them matches any of the endpoint's secrets.
+ *
+ * Used by the webhook handlers in helpers/utils/mock-handlers.js and by tests
+ * that deliver webhooks to them. Time comes from Date.now(), so a fake clock
+ * (global.useFakeClock) can age a signature past the tolerance window.
+ */
+
+const crypto = require('crypto');
+
+const TEST_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET_TEST || 'whsec_test_secret';
+const SIGNATURE_SCHEME = 'v1';
+// Stripe's libraries reject signatures older than five minutes by default
+const DEFAULT_TOLERANCE = 300;
+
+// Verification failure, with the messages Stripe's libraries use
+class WebhookSignatureError extends Error {
+  constructor(message, { header, payload } = {}) {
+    super(message);
+    this.name = 'WebhookSignatureError';
+    this.header = header;
+    this.payload = payload;
+  }
+}
+
+/**
+ * Hex HMAC-SHA256 of "<timestamp>.<payload>"
+ * @param {string|Object} payload - Raw request body; objects are JSON-encoded
+ * @param {string} secret - Endpoint secret (whsec_...)
+ * @param {number} timestamp - Unix time in seconds
+ */
+function computeSignature(payload, secret, timestamp) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${toPayload(payload)}`, 'utf8')
+    .digest('hex');
+}
+
+/**
+ * Build a Stripe-Signature header value
+ * @param {string|Object} payload - Raw request body; objects are JSON-encoded
+ * @param {Object} [options]
+ * @param {string|string[]} [options.secret] - One secret, or several to sign with each (secret rotation)
+ * @param {number} [options.timestamp] - Unix time in seconds (defaults to now)
+ */
+function generateSignatureHeader(payload, options = {}) {
+  const { secret = TEST_WEBHOOK_SECRET, timestamp = currentTimestamp() } = options;
+  const signatures = toList(secret).map(key => `${SIGNATURE_SCHEME}=${computeSignature(payload, key, timestamp)}`);
+  return [`t=${timestamp}`, ...signatures].join(',');
+}
+
+/**
+ * Split a header into its timestamp and v1 signatures; other schemes (v0) are
+ * ignored as Stripe does
+ * @returns {{ timestamp: number, signatures: string[] }}
+ */
+function parseSignatureHeader(header) {
+  const parsed = { timestamp: NaN, signatures: [] };
+  if (typeof header !== 'string') {
+    return parsed;
+  }
+
+  header.split(',').forEach(item => {
+    const separator = item.indexOf('=');
+    if (separator === -1) {return;}
+    const key = item.slice(0, separator).trim();
+    const value = item.slice(separator + 1).trim();
+
+    if (key === 't') {
+      parsed.timestamp = Number(value);
+    } else if (key === SIGNATURE_SCHEME) {
+      parsed.signatures.push(value);
+    }
+  });
+  return parsed;
+}
+
+/**
+ * Check a Stripe-Signature header against the raw body. Throws
+ * WebhookSignatureError when the header is malformed, no v1 signature matches
+ * or the timestamp is outside the tolerance window.
+ * @param {string|Object} payload - Raw request body exactly as received
+ * @param {string} header - Stripe-Signature header value
+ * @param {string|string[]} [secret] - Endpoint secret(s) to accept
+ * @param {Object} [options]
+ * @param {number} [options.tolerance] - Maximum signature age in seconds; 0 disables the check
+ * @returns {true}
+ */
+function verifySignatureHeader(payload, header, secret = TEST_WEBHOOK_SECRET, options = {}) {
+  const { tolerance = DEFAULT_TOLERANCE } = options;
+  const { timestamp, signatures } = parseSignatureHeader(header);
+
+  if (!Number.isInteger(timestamp) || signatures.length === 0) {
+    throw new WebhookSignatureError('Unable to extract timestamp and signatures from header', { header, payload });
+  }
+
+  const matched = toList(secret).some(key => {
+    const expected = computeSignature(payload, key, timestamp);
+    return signatures.some(signature => secureCompare(signature, expected));
+  });
+  if (!matched) {
+    throw new WebhookSignatureError(
+      'No signatures found matching the expected signature for payload.' +
+      ' Are you passing the raw request body you received from Stripe?',
+      { header, payload }
+    );
+  }
+
+  if (tolerance > 0 && currentTimestamp() - timestamp > tolerance) {
+    throw new WebhookSignatureError('Timestamp outside the tolerance zone', { header, payload });
+  }
+
+  return true;
+}
+
+/**
+ * fetch() options for delivering an event with a genuine signature
+ * @param {Object} event - Webhook event (e.g. from createTestWebhookEvent)
+ * @param {Object} [options] - Passed to generateSignatureHeader
+ */
+function signedWebhookRequest(event, options = {}) {
+  const body = toPayload(event);
+  return {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'stripe-signature': generateSignatureHeader(body, options)
+    },
+    body
+  };
+}
+
+// Helpers
+function currentTimestamp() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function toPayload(payload) {
+  return typeof payload === 'string' ? payload : JSON.stringify(payload);
+}
+
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+function secureCompare(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+module.exports = {
+  TEST_WEBHOOK_SECRET,
+  DEFAULT_TOLERANCE,
+  WebhookSignatureError,
+  computeSignature,
+  generateSignatureHeader,
+  parseSignatureHeader,
+  verifySignatureHeader,
+  signedWebhookRequest
+};
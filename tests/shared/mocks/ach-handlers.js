@@ -1,6 +1,6 @@
 // ACH-specific mock handlers for MSW
 const { rest } = require('msw');
-const { createTestPaymentIntent } = require('../helpers/utils/test-helpers');
+const { stripe, StripeError } = require('./stripe-simulator');
 
 // Helper to check if payment is ACH
 function isACHPayment(paymentMethodTypes) {
@@ -13,31 +13,29 @@ const achHandlers = [
     const { payment_method_types, amount, metadata, customer_email } = req.body;
     
     if (isACHPayment(payment_method_types)) {
-      // Create ACH-specific payment intent
-      const paymentIntent = createTestPaymentIntent({
-        id: `pi_ach_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-        amount,
-        payment_method_types,
-        status: 'requires_payment_method',
-        client_secret: `pi_ach_${Date.now()}_secret_test`,
-        metadata: {
-          ...metadata,
-          payment_type: 'ach'
-        }
-      });
-      
-      // Add ACH-specific configuration
-      paymentIntent.payment_method_options = {
-        us_bank_account: {
-          financial_connections: {
-            permissions: ['payment_method', 'balances']
+      // Create ACH-specific payment intent in the Stripe simulator
+      let paymentIntent;
+      try {
+        paymentIntent = stripe.createPaymentIntent({
+          amount,
+          payment_method_types,
+          metadata: {
+            ...metadata,
+            payment_type: 'ach'
           },
-          verification_method: 'automatic'
-        }
-      };
-      
-      if (customer_email) {
-        paymentIntent.receipt_email = customer_email;
+          payment_method_options: {
+            us_bank_account: {
+              financial_connections: {
+                permissions: ['payment_method', 'balances']
+              },
+              verification_method: 'automatic'
+            }
+          },
+          receipt_email: customer_email || null
+        });
+      } catch (error) {
+        if (!(error instanceof StripeError)) {throw error;}
+        return res(ctx.status(error.statusCode), ctx.json(error.toJSON()));
       }
       
       return res(
@@ -56,44 +54,6 @@ const achHandlers = [
     }));
   }),
   
-  // ACH Webhook Events
-  rest.post('*/api/stripe/webhook', (req, res, ctx) => {
-    const signature = req.headers.get('stripe-signature');
-    
-    if (!signature) {
-      return res(ctx.status(400), ctx.text('Missing stripe-signature header'));
-    }
-    
-    // Parse webhook body
-    const event = req.body;
-    
-    // Handle ACH-specific events
-    if (event.type === 'payment_intent.processing') {
-      const paymentIntent = event.data.object;
-      if (isACHPayment(paymentIntent.payment_method_types)) {
-        // ACH payment is processing
-        return res(ctx.json({ 
-          received: true,
-          message: 'ACH payment processing webhook received'
-        }));
-      }
-    }
-    
-    if (event.type === 'charge.succeeded' || event.type === 'charge.failed') {
-      const charge = event.data.object;
-      if (charge.payment_method_details?.type === 'ach_debit') {
-        // ACH charge event
-        return res(ctx.json({ 
-          received: true,
-          message: `ACH ${event.type} webhook received`
-        }));
-      }
-    }
-    
-    // Default webhook response
-    return res(ctx.json({ received: true }));
-  }),
-  
   // Mock Stripe Financial Connections
   rest.post('https://api.stripe.com/v1/financial_connections/sessions', (req, res, ctx) => {
     return res(
@@ -1,6 +1,9 @@
 // Enhanced ACH Hybrid Mode Mock Handlers for MSW
+// Payment intents and payment methods live in the Stripe simulator; its
+// handlers (stripe-simulator.js) answer /v1/payment_methods and
+// /v1/payment_intents/:id/confirm.
 const { rest } = require('msw');
-const { createTestPaymentIntent } = require('../helpers/utils/test-helpers');
+const { stripe, StripeError } = require('./stripe-simulator');
 
 // Helper to check payment mode
 function getPaymentMode(metadata) {
@@ -37,32 +40,17 @@ const achHybridHandlers = [
       payment_method,
       amount, 
       metadata, 
-      customer_email,
-      mandate_data 
+      customer_email
     } = req.body;
     
     // Check if this is an ACH payment
     if (payment_method_types?.includes('us_bank_account')) {
       const mode = getPaymentMode(metadata);
       
-      // Create mode-specific payment intent
-      const paymentIntent = createTestPaymentIntent({
-        id: `pi_ach_${mode}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-        amount,
-        payment_method_types,
-        status: payment_method ? 'requires_confirmation' : 'requires_payment_method',
-        client_secret: `pi_ach_${mode}_${Date.now()}_secret_test`,
-        payment_method: payment_method || null,
-        metadata: {
-          ...metadata,
-          payment_type: 'ach',
-          payment_mode: mode
-        }
-      });
-      
       // Add mode-specific configurations
+      let paymentMethodOptions = {};
       if (mode === 'financial_connections') {
-        paymentIntent.payment_method_options = {
+        paymentMethodOptions = {
           us_bank_account: {
             financial_connections: {
               permissions: ['payment_method', 'balances'],
@@ -72,20 +60,32 @@ const achHybridHandlers = [
           }
         };
       } else if (mode === 'manual_entry') {
-        paymentIntent.payment_method_options = {
+        paymentMethodOptions = {
           us_bank_account: {
             verification_method: 'microdeposits'
           }
         };
-        
-        // Include mandate data for manual entry
-        if (mandate_data) {
-          paymentIntent.mandate_data = mandate_data;
-        }
       }
       
-      if (customer_email) {
-        paymentIntent.receipt_email = customer_email;
+      // Create mode-specific payment intent; a payment method moves it to
+      // requires_confirmation
+      let paymentIntent;
+      try {
+        paymentIntent = stripe.createPaymentIntent({
+          amount,
+          payment_method_types,
+          payment_method,
+          payment_method_options: paymentMethodOptions,
+          metadata: {
+            ...metadata,
+            payment_type: 'ach',
+            payment_mode: mode
+          },
+          receipt_email: customer_email || null
+        });
+      } catch (error) {
+        if (!(error instanceof StripeError)) {throw error;}
+        return res(ctx.status(error.statusCode), ctx.json(error.toJSON()));
       }
       
       return res(
@@ -130,18 +130,31 @@ const achHybridHandlers = [
     );
   }),
   
-  // Mock collect bank account for payment (Financial Connections)
+  // Mock collect bank account for payment (Financial Connections): links a
+  // verified test account and attaches it to the payment intent
   rest.post('https://api.stripe.com/v1/payment_intents/:id/collect_bank_account', (req, res, ctx) => {
     const { id } = req.params;
     const { return_url } = req.body;
     
+    let paymentIntent;
+    try {
+      const paymentMethod = stripe.createPaymentMethod({
+        type: 'us_bank_account',
+        us_bank_account: {
+          financial_connections_account: 'fca_test_connected'
+        }
+      });
+      paymentIntent = stripe.updatePaymentIntent(id, { payment_method: paymentMethod.id });
+    } catch (error) {
+      if (!(error instanceof StripeError)) {throw error;}
+      return res(ctx.status(error.statusCode), ctx.json(error.toJSON()));
+    }
+    
     return res(
       ctx.status(200),
       ctx.json({
         payment_intent: {
-          id,
-          status: 'requires_confirmation',
-          payment_method: 'pm_fc_connected',
+          ...paymentIntent,
           payment_method_options: {
             us_bank_account: {
               financial_connections: {
@@ -159,168 +172,6 @@ const achHybridHandlers = [
     );
   }),
   
-  // Mock create payment method (Manual Entry)
-  rest.post('https://api.stripe.com/v1/payment_methods', (req, res, ctx) => {
-    const { type, us_bank_account, billing_details } = req.body;
-    
-    if (type === 'us_bank_account') {
-      // Validate routing number (simplified)
-      if (us_bank_account.routing_number === '123456789') {
-        return res(
-          ctx.status(400),
-          ctx.json({
-            error: {
-              type: 'invalid_request_error',
-              code: 'routing_number_invalid',
-              message: 'The routing number provided is invalid'
-            }
-          })
-        );
-      }
-      
-      return res(
-        ctx.status(200),
-        ctx.json({
-          id: `pm_manual_${Date.now()}`,
-          object: 'payment_method',
-          billing_details,
-          created: Math.floor(Date.now() / 1000),
-          livemode: false,
-          type: 'us_bank_account',
-          us_bank_account: {
-            account_holder_type: us_bank_account.account_holder_type,
-            account_type: us_bank_account.account_type,
-            bank_name: 'STRIPE TEST BANK',
-            financial_connections_account: null,
-            fingerprint: 'test_fingerprint',
-            last4: us_bank_account.account_number.slice(-4),
-            networks: {
-              preferred: 'ach',
-              supported: ['ach']
-            },
-            routing_number: us_bank_account.routing_number
-          }
-        })
-      );
-    }
-    
-    return res(ctx.status(400), ctx.json({
-      error: { message: 'Invalid payment method type' }
-    }));
-  }),
-  
-  // Mock confirm US bank account payment
-  rest.post('https://api.stripe.com/v1/payment_intents/:id/confirm', (req, res, ctx) => {
-    const { id } = req.params;
-    const { payment_method } = req.body;
-    
-    // Determine mode from payment method
-    const isFC = payment_method?.startsWith('pm_fc_');
-    const mode = isFC ? 'financial_connections' : 'manual_entry';
-    
-    return res(
-      ctx.status(200),
-      ctx.json({
-        id,
-        status: 'processing',
-        amount: 11800,
-        currency: 'usd',
-        payment_method,
-        payment_method_types: ['us_bank_account'],
-        payment_method_options: {
-          us_bank_account: {
-            verification_method: isFC ? 'instant' : 'microdeposits'
-          }
-        },
-        next_action: isFC ? null : {
-          type: 'verify_with_microdeposits',
-          verify_with_microdeposits: {
-            arrival_date: Math.floor(Date.now() / 1000) + 172800, // 2 days
-            hosted_verification_url: `https://hooks.stripe.com/verify/microdeposits/${id}`,
-            microdeposit_type: 'amounts'
-          }
-        },
-        metadata: {
-          payment_mode: mode
-        }
-      })
-    );
-  }),
-  
-  // Enhanced webhook handler with mode differentiation
-  rest.post('http://localhost:3000/api/stripe/webhook', (req, res, ctx) => {
-    const signature = req.headers.get('stripe-signature');
-    
-    if (!signature) {
-      return res(ctx.status(400), ctx.text('Missing stripe-signature header'));
-    }
-    
-    const event = req.body;
-    
-    // Handle different ACH events based on payment mode
-    if (event.type === 'payment_intent.processing') {
-      const paymentIntent = event.data.object;
-      const mode = getPaymentMode(paymentIntent.metadata);
-      
-      if (paymentIntent.payment_method_types?.includes('us_bank_account')) {
-        // Log different handling based on mode
-        console.log(`Processing ACH payment in ${mode} mode`);
-        
-        return res(ctx.json({ 
-          received: true,
-          message: `ACH payment processing (${mode} mode)`,
-          mode: mode,
-          requiresMicrodeposits: mode === 'manual_entry'
-        }));
-      }
-    }
-    
-    if (event.type === 'charge.succeeded') {
-      const charge = event.data.object;
-      if (charge.payment_method_details?.type === 'ach_debit') {
-        const mode = getPaymentMode(charge.metadata);
-        
-        return res(ctx.json({ 
-          received: true,
-          message: `ACH charge succeeded (${mode} mode)`,
-          mode: mode
-        }));
-      }
-    }
-    
-    if (event.type === 'charge.failed') {
-      const charge = event.data.object;
-      if (charge.payment_method_details?.type === 'ach_debit') {
-        const mode = getPaymentMode(charge.metadata);
-        
-        return res(ctx.json({ 
-          received: true,
-          message: `ACH charge failed (${mode} mode)`,
-          mode: mode,
-          failure_code: charge.failure_code,
-          failure_message: charge.failure_message
-        }));
-      }
-    }
-    
-    // Handle microdeposits verification for manual entry
-    if (event.type === 'payment_intent.requires_action') {
-      const paymentIntent = event.data.object;
-      const mode = getPaymentMode(paymentIntent.metadata);
-      
-      if (mode === 'manual_entry' && paymentIntent.next_action?.type === 'verify_with_microdeposits') {
-        return res(ctx.json({ 
-          received: true,
-          message: 'Microdeposits verification required',
-          verification_url: paymentIntent.next_action.verify_with_microdeposits.hosted_verification_url
-        }));
-      }
-    }
-    
-    // Default webhook response
-    return res(ctx.json({ received: true }));
-  }),
-  
   // Mock ACH metrics endpoint with mode breakdown
   rest.get('*/api/ach/monitoring', (req, res, ctx) => {
     const auth = req.headers.get('authorization');
@@ -0,0 +1,228 @@
+// Fault and latency injection for MSW handlers
+// withFaults() wraps handlers so every request first goes through `faults`,
+// which tests script to slow down or break specific endpoints: latency
+// distributions, 5xx/429 answers, connection resets, truncated JSON bodies
+// and requests that never get an answer. server.js wraps every handler in
+// shared/mocks, and jest.setup.js clears the faults after each test.
+//
+// Usage in a test:
+//   const { faults } = require('@mocks/faults');
+//   // Shopify fails the first 3 draft-order creates
+//   const outage = faults.inject('*/admin/api/:version/draft_orders.json', { method: 'POST', status: 503, times: 3 });
+//   // Payment intents take ~200ms, with a long tail
+//   faults.inject('*/api/stripe/create-payment-intent', { latency: { distribution: 'exponential', mean: 200 } });
+//   // Every 2nd health check resets the connection
+//   faults.inject('*/health', { error: 'reset', onCall: [2, 4, 6] });
+//   ...
+//   expect(outage.triggered).toBe(3);
+//
+// A fault fires on every matching call unless limited by `times` (the first N
+// calls), `onCall` (the Nth call, or a list of them) and/or `probability`
+// (drawn from a seeded RNG, see faults.seed()). When it fires, its latency is
+// waited out first, then its failure (`status` or `error`) replaces the
+// handler's answer. Latency is waited out on real timers, so it still
+// elapses while a test has installed useFakeClock().
+//
+// Overrides added with server.use() are not wrapped; wrap them to inject
+// faults there too: server.use(...withFaults([rest.post(...)])).
+
+const { RestHandler, matchRequestUrl } = require('msw');
+// The timers module's own setTimeout, which fake clocks leave in place when
+// they patch the global one
+const { setTimeout } = require('timers');
+const { createRandom } = require('../helpers/random');
+
+const ERRORS = ['reset', 'truncate', 'timeout'];
+const LATENCY_DISTRIBUTIONS = ['fixed', 'uniform', 'normal', 'exponential'];
+const STATUS_TEXT = {
+  429: 'Too Many Requests',
+  500: 'Internal Server Error',
+  502: 'Bad Gateway',
+  503: 'Service Unavailable',
+  504: 'Gateway Timeout'
+};
+
+class FaultInjector {
+  constructor() {
+    this.pending = new Set();
+    this.reset();
+  }
+
+  // Remove every fault, restart the RNG and release hanging requests; called
+  // after each test
+  reset() {
+    this.faults = [];
+    this.seen = new Set();
+    this.random = createRandom(1);
+    this.pending.forEach(release => release());
+    this.pending.clear();
+  }
+
+  // Seed for `probability` and random latency, to replay a run
+  seed(seed) {
+    this.random = createRandom(seed);
+    return this;
+  }
+
+  /**
+   * Add a fault for requests matching `path` (MSW path syntax: `*`, `:param`)
+   * @param {string} path
+   * @param {Object} spec
+   * @param {string} [spec.method] - Only this HTTP method
+   * @param {number|number[]|Object|Function} [spec.latency] - ms, [min, max] ms,
+   *   { distribution: 'fixed'|'uniform'|'normal'|'exponential', ... } or () => ms
+   * @param {number} [spec.status] - Answer with this status (5xx, 429) instead
+   * @param {Object} [spec.body] - Body for `status` (defaults to { error: <status text> })
+   * @param {Object} [spec.headers] - Headers for `status` (429 gets Retry-After: 1)
+   * @param {string} [spec.error] - 'reset', 'truncate' (half the JSON body) or 'timeout' (no answer)
+   * @param {number} [spec.times] - Fire on the first N matching calls only
+   * @param {number|number[]} [spec.onCall] - Fire on these matching calls only (1-based)
+   * @param {number} [spec.probability] - Chance (0-1) of firing on a call
+   * @returns {Object} The fault; `calls` and `triggered` count matching and fired calls
+   */
+  inject(path, spec = {}) {
+    validate(spec);
+    const fault = {
+      ...spec,
+      path,
+      method: spec.method?.toUpperCase(),
+      onCall: spec.onCall === undefined ? undefined : [].concat(spec.onCall),
+      calls: 0,
+      triggered: 0
+    };
+    this.faults.push(fault);
+    return fault;
+  }
+
+  // Faults that fire for this request, updating their counters
+  fire(req) {
+    if (this.seen.has(req.id)) {
+      // A handler earlier in the list let the request fall through; it has
+      // been through the faults already
+      return [];
+    }
+    this.seen.add(req.id);
+
+    return this.faults.filter(fault => {
+      if (fault.method && fault.method !== req.method) {return false;}
+      if (!matchRequestUrl(req.url, fault.path).matches) {return false;}
+
+      fault.calls += 1;
+      const fires = (fault.times === undefined || fault.calls <= fault.times) &&
+        (fault.onCall === undefined || fault.onCall.includes(fault.calls)) &&
+        (fault.probability === undefined || this.random.next() < fault.probability);
+      if (fires) {fault.triggered += 1;}
+      return fires;
+    });
+  }
+
+  latencyOf(fault) {
+    const { latency } = fault;
+    if (latency === undefined) {return 0;}
+    if (typeof latency === 'function') {return latency();}
+    if (typeof latency === 'number') {return latency;}
+    if (Array.isArray(latency)) {return this.uniform(latency[0], latency[1]);}
+
+    switch (latency.distribution || 'fixed') {
+      case 'uniform':
+        return this.uniform(latency.min, latency.max);
+      case 'normal': {
+        // Box-Muller
+        const u = 1 - this.random.next();
+        const v = this.random.next();
+        const sample = latency.mean + latency.stddev * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+        return Math.max(0, Math.round(sample));
+      }
+      case 'exponential':
+        return Math.round(-latency.mean * Math.log(1 - this.random.next()));
+      default:
+        return latency.ms;
+    }
+  }
+
+  uniform(min, max) {
+    return this.random.int(min, max);
+  }
+
+  // Never settles on its own; reset() releases it once the test is over
+  hang() {
+    return new Promise(resolve => this.pending.add(resolve));
+  }
+}
+
+function validate(spec) {
+  if (spec.error !== undefined && !ERRORS.includes(spec.error)) {
+    throw new Error(`Unknown fault error "${spec.error}" (expected ${ERRORS.join(', ')})`);
+  }
+  if (spec.status !== undefined && !(Number.isInteger(spec.status) && spec.status >= 400)) {
+    throw new Error(`Fault status must be an HTTP error status, got ${spec.status}`);
+  }
+  if (spec.status !== undefined && spec.error !== undefined) {
+    throw new Error('A fault can have a status or an error, not both');
+  }
+  if (spec.probability !== undefined && !(spec.probability >= 0 && spec.probability <= 1)) {
+    throw new Error(`Fault probability must be between 0 and 1, got ${spec.probability}`);
+  }
+  const { latency } = spec;
+  if (latency && typeof latency === 'object' && !Array.isArray(latency) &&
+    !LATENCY_DISTRIBUTIONS.includes(latency.distribution || 'fixed')) {
+    throw new Error(`Unknown latency distribution "${latency.distribution}" (expected ${LATENCY_DISTRIBUTIONS.join(', ')})`);
+  }
+}
+
+/**
+ * Wrap REST handlers so requests go through `injector` before reaching them;
+ * other handlers are returned unchanged
+ * @param {RequestHandler[]} handlers
+ * @param {FaultInjector} [injector]
+ */
+function withFaults(handlers, injector = faults) {
+  return handlers.map(handler => {
+    if (!(handler instanceof RestHandler)) {return handler;}
+    const { method, path } = handler.info;
+    return new RestHandler(method, path, (req, res, ctx) => resolveWithFaults(injector, handler, req, res, ctx));
+  });
+}
+
+async function resolveWithFaults(injector, handler, req, res, ctx) {
+  const fired = injector.fire(req);
+  const latency = fired.reduce((total, fault) => total + injector.latencyOf(fault), 0);
+  if (latency > 0) {
+    await new Promise(resolve => setTimeout(resolve, latency));
+  }
+
+  const failure = fired.find(fault => fault.status !== undefined || fault.error !== undefined);
+  if (!failure) {
+    return handler.resolver(req, res, ctx);
+  }
+
+  switch (failure.error) {
+    case 'reset':
+      return res.networkError('socket hang up (ECONNRESET)');
+    case 'timeout':
+      await injector.hang();
+      return res.networkError('Request timed out');
+    case 'truncate': {
+      const response = await handler.resolver(req, res, ctx);
+      if (response && typeof response.body === 'string') {
+        response.body = response.body.slice(0, Math.floor(response.body.length / 2));
+      }
+      return response;
+    }
+    default:
+      return res(
+        ctx.status(failure.status),
+        ctx.set({ ...(failure.status === 429 && { 'Retry-After': '1' }), ...failure.headers }),
+        ctx.json(failure.body || { error: STATUS_TEXT[failure.status] || `HTTP ${failure.status}` })
+      );
+  }
+}
+
+// Shared instance used by server.js and jest.setup.js
+const faults = new FaultInjector();
+
+module.exports = {
+  FaultInjector,
+  faults,
+  withFaults
+};
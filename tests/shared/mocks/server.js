@@ -3,12 +3,15 @@ const { setupServer } = require('msw/node');
 const { handlers } = require('../helpers/utils/mock-handlers');
 const { achHandlers } = require('./ach-handlers');
 const { achHybridHandlers } = require('./ach-hybrid-handlers');
+const { stripeHandlers } = require('./stripe-simulator');
+const { shopifyHandlers } = require('./shopify-admin');
+const { withFaults } = require('./faults');
 
 // Combine all handlers
-const allHandlers = [...handlers, ...achHandlers, ...achHybridHandlers];
+const allHandlers = [...handlers, ...achHandlers, ...achHybridHandlers, ...stripeHandlers, ...shopifyHandlers];
 
-// Create server instance
-const server = setupServer(...allHandlers);
+// Create server instance; requests go through the fault injector first
+const server = setupServer(...withFaults(allHandlers));
 
 // Export server and utilities
 module.exports = {
@@ -0,0 +1,351 @@
+// In-memory Shopify Admin REST API stand-in for MSW
+// Stores orders and draft orders per shop and validates what the backend sends
+// to orders.json and draft_orders.json: required fields, tags and
+// note_attributes, answering invalid requests with Shopify's 422
+// `{ errors: { field: [...] } }` body. Draft orders can be completed into
+// orders with PUT draft_orders/:id/complete.json.
+//
+// Usage in a test:
+//   const { shopify } = require('@mocks/shopify-admin');
+//   ...trigger the webhook...
+//   expect(shopify.ordersFor(paymentIntentId)).toHaveLength(1);
+//   expect(shopify.draftOrdersFor(paymentIntentId)[0].tags).toContain('ACH_PAYMENT');
+//
+// An order belongs to a payment when the payment intent id is one of its tags
+// or the value of one of its note_attributes. Handlers match any shop
+// (https://<shop>/admin/api/<version>/...) and the store is reset after every
+// test by jest.setup.js.
+
+const { rest } = require('msw');
+
+const ACCESS_TOKEN_HEADER = 'x-shopify-access-token';
+const MAX_TAG_LENGTH = 40;
+const FINANCIAL_STATUSES = ['pending', 'authorized', 'partially_paid', 'paid', 'partially_refunded', 'refunded', 'voided'];
+
+// Error with Shopify's response body: `{ errors: ... }`
+class ShopifyError extends Error {
+  constructor(statusCode, errors) {
+    super(typeof errors === 'string' ? errors : JSON.stringify(errors));
+    this.name = 'ShopifyError';
+    this.statusCode = statusCode;
+    this.errors = errors;
+  }
+
+  toJSON() {
+    return { errors: this.errors };
+  }
+}
+
+class ShopifyAdmin {
+  constructor() {
+    this.reset();
+  }
+
+  // Forget every order and draft order; called after each test
+  reset() {
+    this.orderStore = new Map();
+    this.draftOrderStore = new Map();
+    this.nextId = 450789469;
+    this.nextOrderNumber = 1001;
+    this.nextDraftNumber = 1;
+  }
+
+  // Orders
+
+  createOrder(order, { shop = 'test-store.myshopify.com' } = {}) {
+    if (!order || typeof order !== 'object') {
+      throw new ShopifyError(400, { order: 'Required parameter missing or invalid' });
+    }
+    validate(order);
+
+    const orderNumber = this.nextOrderNumber++;
+    const created = {
+      ...this.buildCommon(order),
+      name: `#${orderNumber}`,
+      order_number: orderNumber,
+      financial_status: order.financial_status || 'paid',
+      fulfillment_status: null,
+      source_name: order.source_name || 'api',
+      test: Boolean(order.test),
+      _shop: shop
+    };
+    this.orderStore.set(created.id, created);
+    return snapshot(created);
+  }
+
+  retrieveOrder(id) {
+    return snapshot(this.get(this.orderStore, id));
+  }
+
+  listOrders({ shop } = {}) {
+    return [...this.orderStore.values()].filter(order => !shop || order._shop === shop).map(snapshot);
+  }
+
+  // Draft orders
+
+  createDraftOrder(draftOrder, { shop = 'test-store.myshopify.com' } = {}) {
+    if (!draftOrder || typeof draftOrder !== 'object') {
+      throw new ShopifyError(400, { draft_order: 'Required parameter missing or invalid' });
+    }
+    validate(draftOrder);
+
+    const draftNumber = this.nextDraftNumber++;
+    const created = {
+      ...this.buildCommon(draftOrder),
+      name: `#D${draftNumber}`,
+      status: 'open',
+      invoice_url: `https://${shop}/checkouts/d/${draftNumber}`,
+      completed_at: null,
+      order_id: null,
+      _shop: shop
+    };
+    this.draftOrderStore.set(created.id, created);
+    return snapshot(created);
+  }
+
+  retrieveDraftOrder(id) {
+    return snapshot(this.get(this.draftOrderStore, id));
+  }
+
+  listDraftOrders({ shop, status } = {}) {
+    return [...this.draftOrderStore.values()]
+      .filter(draftOrder => !shop || draftOrder._shop === shop)
+      .filter(draftOrder => !status || draftOrder.status === status)
+      .map(snapshot);
+  }
+
+  // Turns an open draft into an order; with paymentPending the order stays
+  // financial_status 'pending', as for ACH payments that haven't cleared
+  completeDraftOrder(id, { paymentPending = false } = {}) {
+    const draftOrder = this.get(this.draftOrderStore, id);
+    if (draftOrder.status === 'completed') {
+      throw new ShopifyError(422, { base: ['This order has already been completed'] });
+    }
+
+    const { id: draftId, name, status, invoice_url, completed_at, order_id, _shop, ...fields } = draftOrder;
+    const order = this.createOrder({
+      ...fields,
+      financial_status: paymentPending ? 'pending' : 'paid',
+      source_name: 'shopify_draft_order'
+    }, { shop: _shop });
+
+    Object.assign(draftOrder, {
+      status: 'completed',
+      completed_at: new Date().toISOString(),
+      order_id: order.id,
+      updated_at: new Date().toISOString()
+    });
+    return snapshot(draftOrder);
+  }
+
+  // Queries for assertions
+
+  get orders() {
+    return this.listOrders();
+  }
+
+  get draftOrders() {
+    return this.listDraftOrders();
+  }
+
+  ordersFor(paymentIntentId) {
+    return this.orders.filter(order => belongsTo(order, paymentIntentId));
+  }
+
+  draftOrdersFor(paymentIntentId) {
+    return this.draftOrders.filter(draftOrder => belongsTo(draftOrder, paymentIntentId));
+  }
+
+  // Internals
+
+  buildCommon(fields) {
+    const now = new Date().toISOString();
+    const lineItems = fields.line_items.map(item => ({
+      id: this.nextId++,
+      variant_id: item.variant_id ? Number(item.variant_id) || item.variant_id : null,
+      title: item.title || `Variant ${item.variant_id}`,
+      quantity: Number(item.quantity),
+      price: formatMoney(item.price || 0),
+      sku: item.sku || null,
+      properties: item.properties || []
+    }));
+    const subtotal = lineItems.reduce((sum, item) => sum + Number(item.price) * item.quantity, 0);
+    const shipping = (fields.shipping_lines || []).reduce((sum, line) => sum + Number(line.price || 0), 0);
+    const tax = (fields.tax_lines || []).reduce((sum, line) => sum + Number(line.price || 0), 0);
+
+    return {
+      id: this.nextId++,
+      email: fields.email || fields.customer?.email || null,
+      created_at: now,
+      updated_at: now,
+      currency: fields.currency || 'USD',
+      customer: fields.customer || null,
+      line_items: lineItems,
+      note: fields.note || null,
+      note_attributes: (fields.note_attributes || []).map(({ name, value }) => ({ name, value: String(value) })),
+      shipping_address: fields.shipping_address || null,
+      shipping_lines: fields.shipping_lines || [],
+      subtotal_price: formatMoney(subtotal),
+      tags: normalizeTags(fields.tags),
+      tax_lines: fields.tax_lines || [],
+      total_price: formatMoney(subtotal + shipping + tax)
+    };
+  }
+
+  get(store, id) {
+    const found = store.get(Number(id));
+    if (!found) {
+      throw new ShopifyError(404, 'Not Found');
+    }
+    return found;
+  }
+}
+
+// Field checks Shopify applies to orders and draft orders
+function validate(fields) {
+  const errors = {};
+  const add = (field, message) => {
+    errors[field] = errors[field] || [];
+    errors[field].push(message);
+  };
+
+  if (!Array.isArray(fields.line_items) || fields.line_items.length === 0) {
+    add('line_items', 'can\'t be blank');
+  } else {
+    fields.line_items.forEach((item, i) => {
+      if (!Number.isInteger(Number(item.quantity)) || Number(item.quantity) < 1) {
+        add('line_items', `item ${i}: quantity must be greater than or equal to 1`);
+      }
+      if (!item.variant_id && !(item.title && item.price !== undefined)) {
+        add('line_items', `item ${i}: must have a variant_id, or a title and price for a custom item`);
+      }
+      if (item.price !== undefined && Number.isNaN(Number(item.price))) {
+        add('line_items', `item ${i}: price is not a number`);
+      }
+    });
+  }
+
+  if (fields.tags !== undefined && fields.tags !== null) {
+    if (typeof fields.tags !== 'string') {
+      add('tags', 'must be a comma-separated string');
+    } else {
+      splitTags(fields.tags)
+        .filter(tag => tag.length > MAX_TAG_LENGTH)
+        .forEach(tag => add('tags', `"${tag}" is too long (maximum is ${MAX_TAG_LENGTH} characters)`));
+    }
+  }
+
+  if (fields.note_attributes !== undefined) {
+    if (!Array.isArray(fields.note_attributes)) {
+      add('note_attributes', 'must be an array of { name, value }');
+    } else {
+      const names = new Set();
+      fields.note_attributes.forEach((attribute, i) => {
+        if (!attribute || typeof attribute.name !== 'string' || attribute.name.trim() === '') {
+          add('note_attributes', `attribute ${i}: name can't be blank`);
+          return;
+        }
+        if (attribute.value === undefined || attribute.value === null) {
+          add('note_attributes', `"${attribute.name}": value can't be blank`);
+        }
+        if (names.has(attribute.name)) {
+          add('note_attributes', `"${attribute.name}" is duplicated`);
+        }
+        names.add(attribute.name);
+      });
+    }
+  }
+
+  const email = fields.email || fields.customer?.email;
+  if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    add('email', 'is invalid');
+  }
+
+  if (fields.financial_status && !FINANCIAL_STATUSES.includes(fields.financial_status)) {
+    add('financial_status', 'is not included in the list');
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new ShopifyError(422, errors);
+  }
+}
+
+// Helpers
+function splitTags(tags) {
+  return String(tags || '').split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+// Shopify stores tags trimmed, de-duplicated and comma-space separated
+function normalizeTags(tags) {
+  return [...new Set(splitTags(tags))].join(', ');
+}
+
+function belongsTo(order, paymentIntentId) {
+  return splitTags(order.tags).includes(paymentIntentId) ||
+    order.note_attributes.some(attribute => attribute.value === paymentIntentId);
+}
+
+// Missing or malformed JSON is treated like a missing root key
+async function readBody(req) {
+  try {
+    return await req.json();
+  } catch (error) {
+    return {};
+  }
+}
+
+function formatMoney(value) {
+  return Number(value).toFixed(2);
+}
+
+function snapshot(object) {
+  return JSON.parse(JSON.stringify(object, (key, value) => (key.startsWith('_') ? undefined : value)));
+}
+
+// MSW handlers for https://<shop>/admin/api/<version>/* backed by `admin`
+function createShopifyHandlers(admin) {
+  const handle = (method, path, action) => rest[method](`*/admin/api/:version${path}`, async (req, res, ctx) => {
+    try {
+      if (!req.headers.get(ACCESS_TOKEN_HEADER)) {
+        throw new ShopifyError(401, '[API] Invalid API key or access token (unrecognized login or wrong password)');
+      }
+      const [status, body] = await action(req, { shop: req.url.hostname });
+      return res(ctx.status(status), ctx.json(body));
+    } catch (error) {
+      if (!(error instanceof ShopifyError)) {throw error;}
+      return res(ctx.status(error.statusCode), ctx.json(error.toJSON()));
+    }
+  });
+
+  return [
+    handle('post', '/orders.json', async (req, options) => (
+      [201, { order: admin.createOrder((await readBody(req)).order, options) }]
+    )),
+    handle('get', '/orders.json', (req, options) => [200, { orders: admin.listOrders(options) }]),
+    handle('get', '/orders/:id.json', req => [200, { order: admin.retrieveOrder(req.params.id) }]),
+    handle('post', '/draft_orders.json', async (req, options) => (
+      [201, { draft_order: admin.createDraftOrder((await readBody(req)).draft_order, options) }]
+    )),
+    handle('get', '/draft_orders.json', (req, options) => (
+      [200, { draft_orders: admin.listDraftOrders({ ...options, status: req.url.searchParams.get('status') }) }]
+    )),
+    handle('get', '/draft_orders/:id.json', req => [200, { draft_order: admin.retrieveDraftOrder(req.params.id) }]),
+    handle('put', '/draft_orders/:id/complete.json', req => [200, {
+      draft_order: admin.completeDraftOrder(req.params.id, {
+        paymentPending: req.url.searchParams.get('payment_pending') === 'true'
+      })
+    }])
+  ];
+}
+
+// Shared instance used by the handlers in shared/mocks and helpers/utils
+const shopify = new ShopifyAdmin();
+const shopifyHandlers = createShopifyHandlers(shopify);
+
+module.exports = {
+  ShopifyAdmin,
+  ShopifyError,
+  createShopifyHandlers,
+  shopify,
+  shopifyHandlers
+};
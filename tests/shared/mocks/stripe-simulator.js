@@ -0,0 +1,764 @@
+// Stateful in-memory Stripe stand-in for MSW
+// Keeps PaymentIntents, PaymentMethods, Charges and Mandates between calls so a
+// test can create an intent, confirm it and watch its status move forward.
+//
+// Status transitions follow Stripe's PaymentIntent lifecycle; anything else is
+// rejected with `payment_intent_unexpected_state`, as the real API does:
+//
+//   requires_payment_method -> requires_confirmation -> processing
+//   processing -> succeeded | requires_action | requires_payment_method
+//   requires_action -> processing | requires_payment_method | requires_confirmation
+//   (anything not yet processing) -> canceled
+//
+// Outcomes come from Stripe's magic test numbers (CARDS, BANK_ACCOUNTS):
+// - Cards settle on confirm: succeeded, declined (back to
+//   requires_payment_method) or requires_action for 3D Secure, completed with
+//   stripe.authenticate(id).
+// - US bank accounts go to processing (Financial Connections) or to
+//   requires_action with microdeposits (manual entry; verify with amounts
+//   32/45 or descriptor code SM11AA). The bank's answer arrives with
+//   stripe.settle(id), like the ACH debit clearing days later.
+//
+// Usage in a test:
+//   const { stripe } = require('@mocks/stripe-simulator');
+//   const intent = stripe.createPaymentIntent({ amount: 5000, payment_method: 'pm_card_visa', confirm: true });
+//   expect(stripe.retrievePaymentIntent(intent.id).status).toBe('succeeded');
+//
+// Every status change is also recorded as a Stripe event (payment_intent.*,
+// charge.*), in order, for tests that deliver them as webhooks
+// (helpers/webhook-dispatcher.js):
+//   expect(stripe.eventLog.map(event => event.type)).toContain('payment_intent.processing');
+//
+// The same store answers https://api.stripe.com/v1/* through `stripeHandlers`
+// and is reset after every test by jest.setup.js.
+
+const crypto = require('crypto');
+const { rest } = require('msw');
+const { createTestPaymentIntent, createTestWebhookEvent } = require('../helpers/utils/test-helpers');
+
+const STRIPE_API = 'https://api.stripe.com/v1';
+
+const TRANSITIONS = {
+  requires_payment_method: ['requires_confirmation', 'canceled'],
+  requires_confirmation: ['processing', 'canceled'],
+  processing: ['succeeded', 'requires_action', 'requires_payment_method'],
+  requires_action: ['processing', 'requires_confirmation', 'requires_payment_method', 'canceled'],
+  succeeded: [],
+  canceled: []
+};
+
+// https://stripe.com/docs/testing#cards
+const CARDS = {
+  '4242424242424242': { brand: 'visa' },
+  '4000056655665556': { brand: 'visa', funding: 'debit' },
+  '5555555555554444': { brand: 'mastercard' },
+  '378282246310005': { brand: 'amex' },
+  '4000000000000002': { brand: 'visa', decline: { code: 'card_declined', decline_code: 'generic_decline', message: 'Your card was declined.' } },
+  '4000000000009995': { brand: 'visa', decline: { code: 'card_declined', decline_code: 'insufficient_funds', message: 'Your card has insufficient funds.' } },
+  '4000000000009987': { brand: 'visa', decline: { code: 'card_declined', decline_code: 'lost_card', message: 'Your card was declined.' } },
+  '4000000000000069': { brand: 'visa', decline: { code: 'expired_card', message: 'Your card has expired.' } },
+  '4000000000000127': { brand: 'visa', decline: { code: 'incorrect_cvc', message: 'Your card\'s security code is incorrect.' } },
+  '4000000000000119': { brand: 'visa', decline: { code: 'processing_error', message: 'An error occurred while processing your card. Try again in a little bit.' } },
+  '4000002500003155': { brand: 'visa', threeDSecure: true },
+  '4000000000003220': { brand: 'visa', threeDSecure: true }
+};
+
+// Payment method ids that stand in for a card number, e.g. confirm({ payment_method: 'pm_card_visa' })
+const CARD_TOKENS = {
+  pm_card_visa: '4242424242424242',
+  pm_card_visa_debit: '4000056655665556',
+  pm_card_mastercard: '5555555555554444',
+  pm_card_amex: '378282246310005',
+  pm_card_chargeDeclined: '4000000000000002',
+  pm_card_chargeDeclinedInsufficientFunds: '4000000000009995',
+  pm_card_chargeDeclinedLostCard: '4000000000009987',
+  pm_card_chargeDeclinedExpiredCard: '4000000000000069',
+  pm_card_chargeDeclinedIncorrectCvc: '4000000000000127',
+  pm_card_chargeDeclinedProcessingError: '4000000000000119',
+  pm_card_authenticationRequired: '4000002500003155',
+  pm_card_threeDSecure2Required: '4000000000003220'
+};
+
+// https://stripe.com/docs/payments/ach-debit/accept-a-payment#test-account-numbers
+// Routing number 110000000; any other account number settles successfully.
+const BANK_ACCOUNTS = {
+  '000123456789': {},
+  '000111111113': { failure: { code: 'account_closed', message: 'The customer\'s bank account has been closed.' } },
+  '000111111116': { failure: { code: 'no_account', message: 'The customer\'s bank account could not be located.' } },
+  '000222222227': { failure: { code: 'insufficient_funds', message: 'The customer\'s account has insufficient funds to cover this payment.' } },
+  '000333333335': { failure: { code: 'debit_not_authorized', message: 'The customer has notified their bank that this payment was unauthorized.' } }
+};
+
+const MICRODEPOSIT_AMOUNTS = [32, 45];
+const MICRODEPOSIT_DESCRIPTOR_CODE = 'SM11AA';
+
+// Event sent when a payment intent comes to rest in a status
+const STATUS_EVENTS = {
+  requires_payment_method: 'payment_intent.payment_failed',
+  requires_action: 'payment_intent.requires_action',
+  processing: 'payment_intent.processing',
+  succeeded: 'payment_intent.succeeded',
+  canceled: 'payment_intent.canceled'
+};
+
+// Error with the fields of Stripe's `{ error: { ... } }` response body
+class StripeError extends Error {
+  constructor(statusCode, { type = 'invalid_request_error', code, decline_code, param, message, payment_intent }) {
+    super(message);
+    this.name = 'StripeError';
+    this.statusCode = statusCode;
+    this.type = type;
+    this.code = code;
+    this.decline_code = decline_code;
+    this.param = param;
+    this.payment_intent = payment_intent;
+  }
+
+  toJSON() {
+    const error = { type: this.type, code: this.code, message: this.message };
+    if (this.decline_code) {error.decline_code = this.decline_code;}
+    if (this.param) {error.param = this.param;}
+    if (this.payment_intent) {error.payment_intent = this.payment_intent;}
+    return { error };
+  }
+}
+
+class StripeSimulator {
+  constructor() {
+    this.reset();
+  }
+
+  // Forget every object; called after each test
+  reset() {
+    this.paymentIntents = new Map();
+    this.paymentMethods = new Map();
+    this.charges = new Map();
+    this.mandates = new Map();
+    this.events = new Map();
+  }
+
+  // Payment methods
+
+  createPaymentMethod(params = {}) {
+    const paymentMethod = this.buildPaymentMethod(generateId('pm'), params);
+    this.paymentMethods.set(paymentMethod.id, paymentMethod);
+    return snapshot(paymentMethod);
+  }
+
+  retrievePaymentMethod(id) {
+    return snapshot(this.getPaymentMethod(id));
+  }
+
+  buildPaymentMethod(id, params) {
+    const { type, billing_details = {}, metadata = {} } = params;
+    const paymentMethod = {
+      id,
+      object: 'payment_method',
+      billing_details: { address: null, email: null, name: null, phone: null, ...billing_details },
+      created: now(),
+      customer: params.customer || null,
+      livemode: false,
+      metadata,
+      type
+    };
+
+    if (type === 'card') {
+      const number = String(params.card?.number || '').replace(/\s/g, '');
+      const card = CARDS[number];
+      if (!card) {
+        throw new StripeError(402, {
+          type: 'card_error',
+          code: 'incorrect_number',
+          param: 'card[number]',
+          message: 'Your card number is incorrect.'
+        });
+      }
+      paymentMethod.card = {
+        brand: card.brand,
+        country: 'US',
+        exp_month: Number(params.card.exp_month) || 12,
+        exp_year: Number(params.card.exp_year) || new Date().getFullYear() + 2,
+        funding: card.funding || 'credit',
+        last4: number.slice(-4)
+      };
+      paymentMethod._number = number;
+    } else if (type === 'us_bank_account') {
+      const account = params.us_bank_account || {};
+      const financialConnectionsAccount = account.financial_connections_account || null;
+      const routingNumber = account.routing_number || (financialConnectionsAccount ? '110000000' : null);
+      const accountNumber = account.account_number || (financialConnectionsAccount ? '000123456789' : null);
+
+      if (!isValidRoutingNumber(routingNumber)) {
+        throw new StripeError(400, {
+          code: 'routing_number_invalid',
+          param: 'us_bank_account[routing_number]',
+          message: 'The routing number provided is invalid'
+        });
+      }
+      if (!/^\d{4,17}$/.test(accountNumber || '')) {
+        throw new StripeError(400, {
+          code: 'account_number_invalid',
+          param: 'us_bank_account[account_number]',
+          message: 'The account number provided is invalid'
+        });
+      }
+
+      paymentMethod.us_bank_account = {
+        account_holder_type: account.account_holder_type || 'individual',
+        account_type: account.account_type || 'checking',
+        bank_name: 'STRIPE TEST BANK',
+        financial_connections_account: financialConnectionsAccount,
+        fingerprint: crypto.createHash('sha256').update(`${routingNumber}:${accountNumber}`).digest('hex').slice(0, 16),
+        last4: accountNumber.slice(-4),
+        networks: { preferred: 'ach', supported: ['ach'] },
+        routing_number: routingNumber
+      };
+      paymentMethod._accountNumber = accountNumber;
+    } else {
+      throw new StripeError(400, { code: 'parameter_invalid_string', param: 'type', message: `Invalid payment method type: ${type}` });
+    }
+    return paymentMethod;
+  }
+
+  // Payment intents
+
+  createPaymentIntent(params = {}) {
+    const amount = Number(params.amount);
+    if (!Number.isInteger(amount)) {
+      throw new StripeError(400, { code: 'parameter_invalid_integer', param: 'amount', message: 'Invalid integer: amount' });
+    }
+    if (amount < 50) {
+      throw new StripeError(400, { code: 'amount_too_small', param: 'amount', message: 'Amount must be at least $0.50 usd' });
+    }
+
+    const id = generateId('pi_test');
+    const paymentIntent = createTestPaymentIntent({
+      id,
+      amount,
+      amount_received: 0,
+      charges: { object: 'list', data: [], has_more: false, url: `/v1/charges?payment_intent=${id}` },
+      client_secret: `${id}_secret_test_${crypto.randomBytes(8).toString('hex')}`,
+      currency: params.currency || 'usd',
+      customer: params.customer || null,
+      description: params.description || null,
+      latest_charge: null,
+      metadata: { ...params.metadata },
+      payment_method: null,
+      payment_method_options: params.payment_method_options || {},
+      payment_method_types: params.payment_method_types || ['card'],
+      receipt_email: params.receipt_email || null,
+      shipping: params.shipping || null,
+      status: 'requires_payment_method'
+    });
+    this.paymentIntents.set(id, paymentIntent);
+    this.recordEvent('payment_intent.created', paymentIntent);
+
+    if (params.payment_method) {
+      this.attachPaymentMethod(paymentIntent, params.payment_method);
+    }
+    if (params.confirm === true || params.confirm === 'true') {
+      return this.confirmPaymentIntent(id, { mandate_data: params.mandate_data });
+    }
+    return snapshot(paymentIntent);
+  }
+
+  retrievePaymentIntent(id) {
+    return snapshot(this.getPaymentIntent(id));
+  }
+
+  // Newest first, like the API; filters: customer, status, limit
+  listPaymentIntents(params = {}) {
+    const paymentIntents = [...this.paymentIntents.values()]
+      .filter(intent => !params.customer || intent.customer === params.customer)
+      .filter(intent => !params.status || intent.status === params.status);
+    return list(paymentIntents, '/v1/payment_intents', params.limit);
+  }
+
+  updatePaymentIntent(id, params = {}) {
+    const paymentIntent = this.getPaymentIntent(id);
+    if (['processing', 'succeeded', 'canceled'].includes(paymentIntent.status)) {
+      throw unexpectedState(paymentIntent, 'update');
+    }
+
+    if (params.amount !== undefined) {paymentIntent.amount = Number(params.amount);}
+    ['currency', 'description', 'receipt_email', 'shipping'].forEach(field => {
+      if (params[field] !== undefined) {paymentIntent[field] = params[field];}
+    });
+    if (params.metadata) {
+      // An empty string unsets a key
+      Object.entries(params.metadata).forEach(([key, value]) => {
+        if (value === '') {
+          delete paymentIntent.metadata[key];
+        } else {
+          paymentIntent.metadata[key] = value;
+        }
+      });
+    }
+    if (params.payment_method) {
+      this.attachPaymentMethod(paymentIntent, params.payment_method);
+    }
+    return snapshot(paymentIntent);
+  }
+
+  confirmPaymentIntent(id, params = {}) {
+    const paymentIntent = this.getPaymentIntent(id);
+    if (params.payment_method) {
+      this.attachPaymentMethod(paymentIntent, params.payment_method);
+    }
+    if (paymentIntent.status === 'requires_payment_method') {
+      throw new StripeError(400, {
+        code: 'payment_intent_unexpected_state',
+        message: 'You cannot confirm this PaymentIntent because it\'s missing a payment method.',
+        payment_intent: snapshot(paymentIntent)
+      });
+    }
+    if (paymentIntent.status !== 'requires_confirmation') {
+      throw unexpectedState(paymentIntent, 'confirm');
+    }
+    if (params.return_url) {paymentIntent.return_url = params.return_url;}
+
+    const paymentMethod = this.getPaymentMethod(paymentIntent.payment_method);
+    this.transition(paymentIntent, 'processing');
+
+    if (paymentMethod.type === 'card') {
+      const card = CARDS[paymentMethod._number];
+      if (card.threeDSecure) {
+        this.transition(paymentIntent, 'requires_action');
+        paymentIntent.next_action = {
+          type: 'use_stripe_sdk',
+          use_stripe_sdk: { type: 'three_d_secure_redirect', stripe_js: `https://hooks.stripe.com/3d_secure/${id}` }
+        };
+        return this.publish(paymentIntent);
+      }
+      if (card.decline) {
+        const charge = this.createCharge(paymentIntent, paymentMethod, 'failed', card.decline);
+        this.fail(paymentIntent, card.decline, charge);
+        this.publish(paymentIntent);
+        throw new StripeError(402, { type: 'card_error', ...card.decline, payment_intent: snapshot(paymentIntent) });
+      }
+      this.createCharge(paymentIntent, paymentMethod, 'succeeded');
+      this.succeed(paymentIntent);
+      return this.publish(paymentIntent);
+    }
+
+    // us_bank_account: a mandate covers the debit; linked accounts are
+    // verified already, manually entered ones need microdeposits first
+    paymentIntent._mandate = this.createMandate(paymentMethod, params.mandate_data).id;
+    if (paymentMethod.us_bank_account.financial_connections_account) {
+      this.createCharge(paymentIntent, paymentMethod, 'pending');
+      return this.publish(paymentIntent);
+    }
+
+    this.transition(paymentIntent, 'requires_action');
+    paymentIntent.next_action = {
+      type: 'verify_with_microdeposits',
+      verify_with_microdeposits: {
+        arrival_date: now() + 2 * 24 * 60 * 60,
+        hosted_verification_url: `https://payments.stripe.com/microdeposit/${id}`,
+        microdeposit_type: 'amounts'
+      }
+    };
+    return this.publish(paymentIntent);
+  }
+
+  cancelPaymentIntent(id, params = {}) {
+    const paymentIntent = this.getPaymentIntent(id);
+    if (!TRANSITIONS[paymentIntent.status].includes('canceled')) {
+      throw unexpectedState(paymentIntent, 'cancel');
+    }
+    this.transition(paymentIntent, 'canceled');
+    paymentIntent.canceled_at = now();
+    paymentIntent.cancellation_reason = params.cancellation_reason || null;
+    paymentIntent.next_action = null;
+    return this.publish(paymentIntent);
+  }
+
+  // Completes a microdeposit verification: { amounts: [32, 45] } or
+  // { descriptor_code: 'SM11AA' }
+  verifyMicrodeposits(id, params = {}) {
+    const paymentIntent = this.getPaymentIntent(id);
+    if (paymentIntent.status !== 'requires_action' || paymentIntent.next_action?.type !== 'verify_with_microdeposits') {
+      throw unexpectedState(paymentIntent, 'verify microdeposits for');
+    }
+
+    const amounts = (params.amounts || []).map(Number);
+    const verified = params.descriptor_code
+      ? params.descriptor_code === MICRODEPOSIT_DESCRIPTOR_CODE
+      : amounts.length === 2 && MICRODEPOSIT_AMOUNTS.every(amount => amounts.includes(amount));
+    if (!verified) {
+      throw new StripeError(400, {
+        code: params.descriptor_code
+          ? 'payment_method_microdeposit_verification_descriptor_code_mismatch'
+          : 'payment_method_microdeposit_verification_amounts_mismatch',
+        message: 'The microdeposit verification details provided do not match.'
+      });
+    }
+
+    this.transition(paymentIntent, 'processing');
+    paymentIntent.next_action = null;
+    this.createCharge(paymentIntent, this.getPaymentMethod(paymentIntent.payment_method), 'pending');
+    return this.publish(paymentIntent);
+  }
+
+  // Finishes a 3D Secure challenge, approved or not
+  authenticate(id, { approve = true } = {}) {
+    const paymentIntent = this.getPaymentIntent(id);
+    if (paymentIntent.status !== 'requires_action' || paymentIntent.next_action?.type !== 'use_stripe_sdk') {
+      throw unexpectedState(paymentIntent, 'authenticate');
+    }
+
+    paymentIntent.next_action = null;
+    const paymentMethod = this.getPaymentMethod(paymentIntent.payment_method);
+    this.transition(paymentIntent, 'processing');
+    if (!approve) {
+      const error = {
+        code: 'payment_intent_authentication_failure',
+        message: 'We are unable to authenticate your payment method. Please choose a different payment method and try again.'
+      };
+      this.fail(paymentIntent, error, null);
+      return this.publish(paymentIntent);
+    }
+    this.createCharge(paymentIntent, paymentMethod, 'succeeded');
+    this.succeed(paymentIntent);
+    return this.publish(paymentIntent);
+  }
+
+  // The bank's answer to a processing ACH debit: succeeded, or failed with the
+  // test account's failure code
+  settle(id) {
+    const paymentIntent = this.getPaymentIntent(id);
+    if (paymentIntent.status !== 'processing') {
+      throw unexpectedState(paymentIntent, 'settle');
+    }
+
+    const paymentMethod = this.getPaymentMethod(paymentIntent.payment_method);
+    const charge = this.charges.get(paymentIntent.latest_charge);
+    const { failure } = BANK_ACCOUNTS[paymentMethod._accountNumber] || {};
+    if (failure) {
+      Object.assign(charge, { status: 'failed', failure_code: failure.code, failure_message: failure.message });
+      this.fail(paymentIntent, failure, charge);
+    } else {
+      Object.assign(charge, { status: 'succeeded', paid: true });
+      this.succeed(paymentIntent);
+    }
+    this.syncCharges(paymentIntent);
+    this.recordEvent(`charge.${charge.status}`, charge);
+    return this.publish(paymentIntent);
+  }
+
+  // Charges and mandates
+
+  retrieveCharge(id) {
+    return snapshot(this.get(this.charges, id, 'charge'));
+  }
+
+  listCharges(params = {}) {
+    const charges = [...this.charges.values()]
+      .filter(charge => !params.payment_intent || charge.payment_intent === params.payment_intent);
+    return list(charges, '/v1/charges', params.limit);
+  }
+
+  retrieveMandate(id) {
+    return snapshot(this.get(this.mandates, id, 'mandate'));
+  }
+
+  // Events
+
+  retrieveEvent(id) {
+    return snapshot(this.get(this.events, id, 'event'));
+  }
+
+  // Newest first, like the API; filters: type (a `payment_intent.*` prefix
+  // matches a whole group), limit
+  listEvents(params = {}) {
+    return list(this.eventLog.filter(event => matchesType(event, params.type)), '/v1/events', params.limit);
+  }
+
+  // Every event so far, oldest first
+  get eventLog() {
+    return [...this.events.values()].map(snapshot);
+  }
+
+  // Internals
+
+  transition(paymentIntent, status) {
+    if (!TRANSITIONS[paymentIntent.status].includes(status)) {
+      throw unexpectedState(paymentIntent, `move to ${status}`);
+    }
+    paymentIntent.status = status;
+  }
+
+  attachPaymentMethod(paymentIntent, paymentMethodId) {
+    if (!['requires_payment_method', 'requires_confirmation', 'requires_action'].includes(paymentIntent.status)) {
+      throw unexpectedState(paymentIntent, 'change the payment method of');
+    }
+
+    const paymentMethod = this.getPaymentMethod(paymentMethodId);
+    if (!paymentIntent.payment_method_types.includes(paymentMethod.type)) {
+      throw new StripeError(400, {
+        code: 'payment_intent_incompatible_payment_method',
+        param: 'payment_method',
+        message: `The PaymentMethod provided (${paymentMethod.type}) is not allowed for this PaymentIntent.`
+      });
+    }
+
+    paymentIntent.payment_method = paymentMethod.id;
+    paymentIntent.next_action = null;
+    if (paymentIntent.status !== 'requires_confirmation') {
+      this.transition(paymentIntent, 'requires_confirmation');
+    }
+  }
+
+  createCharge(paymentIntent, paymentMethod, status, failure) {
+    const details = paymentMethod.type === 'card'
+      ? { type: 'card', card: { brand: paymentMethod.card.brand, last4: paymentMethod.card.last4 } }
+      : {
+        type: 'us_bank_account',
+        us_bank_account: {
+          account_holder_type: paymentMethod.us_bank_account.account_holder_type,
+          account_type: paymentMethod.us_bank_account.account_type,
+          bank_name: paymentMethod.us_bank_account.bank_name,
+          last4: paymentMethod.us_bank_account.last4,
+          mandate: paymentIntent._mandate || null,
+          routing_number: paymentMethod.us_bank_account.routing_number
+        }
+      };
+
+    const charge = {
+      id: generateId('ch_test'),
+      object: 'charge',
+      amount: paymentIntent.amount,
+      amount_refunded: 0,
+      created: now(),
+      currency: paymentIntent.currency,
+      customer: paymentIntent.customer,
+      failure_code: failure?.code || null,
+      failure_message: failure?.message || null,
+      livemode: false,
+      metadata: { ...paymentIntent.metadata },
+      outcome: failure ? { type: 'issuer_declined', reason: failure.decline_code || failure.code } : null,
+      paid: status === 'succeeded',
+      payment_intent: paymentIntent.id,
+      payment_method: paymentMethod.id,
+      payment_method_details: details,
+      receipt_email: paymentIntent.receipt_email,
+      refunded: false,
+      status
+    };
+    this.charges.set(charge.id, charge);
+    paymentIntent.latest_charge = charge.id;
+    this.syncCharges(paymentIntent);
+    this.recordEvent(`charge.${status}`, charge);
+    return charge;
+  }
+
+  createMandate(paymentMethod, mandateData = {}) {
+    const mandate = {
+      id: generateId('mandate'),
+      object: 'mandate',
+      customer_acceptance: mandateData.customer_acceptance || {
+        accepted_at: now(),
+        online: { ip_address: '127.0.0.1', user_agent: 'stripe-simulator' },
+        type: 'online'
+      },
+      livemode: false,
+      payment_method: paymentMethod.id,
+      payment_method_details: { type: 'us_bank_account', us_bank_account: {} },
+      status: 'active',
+      type: 'multi_use'
+    };
+    this.mandates.set(mandate.id, mandate);
+    return mandate;
+  }
+
+  // Event carrying a copy of `object` as it is now
+  recordEvent(type, object) {
+    const event = { ...createTestWebhookEvent(type, snapshot(object)), id: generateId('evt_test') };
+    this.events.set(event.id, event);
+    return event;
+  }
+
+  // Records the event for the intent's new status and returns its copy
+  publish(paymentIntent) {
+    this.recordEvent(STATUS_EVENTS[paymentIntent.status], paymentIntent);
+    return snapshot(paymentIntent);
+  }
+
+  succeed(paymentIntent) {
+    this.transition(paymentIntent, 'succeeded');
+    paymentIntent.amount_received = paymentIntent.amount;
+    paymentIntent.last_payment_error = null;
+  }
+
+  // Back to requires_payment_method, as Stripe does after a failed attempt
+  fail(paymentIntent, error, charge) {
+    const paymentMethod = this.paymentMethods.get(paymentIntent.payment_method);
+    this.transition(paymentIntent, 'requires_payment_method');
+    paymentIntent.last_payment_error = {
+      type: paymentMethod.type === 'card' ? 'card_error' : 'invalid_request_error',
+      code: error.code,
+      decline_code: error.decline_code,
+      message: error.message,
+      charge: charge?.id,
+      payment_method: snapshot(paymentMethod)
+    };
+    paymentIntent.payment_method = null;
+    paymentIntent._mandate = null;
+  }
+
+  syncCharges(paymentIntent) {
+    const charges = [...this.charges.values()].filter(charge => charge.payment_intent === paymentIntent.id);
+    paymentIntent.charges.data = charges.reverse();
+  }
+
+  getPaymentIntent(id) {
+    return this.get(this.paymentIntents, id, 'payment_intent');
+  }
+
+  getPaymentMethod(id) {
+    if (!this.paymentMethods.has(id) && CARD_TOKENS[id]) {
+      this.paymentMethods.set(id, this.buildPaymentMethod(id, { type: 'card', card: { number: CARD_TOKENS[id] } }));
+    }
+    return this.get(this.paymentMethods, id, 'payment_method');
+  }
+
+  get(store, id, type) {
+    if (!store.has(id)) {
+      throw new StripeError(404, {
+        code: 'resource_missing',
+        param: 'id',
+        message: `No such ${type}: '${id}'`
+      });
+    }
+    return store.get(id);
+  }
+}
+
+// Helpers
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function generateId(prefix) {
+  return `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+// ABA checksum: 3-7-1 weights over the nine digits must sum to a multiple of 10
+function isValidRoutingNumber(routingNumber) {
+  if (!/^\d{9}$/.test(routingNumber || '')) {return false;}
+  const weights = [3, 7, 1];
+  const sum = [...routingNumber].reduce((total, digit, i) => total + Number(digit) * weights[i % 3], 0);
+  return sum % 10 === 0;
+}
+
+function unexpectedState(paymentIntent, action) {
+  return new StripeError(400, {
+    code: 'payment_intent_unexpected_state',
+    message: `You cannot ${action} this PaymentIntent because it has a status of ${paymentIntent.status}.`,
+    payment_intent: snapshot(paymentIntent)
+  });
+}
+
+// Copies without the simulator's private `_` fields, so callers can't change
+// stored state by mutating a response
+function snapshot(object) {
+  if (!object) {return object;}
+  return JSON.parse(JSON.stringify(object, (key, value) => (key.startsWith('_') ? undefined : value)));
+}
+
+function list(objects, url, limit = 10) {
+  const sorted = [...objects].reverse();
+  return {
+    object: 'list',
+    data: sorted.slice(0, Number(limit)).map(snapshot),
+    has_more: sorted.length > Number(limit),
+    url
+  };
+}
+
+// Stripe clients send form-encoded bodies with bracket notation
+// (metadata[order]=1, payment_method_types[]=card, amounts[0]=32);
+// JSON bodies are accepted too
+async function parseBody(req) {
+  const text = await req.text();
+  if (!text) {return {};}
+  if ((req.headers.get('content-type') || '').includes('application/json')) {
+    return JSON.parse(text);
+  }
+
+  const body = {};
+  new URLSearchParams(text).forEach((value, key) => {
+    const path = key.replace(/\]/g, '').split('[');
+    let target = body;
+    path.forEach((segment, i) => {
+      const last = i === path.length - 1;
+      const isArray = path[i + 1] === '' || /^\d+$/.test(path[i + 1] || '');
+      if (last) {
+        if (Array.isArray(target)) {
+          target.push(value);
+        } else {
+          target[segment] = value;
+        }
+      } else {
+        target[segment] = target[segment] || (isArray ? [] : {});
+        target = target[segment];
+      }
+    });
+  });
+  return body;
+}
+
+function matchesType(event, type) {
+  if (!type) {return true;}
+  return type.endsWith('.*') ? event.type.startsWith(type.slice(0, -1)) : event.type === type;
+}
+
+function query(req) {
+  return Object.fromEntries(req.url.searchParams.entries());
+}
+
+// MSW handlers for https://api.stripe.com/v1/* backed by `simulator`
+function createStripeHandlers(simulator) {
+  const handle = (method, path, action) => rest[method](`${STRIPE_API}${path}`, async (req, res, ctx) => {
+    try {
+      return res(ctx.status(200), ctx.json(await action(req)));
+    } catch (error) {
+      if (!(error instanceof StripeError)) {throw error;}
+      return res(ctx.status(error.statusCode), ctx.json(error.toJSON()));
+    }
+  });
+
+  return [
+    handle('post', '/payment_intents', async req => simulator.createPaymentIntent(await parseBody(req))),
+    handle('get', '/payment_intents', req => simulator.listPaymentIntents(query(req))),
+    handle('get', '/payment_intents/:id', req => simulator.retrievePaymentIntent(req.params.id)),
+    handle('post', '/payment_intents/:id', async req => simulator.updatePaymentIntent(req.params.id, await parseBody(req))),
+    handle('post', '/payment_intents/:id/confirm', async req => simulator.confirmPaymentIntent(req.params.id, await parseBody(req))),
+    handle('post', '/payment_intents/:id/cancel', async req => simulator.cancelPaymentIntent(req.params.id, await parseBody(req))),
+    handle('post', '/payment_intents/:id/verify_microdeposits', async req => (
+      simulator.verifyMicrodeposits(req.params.id, await parseBody(req))
+    )),
+    handle('post', '/payment_methods', async req => simulator.createPaymentMethod(await parseBody(req))),
+    handle('get', '/payment_methods/:id', req => simulator.retrievePaymentMethod(req.params.id)),
+    handle('get', '/charges', req => simulator.listCharges(query(req))),
+    handle('get', '/charges/:id', req => simulator.retrieveCharge(req.params.id)),
+    handle('get', '/mandates/:id', req => simulator.retrieveMandate(req.params.id)),
+    handle('get', '/events', req => simulator.listEvents(query(req))),
+    handle('get', '/events/:id', req => simulator.retrieveEvent(req.params.id))
+  ];
+}
+
+// Shared instance used by the handlers in shared/mocks and helpers/utils
+const stripe = new StripeSimulator();
+const stripeHandlers = createStripeHandlers(stripe);
+
+module.exports = {
+  StripeSimulator,
+  StripeError,
+  createStripeHandlers,
+  stripe,
+  stripeHandlers,
+  CARDS,
+  CARD_TOKENS,
+  BANK_ACCOUNTS
+};